@@ -19,6 +19,28 @@ async function mountRoutes() {
     app.options('/api/video/request-upload', (req, res) => res.status(200).end());
     app.post('/api/video/request-upload', (req, res) => requestUpload(req, res));
 
+    const { default: purgeTrash } = await import('./api/purge-trash.js');
+    app.get('/api/purge-trash', (req, res) => purgeTrash(req, res));
+
+    const { default: pruneVersions } = await import('./api/prune-versions.js');
+    app.get('/api/prune-versions', (req, res) => pruneVersions(req, res));
+
+    // Set AI_PROVIDER=mock in .env.local to run prompts without an API key
+    const { default: runPrompt } = await import('./api/run-prompt.js');
+    app.post('/api/run-prompt', (req, res) => runPrompt(req, res));
+
+    const { default: providers } = await import('./api/providers.js');
+    app.get('/api/providers', (req, res) => providers(req, res));
+
+    // Streams over SSE when the client asks for it, like run-prompt
+    const { default: enhancePrompt } = await import('./api/enhance-prompt.js');
+    app.options('/api/enhance-prompt', (req, res) => enhancePrompt(req, res));
+    app.post('/api/enhance-prompt', (req, res) => enhancePrompt(req, res));
+
+    // JUDGE_PROVIDER=local grades with the deterministic stand-in judge
+    const { default: gradeResult } = await import('./api/grade-result.js');
+    app.post('/api/grade-result', (req, res) => gradeResult(req, res));
+
     // Add more API routes here as you create them:
     // const { default: anotherHandler } = await import('./api/something.js');
     // app.all('/api/something', (req, res) => anotherHandler(req, res));
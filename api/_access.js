@@ -0,0 +1,26 @@
+// api/_access.js — Who may read and write a team's prompts (server-side only)
+//
+// Mirrors canViewPrompt() in src/lib/prompts.js and the creator roles in
+// src/lib/forks.js, for routes that act on a prompt with firebase-admin.
+
+// Roles that may add prompts and results (viewers can only read)
+const CREATOR_ROLES = ['owner', 'admin', 'member'];
+
+/**
+ * Whether `uid`, with `role` in the prompt's team, may see the prompt
+ */
+export function canViewPrompt(prompt, uid, role) {
+  if (!prompt.visibility || prompt.visibility === 'public') return true;
+  if (prompt.createdBy === uid || role === 'owner') return true;
+  if (prompt.visibility === 'private') return role === 'admin';
+
+  const { members = [], roles = [] } = prompt.restrictedTo || {};
+  return members.includes(uid) || roles.includes(role);
+}
+
+/**
+ * Whether `role` may add results to the team's prompts
+ */
+export function canAddResults(role) {
+  return CREATOR_ROLES.includes(role);
+}
@@ -0,0 +1,272 @@
+// api/_adapters.js — Provider adapters for the registry in _providers.js
+//
+// Every adapter has the same shape, so _providers.js can call any provider
+// without knowing which API it speaks:
+//
+//   {
+//     id, label, defaultModel,
+//     streams,                                        can stream replies
+//     isConfigured(),                                 has its key / base URL
+//     buildRequest(messages, params, model, { stream }) → { url, headers, body }
+//     parseResponse(data)     → { content, model, usage }
+//     parseStreamChunk(chunk) → { text, model, usage }  (any may be missing)
+//   }
+//
+// `messages` are [{ role, content }] with system / user / assistant roles and
+// `params` is { temperature, maxTokens, topP }. parseStreamChunk() gets each
+// JSON `data:` line of the provider's SSE stream; usage may arrive in pieces
+// (e.g. Anthropic sends input and output tokens separately), which
+// _providers.js merges.
+//
+// The mock adapter is `local`: it has reply(messages, model) instead of the
+// request hooks and never touches the network. It counts as configured only
+// when the registry enables it.
+
+// Rough count for providers that don't report usage (~4 chars per token)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// { promptTokens, completionTokens, totalTokens, estimated } from whichever
+// counts the provider reported, or null when it reported none
+function toUsage(promptTokens = null, completionTokens = null, totalTokens = null) {
+  if (promptTokens === null && completionTokens === null && totalTokens === null) return null;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: totalTokens ?? ((promptTokens ?? 0) + (completionTokens ?? 0)),
+    estimated: false,
+  };
+}
+
+function openAIUsage(usage) {
+  if (!usage) return null;
+  return toUsage(usage.prompt_tokens, usage.completion_tokens, usage.total_tokens);
+}
+
+/**
+ * Any server that speaks OpenAI's /chat/completions: OpenAI itself, Groq,
+ * OpenRouter, and local servers like Ollama (http://localhost:11434/v1) or
+ * llama.cpp (http://localhost:8080/v1). `baseUrl` is everything before
+ * /chat/completions.
+ */
+export function openAICompatible({
+  id,
+  label,
+  baseUrl,
+  apiKey,
+  keyless = false,
+  defaultModel,
+  headers = {},
+  sendTopP = true,
+  streamUsage = false,
+}) {
+  const url = `${(baseUrl || '').replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    id,
+    label,
+    defaultModel,
+    streams: true,
+
+    isConfigured: () => Boolean(baseUrl && defaultModel && (keyless || apiKey)),
+
+    buildRequest(messages, params, model, { stream = false } = {}) {
+      const body = {
+        model,
+        messages,
+        temperature: params.temperature,
+        max_tokens: params.maxTokens,
+      };
+      if (sendTopP) body.top_p = params.topP;
+      if (stream) {
+        body.stream = true;
+        // Usage is only sent on a streamed reply when asked for
+        if (streamUsage) body.stream_options = { include_usage: true };
+      }
+
+      return {
+        url,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          ...headers,
+        },
+        body,
+      };
+    },
+
+    parseResponse(data) {
+      return {
+        content: data.choices?.[0]?.message?.content,
+        model: data.model,
+        usage: openAIUsage(data.usage),
+      };
+    },
+
+    parseStreamChunk(chunk) {
+      return {
+        text: chunk.choices?.[0]?.delta?.content,
+        model: chunk.model,
+        // Groq reports usage on the last chunk under x_groq
+        usage: openAIUsage(chunk.usage || chunk.x_groq?.usage),
+      };
+    },
+  };
+}
+
+// Anthropic only accepts temperatures up to 1
+const ANTHROPIC_MAX_TEMPERATURE = 1;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic's Messages API. System messages move to the top-level `system`
+ * field; the rest are sent as the conversation.
+ */
+export function anthropicMessages({ apiKey, baseUrl = 'https://api.anthropic.com', defaultModel }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/v1/messages`;
+
+  return {
+    id: 'anthropic',
+    label: 'Anthropic',
+    defaultModel,
+    streams: true,
+
+    isConfigured: () => Boolean(apiKey && defaultModel),
+
+    buildRequest(messages, params, model, { stream = false } = {}) {
+      const system = messages
+        .filter(m => m.role === 'system')
+        .map(m => m.content)
+        .join('\n\n');
+
+      // top_p is left out: newer models reject it alongside temperature
+      const body = {
+        model,
+        messages: messages
+          .filter(m => m.role !== 'system')
+          .map(m => ({ role: m.role, content: m.content })),
+        max_tokens: params.maxTokens,
+        temperature: Math.min(params.temperature, ANTHROPIC_MAX_TEMPERATURE),
+      };
+      if (system) body.system = system;
+      if (stream) body.stream = true;
+
+      return {
+        url,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body,
+      };
+    },
+
+    parseResponse(data) {
+      return {
+        content: (data.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        model: data.model,
+        usage: toUsage(data.usage?.input_tokens, data.usage?.output_tokens),
+      };
+    },
+
+    parseStreamChunk(chunk) {
+      switch (chunk.type) {
+        case 'message_start':
+          return {
+            model: chunk.message?.model,
+            usage: toUsage(chunk.message?.usage?.input_tokens),
+          };
+        case 'content_block_delta':
+          return { text: chunk.delta?.type === 'text_delta' ? chunk.delta.text : undefined };
+        case 'message_delta':
+          return { usage: toUsage(null, chunk.usage?.output_tokens) };
+        default:
+          return {};
+      }
+    },
+  };
+}
+
+/**
+ * Hugging Face's hosted text-generation inference. Messages are flattened
+ * into one prompt, and it doesn't stream.
+ */
+export function huggingFaceInference({ apiKey, defaultModel }) {
+  return {
+    id: 'huggingface',
+    label: 'Hugging Face',
+    defaultModel,
+    streams: false,
+
+    isConfigured: () => Boolean(apiKey && defaultModel),
+
+    buildRequest(messages, params, model) {
+      return {
+        url: `https://api-inference.huggingface.co/models/${model}`,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: {
+          inputs: messages.map(m => m.content).join('\n\n'),
+          parameters: {
+            max_new_tokens: params.maxTokens,
+            temperature: params.temperature,
+            top_p: params.topP,
+            return_full_text: false,
+          },
+        },
+      };
+    },
+
+    parseResponse(data) {
+      return {
+        content: Array.isArray(data) ? data[0]?.generated_text : data.generated_text,
+        usage: null,
+      };
+    },
+  };
+}
+
+/**
+ * In-process stand-in for offline development. Its replies are
+ * deterministic: the same messages always give the same output.
+ */
+export function mockAdapter({ delayMs = 0, enabled = false } = {}) {
+  return {
+    id: 'mock',
+    label: 'Mock',
+    defaultModel: 'mock-echo-1',
+    streams: true,
+    local: true,
+    // Optional artificial delay so loading states can be seen locally
+    delayMs,
+
+    isConfigured: () => enabled,
+
+    reply(messages, model) {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const input    = lastUser?.content || '';
+      const content  = [
+        `[${model}] Mock response`,
+        '',
+        `Received ${messages.length} message${messages.length === 1 ? '' : 's'}.`,
+        'Last user message:',
+        input.length > 500 ? `${input.slice(0, 500)}…` : input,
+      ].join('\n');
+
+      const promptTokens     = estimateTokens(messages.map(m => m.content).join('\n'));
+      const completionTokens = estimateTokens(content);
+      return {
+        content,
+        model,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true },
+      };
+    },
+  };
+}
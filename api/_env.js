@@ -10,12 +10,15 @@
 /** Firebase Admin SDK — needed by every handler that calls requireAuth() */
 const AUTH_VARS = ['FIREBASE_SERVICE_ACCOUNT'];
 
-/** AI prompt enhancement — needed by enhance-prompt.js */
-const AI_VARS = ['GROQ_API_KEY'];   // add HUGGINGFACE_API_KEY / OPENROUTER_API_KEY if switching providers
+/** AI provider — needed by enhance-prompt.js, run-prompt.js and grade-result.js (none with AI_PROVIDER=mock) */
+const AI_VARS = ['GROQ_API_KEY'];   // or the key / base URL of whichever provider AI_PROVIDER names (see _providers.js)
 
 /** Email delivery — needed by send-invite.js ONLY */
 const EMAIL_VARS = ['RESEND_API_KEY', 'RESEND_FROM_EMAIL'];
 
+/** Scheduled jobs — Vercel sends this as a bearer token to cron routes (purge-trash.js, prune-versions.js) */
+const CRON_VARS = ['CRON_SECRET'];
+
 // ── Legacy full list (kept for reference; do NOT use in new handlers) ─────────
 const REQUIRED_SERVER_VARS = [...AUTH_VARS, ...AI_VARS, ...EMAIL_VARS];
 
@@ -57,4 +60,4 @@ export function requireEnvVars(...keys) {
 }
 
 // Named exports for convenience — import only what you need
-export { AUTH_VARS, AI_VARS, EMAIL_VARS };
+export { AUTH_VARS, AI_VARS, EMAIL_VARS, CRON_VARS };
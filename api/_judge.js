@@ -0,0 +1,165 @@
+// api/_judge.js — Grade an output against a rubric (server-side only)
+//
+// Used by grade-result.js. The judge is the configured AI provider (see
+// _providers.js), asked to reply with JSON scores per criterion.
+//
+// JUDGE_PROVIDER=local swaps in a deterministic stand-in that scores by
+// how many of each criterion's key terms the output mentions. No network
+// call or key is needed, and the same input always gets the same grade, so
+// tests and offline development can rely on it. AI_PROVIDER=mock also uses
+// it, since the mock provider can't produce judge JSON.
+
+import { ACTIVE_PROVIDER, PROVIDERS, isProviderConfigured, callProvider } from './_providers.js';
+
+export const LOCAL_JUDGE = 'local';
+export const JUDGE_PROVIDER = process.env.JUDGE_PROVIDER ||
+  (ACTIVE_PROVIDER === PROVIDERS.MOCK ? LOCAL_JUDGE : ACTIVE_PROVIDER);
+
+const LOCAL_JUDGE_MODEL = 'local-keyword-judge-1';
+// Judges should be as repeatable as the provider allows
+const JUDGE_PARAMETERS = { temperature: 0, maxTokens: 1200 };
+// Long outputs are cut before grading to keep the judge call bounded
+const MAX_GRADED_LENGTH = 12_000;
+const STOP_WORDS = new Set([
+  'that', 'this', 'with', 'from', 'have', 'should', 'would', 'their', 'there',
+  'about', 'which', 'when', 'what', 'into', 'more', 'does', 'than', 'them',
+  'they', 'will', 'your', 'been', 'were', 'each', 'also', 'only', 'such',
+]);
+
+function clampScore(score, { min, max }) {
+  return Math.min(max, Math.max(min, Math.round(score)));
+}
+
+function keyTerms(text) {
+  const words = (text.toLowerCase().match(/[a-z][a-z0-9-]{3,}/g) || [])
+    .filter(w => !STOP_WORDS.has(w));
+  return [...new Set(words)];
+}
+
+/**
+ * Deterministic stand-in judge: each criterion scores by the share of its
+ * key terms (from its name and description) found in the output
+ */
+function localJudge(rubric, output) {
+  const haystack = output.toLowerCase();
+  const { min, max } = rubric.scale;
+
+  const scores = rubric.criteria.map(criterion => {
+    const terms = keyTerms(`${criterion.name} ${criterion.description || ''}`);
+    const found = terms.filter(t => haystack.includes(t));
+    const share = terms.length ? found.length / terms.length : 0;
+    return {
+      id: criterion.id,
+      score: clampScore(min + share * (max - min), rubric.scale),
+      rationale: terms.length
+        ? `Mentions ${found.length} of ${terms.length} key terms${found.length ? ` (${found.slice(0, 5).join(', ')})` : ''}.`
+        : 'No key terms to look for in this criterion.',
+    };
+  });
+  return { scores, model: LOCAL_JUDGE_MODEL };
+}
+
+function buildJudgeMessages(rubric, promptText, output) {
+  const { min, max } = rubric.scale;
+  const criteria = rubric.criteria
+    .map(c => `- id "${c.id}": ${c.name}${c.description ? ` — ${c.description}` : ''}`)
+    .join('\n');
+
+  const system = [
+    'You are a strict, consistent grader of AI outputs.',
+    `Score the output on each criterion from ${min} (worst) to ${max} (best), using whole numbers.`,
+    'Give a one or two sentence rationale per criterion.',
+    'Reply with JSON only, no prose or code fences, in this shape:',
+    '{"scores":[{"id":"<criterion id>","score":<number>,"rationale":"<text>"}]}',
+  ].join('\n');
+
+  const user = [
+    `Rubric: ${rubric.name}`,
+    rubric.description ? `About this rubric: ${rubric.description}` : null,
+    'Criteria:',
+    criteria,
+    '',
+    '<prompt>',
+    promptText || '(not available)',
+    '</prompt>',
+    '',
+    '<output>',
+    output.slice(0, MAX_GRADED_LENGTH),
+    '</output>',
+  ].filter(line => line !== null).join('\n');
+
+  return [{ role: 'system', content: system }, { role: 'user', content: user }];
+}
+
+/**
+ * Pull per-criterion scores out of the judge's reply. Throws if any
+ * criterion is missing or has no numeric score.
+ */
+function parseJudgeReply(reply, rubric) {
+  const start = reply.indexOf('{');
+  const end   = reply.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('Judge reply was not JSON');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(reply.slice(start, end + 1));
+  } catch {
+    throw new Error('Judge reply was not valid JSON');
+  }
+
+  const byId = new Map((parsed.scores || []).map(s => [String(s.id), s]));
+  return rubric.criteria.map(criterion => {
+    const entry = byId.get(criterion.id);
+    const score = Number(entry?.score);
+    if (!entry || !Number.isFinite(score)) {
+      throw new Error(`Judge gave no score for "${criterion.name}"`);
+    }
+    return {
+      id: criterion.id,
+      score: clampScore(score, rubric.scale),
+      rationale: String(entry.rationale || '').slice(0, 1000),
+    };
+  });
+}
+
+/**
+ * Weighted average of criterion scores, and the same mapped onto 0–1
+ */
+export function overallScore(scores, rubric) {
+  const weights = new Map(rubric.criteria.map(c => [c.id, c.weight]));
+  const totalWeight = scores.reduce((sum, s) => sum + (weights.get(s.id) || 0), 0);
+  if (!totalWeight) return { overall: null, normalized: null };
+
+  const overall = scores.reduce((sum, s) => sum + s.score * (weights.get(s.id) || 0), 0) / totalWeight;
+  const { min, max } = rubric.scale;
+  return {
+    overall: Math.round(overall * 100) / 100,
+    normalized: Math.round(((overall - min) / (max - min)) * 1000) / 1000,
+  };
+}
+
+/**
+ * Grade `output` against `rubric` ({ name, description, scale: { min, max },
+ * criteria: [{ id, name, description, weight }] }). Returns
+ * { scores: [{ id, score, rationale }], provider, model }.
+ */
+export async function judgeOutput(rubric, promptText, output) {
+  if (JUDGE_PROVIDER === LOCAL_JUDGE) {
+    return { ...localJudge(rubric, output), provider: LOCAL_JUDGE };
+  }
+
+  const { content, model } = await callProvider(
+    buildJudgeMessages(rubric, promptText, output),
+    JUDGE_PARAMETERS,
+    { provider: JUDGE_PROVIDER }
+  );
+  return { scores: parseJudgeReply(content, rubric), provider: JUDGE_PROVIDER, model };
+}
+
+/**
+ * Whether the judge can run: the local judge always can; otherwise the
+ * provider needs its key
+ */
+export function isJudgeConfigured() {
+  return JUDGE_PROVIDER === LOCAL_JUDGE || isProviderConfigured(JUDGE_PROVIDER);
+}
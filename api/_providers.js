@@ -0,0 +1,454 @@
+// api/_providers.js — Provider registry and shared AI call plumbing
+// (server-side only)
+//
+// Used by enhance-prompt.js, run-prompt.js and _judge.js. Each provider is
+// an adapter (see _adapters.js) registered below from env vars; a provider
+// counts as configured once its key (or, for local servers, base URL) is
+// set. AI_PROVIDER picks the default.
+//
+//   groq               GROQ_API_KEY          [GROQ_MODEL]
+//   huggingface        HUGGINGFACE_API_KEY   [HUGGINGFACE_MODEL]
+//   openrouter         OPENROUTER_API_KEY    [OPENROUTER_MODEL]
+//   openai             OPENAI_API_KEY        [OPENAI_MODEL, OPENAI_BASE_URL]
+//   anthropic          ANTHROPIC_API_KEY     [ANTHROPIC_MODEL]
+//   ollama             OLLAMA_BASE_URL       [OLLAMA_MODEL]
+//                      e.g. http://localhost:11434/v1
+//   openai-compatible  OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_MODEL
+//                      [OPENAI_COMPATIBLE_API_KEY] — any /chat/completions
+//                      server, e.g. llama.cpp at http://localhost:8080/v1
+//   mock               nothing; answers in-process, deterministically, so
+//                      the run / enhance flows work offline. Only enabled
+//                      outside production or when AI_PROVIDER=mock.
+//
+// Requests may pick a provider and model. resolveSelection() checks the
+// pick against AI_MODEL_ALLOWLIST, a comma-separated list of entries like
+// "groq:llama-3.1-8b-instant", "ollama:*" (any model) or "openai" (its
+// default model). Unset, each configured provider's default model is
+// allowed. AI_PROVIDER's default model is always allowed.
+//
+// streamProvider() is the token-by-token variant of callProvider() for
+// adapters that can stream. Check supportsStreaming() first.
+
+import {
+  openAICompatible,
+  anthropicMessages,
+  huggingFaceInference,
+  mockAdapter,
+} from './_adapters.js';
+
+const log = process.env.NODE_ENV !== 'production'
+  ? console.log.bind(console)
+  : () => {};
+
+export const PROVIDERS = {
+  GROQ: 'groq',
+  HUGGINGFACE: 'huggingface',
+  OPENROUTER: 'openrouter',
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  OLLAMA: 'ollama',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock',
+};
+
+export const ACTIVE_PROVIDER = process.env.AI_PROVIDER || PROVIDERS.GROQ;
+
+const env = process.env;
+
+const REGISTRY = new Map([
+  openAICompatible({
+    id: PROVIDERS.GROQ,
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: env.GROQ_API_KEY,
+    defaultModel: env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+  }),
+  huggingFaceInference({
+    apiKey: env.HUGGINGFACE_API_KEY,
+    defaultModel: env.HUGGINGFACE_MODEL || 'mistralai/Mixtral-8x7B-Instruct-v0.1',
+  }),
+  openAICompatible({
+    id: PROVIDERS.OPENROUTER,
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKey: env.OPENROUTER_API_KEY,
+    defaultModel: env.OPENROUTER_MODEL || 'meta-llama/llama-3.1-8b-instruct:free',
+    sendTopP: false,
+    headers: {
+      'HTTP-Referer': env.NEXT_PUBLIC_APP_URL || env.APP_URL || 'https://prism-app.online',
+      'X-Title': 'Prompt Teams',
+    },
+  }),
+  openAICompatible({
+    id: PROVIDERS.OPENAI,
+    label: 'OpenAI',
+    baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: env.OPENAI_API_KEY,
+    defaultModel: env.OPENAI_MODEL || 'gpt-4o-mini',
+    streamUsage: true,
+  }),
+  anthropicMessages({
+    apiKey: env.ANTHROPIC_API_KEY,
+    defaultModel: env.ANTHROPIC_MODEL || 'claude-haiku-4-5',
+  }),
+  openAICompatible({
+    id: PROVIDERS.OLLAMA,
+    label: 'Ollama',
+    baseUrl: env.OLLAMA_BASE_URL,
+    keyless: true,
+    defaultModel: env.OLLAMA_MODEL || 'llama3.2',
+    streamUsage: true,
+  }),
+  openAICompatible({
+    id: PROVIDERS.OPENAI_COMPATIBLE,
+    label: 'OpenAI-compatible',
+    baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+    apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+    keyless: true,
+    defaultModel: env.OPENAI_COMPATIBLE_MODEL,
+  }),
+  mockAdapter({
+    delayMs: Number(env.MOCK_PROVIDER_DELAY_MS) || 0,
+    // Real users shouldn't be offered canned replies next to real models
+    enabled: ACTIVE_PROVIDER === PROVIDERS.MOCK || env.NODE_ENV !== 'production',
+  }),
+].map(adapter => [adapter.id, adapter]));
+
+// Give up on a provider that sends nothing for this long
+const REQUEST_TIMEOUT_MS = 30000;
+// Words per chunk when the mock provider streams
+const MOCK_CHUNK_WORDS = 3;
+// Model ids are passed to providers as-is (Hugging Face puts them in the URL)
+const MODEL_PATTERN = /^[\w.:/@-]{1,200}$/;
+
+export const DEFAULT_PARAMETERS = {
+  temperature: 0.7,
+  maxTokens: 2000,
+  topP: 0.9,
+};
+
+/**
+ * The adapter registered for a provider, or null when there isn't one
+ */
+export function getProvider(provider = ACTIVE_PROVIDER) {
+  return REGISTRY.get(provider) || null;
+}
+
+/**
+ * Whether the provider can be called (registered and has its key / URL)
+ */
+export function isProviderConfigured(provider = ACTIVE_PROVIDER) {
+  return Boolean(getProvider(provider)?.isConfigured());
+}
+
+/**
+ * Whether streamProvider() can be used with the provider
+ */
+export function supportsStreaming(provider = ACTIVE_PROVIDER) {
+  return Boolean(getProvider(provider)?.streams) && isProviderConfigured(provider);
+}
+
+// AI_MODEL_ALLOWLIST as [{ provider, model }], where model is a model id
+// or '*'. Entries for unregistered providers are dropped.
+function buildAllowlist(raw) {
+  const entries = (raw || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const colon = entry.indexOf(':');
+      return colon === -1
+        ? { provider: entry, model: null }
+        : { provider: entry.slice(0, colon), model: entry.slice(colon + 1) || null };
+    });
+
+  const allowed = entries.length
+    ? entries
+    : [...REGISTRY.values()].filter(a => a.isConfigured()).map(a => ({ provider: a.id, model: null }));
+  allowed.push({ provider: ACTIVE_PROVIDER, model: null });
+
+  return allowed
+    .filter(entry => REGISTRY.has(entry.provider))
+    .map(entry => ({ provider: entry.provider, model: entry.model || REGISTRY.get(entry.provider).defaultModel }))
+    .filter(entry => entry.model);
+}
+
+const MODEL_ALLOWLIST = buildAllowlist(env.AI_MODEL_ALLOWLIST);
+
+/**
+ * Whether requests may pick `model` on `provider`
+ */
+export function isModelAllowed(provider, model) {
+  return MODEL_ALLOWLIST.some(entry =>
+    entry.provider === provider && (entry.model === '*' || entry.model === model));
+}
+
+/**
+ * Configured providers and the models requests may pick on each, as
+ * [{ provider, label, models, anyModel, streams, isDefault }]. `anyModel`
+ * means the allowlist accepts any model id for that provider.
+ */
+export function listAllowedModels() {
+  return [...REGISTRY.values()]
+    .filter(adapter => adapter.isConfigured())
+    .map(adapter => {
+      const entries  = MODEL_ALLOWLIST.filter(entry => entry.provider === adapter.id);
+      const anyModel = entries.some(entry => entry.model === '*');
+      const models   = [...new Set(entries.filter(entry => entry.model !== '*').map(entry => entry.model))];
+      if (anyModel && !models.includes(adapter.defaultModel)) models.unshift(adapter.defaultModel);
+      return {
+        provider: adapter.id,
+        label: adapter.label,
+        models,
+        anyModel,
+        streams: adapter.streams,
+        isDefault: adapter.id === ACTIVE_PROVIDER,
+      };
+    })
+    .filter(choice => choice.models.length > 0);
+}
+
+/**
+ * Validate a request's optional { provider, model } pick. Returns
+ * { selection: { provider, model } } with defaults filled in, or
+ * { error } with a message for the caller.
+ */
+export function resolveSelection({ provider, model } = {}) {
+  if ((provider !== undefined && typeof provider !== 'string') ||
+      (model !== undefined && typeof model !== 'string')) {
+    return { error: 'provider and model must be strings' };
+  }
+
+  const id = provider || ACTIVE_PROVIDER;
+  const adapter = getProvider(id);
+  if (!adapter) {
+    return { error: `Unknown provider "${id}". Available: ${[...REGISTRY.keys()].join(', ')}` };
+  }
+
+  const chosen = model || adapter.defaultModel;
+  if (!chosen || !MODEL_PATTERN.test(chosen)) return { error: 'Invalid model id' };
+  if (!isModelAllowed(id, chosen)) {
+    return { error: `Model "${chosen}" is not enabled for provider "${id}"` };
+  }
+  if (!adapter.isConfigured()) return { error: `Provider "${id}" is not configured` };
+
+  return { selection: { provider: id, model: chosen } };
+}
+
+// Adapter and model for a { provider, model } pick (defaults filled in)
+function readSelection({ provider = ACTIVE_PROVIDER, model } = {}) {
+  const adapter = getProvider(provider);
+  if (!adapter) throw new Error(`Unsupported provider: ${provider}`);
+  return { adapter, model: model || adapter.defaultModel };
+}
+
+async function callMock(adapter, messages, model) {
+  if (adapter.delayMs) await new Promise(resolve => setTimeout(resolve, adapter.delayMs));
+  return adapter.reply(messages, model);
+}
+
+// The mock reply a few words at a time, spread over MOCK_PROVIDER_DELAY_MS
+async function streamMock(adapter, messages, model, onDelta, signal) {
+  const reply  = adapter.reply(messages, model);
+  const chunks = reply.content.match(new RegExp(`(\\S+\\s*){1,${MOCK_CHUNK_WORDS}}|\\s+`, 'g')) || [];
+  const pause  = chunks.length ? adapter.delayMs / chunks.length : 0;
+
+  for (const chunk of chunks) {
+    if (signal?.aborted) throw new Error('Request cancelled');
+    if (pause) await new Promise(resolve => setTimeout(resolve, pause));
+    onDelta(chunk);
+  }
+  return reply;
+}
+
+// Turn a provider's error response into a readable Error
+async function throwResponseError(response) {
+  const errorText = await response.text();
+  console.error(`API Error Response (${response.status}):`, errorText);
+
+  try {
+    const errorJson = JSON.parse(errorText);
+    throw new Error(`AI API error: ${errorJson.error?.message || errorJson.message || errorText}`);
+  } catch (e) {
+    if (e.message.startsWith('AI API error:')) throw e;
+    throw new Error(`AI API returned ${response.status}: ${errorText.substring(0, 200)}`);
+  }
+}
+
+// Fold a partial usage report from a stream chunk into the running total
+function mergeUsage(total, usage) {
+  if (!usage) return total;
+  const promptTokens     = usage.promptTokens ?? total?.promptTokens ?? null;
+  const completionTokens = usage.completionTokens ?? total?.completionTokens ?? null;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: (promptTokens ?? 0) + (completionTokens ?? 0),
+    estimated: false,
+  };
+}
+
+/**
+ * Send chat messages ([{ role, content }]) to a provider using native fetch().
+ * `selection` is { provider, model }, defaulting to AI_PROVIDER and its
+ * default model; validate request input with resolveSelection() first.
+ * Returns { content, model, usage } where usage is
+ * { promptTokens, completionTokens, totalTokens, estimated } or null when
+ * the provider doesn't report it.
+ *
+ * NOTE: This is a server-side function. It must NOT import or call any
+ * client-side helpers (e.g. authFetch from services/api.js).
+ */
+export async function callProvider(messages, parameters = {}, selection = {}) {
+  const { adapter, model } = readSelection(selection);
+
+  const params = { ...DEFAULT_PARAMETERS, ...parameters };
+  if (adapter.local) return callMock(adapter, messages, model);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const { url, headers, body } = adapter.buildRequest(messages, params, model);
+
+    log('Making fetch request to:', url);
+    log('Request body size:', JSON.stringify(body).length, 'bytes');
+
+    // ── Use native fetch() here — this runs server-side, not in the browser ──
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    clearTimeout(timeoutId);
+
+    log('Response status:', response.status);
+
+    if (!response.ok) await throwResponseError(response);
+
+    const data = await response.json();
+    const reply = adapter.parseResponse(data);
+
+    if (!reply.content) {
+      console.error('No content in AI response');
+      console.error('Response structure:', JSON.stringify(data, null, 2));
+      throw new Error('No content in AI response');
+    }
+
+    log('Content extracted successfully, length:', reply.content.length);
+    return {
+      content: reply.content,
+      model: reply.model || model,
+      usage: reply.usage || null,
+    };
+
+  } catch (error) {
+    clearTimeout(timeoutId);
+
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout: AI service took too long to respond');
+    }
+
+    console.error('Error in callProvider:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stream a reply to chat messages, calling `onDelta(text)` for each piece
+ * as it arrives. Resolves with the same { content, model, usage } as
+ * callProvider() once the stream ends. Aborting `signal` (e.g. when the
+ * client disconnects) stops the upstream request and rejects with
+ * "Request cancelled". The timeout resets whenever a chunk arrives.
+ */
+export async function streamProvider(messages, parameters = {}, selection = {}, { onDelta = () => {}, signal } = {}) {
+  const { adapter, model } = readSelection(selection);
+  if (!adapter.streams) {
+    throw new Error(`Streaming is not supported for provider: ${adapter.id}`);
+  }
+
+  const params = { ...DEFAULT_PARAMETERS, ...parameters };
+  if (adapter.local) return streamMock(adapter, messages, model, onDelta, signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeoutId;
+  const resetTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => { timedOut = true; controller.abort(); }, REQUEST_TIMEOUT_MS);
+  };
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel);
+
+  try {
+    resetTimeout();
+    const { url, headers, body } = adapter.buildRequest(messages, params, model, { stream: true });
+
+    log('Making streaming request to:', url);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    log('Response status:', response.status);
+    if (!response.ok) await throwResponseError(response);
+
+    const reader  = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let content  = '';
+    let replyModel = model;
+    let usage    = null;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      resetTimeout();
+
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (!data || data === '[DONE]') continue;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        if (chunk.error) throw new Error(`AI API error: ${chunk.error.message || chunk.error}`);
+
+        const { text, model: chunkModel, usage: chunkUsage } = adapter.parseStreamChunk(chunk);
+        if (text) {
+          content += text;
+          onDelta(text);
+        }
+        if (chunkModel) replyModel = chunkModel;
+        usage = mergeUsage(usage, chunkUsage);
+      }
+    }
+
+    if (!content) throw new Error('No content in AI response');
+    log('Stream finished, length:', content.length);
+    return { content, model: replyModel, usage };
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(timedOut
+        ? 'Request timeout: AI service took too long to respond'
+        : 'Request cancelled');
+    }
+    console.error('Error in streamProvider:', error);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
@@ -7,6 +7,8 @@
 //
 // LIMITS (per authenticated user uid):
 //   /api/enhance-prompt    → 20 requests / 60 seconds
+//   /api/run-prompt        → 20 requests / 60 seconds
+//   /api/grade-result      → 20 requests / 60 seconds
 //   /api/send-invite       → 10 requests / 60 seconds
 //   /api/generate-invite-link → 10 requests / 60 seconds
 
@@ -53,3 +53,44 @@ export const badRequest = (res, message = 'Invalid request body.') =>
 
 export const serverError = (res, message = 'An unexpected error occurred.', extra) =>
   err(res, 500, 'INTERNAL_ERROR', message, extra);
+
+// ── Server-Sent Events ──────────────────────────────────────────────────────
+//
+// Endpoints that can stream (enhance-prompt, run-prompt) do so only when the
+// client asks — { stream: true } in the body or Accept: text/event-stream —
+// and otherwise answer with the usual JSON above. Once a stream is open the
+// status is already 200, so failures are sent as an `error` event instead.
+
+/**
+ * Whether the caller asked for a text/event-stream response.
+ * @param {import('http').IncomingMessage} req
+ */
+export function wantsEventStream(req) {
+  return req.body?.stream === true ||
+    (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Send the SSE headers. Call sendEvent() for each event, then res.end().
+ * @param {import('http').ServerResponse} res
+ */
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx-style proxies from buffering the whole response
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+}
+
+/**
+ * Write one named event with a JSON payload.
+ * @param {import('http').ServerResponse} res
+ * @param {string} event
+ * @param {object} data
+ */
+export function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -4,44 +4,37 @@
 //   • requireAuth() guard added — unauthenticated callers receive 401
 //   • Removed the broken `authFetch` import and call that existed inside
 //     the server-side callAIProvider() function; replaced with native fetch()
+//   • Provider configs and the fetch call moved to _providers.js so
+//     run-prompt.js can share them
+//   • Optional streaming: with { stream: true } (or Accept:
+//     text/event-stream) the reply is sent as Server-Sent Events —
+//     `start`, then `delta` { text } per chunk, then `done` with the same
+//     payload as the JSON response, or `error` { error, details }. Providers
+//     that can't stream fall back to the buffered JSON response.
+//   • Optional { provider, model } pick, checked against the allowlist in
+//     _providers.js; defaults to AI_PROVIDER and its default model
 
 import { requireAuth }    from './_auth.js';
 import { checkRateLimit } from './_rateLimit.js';
+import { wantsEventStream, openEventStream, sendEvent } from './_response.js';
+import {
+  PROVIDERS,
+  ACTIVE_PROVIDER,
+  getProvider,
+  isProviderConfigured,
+  supportsStreaming,
+  resolveSelection,
+  callProvider,
+  streamProvider,
+} from './_providers.js';
 // validateEnv import removed — enhance-prompt uses requireEnvVars internally
-// via config.apiKey check; email vars (RESEND_*) are not needed here.
+// via isProviderConfigured(); email vars (RESEND_*) are not needed here.
 // Module-level dev logger — safe to call from any function in this file.
-// Defined here (not inside handler) so callAIProvider() and extractEnhancedPrompt()
+// Defined here (not inside handler) so extractEnhancedPrompt()
 // can reference it without a ReferenceError.
 const log = process.env.NODE_ENV !== 'production'
   ? console.log.bind(console)
   : () => {};
-const PROVIDERS = {
-  GROQ: 'groq',
-  HUGGINGFACE: 'huggingface',
-  OPENROUTER: 'openrouter'
-};
-
-// Configuration - Choose your provider
-const ACTIVE_PROVIDER = process.env.AI_PROVIDER || PROVIDERS.GROQ;
-
-// Provider-specific configurations
-const PROVIDER_CONFIGS = {
-  [PROVIDERS.GROQ]: {
-    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
-    apiKey: process.env.GROQ_API_KEY,
-    model: 'llama-3.3-70b-versatile',
-  },
-  [PROVIDERS.HUGGINGFACE]: {
-    endpoint: 'https://api-inference.huggingface.co/models/mistralai/Mixtral-8x7B-Instruct-v0.1',
-    apiKey: process.env.HUGGINGFACE_API_KEY,
-    model: 'mistralai/Mixtral-8x7B-Instruct-v0.1',
-  },
-  [PROVIDERS.OPENROUTER]: {
-    endpoint: 'https://openrouter.ai/api/v1/chat/completions',
-    apiKey: process.env.OPENROUTER_API_KEY,
-    model: 'meta-llama/llama-3.1-8b-instruct:free',
-  }
-};
 
 /**
  * MODEL-SPECIFIC OPTIMIZATION SYSTEM PROMPTS
@@ -224,7 +217,7 @@ export default async function handler(req, res) {
   // It checks RESEND_API_KEY + RESEND_FROM_EMAIL — email-only vars this
   // endpoint never uses. That caused a false 500 whenever email vars were
   // absent even though AI enhancement worked fine.
-  // AI provider key is validated below via config.apiKey check.
+  // AI provider key is validated below via isProviderConfigured().
   // FIREBASE_SERVICE_ACCOUNT is validated at module load time by _auth.js.
   const ALLOWED_ORIGINS = [
     'https://prism-app.online',
@@ -275,7 +268,9 @@ export default async function handler(req, res) {
       prompt, 
       enhancementType = 'general', 
       targetModel = 'general',
-      context = {} 
+      context = {},
+      provider,
+      model,
     } = req.body;
 
     // Validate prompt
@@ -304,36 +299,45 @@ export default async function handler(req, res) {
     log('Enhancement type:', enhancementType);
     log('Target model:', targetModel);
 
-    // Validate provider configuration
-    const config = PROVIDER_CONFIGS[ACTIVE_PROVIDER];
-    
-    if (!config) {
+    // Validate provider configuration (a pick of another provider is
+    // checked by resolveSelection() below)
+    if (!provider && !getProvider()) {
       console.error('Provider configuration not found for:', ACTIVE_PROVIDER);
       return res.status(500).json({ 
         success: false,
         error: 'Service configuration error',
-        message: `Provider "${ACTIVE_PROVIDER}" is not supported. Available: ${Object.keys(PROVIDERS).join(', ')}`
+        message: `Provider "${ACTIVE_PROVIDER}" is not supported. Available: ${Object.values(PROVIDERS).join(', ')}`
       });
     }
 
-    if (!config.apiKey) {
+    if (!provider && !isProviderConfigured()) {
       console.error(`Missing API key for provider: ${ACTIVE_PROVIDER}`);
       return res.status(500).json({ 
         success: false,
         error: 'Service configuration error',
-        message: `API key not configured for ${ACTIVE_PROVIDER}. Please add ${ACTIVE_PROVIDER.toUpperCase()}_API_KEY to environment variables.`,
+        message: `Provider "${ACTIVE_PROVIDER}" is not configured. Set its API key (or base URL for local servers) — see api/_providers.js.`,
         details: process.env.NODE_ENV === 'development' ? {
           provider: ACTIVE_PROVIDER,
-          requiredEnvVar: `${ACTIVE_PROVIDER.toUpperCase()}_API_KEY`,
           availableEnvVars: Object.keys(process.env).filter(k => k.includes('API'))
         } : undefined
       });
     }
 
-    log(`✓ Using provider: ${ACTIVE_PROVIDER}`);
-    log(`✓ Model: ${config.model}`);
+    const { selection, error: selectionError } = resolveSelection({
+      provider: provider || undefined,
+      model: model || undefined,
+    });
+    if (selectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid provider or model',
+        message: selectionError,
+      });
+    }
+
+    log(`✓ Using provider: ${selection.provider}`);
+    log(`✓ Model: ${selection.model}`);
     log(`✓ Target optimization: ${targetModel}`);
-    log(`✓ Endpoint: ${config.endpoint}`);
 
     // Generate model-specific and type-specific enhancement prompt
     const systemPrompt = generateSystemPrompt(enhancementType, targetModel, context);
@@ -342,79 +346,27 @@ export default async function handler(req, res) {
     log('System prompt length:', systemPrompt.length);
     log('User prompt length:', userPrompt.length);
 
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user',   content: userPrompt   },
+    ];
+    const request = { prompt, enhancementType, targetModel, selection };
+
+    if (wantsEventStream(req) && supportsStreaming(selection.provider)) {
+      return await streamEnhancement(res, messages, request);
+    }
+
     // Call the selected AI provider
     log('Calling AI provider...');
-    const enhancedPrompt = await callAIProvider(config, systemPrompt, userPrompt);
+    const { content: enhancedPrompt } = await callProvider(messages, {}, selection);
 
     log('AI response received, length:', enhancedPrompt?.length || 0);
 
-    // Extract and validate the enhanced prompt
-    const result = extractEnhancedPrompt(enhancedPrompt);
-
-    // Analyze improvements made
-    const improvements = analyzeImprovements(
-      prompt, 
-      result.enhanced, 
-      targetModel, 
-      enhancementType
-    );
-
-    log('✓ Enhancement successful');
-    log('- Enhanced length:', result.enhanced.length);
-    log('- Improvements count:', improvements.length);
-    log('- Target model:', targetModel);
-
-    return res.status(200).json({
-      success: true,
-      original: prompt,
-      enhanced: result.enhanced,
-      improvements: improvements.length > 0 ? improvements : result.improvements,
-      provider: ACTIVE_PROVIDER,
-      model: config.model,
-      targetModel,
-      metadata: {
-        enhancementType,
-        targetModel,
-        timestamp: new Date().toISOString(),
-        originalLength: prompt.length,
-        enhancedLength: result.enhanced.length,
-        improvementCount: improvements.length,
-      }
-    });
+    return res.status(200).json(buildEnhancementResponse(enhancedPrompt, request));
 
   } catch (error) {
-    console.error('=== Enhancement Error ===');
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    
-    if (error.cause) {
-      console.error('Error cause:', error.cause);
-    }
-
-    let errorMessage = 'Failed to enhance prompt';
-    let statusCode = 500;
-    let errorDetails = error.message;
-
-    if (error.message?.includes('API key') || error.message?.includes('authentication')) {
-      errorMessage = 'AI service authentication failed';
-      errorDetails = 'Invalid or missing API key';
-      statusCode = 503;
-    } else if (error.message?.includes('rate limit')) {
-      errorMessage = 'Rate limit exceeded. Please try again later.';
-      statusCode = 429;
-    } else if (error.message?.includes('timeout')) {
-      errorMessage = 'Request timeout. Please try again.';
-      statusCode = 504;
-    } else if (error.message?.includes('network') || error.message?.includes('fetch')) {
-      errorMessage = 'Network error connecting to AI service';
-      errorDetails = 'Could not reach AI provider endpoint';
-      statusCode = 503;
-    } else if (error.message?.includes('400')) {
-      errorMessage = 'Invalid request to AI service';
-      errorDetails = 'The prompt may be too long or contain invalid characters';
-      statusCode = 400;
-    }
+    logError(error);
+    const { statusCode, errorMessage, errorDetails } = describeError(error);
 
     return res.status(statusCode).json({
       success: false,
@@ -430,6 +382,115 @@ export default async function handler(req, res) {
   }
 }
 
+// Send the enhancement as it's generated (see the streaming note at the top).
+// Closing the connection early cancels the provider request.
+async function streamEnhancement(res, messages, request) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  openEventStream(res);
+  sendEvent(res, 'start', request.selection);
+
+  try {
+    log('Streaming from AI provider...');
+    const { content } = await streamProvider(messages, {}, request.selection, {
+      signal: controller.signal,
+      onDelta: (text) => sendEvent(res, 'delta', { text }),
+    });
+
+    log('AI stream finished, length:', content.length);
+    sendEvent(res, 'done', buildEnhancementResponse(content, request));
+  } catch (error) {
+    if (controller.signal.aborted) {
+      log('Enhancement cancelled by the client');
+      return;
+    }
+    logError(error);
+    const { errorMessage, errorDetails } = describeError(error);
+    sendEvent(res, 'error', { error: errorMessage, details: errorDetails, provider: request.selection.provider });
+  }
+  res.end();
+}
+
+// The success payload for a finished enhancement, streamed or not
+function buildEnhancementResponse(enhancedPrompt, { prompt, enhancementType, targetModel, selection }) {
+  // Extract and validate the enhanced prompt
+  const result = extractEnhancedPrompt(enhancedPrompt);
+
+  // Analyze improvements made
+  const improvements = analyzeImprovements(
+    prompt,
+    result.enhanced,
+    targetModel,
+    enhancementType
+  );
+
+  log('✓ Enhancement successful');
+  log('- Enhanced length:', result.enhanced.length);
+  log('- Improvements count:', improvements.length);
+  log('- Target model:', targetModel);
+
+  return {
+    success: true,
+    original: prompt,
+    enhanced: result.enhanced,
+    improvements: improvements.length > 0 ? improvements : result.improvements,
+    provider: selection.provider,
+    model: selection.model,
+    targetModel,
+    metadata: {
+      enhancementType,
+      targetModel,
+      timestamp: new Date().toISOString(),
+      originalLength: prompt.length,
+      enhancedLength: result.enhanced.length,
+      improvementCount: improvements.length,
+    }
+  };
+}
+
+function logError(error) {
+  console.error('=== Enhancement Error ===');
+  console.error('Error name:', error.name);
+  console.error('Error message:', error.message);
+  console.error('Error stack:', error.stack);
+
+  if (error.cause) {
+    console.error('Error cause:', error.cause);
+  }
+}
+
+// Map a provider failure to a status code and a message for the user
+function describeError(error) {
+  let errorMessage = 'Failed to enhance prompt';
+  let statusCode = 500;
+  let errorDetails = error.message;
+
+  if (error.message?.includes('API key') || error.message?.includes('authentication')) {
+    errorMessage = 'AI service authentication failed';
+    errorDetails = 'Invalid or missing API key';
+    statusCode = 503;
+  } else if (error.message?.includes('rate limit')) {
+    errorMessage = 'Rate limit exceeded. Please try again later.';
+    statusCode = 429;
+  } else if (error.message?.includes('timeout')) {
+    errorMessage = 'Request timeout. Please try again.';
+    statusCode = 504;
+  } else if (error.message?.includes('network') || error.message?.includes('fetch')) {
+    errorMessage = 'Network error connecting to AI service';
+    errorDetails = 'Could not reach AI provider endpoint';
+    statusCode = 503;
+  } else if (error.message?.includes('400')) {
+    errorMessage = 'Invalid request to AI service';
+    errorDetails = 'The prompt may be too long or contain invalid characters';
+    statusCode = 400;
+  }
+
+  return { statusCode, errorMessage, errorDetails };
+}
+
 // Generate comprehensive system prompt with model and type specificity
 function generateSystemPrompt(enhancementType, targetModel, context) {
   const modelPrompt = MODEL_OPTIMIZATION_PROMPTS[targetModel] || MODEL_OPTIMIZATION_PROMPTS.general;
@@ -490,133 +551,6 @@ IMPROVEMENTS:
 Remember: The enhanced prompt should be optimized for ${targetName} and follow ${enhancementType} enhancement principles.`;
 }
 
-/**
- * Call the configured AI provider using native fetch().
- *
- * NOTE: This is a server-side function. It must NOT import or call any
- * client-side helpers (e.g. authFetch from services/api.js).
- */
-async function callAIProvider(config, systemPrompt, userPrompt) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 s timeout
-
-  try {
-    let requestBody;
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${config.apiKey}`,
-    };
-
-    log('Preparing request for provider:', ACTIVE_PROVIDER);
-
-    switch (ACTIVE_PROVIDER) {
-      case PROVIDERS.GROQ:
-        requestBody = {
-          model: config.model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user',   content: userPrompt   }
-          ],
-          temperature: 0.7,
-          max_tokens: 2000,
-          top_p: 0.9
-        };
-        break;
-
-      case PROVIDERS.HUGGINGFACE:
-        requestBody = {
-          inputs: `${systemPrompt}\n\n${userPrompt}`,
-          parameters: {
-            max_new_tokens: 2000,
-            temperature: 0.7,
-            top_p: 0.9,
-            return_full_text: false
-          }
-        };
-        break;
-
-      case PROVIDERS.OPENROUTER:
-        headers['HTTP-Referer'] = process.env.NEXT_PUBLIC_APP_URL || process.env.APP_URL || 'https://prism-app.online';
-        headers['X-Title'] = 'Prompt Teams';
-        requestBody = {
-          model: config.model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user',   content: userPrompt   }
-          ],
-          temperature: 0.7,
-          max_tokens: 2000
-        };
-        break;
-
-      default:
-        throw new Error(`Unsupported provider: ${ACTIVE_PROVIDER}`);
-    }
-
-    log('Making fetch request to:', config.endpoint);
-    log('Request body size:', JSON.stringify(requestBody).length, 'bytes');
-
-    // ── Use native fetch() here — this runs server-side, not in the browser ──
-    const response = await fetch(config.endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(requestBody),
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId);
-
-    log('Response status:', response.status);
-    log('Response ok:', response.ok);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`API Error Response (${response.status}):`, errorText);
-      
-      try {
-        const errorJson = JSON.parse(errorText);
-        throw new Error(`AI API error: ${errorJson.error?.message || errorJson.message || errorText}`);
-      } catch (e) {
-        if (e.message.startsWith('AI API error:')) throw e;
-        throw new Error(`AI API returned ${response.status}: ${errorText.substring(0, 200)}`);
-      }
-    }
-
-    const data = await response.json();
-    log('Response parsed successfully');
-
-    let content;
-    switch (ACTIVE_PROVIDER) {
-      case PROVIDERS.GROQ:
-      case PROVIDERS.OPENROUTER:
-        content = data.choices?.[0]?.message?.content;
-        break;
-      case PROVIDERS.HUGGINGFACE:
-        content = Array.isArray(data) ? data[0]?.generated_text : data.generated_text;
-        break;
-    }
-
-    if (!content) {
-      console.error('No content in AI response');
-      console.error('Response structure:', JSON.stringify(data, null, 2));
-      throw new Error('No content in AI response');
-    }
-
-    log('Content extracted successfully, length:', content.length);
-    return content;
-
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout: AI service took too long to respond');
-    }
-    
-    console.error('Error in callAIProvider:', error);
-    throw error;
-  }
-}
-
 // Extract enhanced prompt and improvements from AI response
 function extractEnhancedPrompt(response) {
   log('Extracting enhanced prompt from response...');
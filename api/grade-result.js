@@ -0,0 +1,154 @@
+// api/grade-result.js — Grade a stored prompt result against a team rubric
+//
+// POST { teamId, promptId, resultId, rubricId }
+//   or { teamId, promptId, runId, caseId, rubricId }
+//
+// Loads the result and the rubric (teams/{teamId}/rubrics/{rubricId}, see
+// src/lib/rubrics.js), asks the judge for per-criterion scores (see
+// _judge.js) and writes them to the result doc under
+// `grades.{rubricId}`, so a result can carry grades from several rubrics.
+// With runId and caseId it grades one output of a dataset run instead
+// (see src/lib/datasets.js) and writes to `outputs.{caseId}.grades.{rubricId}`
+// on the run doc. Only team members who can see the prompt may grade.
+
+import admin from 'firebase-admin';
+import { requireAuth }    from './_auth.js';
+import { checkRateLimit } from './_rateLimit.js';
+import { ok, err, badRequest, serverError } from './_response.js';
+import { canViewPrompt }  from './_access.js';
+import { JUDGE_PROVIDER, isJudgeConfigured, judgeOutput, overallScore } from './_judge.js';
+
+const GRADED_TYPES = ['text', 'code'];
+const MAX_CRITERIA = 10;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * The rubric in the shape the judge expects, or an error message
+ */
+function readRubric(data) {
+  const min = Number(data?.scale?.min);
+  const max = Number(data?.scale?.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+    return { error: 'Rubric scale is invalid' };
+  }
+
+  const criteria = Array.isArray(data.criteria) ? data.criteria : [];
+  if (criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    return { error: `Rubric needs between 1 and ${MAX_CRITERIA} criteria` };
+  }
+  if (criteria.some(c => !c?.id || !c.name || !(Number(c.weight) > 0))) {
+    return { error: 'Every rubric criterion needs a name and a positive weight' };
+  }
+
+  return {
+    rubric: {
+      name: String(data.name || 'Rubric'),
+      description: String(data.description || ''),
+      scale: { min, max },
+      criteria: criteria.map(c => ({
+        id: String(c.id),
+        name: String(c.name),
+        description: String(c.description || ''),
+        weight: Number(c.weight),
+      })),
+    },
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  if (!(await checkRateLimit(req, res, user.uid, 'grade', 20, 60))) return;
+
+  if (!isJudgeConfigured()) {
+    console.error(`Grading requested but judge provider "${JUDGE_PROVIDER}" is not configured`);
+    return serverError(res, `Judge provider "${JUDGE_PROVIDER}" is not configured.`);
+  }
+
+  const { teamId, promptId, resultId, runId, caseId, rubricId } = req.body || {};
+  const isId = id => typeof id === 'string' && ID_PATTERN.test(id);
+  const gradesRun = runId !== undefined || caseId !== undefined;
+  const targetIds = gradesRun ? [runId, caseId] : [resultId];
+  if (![teamId, promptId, rubricId, ...targetIds].every(isId)) {
+    return badRequest(res, 'teamId, promptId, rubricId and either resultId or runId and caseId are required');
+  }
+
+  const db = admin.firestore();
+  const teamRef   = db.collection('teams').doc(teamId);
+  const promptRef = teamRef.collection('prompts').doc(promptId);
+  const targetRef = gradesRun
+    ? promptRef.collection('datasetRuns').doc(runId)
+    : promptRef.collection('results').doc(resultId);
+
+  try {
+    const [teamSnap, promptSnap, targetSnap, rubricSnap] = await Promise.all([
+      teamRef.get(),
+      promptRef.get(),
+      targetRef.get(),
+      teamRef.collection('rubrics').doc(rubricId).get(),
+    ]);
+
+    const role = teamSnap.exists ? teamSnap.get('members')?.[user.uid] : null;
+    if (!role || !promptSnap.exists || !canViewPrompt(promptSnap.data(), user.uid, role)) {
+      return err(res, 403, 'FORBIDDEN', 'You do not have access to this prompt.');
+    }
+    if (!rubricSnap.exists) return err(res, 404, 'NOT_FOUND', 'Rubric not found.');
+
+    let content;
+    if (gradesRun) {
+      const entry = targetSnap.exists ? targetSnap.get('outputs')?.[caseId] : null;
+      if (!entry) return err(res, 404, 'NOT_FOUND', 'Run output not found.');
+      if (!entry.output?.trim()) return badRequest(res, 'This test case produced no output to grade');
+      content = entry.output;
+    } else {
+      if (!targetSnap.exists) return err(res, 404, 'NOT_FOUND', 'Result not found.');
+      const result = targetSnap.data();
+      if (!GRADED_TYPES.includes(result.type) || !result.content?.trim()) {
+        return badRequest(res, 'Only text and code results can be graded');
+      }
+      content = result.content;
+    }
+
+    const { rubric, error: rubricError } = readRubric(rubricSnap.data());
+    if (rubricError) return badRequest(res, rubricError);
+
+    const { scores, provider, model } = await judgeOutput(rubric, promptSnap.get('text'), content);
+    const names = new Map(rubric.criteria.map(c => [c.id, c]));
+
+    const grade = {
+      rubricId,
+      rubricName: rubric.name,
+      scale: rubric.scale,
+      criteria: scores.map(s => ({
+        ...s,
+        name: names.get(s.id).name,
+        weight: names.get(s.id).weight,
+      })),
+      ...overallScore(scores, rubric),
+      judge: { provider, model },
+      gradedBy: user.uid,
+    };
+
+    const gradePath = gradesRun ? `outputs.${caseId}.grades.${rubricId}` : `grades.${rubricId}`;
+    await targetRef.update({
+      [gradePath]: { ...grade, gradedAt: admin.firestore.FieldValue.serverTimestamp() },
+    });
+
+    return ok(res, { grade });
+  } catch (e) {
+    console.error('Grade result error:', e);
+
+    if (e.message?.includes('timeout')) {
+      return err(res, 504, 'PROVIDER_TIMEOUT', 'The judge took too long to respond.');
+    }
+    if (e.message?.startsWith('Judge')) {
+      return err(res, 502, 'JUDGE_UNPARSEABLE', 'The judge reply could not be read. Try again.', e.message);
+    }
+    return err(res, 502, 'PROVIDER_ERROR', 'Grading failed.', e.message);
+  }
+}
@@ -0,0 +1,22 @@
+// api/providers.js — Which AI providers and models requests may pick
+//
+// GET → { providers: [{ provider, label, models, anyModel, streams, isDefault }] }
+//
+// Only configured providers are listed, with the models the allowlist in
+// _providers.js accepts. run-prompt.js and enhance-prompt.js take a
+// { provider, model } pair from this list; anything else is rejected.
+
+import { requireAuth } from './_auth.js';
+import { ok } from './_response.js';
+import { listAllowedModels } from './_providers.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  return ok(res, { providers: listAllowedModels() });
+}
@@ -0,0 +1,186 @@
+// api/prune-versions.js
+// Daily Vercel cron: applies each team's version retention policy
+// (teams/{teamId}.versionRetention, see src/lib/versionRetention.js) by
+// deleting old docs from teams/{teamId}/prompts/{promptId}/versions.
+// Labeled versions and each prompt's latest version are never deleted, and
+// neither are versions something else still points at: the base of an open
+// change request, a regression check's versions, a result or dataset run
+// (regression baselines are dataset runs), a label move (rollbacks go back
+// to them, see getRollbackTarget in src/lib/versionLabels.js), or a fork in
+// the same team.
+// Forks in other teams keep their own snapshot of the parent's text.
+// Uses the same firebase-admin default import pattern as _auth.js.
+
+import admin from 'firebase-admin';
+import { requireEnvVars, AUTH_VARS, CRON_VARS } from './_env.js';
+import { ok, unauthorized, serverError } from './_response.js';
+
+// ── Initialize Firebase Admin (same singleton pattern as _auth.js) ────────────
+if (!admin.apps.length) {
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (!serviceAccount) {
+    throw new Error('FIREBASE_SERVICE_ACCOUNT environment variable is not set');
+  }
+  admin.initializeApp({
+    credential: admin.credential.cert(JSON.parse(serviceAccount)),
+  });
+}
+
+// Keep each run well inside the 30s function limit; leftovers go next run
+const MAX_DELETES_PER_RUN = 2000;
+const BATCH_LIMIT = 450;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same floors as the client, in case a policy was written some other way
+const MIN_KEEP = { count: 5, days: 7 };
+
+function isEnforceable(policy) {
+  const n = Number(policy?.value);
+  return (
+    (policy?.mode === 'count' || policy?.mode === 'days') &&
+    Number.isInteger(n) &&
+    n >= MIN_KEEP[policy.mode]
+  );
+}
+
+/**
+ * Version docs (newest first) that the policy no longer keeps
+ */
+function selectExpired(versionDocs, policy, keepIds, now) {
+  const cutoff = now - policy.value * DAY_MS;
+  return versionDocs.filter((d, index) => {
+    if (keepIds.has(d.id)) return false;
+    if (policy.mode === 'count') return index >= policy.value;
+    const createdAt = d.get('createdAt');
+    return Boolean(createdAt) && createdAt.toMillis() < cutoff;
+  });
+}
+
+/**
+ * Ids of the prompt's versions that its change requests, regression
+ * check, results, dataset runs and label history refer to
+ */
+export async function getReferencedVersionIds(prompt) {
+  const [requests, results, runs, labelMoves] = await Promise.all([
+    prompt.ref.collection('changeRequests').where('status', '==', 'open').select('baseVersionId').get(),
+    prompt.ref.collection('results').select('promptVersionId').get(),
+    prompt.ref.collection('datasetRuns').select('promptVersionId').get(),
+    prompt.ref.collection('labelHistory').select('versionId', 'previousVersionId').get(),
+  ]);
+
+  const regression = prompt.get('regression') || {};
+  return new Set(
+    [
+      regression.versionId,
+      regression.baselineVersionId,
+      ...requests.docs.map(d => d.get('baseVersionId')),
+      ...results.docs.map(d => d.get('promptVersionId')),
+      ...runs.docs.map(d => d.get('promptVersionId')),
+      ...labelMoves.docs.flatMap(d => [d.get('versionId'), d.get('previousVersionId')]),
+    ].filter(Boolean)
+  );
+}
+
+async function deleteDocs(db, docs) {
+  for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_LIMIT).forEach(d => batch.delete(d.ref));
+    await batch.commit();
+  }
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    requireEnvVars(...AUTH_VARS, ...CRON_VARS);
+  } catch {
+    return serverError(res, 'Server is not configured for scheduled jobs.');
+  }
+
+  // Vercel sends the project's CRON_SECRET as a bearer token
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return unauthorized(res);
+  }
+
+  try {
+    const db    = admin.firestore();
+    const now   = Date.now();
+    const teams = await db
+      .collection('teams')
+      .where('versionRetention.mode', 'in', ['count', 'days'])
+      .get();
+
+    let pruned = 0;
+    let remaining = false;
+
+    for (const team of teams.docs) {
+      const policy = team.get('versionRetention');
+      if (!isEnforceable(policy)) {
+        console.warn(`Skipping invalid retention policy on team ${team.id}`);
+        continue;
+      }
+
+      const prompts = await team.ref
+        .collection('prompts')
+        .select('versionLabels', 'latestVersion', 'regression', 'forkedFrom')
+        .get();
+
+      // Versions forks in this team were made from, by parent prompt id
+      const forkedVersions = new Map();
+      prompts.docs.forEach(p => {
+        const from = p.get('forkedFrom');
+        if (from?.teamId !== team.id || !from.versionId) return;
+        if (!forkedVersions.has(from.promptId)) forkedVersions.set(from.promptId, []);
+        forkedVersions.get(from.promptId).push(from.versionId);
+      });
+
+      for (const prompt of prompts.docs) {
+        if (pruned >= MAX_DELETES_PER_RUN) {
+          remaining = true;
+          break;
+        }
+
+        const keepIds = new Set(
+          [
+            ...Object.values(prompt.get('versionLabels') || {}),
+            prompt.get('latestVersion.id'),
+            ...(forkedVersions.get(prompt.id) || []),
+          ].filter(Boolean)
+        );
+
+        try {
+          const versions = await prompt.ref
+            .collection('versions')
+            .orderBy('createdAt', 'desc')
+            .select('createdAt')
+            .get();
+
+          let all = selectExpired(versions.docs, policy, keepIds, now);
+          // Only look up references when something would be deleted
+          if (all.length > 0) {
+            const referenced = await getReferencedVersionIds(prompt);
+            all = all.filter(d => !referenced.has(d.id));
+          }
+          const expired = all.slice(0, MAX_DELETES_PER_RUN - pruned);
+          if (expired.length < all.length) remaining = true;
+          await deleteDocs(db, expired);
+          pruned += expired.length;
+        } catch (e) {
+          console.error(`Failed to prune versions of ${prompt.ref.path}:`, e);
+        }
+      }
+
+      if (remaining) break;
+    }
+
+    console.log(`Version prune: ${pruned} versions deleted across ${teams.size} teams`);
+    return ok(res, { pruned, remaining });
+  } catch (e) {
+    console.error('Version prune error:', e);
+    return serverError(res, 'Failed to prune versions.', e.message);
+  }
+}
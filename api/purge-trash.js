@@ -0,0 +1,85 @@
+// api/purge-trash.js
+// Daily Vercel cron: permanently deletes prompts that have sat in a team's
+// trash (teams/{teamId}/trash/{promptId}) past their `purgeAt` date.
+// Uses the same firebase-admin default import pattern as _auth.js.
+
+import admin from 'firebase-admin';
+import { requireEnvVars, AUTH_VARS, CRON_VARS } from './_env.js';
+import { ok, unauthorized, serverError } from './_response.js';
+
+// ── Initialize Firebase Admin (same singleton pattern as _auth.js) ────────────
+if (!admin.apps.length) {
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (!serviceAccount) {
+    throw new Error('FIREBASE_SERVICE_ACCOUNT environment variable is not set');
+  }
+  admin.initializeApp({
+    credential: admin.credential.cert(JSON.parse(serviceAccount)),
+  });
+}
+
+// Keep each run well inside the 30s function limit; leftovers go next run
+const MAX_PER_RUN = 100;
+
+// Result screenshots live in Storage, not Firestore, so delete them first
+async function deleteResultImages(trashRef) {
+  const bucketName = process.env.FIREBASE_STORAGE_BUCKET;
+  if (!bucketName) return;
+
+  const results = await trashRef.collection('results').get();
+  const bucket  = admin.storage().bucket(bucketName);
+
+  await Promise.all(
+    results.docs
+      .map(d => d.get('imagePath'))
+      .filter(Boolean)
+      .map(path => bucket.file(path).delete().catch(e => {
+        console.warn(`Failed to delete image ${path}:`, e.message);
+      }))
+  );
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    requireEnvVars(...AUTH_VARS, ...CRON_VARS);
+  } catch {
+    return serverError(res, 'Server is not configured for scheduled jobs.');
+  }
+
+  // Vercel sends the project's CRON_SECRET as a bearer token
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return unauthorized(res);
+  }
+
+  try {
+    const db   = admin.firestore();
+    const snap = await db
+      .collectionGroup('trash')
+      .where('purgeAt', '<=', admin.firestore.Timestamp.now())
+      .limit(MAX_PER_RUN)
+      .get();
+
+    let purged = 0;
+    for (const trashDoc of snap.docs) {
+      try {
+        await deleteResultImages(trashDoc.ref);
+        // Removes the doc and its comments / ratings / results / versions
+        await db.recursiveDelete(trashDoc.ref);
+        purged++;
+      } catch (e) {
+        console.error(`Failed to purge ${trashDoc.ref.path}:`, e);
+      }
+    }
+
+    console.log(`Trash purge: ${purged}/${snap.size} expired prompts deleted`);
+    return ok(res, { purged, remaining: snap.size === MAX_PER_RUN });
+  } catch (e) {
+    console.error('Trash purge error:', e);
+    return serverError(res, 'Failed to purge trash.', e.message);
+  }
+}
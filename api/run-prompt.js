@@ -0,0 +1,297 @@
+// api/run-prompt.js — Run a prompt against the configured AI provider
+//
+// POST { messages: [{ role, content }], parameters?: { temperature, maxTokens, topP },
+//        provider?, model?, save?: { teamId, promptId, variables } }
+//
+// The client fills in variables and expands snippets before calling this
+// (see src/lib/promptRuns.js). The response carries the output with the
+// provider, model, parameters actually used, latency and token usage.
+// With `save`, the output is also stored here as a result on that prompt
+// (the shape addResultToPrompt() in src/lib/results.js writes), so those
+// figures come from the server rather than the browser, and the response
+// adds its `resultId`. Saving needs a member who can see the prompt; a run
+// whose caller disconnects before it finishes isn't saved.
+//
+// With { stream: true } the output is streamed as Server-Sent Events
+// instead: `start`, `delta` { text } per chunk, then `done` with the JSON
+// payload above or `error` { error: { code, message } }. Providers that
+// can't stream answer with plain JSON, so clients must handle both.
+//
+// provider / model default to AI_PROVIDER and its default model; other
+// picks must be on the allowlist (see _providers.js). Set AI_PROVIDER=mock
+// to run offline.
+
+import admin from 'firebase-admin';
+import { requireAuth }    from './_auth.js';
+import { checkRateLimit } from './_rateLimit.js';
+import { canViewPrompt, canAddResults } from './_access.js';
+import {
+  ok,
+  err,
+  badRequest,
+  serverError,
+  wantsEventStream,
+  openEventStream,
+  sendEvent,
+} from './_response.js';
+import {
+  ACTIVE_PROVIDER,
+  DEFAULT_PARAMETERS,
+  isProviderConfigured,
+  supportsStreaming,
+  resolveSelection,
+  callProvider,
+  streamProvider,
+} from './_providers.js';
+
+const ROLES = ['system', 'user', 'assistant'];
+const MAX_MESSAGES = 50;
+// A bit more room than enhance-prompt since snippets are already expanded
+const MAX_INPUT_LENGTH = 20_000;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const MAX_VARIABLES = 50;
+const MAX_VARIABLE_LENGTH = MAX_INPUT_LENGTH;
+
+// [min, max] for each tunable parameter
+const PARAMETER_RANGES = {
+  temperature: [0, 2],
+  maxTokens:   [1, 4000],
+  topP:        [0, 1],
+};
+
+/**
+ * Validated { role, content } list, or an error message
+ */
+function readMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: 'messages must be a non-empty array' };
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return { error: `Send at most ${MAX_MESSAGES} messages` };
+  }
+
+  const clean = [];
+  for (const m of messages) {
+    if (!m || !ROLES.includes(m.role) || typeof m.content !== 'string') {
+      return { error: `Each message needs a role (${ROLES.join(', ')}) and string content` };
+    }
+    if (m.content.trim()) clean.push({ role: m.role, content: m.content });
+  }
+
+  if (clean.length === 0) return { error: 'The prompt is empty' };
+
+  const length = clean.reduce((sum, m) => sum + m.content.length, 0);
+  if (length > MAX_INPUT_LENGTH) {
+    return {
+      error: `Prompt must be ${MAX_INPUT_LENGTH.toLocaleString()} characters or fewer. Received ${length.toLocaleString()}.`,
+    };
+  }
+  return { messages: clean };
+}
+
+/**
+ * Defaults merged with the caller's overrides, or an error message
+ */
+function readParameters(parameters = {}) {
+  const result = { ...DEFAULT_PARAMETERS };
+  for (const [key, [min, max]] of Object.entries(PARAMETER_RANGES)) {
+    const value = parameters[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) {
+      return { error: `${key} must be between ${min} and ${max}` };
+    }
+    result[key] = key === 'maxTokens' ? Math.round(n) : n;
+  }
+  return { parameters: result };
+}
+
+/**
+ * { promptRef, versionId, variables } for saving the run on the prompt in
+ * `save`, or an error { status, code, message }
+ */
+async function readSaveTarget(save, uid) {
+  const { teamId, promptId, variables = {} } = save;
+  const isId = id => typeof id === 'string' && ID_PATTERN.test(id);
+  if (!isId(teamId) || !isId(promptId)) {
+    return { error: { status: 400, code: 'BAD_REQUEST', message: 'save needs a teamId and promptId' } };
+  }
+
+  const entries = variables && typeof variables === 'object' ? Object.entries(variables) : null;
+  if (
+    !entries ||
+    entries.length > MAX_VARIABLES ||
+    entries.some(([, value]) => typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH)
+  ) {
+    return { error: { status: 400, code: 'BAD_REQUEST', message: 'save.variables must map names to strings' } };
+  }
+
+  const teamRef   = admin.firestore().collection('teams').doc(teamId);
+  const promptRef = teamRef.collection('prompts').doc(promptId);
+  const [teamSnap, promptSnap] = await Promise.all([teamRef.get(), promptRef.get()]);
+
+  const role = teamSnap.exists ? teamSnap.get('members')?.[uid] : null;
+  if (!canAddResults(role) || !promptSnap.exists || !canViewPrompt(promptSnap.data(), uid, role)) {
+    return { error: { status: 403, code: 'FORBIDDEN', message: 'You cannot save results on this prompt.' } };
+  }
+
+  return {
+    target: {
+      promptRef,
+      versionId: promptSnap.get('latestVersion')?.id || null,
+      variables: Object.fromEntries(entries),
+    },
+  };
+}
+
+/**
+ * Store the run's payload as a text result and return its id
+ */
+async function saveResult(target, payload, uid) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const ref = await target.promptRef.collection('results').add({
+    type: 'text',
+    title: `Run · ${payload.model}`,
+    content: payload.output,
+    source: 'run',
+    provider: payload.provider,
+    model: payload.model,
+    parameters: payload.parameters,
+    latencyMs: payload.latencyMs,
+    usage: payload.usage || null,
+    variables: target.variables,
+    promptVersionId: target.versionId,
+    createdBy: uid,
+    createdAt: now,
+    updatedAt: now,
+  }).catch(e => {
+    e.saveFailed = true;
+    throw e;
+  });
+  return ref.id;
+}
+
+// { status, code, message } for a provider or save failure
+function describeError(e) {
+  if (e.saveFailed) {
+    return { status: 500, code: 'SAVE_FAILED', message: 'The output could not be saved.' };
+  }
+  if (e.message?.includes('timeout')) {
+    return { status: 504, code: 'PROVIDER_TIMEOUT', message: 'The AI provider took too long to respond.' };
+  }
+  if (e.message?.includes('rate limit')) {
+    return { status: 429, code: 'PROVIDER_RATE_LIMITED', message: 'The AI provider is rate limiting requests. Try again shortly.' };
+  }
+  return { status: 502, code: 'PROVIDER_ERROR', message: 'The AI provider returned an error.' };
+}
+
+// Stream the output; closing the connection cancels the provider request
+async function streamRun(res, messages, parameters, selection, saveTarget, uid) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  openEventStream(res);
+  sendEvent(res, 'start', selection);
+
+  const started = Date.now();
+  try {
+    const { content, model, usage } = await streamProvider(messages, parameters, selection, {
+      signal: controller.signal,
+      onDelta: (text) => sendEvent(res, 'delta', { text }),
+    });
+
+    const payload = {
+      output: content,
+      provider: selection.provider,
+      model,
+      parameters,
+      latencyMs: Date.now() - started,
+      usage,
+    };
+    if (controller.signal.aborted) return;
+    const resultId = saveTarget ? await saveResult(saveTarget, payload, uid) : undefined;
+    sendEvent(res, 'done', { success: true, ...payload, resultId });
+  } catch (e) {
+    if (controller.signal.aborted) return;
+    console.error('Run prompt stream error:', e);
+    const { code, message } = describeError(e);
+    sendEvent(res, 'error', { success: false, error: { code, message } });
+  }
+  res.end();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  if (!(await checkRateLimit(req, res, user.uid, 'run', 20, 60))) return;
+
+  // A pick of another provider is checked by resolveSelection() below
+  if (!req.body?.provider && !isProviderConfigured()) {
+    console.error(`Run requested but provider "${ACTIVE_PROVIDER}" is not configured`);
+    return serverError(res, `AI provider "${ACTIVE_PROVIDER}" is not configured.`);
+  }
+
+  const { messages, error: messagesError } = readMessages(req.body?.messages);
+  if (messagesError) return badRequest(res, messagesError);
+
+  const { parameters, error: parametersError } = readParameters(req.body?.parameters);
+  if (parametersError) return badRequest(res, parametersError);
+
+  const { selection, error: selectionError } = resolveSelection({
+    provider: req.body?.provider || undefined,
+    model: req.body?.model || undefined,
+  });
+  if (selectionError) return badRequest(res, selectionError);
+
+  let saveTarget = null;
+  if (req.body?.save) {
+    try {
+      const { target, error } = await readSaveTarget(req.body.save, user.uid);
+      if (error) return err(res, error.status, error.code, error.message);
+      saveTarget = target;
+    } catch (e) {
+      console.error('Run prompt save check error:', e);
+      return serverError(res, 'Could not check access to the prompt.');
+    }
+  }
+
+  if (wantsEventStream(req) && supportsStreaming(selection.provider)) {
+    return streamRun(res, messages, parameters, selection, saveTarget, user.uid);
+  }
+
+  let disconnected = false;
+  res.on('close', () => {
+    if (!res.writableEnded) disconnected = true;
+  });
+
+  const started = Date.now();
+  try {
+    const { content, model, usage } = await callProvider(messages, parameters, selection);
+
+    const payload = {
+      output: content,
+      provider: selection.provider,
+      model,
+      parameters,
+      latencyMs: Date.now() - started,
+      usage,
+    };
+    if (disconnected) return;
+    const resultId = saveTarget ? await saveResult(saveTarget, payload, user.uid) : undefined;
+    return ok(res, { ...payload, resultId });
+  } catch (e) {
+    console.error('Run prompt error:', e);
+
+    const { status, code, message } = describeError(e);
+    return err(res, status, code, message, status === 502 ? e.message : undefined);
+  }
+}
@@ -88,6 +88,17 @@ export class TokenEstimator {
     return Math.ceil(text.length / ratio);
   }
 
+  // Chat prompts: every message's content plus a few tokens of role framing
+  static estimateMessagesTokens(messages, model = "gpt-4") {
+    if (!Array.isArray(messages)) return 0;
+
+    const perMessageOverhead = 4;
+    return messages.reduce(
+      (sum, m) => sum + this.estimateTokens(m?.content || "", model) + perMessageOverhead,
+      0
+    );
+  }
+
   static estimateCost(text, model = "gpt-4") {
     const tokens = this.estimateTokens(text, model);
     const modelConfig = AI_MODELS[model];
@@ -154,15 +165,19 @@ export class TokenEstimator {
 // Token counter component
 export function TokenCounter({
   text,
+  messages,
   selectedModels = ["gpt-4", "claude-3-sonnet"],
   className = "",
 }) {
   const stats = useMemo(() => {
+    const isChat = Array.isArray(messages) && messages.length > 0;
     return selectedModels.map((model) => {
       const modelConfig = AI_MODELS[model];
-      const tokens = TokenEstimator.estimateTokens(text, model);
-      const cost = TokenEstimator.estimateCost(text, model);
-      const fits = TokenEstimator.fitsInContext(text, model);
+      const tokens = isChat
+        ? TokenEstimator.estimateMessagesTokens(messages, model)
+        : TokenEstimator.estimateTokens(text, model);
+      const cost = (tokens / 1000) * (modelConfig?.costPer1kTokens || 0);
+      const fits = tokens <= (modelConfig?.maxTokens || 0);
       const Icon = modelConfig?.icon || Cpu;
 
       return {
@@ -177,7 +192,7 @@ export function TokenCounter({
         color: modelConfig?.color || "gray",
       };
     });
-  }, [text, selectedModels]);
+  }, [text, messages, selectedModels]);
 
   if (!text || text.trim().length === 0) {
     return (
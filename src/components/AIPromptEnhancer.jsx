@@ -1,6 +1,7 @@
 // src/components/AIPromptEnhancer.jsx — Redesigned UI
-import { useState } from "react";
+import { useState, useRef, useEffect } from "react";
 import { authFetch } from "../../services/api"; // ← replaces plain fetch()
+import { isEventStream, readStreamedResponse } from "../lib/eventStream";
 import { useSoundEffects } from '../hooks/useSoundEffects';
 import { useGuestMode } from '../context/GuestModeContext';
 import { isDemoPrompt } from '../lib/guestDemoContent';
@@ -29,6 +30,18 @@ const enhancementTypes = [
   { id: "detailed",   name: "Detailed",   icon: BookOpen,  desc: "Comprehensive" },
 ];
 
+const ENHANCED_LABEL = "ENHANCED PROMPT:";
+
+// The enhanced prompt streamed so far, without the response's section
+// labels (empty while the first label is still arriving)
+function previewEnhancement(text) {
+  if (ENHANCED_LABEL.startsWith(text.trim().toUpperCase())) return "";
+  return text
+    .replace(/^\s*ENHANCED PROMPT:\s*/i, "")
+    .split(/IMPROVEMENTS:/i)[0]
+    .trimEnd();
+}
+
 export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose }) {
   const [targetModel, setTargetModel]         = useState("general");
   const [enhancementType, setEnhancementType] = useState("general");
@@ -36,11 +49,17 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
   const [result, setResult]                   = useState(null);
   const [error, setError]                     = useState(null);
   const [copied, setCopied]                   = useState(false);
+  const [streamText, setStreamText]           = useState("");
+  const abortRef                              = useRef(null);
   const { playNotification, playEnhancement } = useSoundEffects();
   const { isGuest, triggerSaveModal }         = useGuestMode();
 
+  // Stop an in-flight enhancement if the panel closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   const selectedModel    = aiModels.find(m => m.id === targetModel);
   const selectedTypeObj  = enhancementTypes.find(t => t.id === enhancementType);
+  const streamPreview    = previewEnhancement(streamText);
 
   function notify(message, type = "info") {
     const el = document.createElement("div");
@@ -59,31 +78,45 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
 
   async function handleEnhance() {
     if (!prompt?.text || loading) return;
-    setLoading(true); setError(null); setResult(null);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true); setError(null); setResult(null); setStreamText("");
     try {
       // ── FIX: use authFetch so the Firebase ID token is sent automatically ──
+      // Asks for a stream; providers that can't stream answer with JSON
       const res = await authFetch("/api/enhance-prompt", {
         method: "POST",
+        signal: controller.signal,
         body: JSON.stringify({
           prompt: prompt.text,
           enhancementType,
           targetModel,
           context: { title: prompt.title, tags: prompt.tags },
+          stream: true,
         }),
       });
       if (!res.ok) { const d = await res.json(); throw new Error(d.error || `HTTP ${res.status}`); }
-      const data = await res.json();
+      const data = isEventStream(res)
+        ? await readStreamedResponse(res, { onDelta: (text) => setStreamText(prev => prev + text) })
+        : await res.json();
       if (!data.success) throw new Error(data.error || "Enhancement failed");
       setResult(data);
       playEnhancement();
     } catch (err) {
+      if (err.name === "AbortError") return;
       setError(err.message || "Failed to enhance prompt");
       notify(err.message, "error");
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setLoading(false);
+      setStreamText("");
     }
   }
 
+  function handleCancel() {
+    abortRef.current?.abort();
+  }
+
   async function handleCopyResult() {
     if (!result?.enhanced) return;
     await navigator.clipboard.writeText(result.enhanced);
@@ -312,6 +345,21 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
         @keyframes spin { to{transform:rotate(360deg)} }
         .aie-loading-title { font-size:.875rem;font-weight:600;color:var(--foreground);margin-bottom:.3rem; }
         .aie-loading-sub { font-size:.75rem;color:var(--muted-foreground); }
+        .aie-loading-row { display:flex;align-items:center;justify-content:space-between;gap:.75rem; }
+        .aie-loading-row .aie-loading-title { margin-bottom:0; }
+        .aie-loading-ring.small { width:16px;height:16px;margin:0;border-width:2px;flex-shrink:0; }
+        .aie-stream {
+          margin-top:.75rem;text-align:left;
+          border:1px solid rgba(139,92,246,.15);border-radius:8px;background:rgba(0,0,0,.12);
+        }
+        .aie-stream .aie-result-text { max-height:220px; }
+        .aie-cancel-btn {
+          margin-top:.875rem;padding:.35rem .875rem;border-radius:6px;cursor:pointer;
+          font-size:.75rem;font-weight:600;
+          background:transparent;color:var(--muted-foreground);
+          border:1px solid var(--border);transition:all .15s;
+        }
+        .aie-cancel-btn:hover { color:var(--foreground);border-color:rgba(255,255,255,.2); }
 
         /* ── Error ── */
         .aie-error {
@@ -547,11 +595,26 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
             {/* Loading */}
             {loading && (
               <div className="aie-loading">
-                <div className="aie-loading-ring" />
-                <div className="aie-loading-title">Enhancing for {selectedModel?.name}…</div>
-                <div className="aie-loading-sub">
-                  Applying {selectedTypeObj?.name.toLowerCase()} optimisation · 5–10 seconds
-                </div>
+                {streamPreview ? (
+                  <>
+                    <div className="aie-loading-row">
+                      <div className="aie-loading-title">Enhancing for {selectedModel?.name}…</div>
+                      <div className="aie-loading-ring small" />
+                    </div>
+                    <div className="aie-stream">
+                      <div className="aie-result-text">{streamPreview}</div>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="aie-loading-ring" />
+                    <div className="aie-loading-title">Enhancing for {selectedModel?.name}…</div>
+                    <div className="aie-loading-sub">
+                      Applying {selectedTypeObj?.name.toLowerCase()} optimisation · 5–10 seconds
+                    </div>
+                  </>
+                )}
+                <button className="aie-cancel-btn" onClick={handleCancel}>Cancel</button>
               </div>
             )}
 
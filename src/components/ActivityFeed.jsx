@@ -2,15 +2,17 @@
 import { useState, useEffect } from "react";
 import { db } from "../lib/firebase";
 import {
-  collection, query, orderBy, limit, onSnapshot,
+  collection, query, orderBy, limit, onSnapshot, where,
   getDoc, getDocs, doc, serverTimestamp, addDoc,
 } from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
+import { canViewPrompt, filterVisiblePrompts } from "../lib/prompts";
 import { batchGetUserProfiles } from "../lib/firestoreUtils"; // ✅ PERF: batch profile reads
 import {
   Plus, Edit2, Trash2, Star, UserPlus, UserMinus,
   RefreshCw, Activity, Download, FileText,
-  MessageSquare, Users, ChevronDown,
+  MessageSquare, Users, ChevronDown, ArrowRightLeft,
+  GitPullRequest, GitMerge, TrendingDown,
 } from "lucide-react";
 import { getTimestampMillis } from "../lib/dateUtils";
 
@@ -61,6 +63,10 @@ const TYPE_CFG = {
   member_joined:           { icon: UserPlus,      color: "#34d399", label: "Joined"   },
   member_left:             { icon: UserMinus,     color: "#64748b", label: "Left"     },
   role_changed:            { icon: RefreshCw,     color: "#a78bfa", label: "Role"     },
+  ownership_transferred:   { icon: ArrowRightLeft, color: "#38bdf8", label: "Owner"   },
+  change_proposed:         { icon: GitPullRequest, color: "#f59e0b", label: "Proposal" },
+  change_applied:          { icon: GitMerge,      color: "#34d399", label: "Merged"   },
+  regression_detected:     { icon: TrendingDown,  color: "#f87171", label: "Regression" },
 };
 const getTypeCfg = t => TYPE_CFG[t] || { icon: FileText, color: "#64748b", label: "Action" };
 
@@ -133,11 +139,17 @@ export default function ActivityFeed({ teamId }) {
     const unsub = onSnapshot(q, async snap => {
       let items = [];
 
+      // Entries about prompts this user can't see (private or restricted) are dropped
+      const teamSnap = await getDoc(doc(db, "teams", teamId)).catch(() => null);
+      const role = teamSnap?.data()?.members?.[user?.uid] || null;
+
       if (snap.empty) {
         // ── Synthetic activities from prompt sub-docs ──
         const pq = query(collection(db, "teams", teamId, "prompts"), orderBy("createdAt", "desc"), limit(50));
         const ps = await new Promise((res, rej) => onSnapshot(pq, res, rej));
-        const promptData = ps.docs.map(d => ({ id: d.id, ...d.data() }));
+        const promptData = filterVisiblePrompts(
+          ps.docs.map(d => ({ id: d.id, ...d.data() })), user?.uid, role
+        );
         const promptIds  = promptData.map(p => p.id);
 
         // Collect uids for profile loading
@@ -215,7 +227,18 @@ export default function ActivityFeed({ teamId }) {
         setProfiles(prof);
 
       } else {
-        items = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        const limited = await getDocs(query(
+          collection(db, "teams", teamId, "prompts"),
+          where("visibility", "in", ["private", "restricted"]),
+        )).catch(() => null);
+        const hidden = new Set(
+          (limited?.docs || [])
+            .filter(d => !canViewPrompt(d.data(), user?.uid, role))
+            .map(d => d.id)
+        );
+        items = snap.docs
+          .map(d => ({ id: d.id, ...d.data() }))
+          .filter(a => !a.promptId || !hidden.has(a.promptId));
 
         // ✅ PERF: batch load all referenced user profiles in one shot
         const uids = [...new Set(items.map(a => a.userId).filter(Boolean))];
@@ -228,12 +251,12 @@ export default function ActivityFeed({ teamId }) {
       setLoading(false);
     }, () => setLoading(false));
     return () => unsub();
-  }, [teamId]);
+  }, [teamId, user?.uid]);
 
   const filtered = activities.filter(a => {
     const ok = (() => {
       switch (filter) {
-        case "prompts":  return ["prompt_created","prompt_updated","prompt_deleted"].includes(a.type);
+        case "prompts":  return ["prompt_created","prompt_updated","prompt_deleted","ownership_transferred","change_proposed","change_applied","regression_detected"].includes(a.type);
         case "ratings":  return a.type === "prompt_rated" || a.type === "prompt_rated_individual";
         case "comments": return a.type === "comment_added";
         case "members":  return ["member_joined","member_left","role_changed"].includes(a.type);
@@ -574,9 +597,18 @@ export default function ActivityFeed({ teamId }) {
                              a.type.startsWith("prompt_rated") ? "rated" :
                              a.type === "comment_added" ? "commented on" :
                              a.type === "member_joined" ? "joined" :
-                             a.type === "member_left"   ? "left" : "acted on"}
+                             a.type === "member_left"   ? "left" :
+                             a.type === "ownership_transferred" ? (a.metadata?.toUserId ? "transferred" : "made public") :
+                             a.type === "change_proposed" ? "proposed a change to" :
+                             a.type === "change_applied"  ? "applied a proposed change to" :
+                             a.type === "regression_detected" ? "saved a version that may have regressed" : "acted on"}
                           </span>
                           {a.promptTitle && <span className="af-target">"{a.promptTitle}"</span>}
+                          {a.type === "ownership_transferred" && a.metadata?.toUserId && (
+                            <span className="af-verb">
+                              to {a.metadata.toName || profiles[a.metadata.toUserId]?.name || "another member"}
+                            </span>
+                          )}
                           {a.type.startsWith("prompt_rated") && a.metadata?.rating != null && (
                             <span className="af-stars">
                               <Star size={9} fill="#f59e0b" strokeWidth={0} />
@@ -596,6 +628,10 @@ export default function ActivityFeed({ teamId }) {
                             <span className="af-sep" />
                             <span className="af-snip">"{a.metadata.commentText}…"</span>
                           </>}
+                          {a.type === "regression_detected" && a.metadata?.reasons?.length > 0 && <>
+                            <span className="af-sep" />
+                            <span className="af-snip">{a.metadata.reasons.join(" · ")}</span>
+                          </>}
                         </div>
                       </div>
 
@@ -1,34 +1,20 @@
 // src/components/AddResultModal.jsx
-import { useState, useEffect, useRef } from "react";
-import { addResultToPrompt } from "../lib/results";
+import { useState, useEffect, useRef, useMemo } from "react";
+import { addResultToPrompt, RESULT_LANGUAGES } from "../lib/results";
 import { uploadResultImage } from "../lib/storage";
-import { X, FileText, Code, Image, Upload, Check } from "lucide-react";
+import {
+  SAMPLING_PARAMETERS,
+  estimateCost,
+  normalizeGenerationMetadata,
+} from "../lib/resultMetadata";
+import { parseVariables } from "../lib/promptVariables";
+import { labelsByVersion } from "../lib/versionLabels";
+import { AI_MODELS } from "./AIModelTools";
+import { X, FileText, Code, Image, Upload, Check, ChevronDown, ChevronUp } from "lucide-react";
 import { useSoundEffects } from "../hooks/useSoundEffects";
 import VideoUploader from "./VideoUploader.jsx";
 import { Video } from "lucide-react";
 
-const LANGUAGES = [
-  "javascript",
-  "typescript",
-  "python",
-  "java",
-  "csharp",
-  "cpp",
-  "go",
-  "rust",
-  "php",
-  "ruby",
-  "swift",
-  "kotlin",
-  "html",
-  "css",
-  "sql",
-  "bash",
-  "json",
-  "yaml",
-  "markdown",
-];
-
 const TYPES = [
   { value: "text", icon: FileText, label: "Text", desc: "Prose output" },
   { value: "code", icon: Code, label: "Code", desc: "Source code" },
@@ -42,6 +28,7 @@ export default function AddResultModal({
   promptId,
   teamId,
   userId,
+  prompt = null,
 }) {
   const [resultType, setResultType] = useState("text");
   const [title, setTitle] = useState("");
@@ -55,6 +42,36 @@ export default function AddResultModal({
   // even though VideoUploader manages its own upload flow.
   const [videoUploading, setVideoUploading] = useState(false);
 
+  // Generation details — all optional
+  const [showDetails, setShowDetails] = useState(false);
+  const [model, setModel] = useState("");
+  const [parameters, setParameters] = useState({});
+  const [promptVersionId, setPromptVersionId] = useState(
+    prompt?.latestVersion?.id || "",
+  );
+  const [variableValues, setVariableValues] = useState({});
+  const [promptTokens, setPromptTokens] = useState("");
+  const [completionTokens, setCompletionTokens] = useState("");
+  const [latencyMs, setLatencyMs] = useState("");
+  const [cost, setCost] = useState("");
+
+  const variables = useMemo(
+    () => parseVariables(prompt?.text || ""),
+    [prompt?.text],
+  );
+
+  // The current version plus any labeled ones
+  const versionOptions = useMemo(() => {
+    const labels = labelsByVersion(prompt?.versionLabels || {});
+    const current = prompt?.latestVersion?.id;
+    const ids = [...new Set([current, ...Object.keys(labels)].filter(Boolean))];
+    return ids.map((id) => {
+      const names = labels[id] || [];
+      const label = names.length ? names.join(", ") : id.slice(0, 7);
+      return { id, label: id === current ? `${label} (current)` : label };
+    });
+  }, [prompt?.versionLabels, prompt?.latestVersion?.id]);
+
   const { playNotification } = useSoundEffects();
 
   // Stable ref so notify() never closes over a stale playNotification
@@ -116,6 +133,12 @@ export default function AddResultModal({
     setImagePreview(URL.createObjectURL(file));
   }
 
+  // Cost from the model's list price, used when no cost is typed in
+  const estimatedCost = estimateCost(
+    (Number(promptTokens) || 0) + (Number(completionTokens) || 0) || NaN,
+    AI_MODELS[model]?.costPer1kTokens,
+  );
+
   // ─── submit (text / code / image only — video is self-contained) ──────────
 
   async function handleSubmit(e) {
@@ -138,11 +161,29 @@ export default function AddResultModal({
       return;
     }
 
+    let metadata;
+    try {
+      metadata = normalizeGenerationMetadata({
+        model,
+        parameters,
+        promptVersionId,
+        variables: variableValues,
+        promptTokens,
+        completionTokens,
+        latencyMs,
+        cost: cost === "" ? estimatedCost : cost,
+      });
+    } catch (err) {
+      setShowDetails(true);
+      notify(err.message, "error");
+      return;
+    }
+
     setUploading(true);
     setUploadProgress(0);
 
     try {
-      let resultData = { type: resultType, title: title.trim() };
+      let resultData = { type: resultType, title: title.trim(), ...metadata };
 
       if (resultType === "text") {
         resultData.content = content.trim();
@@ -166,7 +207,8 @@ export default function AddResultModal({
         });
       }
 
-      await addResultToPrompt(teamId, promptId, userId, resultData);
+      const saved = await addResultToPrompt(teamId, promptId, userId, resultData);
+      if (!saved.success) throw new Error(saved.error);
 
       if (window.gtag)
         window.gtag("event", "output_attached", {
@@ -314,6 +356,20 @@ export default function AddResultModal({
         .arm-select:focus  { border-color:rgba(139,92,246,.4); }
         .arm-select option { background:var(--card); }
 
+        /* generation details */
+        .arm-details-toggle {
+          display:flex; align-items:center; justify-content:space-between; width:100%;
+          padding:.55rem .7rem; border-radius:8px; cursor:pointer; font-family:inherit;
+          background:rgba(255,255,255,.02); border:1px solid rgba(255,255,255,.07);
+          color:var(--foreground); font-size:.75rem; font-weight:600; transition:all .14s;
+        }
+        .arm-details-toggle:hover { border-color:rgba(139,92,246,.28); }
+        .arm-details-hint { font-size:.65rem; font-weight:400; color:var(--muted-foreground); margin-left:.4rem; }
+        .arm-details { display:flex; flex-direction:column; gap:.8rem; margin-top:.7rem; }
+        .arm-grid { display:grid; grid-template-columns:repeat(3,1fr); gap:.5rem; }
+        .arm-grid.two { grid-template-columns:repeat(2,1fr); }
+        .arm-hint { font-size:.63rem; color:var(--muted-foreground); margin-top:.28rem; }
+
         /* upload zone */
         .arm-upload {
           border:1.5px dashed rgba(139,92,246,.22); border-radius:10px;
@@ -500,7 +556,7 @@ export default function AddResultModal({
                       className="arm-select"
                       disabled={uploading}
                     >
-                      {LANGUAGES.map((l) => (
+                      {RESULT_LANGUAGES.map((l) => (
                         <option key={l} value={l}>
                           {l.charAt(0).toUpperCase() + l.slice(1)}
                         </option>
@@ -589,6 +645,185 @@ export default function AddResultModal({
                 </div>
               )}
 
+              {/* generation details — what produced this output */}
+              {!isVideo && (
+                <div>
+                  <button
+                    type="button"
+                    className="arm-details-toggle"
+                    onClick={() => setShowDetails((v) => !v)}
+                  >
+                    <span>
+                      Generation details
+                      <span className="arm-details-hint">
+                        model, parameters, version, inputs, usage
+                      </span>
+                    </span>
+                    {showDetails ? (
+                      <ChevronUp size={13} />
+                    ) : (
+                      <ChevronDown size={13} />
+                    )}
+                  </button>
+
+                  {showDetails && (
+                    <div className="arm-details">
+                      <div className="arm-grid two">
+                        <div>
+                          <span className="arm-lbl">Model</span>
+                          <select
+                            value={model}
+                            onChange={(e) => setModel(e.target.value)}
+                            className="arm-select"
+                            disabled={uploading}
+                          >
+                            <option value="">Not recorded</option>
+                            {Object.entries(AI_MODELS).map(([key, m]) => (
+                              <option key={key} value={key}>
+                                {m.name} · {m.provider}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <span className="arm-lbl">Prompt version</span>
+                          <select
+                            value={promptVersionId}
+                            onChange={(e) => setPromptVersionId(e.target.value)}
+                            className="arm-select"
+                            disabled={uploading}
+                          >
+                            <option value="">Not recorded</option>
+                            {versionOptions.map((v) => (
+                              <option key={v.id} value={v.id}>
+                                {v.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      <div>
+                        <span className="arm-lbl">Sampling parameters</span>
+                        <div className="arm-grid">
+                          {Object.entries(SAMPLING_PARAMETERS).map(
+                            ([key, range]) => (
+                              <input
+                                key={key}
+                                type="number"
+                                min={range.min}
+                                max={
+                                  key === "maxTokens"
+                                    ? AI_MODELS[model]?.maxTokens ?? range.max
+                                    : range.max
+                                }
+                                step={range.step}
+                                value={parameters[key] ?? ""}
+                                onChange={(e) =>
+                                  setParameters((prev) => ({
+                                    ...prev,
+                                    [key]: e.target.value,
+                                  }))
+                                }
+                                placeholder={range.label}
+                                title={range.label}
+                                className="arm-input"
+                                disabled={uploading}
+                              />
+                            ),
+                          )}
+                        </div>
+                      </div>
+
+                      {variables.length > 0 && (
+                        <div>
+                          <span className="arm-lbl">Input variables</span>
+                          <div className="arm-grid two">
+                            {variables.map((v) => (
+                              <input
+                                key={v.name}
+                                type="text"
+                                value={variableValues[v.name] ?? ""}
+                                onChange={(e) =>
+                                  setVariableValues((prev) => ({
+                                    ...prev,
+                                    [v.name]: e.target.value,
+                                  }))
+                                }
+                                placeholder={v.name}
+                                title={v.name}
+                                className="arm-input"
+                                disabled={uploading}
+                              />
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      <div>
+                        <span className="arm-lbl">Usage</span>
+                        <div className="arm-grid two">
+                          <input
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={promptTokens}
+                            onChange={(e) => setPromptTokens(e.target.value)}
+                            placeholder="Prompt tokens"
+                            title="Prompt tokens"
+                            className="arm-input"
+                            disabled={uploading}
+                          />
+                          <input
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={completionTokens}
+                            onChange={(e) => setCompletionTokens(e.target.value)}
+                            placeholder="Completion tokens"
+                            title="Completion tokens"
+                            className="arm-input"
+                            disabled={uploading}
+                          />
+                          <input
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={latencyMs}
+                            onChange={(e) => setLatencyMs(e.target.value)}
+                            placeholder="Latency (ms)"
+                            title="Latency (ms)"
+                            className="arm-input"
+                            disabled={uploading}
+                          />
+                          <input
+                            type="number"
+                            min={0}
+                            step="any"
+                            value={cost}
+                            onChange={(e) => setCost(e.target.value)}
+                            placeholder={
+                              estimatedCost !== null
+                                ? `Cost ≈ $${estimatedCost}`
+                                : "Cost (USD)"
+                            }
+                            title="Cost (USD)"
+                            className="arm-input"
+                            disabled={uploading}
+                          />
+                        </div>
+                        {cost === "" && estimatedCost !== null && (
+                          <div className="arm-hint">
+                            Cost is estimated from {AI_MODELS[model].name}
+                            &apos;s list price unless you enter one.
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* upload progress (image) */}
               {uploading && (
                 <div className="arm-prog">
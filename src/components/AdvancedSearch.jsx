@@ -11,13 +11,22 @@ import {
   Ruler, 
   BarChart2, 
   Lightbulb,
-  ChevronDown 
+  ChevronDown,
+  Folder,
 } from "lucide-react";
+import { flattenFolderTree, getDescendantFolderIds } from "../lib/folders";
+import { MetadataFilterInputs } from "./CustomFields";
+import {
+  hasMetadataFilters,
+  matchesMetadataFilters,
+} from "../lib/customFields";
 
 export default function AdvancedSearch({
   prompts,
   onFilteredResults,
   teamMembers = {},
+  folders = [],
+  metadataSchema = [],
   isExpanded = false,
   onToggleExpanded,
 }) {
@@ -30,13 +39,15 @@ export default function AdvancedSearch({
     minLength: "",
     maxLength: "",
     visibility: "all",
+    folder: "all",
+    metadata: {},
   });
 
   const [showAdvanced, setShowAdvanced] = useState(isExpanded);
 
   const filteredPrompts = useMemo(() => {
     return applyFilters(prompts);
-  }, [prompts, filters]);
+  }, [prompts, filters, folders, metadataSchema]);
 
   useEffect(() => {
     onFilteredResults(filteredPrompts);
@@ -45,6 +56,17 @@ export default function AdvancedSearch({
   function applyFilters(promptsList) {
     let filtered = [...promptsList];
 
+    // Folder scope (the folder and everything nested below it)
+    if (filters.folder !== "all") {
+      const scope =
+        filters.folder === "unfiled"
+          ? null
+          : new Set(getDescendantFolderIds(folders, filters.folder));
+      filtered = filtered.filter((prompt) =>
+        scope ? scope.has(prompt.folderId) : !prompt.folderId
+      );
+    }
+
     // Text search
     if (filters.search.trim()) {
       const searchTerm = filters.search.toLowerCase().trim();
@@ -130,6 +152,13 @@ export default function AdvancedSearch({
       );
     }
 
+    // Custom field filters
+    if (hasMetadataFilters(filters.metadata)) {
+      filtered = filtered.filter((prompt) =>
+        matchesMetadataFilters(prompt, metadataSchema, filters.metadata)
+      );
+    }
+
     // Sorting
     filtered.sort((a, b) => {
       switch (filters.sortBy) {
@@ -179,6 +208,8 @@ export default function AdvancedSearch({
       minLength: "",
       maxLength: "",
       visibility: "all",
+      folder: "all",
+      metadata: {},
     });
   }
 
@@ -191,7 +222,9 @@ export default function AdvancedSearch({
       filters.sortBy !== "newest" ||
       filters.minLength !== "" ||
       filters.maxLength !== "" ||
-      filters.visibility !== "all"
+      filters.visibility !== "all" ||
+      filters.folder !== "all" ||
+      hasMetadataFilters(filters.metadata)
     );
   }
 
@@ -202,6 +235,8 @@ export default function AdvancedSearch({
     }
   }
 
+  const folderOptions = useMemo(() => flattenFolderTree(folders), [folders]);
+
   const authors = Object.entries(teamMembers).map(([uid, member]) => ({
     uid,
     name: member.name || member.email,
@@ -317,6 +352,39 @@ export default function AdvancedSearch({
               </select>
             </div>
 
+            {/* Folder Scope */}
+            {folderOptions.length > 0 && (
+              <div>
+                <label
+                  className="flex items-center gap-2 text-sm font-medium mb-2"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  <Folder className="w-4 h-4" />
+                  Folder
+                </label>
+                <select
+                  value={filters.folder}
+                  onChange={(e) => handleFilterChange("folder", e.target.value)}
+                  className="form-input w-full"
+                >
+                  <option value="all">All Folders</option>
+                  <option value="unfiled">Not in a folder</option>
+                  {folderOptions.map((folder) => (
+                    <option key={folder.id} value={folder.id}>
+                      {"\u00A0\u00A0".repeat(folder.depth)}
+                      {folder.name}
+                    </option>
+                  ))}
+                </select>
+                <p
+                  className="text-xs mt-1"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  Includes subfolders
+                </p>
+              </div>
+            )}
+
             {/* Visibility Filter */}
             <div>
               <label
@@ -428,6 +496,16 @@ export default function AdvancedSearch({
               />
             </div>
 
+            {/* Custom Fields */}
+            <MetadataFilterInputs
+              schema={metadataSchema}
+              filters={filters.metadata}
+              onChange={(metadata) => handleFilterChange("metadata", metadata)}
+              labelClassName="flex items-center gap-2 text-sm font-medium mb-2"
+              labelStyle={{ color: "var(--foreground)" }}
+              inputClassName="form-input w-full"
+            />
+
             {/* Results Count */}
             <div className="flex items-center">
               <div
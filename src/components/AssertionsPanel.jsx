@@ -0,0 +1,308 @@
+// src/components/AssertionsPanel.jsx
+// A prompt's automated checks: the pass rate over its results, and an
+// editor for adding and removing checks
+import { useState, useMemo } from "react";
+import { ShieldCheck, ChevronDown, ChevronUp, Plus, Trash2, Loader2 } from "lucide-react";
+import {
+  ASSERTION_TYPES,
+  MAX_ASSERTIONS,
+  normalizeAssertion,
+  describeAssertion,
+  evaluateResult,
+  getPassRate,
+  saveAssertions,
+} from "../lib/assertions";
+import { RESULT_LANGUAGES } from "../lib/results";
+
+const ASSERTION_STYLES = `
+  .asrt { border:1px solid rgba(139,92,246,.14);border-radius:12px;background:rgba(139,92,246,.03); }
+  .asrt-hd {
+    width:100%;display:flex;align-items:center;gap:.5rem;padding:.6rem .8rem;
+    background:transparent;border:none;cursor:pointer;color:var(--foreground);font-family:inherit;
+  }
+  .asrt-title { font-size:.76rem;font-weight:700;flex:1;text-align:left;display:flex;align-items:center;gap:.4rem; }
+  .asrt-rate {
+    font-size:.64rem;font-weight:700;padding:.12rem .5rem;border-radius:999px;
+    font-variant-numeric:tabular-nums;background:rgba(255,255,255,.05);color:var(--muted-foreground);
+  }
+  .asrt-rate.good { background:rgba(52,211,153,.12);color:#34d399; }
+  .asrt-rate.bad  { background:rgba(248,113,113,.12);color:#f87171; }
+  .asrt-body { padding:0 .8rem .75rem;display:flex;flex-direction:column;gap:.5rem; }
+  .asrt-list { display:flex;flex-direction:column;gap:.3rem; }
+  .asrt-item {
+    display:flex;align-items:center;gap:.5rem;padding:.4rem .55rem;border-radius:8px;
+    background:rgba(255,255,255,.025);border:1px solid rgba(255,255,255,.05);
+  }
+  .asrt-label {
+    flex:1;min-width:0;font-size:.72rem;color:var(--foreground);
+    overflow:hidden;text-overflow:ellipsis;white-space:nowrap;
+  }
+  .asrt-count { font-size:.64rem;color:var(--muted-foreground);font-variant-numeric:tabular-nums; }
+  .asrt-icon {
+    width:24px;height:24px;border-radius:6px;cursor:pointer;flex-shrink:0;
+    display:flex;align-items:center;justify-content:center;
+    border:1px solid rgba(239,68,68,.18);background:rgba(239,68,68,.07);color:#f87171;
+  }
+  .asrt-icon:disabled { opacity:.45;cursor:not-allowed; }
+  .asrt-none { font-size:.7rem;color:var(--muted-foreground);font-style:italic; }
+  .asrt-form { display:flex;flex-wrap:wrap;align-items:flex-start;gap:.4rem; }
+  .asrt-input {
+    padding:.38rem .5rem;border-radius:7px;box-sizing:border-box;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.72rem;font-family:inherit;outline:none;
+  }
+  .asrt-input:focus { border-color:rgba(139,92,246,.42); }
+  .asrt-input.grow { flex:1;min-width:160px; }
+  .asrt-input.narrow { width:90px; }
+  .asrt-input.mono { font-family:'JetBrains Mono','Consolas',monospace; }
+  textarea.asrt-input { width:100%;min-height:90px;resize:vertical; }
+  .asrt-check { display:flex;align-items:center;gap:.3rem;font-size:.7rem;color:var(--muted-foreground);padding:.38rem 0; }
+  .asrt-add {
+    display:inline-flex;align-items:center;gap:.35rem;padding:.4rem .75rem;border-radius:7px;
+    font-size:.72rem;font-weight:700;cursor:pointer;font-family:inherit;
+    background:rgba(139,92,246,.12);color:var(--primary);border:1px solid rgba(139,92,246,.25);
+  }
+  .asrt-add:disabled { opacity:.45;cursor:not-allowed; }
+  .asrt-error { font-size:.68rem;color:#f87171; }
+`;
+
+const EMPTY_DRAFT = {
+  type: "contains",
+  value: "",
+  caseSensitive: false,
+  pattern: "",
+  flags: "",
+  schema: "",
+  min: "",
+  max: "",
+  language: "",
+};
+
+function DraftFields({ draft, update }) {
+  switch (draft.type) {
+    case "contains":
+    case "not_contains":
+      return (
+        <>
+          <input
+            className="asrt-input grow"
+            placeholder="Text to look for"
+            value={draft.value}
+            onChange={(e) => update({ value: e.target.value })}
+          />
+          <label className="asrt-check">
+            <input
+              type="checkbox"
+              checked={draft.caseSensitive}
+              onChange={(e) => update({ caseSensitive: e.target.checked })}
+            />
+            Case-sensitive
+          </label>
+        </>
+      );
+    case "regex":
+      return (
+        <>
+          <input
+            className="asrt-input grow mono"
+            placeholder="Pattern, e.g. ^\d{3}-\d{4}$"
+            value={draft.pattern}
+            onChange={(e) => update({ pattern: e.target.value })}
+          />
+          <input
+            className="asrt-input narrow mono"
+            placeholder="Flags"
+            value={draft.flags}
+            onChange={(e) => update({ flags: e.target.value })}
+          />
+        </>
+      );
+    case "json_schema":
+      return (
+        <textarea
+          className="asrt-input mono"
+          placeholder='{ "type": "object", "required": ["answer"] }'
+          value={draft.schema}
+          onChange={(e) => update({ schema: e.target.value })}
+        />
+      );
+    case "length":
+      return (
+        <>
+          <input
+            type="number"
+            min={0}
+            className="asrt-input narrow"
+            placeholder="Min"
+            value={draft.min}
+            onChange={(e) => update({ min: e.target.value })}
+          />
+          <input
+            type="number"
+            min={0}
+            className="asrt-input narrow"
+            placeholder="Max"
+            value={draft.max}
+            onChange={(e) => update({ max: e.target.value })}
+          />
+        </>
+      );
+    case "code_parses":
+      return (
+        <select
+          className="asrt-input"
+          value={draft.language}
+          onChange={(e) => update({ language: e.target.value })}
+        >
+          <option value="">Each result's language</option>
+          {RESULT_LANGUAGES.map((l) => (
+            <option key={l} value={l}>
+              {l}
+            </option>
+          ))}
+        </select>
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pass rate and check list for a prompt. People who can edit the prompt
+ * can add and remove checks.
+ */
+export default function AssertionsPanel({ prompt, teamId, outputs, canEdit }) {
+  const assertions = useMemo(() => prompt?.assertions || [], [prompt?.assertions]);
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const passRate = useMemo(() => getPassRate(assertions, outputs), [assertions, outputs]);
+  // How many checked outputs pass each check
+  const perCheck = useMemo(() => {
+    const counts = {};
+    outputs.forEach((output) => {
+      evaluateResult(assertions, output)?.checks.forEach((c) => {
+        counts[c.id] = counts[c.id] || { passed: 0, total: 0 };
+        counts[c.id].total++;
+        if (c.passed) counts[c.id].passed++;
+      });
+    });
+    return counts;
+  }, [assertions, outputs]);
+
+  if (!canEdit && assertions.length === 0) return null;
+
+  async function persist(next) {
+    setSaving(true);
+    setError("");
+    try {
+      await saveAssertions(teamId, prompt.id, next);
+      return true;
+    } catch (err) {
+      setError(err.message || "Couldn't save checks");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    let assertion;
+    try {
+      assertion = normalizeAssertion(draft);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    if (await persist([...assertions, assertion])) setDraft({ ...EMPTY_DRAFT, type: draft.type });
+  }
+
+  const rateClass = passRate ? (passRate.rate === 1 ? " good" : passRate.rate < 0.5 ? " bad" : "") : "";
+
+  return (
+    <div className="asrt">
+      <style>{ASSERTION_STYLES}</style>
+      <button type="button" className="asrt-hd" onClick={() => setOpen((v) => !v)}>
+        <span className="asrt-title">
+          <ShieldCheck size={13} color="var(--primary)" />
+          Checks
+          <span className="asrt-count">{assertions.length}</span>
+        </span>
+        {passRate && (
+          <span className={`asrt-rate${rateClass}`}>
+            {Math.round(passRate.rate * 100)}% pass · {passRate.passing}/{passRate.checked}
+          </span>
+        )}
+        {open ? <ChevronUp size={13} /> : <ChevronDown size={13} />}
+      </button>
+
+      {open && (
+        <div className="asrt-body">
+          {assertions.length === 0 ? (
+            <div className="asrt-none">
+              No checks yet. Add one to test every text and code output automatically.
+            </div>
+          ) : (
+            <div className="asrt-list">
+              {assertions.map((assertion) => {
+                const count = perCheck[assertion.id];
+                return (
+                  <div key={assertion.id} className="asrt-item">
+                    <span className="asrt-label" title={describeAssertion(assertion)}>
+                      {describeAssertion(assertion)}
+                    </span>
+                    {count && (
+                      <span className="asrt-count">
+                        {count.passed}/{count.total} pass
+                      </span>
+                    )}
+                    {canEdit && (
+                      <button
+                        type="button"
+                        className="asrt-icon"
+                        title="Remove check"
+                        disabled={saving}
+                        onClick={() => persist(assertions.filter((a) => a.id !== assertion.id))}
+                      >
+                        <Trash2 size={11} />
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {canEdit && assertions.length < MAX_ASSERTIONS && (
+            <form className="asrt-form" onSubmit={handleAdd}>
+              <select
+                className="asrt-input"
+                value={draft.type}
+                onChange={(e) => {
+                  setDraft({ ...draft, type: e.target.value });
+                  setError("");
+                }}
+              >
+                {Object.entries(ASSERTION_TYPES).map(([type, { label }]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <DraftFields draft={draft} update={(patch) => setDraft({ ...draft, ...patch })} />
+              <button type="submit" className="asrt-add" disabled={saving}>
+                {saving ? <Loader2 size={12} className="animate-spin" /> : <Plus size={12} />}
+                Add check
+              </button>
+            </form>
+          )}
+
+          {error && <span className="asrt-error">{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
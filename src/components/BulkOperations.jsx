@@ -2,8 +2,9 @@
 import { useState } from "react";
 import { 
   CheckSquare, Square, Download, Trash2, FileJson, 
-  FileText, Table, X, AlertTriangle, Zap
+  FileText, Table, X, AlertTriangle, Zap, MessageSquare
 } from 'lucide-react';
+import { CHAT_EXPORT_FORMATS, isChatPrompt } from "../lib/chatPrompts";
 
 export default function BulkOperations({
   prompts,
@@ -13,6 +14,7 @@ export default function BulkOperations({
   onBulkExport,
   userRole,
   userId,
+  trashEnabled = false,
 }) {
   const [isExporting, setIsExporting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
@@ -58,10 +60,16 @@ export default function BulkOperations({
       return;
     }
 
+    // Team prompts go to the trash and can be restored; guest deletes are final
+    const verb = trashEnabled ? "Move" : "Delete";
+    const target = trashEnabled ? " to the trash" : "";
+    const outcome = trashEnabled
+      ? "They can be restored from the trash for 30 days."
+      : "This cannot be undone.";
     const confirmMessage =
       selectionStats.ownedByOthers > 0
-        ? `Delete ${selectionStats.total} prompts? This includes ${selectionStats.ownedByOthers} prompts created by other team members. This cannot be undone.`
-        : `Delete ${selectionStats.total} selected prompts? This cannot be undone.`;
+        ? `${verb} ${selectionStats.total} prompts${target}? This includes ${selectionStats.ownedByOthers} prompts created by other team members. ${outcome}`
+        : `${verb} ${selectionStats.total} selected prompts${target}? ${outcome}`;
 
     if (!confirm(confirmMessage)) return;
 
@@ -238,6 +246,37 @@ export default function BulkOperations({
               )}
               Export TXT
             </button>
+
+            {/* Chat-ready request bodies, offered once a chat prompt is selected */}
+            {prompts.some((p) => selectedPrompts.includes(p.id) && isChatPrompt(p)) && (
+              <>
+                <button
+                  onClick={() => handleBulkExport(CHAT_EXPORT_FORMATS.OPENAI)}
+                  disabled={isExporting}
+                  className="btn-secondary text-sm px-3 py-1.5 flex items-center gap-1.5 disabled:opacity-50 transition-all"
+                >
+                  {isExporting ? (
+                    <div className="neo-spinner w-3 h-3"></div>
+                  ) : (
+                    <MessageSquare size={14} />
+                  )}
+                  OpenAI JSON
+                </button>
+
+                <button
+                  onClick={() => handleBulkExport(CHAT_EXPORT_FORMATS.ANTHROPIC)}
+                  disabled={isExporting}
+                  className="btn-secondary text-sm px-3 py-1.5 flex items-center gap-1.5 disabled:opacity-50 transition-all"
+                >
+                  {isExporting ? (
+                    <div className="neo-spinner w-3 h-3"></div>
+                  ) : (
+                    <MessageSquare size={14} />
+                  )}
+                  Anthropic JSON
+                </button>
+              </>
+            )}
           </div>
 
           {/* Delete Option */}
@@ -0,0 +1,617 @@
+// src/components/ChangeRequests.jsx
+// Propose an edit to someone else's prompt, and the review panel where the
+// author or an admin discusses, applies or declines proposals
+import { useState, useEffect } from "react";
+import {
+  X,
+  GitPullRequest,
+  GitMerge,
+  AlertTriangle,
+  Send,
+  ChevronLeft,
+  Check,
+  Ban,
+  Undo2,
+} from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import { useTimestamp } from "../hooks/useTimestamp";
+import {
+  CHANGE_REQUEST_STATUSES,
+  CHANGE_REQUEST_META,
+  hasConflict,
+  subscribeToChangeRequests,
+  addChangeRequestComment,
+  approveChangeRequest,
+  rejectChangeRequest,
+  withdrawChangeRequest,
+} from "../lib/changeRequests";
+import TextDiff from "./TextDiff";
+
+const CHANGE_STYLES = `
+  @keyframes chrFade { from{opacity:0} to{opacity:1} }
+  @keyframes chrRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .chr-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:chrFade .18s ease-out;
+  }
+  .chr-shell {
+    width:100%;max-width:760px;max-height:90vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:chrRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .chr-hd {
+    display:flex;align-items:center;justify-content:space-between;gap:.75rem;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .chr-title { font-size:.9rem;font-weight:700;color:var(--foreground);display:flex;align-items:center;gap:.45rem; }
+  .chr-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .chr-close, .chr-back {
+    width:28px;height:28px;flex-shrink:0;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .chr-close:hover, .chr-back:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .chr-body { flex:1;overflow-y:auto;padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.85rem; }
+  .chr-lbl { font-size:.62rem;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:var(--muted-foreground);margin-bottom:.3rem; }
+  .chr-input, .chr-textarea {
+    width:100%;padding:.55rem .65rem;border-radius:8px;box-sizing:border-box;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.78rem;font-family:inherit;outline:none;
+  }
+  .chr-textarea { resize:vertical;line-height:1.5; }
+  .chr-textarea.mono { font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:.74rem; }
+  .chr-input:focus, .chr-textarea:focus { border-color:rgba(139,92,246,.42); }
+  .chr-hint { font-size:.68rem;color:var(--muted-foreground); }
+  .chr-error { font-size:.7rem;color:#f87171; }
+  .chr-link { background:none;border:none;cursor:pointer;font-size:.68rem;font-weight:600;color:var(--primary);padding:0; }
+
+  .chr-list { display:flex;flex-direction:column;gap:.35rem; }
+  .chr-item {
+    display:flex;align-items:center;gap:.6rem;padding:.6rem .7rem;border-radius:10px;cursor:pointer;
+    background:rgba(255,255,255,.02);border:1px solid rgba(255,255,255,.06);
+    text-align:left;width:100%;font-family:inherit;color:var(--foreground);
+  }
+  .chr-item:hover { border-color:rgba(139,92,246,.3);background:rgba(139,92,246,.05); }
+  .chr-item-main { flex:1;min-width:0; }
+  .chr-item-title { font-size:.78rem;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis; }
+  .chr-item-meta { font-size:.66rem;color:var(--muted-foreground);margin-top:.1rem; }
+  .chr-pill {
+    font-size:.6rem;font-weight:700;padding:.1rem .45rem;border-radius:999px;white-space:nowrap;
+    border:1px solid currentColor;
+  }
+  .chr-empty { font-size:.74rem;color:var(--muted-foreground);text-align:center;padding:1.5rem 0; }
+
+  .chr-warn {
+    display:flex;gap:.55rem;padding:.65rem .75rem;border-radius:10px;font-size:.72rem;line-height:1.5;
+    background:rgba(245,158,11,.08);border:1px solid rgba(245,158,11,.3);color:#fcd34d;
+  }
+  .chr-note {
+    padding:.55rem .7rem;border-radius:9px;font-size:.74rem;line-height:1.5;color:var(--foreground);
+    background:rgba(255,255,255,.03);border-left:2px solid rgba(139,92,246,.5);white-space:pre-wrap;
+  }
+  .chr-field { font-size:.76rem;color:var(--foreground); }
+  .chr-old { color:#fca5a5;text-decoration:line-through; }
+  .chr-new { color:#6ee7b7; }
+  .chr-tags { display:flex;flex-wrap:wrap;gap:.3rem; }
+  .chr-tag { font-size:.64rem;padding:.1rem .45rem;border-radius:999px; }
+  .chr-tag.add { background:rgba(52,211,153,.14);color:#6ee7b7; }
+  .chr-tag.del { background:rgba(248,113,113,.14);color:#fca5a5;text-decoration:line-through; }
+
+  .chr-thread { display:flex;flex-direction:column;gap:.45rem; }
+  .chr-msg { padding:.5rem .65rem;border-radius:9px;background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.05); }
+  .chr-msg-hd { font-size:.64rem;color:var(--muted-foreground);margin-bottom:.15rem; }
+  .chr-msg-hd strong { color:var(--foreground);font-weight:600; }
+  .chr-msg-text { font-size:.74rem;color:var(--foreground);white-space:pre-wrap;line-height:1.5; }
+  .chr-reply { display:flex;gap:.4rem;align-items:flex-end; }
+  .chr-send {
+    width:34px;height:34px;flex-shrink:0;border-radius:8px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:rgba(139,92,246,.18);color:var(--primary);
+  }
+  .chr-send:disabled { opacity:.45;cursor:not-allowed; }
+  .chr-check { display:flex;align-items:center;gap:.4rem;font-size:.7rem;color:#fcd34d;cursor:pointer; }
+
+  .chr-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;flex-wrap:wrap;gap:.5rem;align-items:center;background:rgba(0,0,0,.08);
+  }
+  .chr-btn {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:700;
+    display:flex;align-items:center;justify-content:center;gap:.4rem;border:none;
+  }
+  .chr-btn:disabled { opacity:.45;cursor:not-allowed; }
+  .chr-btn.primary { flex:1;background:var(--primary);color:var(--primary-foreground, #000); }
+  .chr-btn.danger { background:rgba(248,113,113,.12);color:#f87171;border:1px solid rgba(248,113,113,.25); }
+  .chr-btn.ghost { background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);font-weight:600; }
+`;
+
+function parseTags(value) {
+  return value
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Edit a copy of the prompt and send it for review via
+ * onSubmit({ title, text, tags, note })
+ */
+export function ProposeChangeModal({ open, prompt, onSubmit, onClose }) {
+  const [title, setTitle] = useState("");
+  const [text, setText] = useState("");
+  const [tags, setTags] = useState("");
+  const [note, setNote] = useState("");
+  const [showDiff, setShowDiff] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open || !prompt) return;
+    setTitle(prompt.title || "");
+    setText(prompt.text || "");
+    setTags((prompt.tags || []).join(", "));
+    setNote("");
+    setShowDiff(false);
+    setError("");
+  }, [open, prompt]);
+
+  if (!open || !prompt) return null;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+    try {
+      await onSubmit({ title, text, tags: parseTags(tags), note });
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to send proposal");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <>
+      <style>{CHANGE_STYLES}</style>
+      <div className="chr-overlay" onClick={submitting ? undefined : onClose}>
+        <form className="chr-shell" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+          <div className="chr-hd">
+            <div>
+              <div className="chr-title">
+                <GitPullRequest size={15} /> Propose a change
+              </div>
+              <div className="chr-sub">
+                The author or an admin will review it before it goes in
+              </div>
+            </div>
+            <button type="button" className="chr-close" onClick={onClose} disabled={submitting}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="chr-body">
+            <div>
+              <div className="chr-lbl">Title</div>
+              <input className="chr-input" value={title} onChange={(e) => setTitle(e.target.value)} />
+            </div>
+            <div>
+              <div className="chr-lbl" style={{ display: "flex", justifyContent: "space-between" }}>
+                <span>Prompt</span>
+                <button type="button" className="chr-link" onClick={() => setShowDiff((v) => !v)}>
+                  {showDiff ? "Edit text" : "Preview changes"}
+                </button>
+              </div>
+              {showDiff ? (
+                <TextDiff before={prompt.text || ""} after={text} />
+              ) : (
+                <textarea
+                  className="chr-textarea mono"
+                  rows={10}
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                />
+              )}
+            </div>
+            <div>
+              <div className="chr-lbl">Tags</div>
+              <input
+                className="chr-input"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="Comma separated"
+              />
+            </div>
+            <div>
+              <div className="chr-lbl">Why this change?</div>
+              <textarea
+                className="chr-textarea"
+                rows={3}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Give the reviewer some context (optional)"
+              />
+            </div>
+            {error && <span className="chr-error">{error}</span>}
+          </div>
+
+          <div className="chr-ft">
+            <button type="submit" className="chr-btn primary" disabled={submitting}>
+              <Send size={13} />
+              {submitting ? "Sending…" : "Send for review"}
+            </button>
+            <button type="button" className="chr-btn ghost" onClick={onClose} disabled={submitting}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
+
+function memberName(teamMembers, uid) {
+  const member = teamMembers[uid];
+  return member?.name || member?.email || "Former member";
+}
+
+function StatusPill({ status }) {
+  const meta = CHANGE_REQUEST_META[status] || CHANGE_REQUEST_META.open;
+  return (
+    <span className="chr-pill" style={{ color: meta.color }}>
+      {meta.label}
+    </span>
+  );
+}
+
+// Title and tag changes, shown above the text diff
+function FieldChanges({ from, to }) {
+  const oldTags = from.tags || [];
+  const newTags = to.tags || [];
+  const added = newTags.filter((t) => !oldTags.includes(t));
+  const removed = oldTags.filter((t) => !newTags.includes(t));
+  const titleChanged = (from.title || "") !== (to.title || "");
+  if (!titleChanged && added.length === 0 && removed.length === 0) return null;
+
+  return (
+    <div>
+      <div className="chr-lbl">Fields</div>
+      {titleChanged && (
+        <div className="chr-field">
+          Title: <span className="chr-old">{from.title || "(none)"}</span> →{" "}
+          <span className="chr-new">{to.title || "(none)"}</span>
+        </div>
+      )}
+      {(added.length > 0 || removed.length > 0) && (
+        <div className="chr-tags" style={{ marginTop: ".35rem" }}>
+          {added.map((t) => (
+            <span key={`+${t}`} className="chr-tag add">+#{t}</span>
+          ))}
+          {removed.map((t) => (
+            <span key={`-${t}`} className="chr-tag del">#{t}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RequestDetail({ teamId, prompt, request, canReview, teamMembers }) {
+  const { user } = useAuth();
+  const { formatRelative } = useTimestamp();
+  const [reply, setReply] = useState("");
+  const [reviewComment, setReviewComment] = useState("");
+  const [overwrite, setOverwrite] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const isOpen = request.status === CHANGE_REQUEST_STATUSES.OPEN;
+  const isAuthor = user?.uid === request.createdBy;
+  const conflict = isOpen && hasConflict(request, prompt);
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleReply(e) {
+    e.preventDefault();
+    run(async () => {
+      await addChangeRequestComment(teamId, prompt.id, request.id, user.uid, reply);
+      setReply("");
+    });
+  }
+
+  return (
+    <>
+      <div className="chr-body">
+        <div style={{ display: "flex", alignItems: "center", gap: ".5rem", flexWrap: "wrap" }}>
+          <StatusPill status={request.status} />
+          <span className="chr-hint">
+            {memberName(teamMembers, request.createdBy)} proposed this{" "}
+            {formatRelative(request.createdAt)}
+          </span>
+        </div>
+
+        {request.note && <div className="chr-note">{request.note}</div>}
+
+        {conflict && (
+          <div className="chr-warn">
+            <AlertTriangle size={15} style={{ flexShrink: 0, marginTop: ".1rem" }} />
+            <div style={{ flex: 1 }}>
+              The prompt was edited after this proposal was made. Applying it
+              will replace those edits with the proposed version.
+              <details style={{ marginTop: ".4rem" }}>
+                <summary style={{ cursor: "pointer" }}>What changed since</summary>
+                <div style={{ marginTop: ".45rem" }}>
+                  <FieldChanges from={request.base} to={prompt} />
+                  <TextDiff before={request.base.text} after={prompt.text || ""} />
+                </div>
+              </details>
+            </div>
+          </div>
+        )}
+
+        <FieldChanges from={request.base || {}} to={request} />
+
+        <div>
+          <div className="chr-lbl">Proposed text</div>
+          <TextDiff
+            before={request.base?.text || ""}
+            after={request.text || ""}
+            initialLayout="split"
+            showLayoutToggle
+          />
+        </div>
+
+        {!isOpen && request.reviewComment && (
+          <div>
+            <div className="chr-lbl">
+              Review by {memberName(teamMembers, request.reviewedBy)}
+            </div>
+            <div className="chr-note">{request.reviewComment}</div>
+          </div>
+        )}
+
+        <div>
+          <div className="chr-lbl">Discussion</div>
+          <div className="chr-thread">
+            {(request.discussion || []).length === 0 && (
+              <span className="chr-hint">No messages yet.</span>
+            )}
+            {(request.discussion || []).map((msg) => (
+              <div key={msg.id} className="chr-msg">
+                <div className="chr-msg-hd">
+                  <strong>{memberName(teamMembers, msg.userId)}</strong> ·{" "}
+                  {formatRelative(msg.createdAt)}
+                </div>
+                <div className="chr-msg-text">{msg.text}</div>
+              </div>
+            ))}
+            {user && (
+              <form className="chr-reply" onSubmit={handleReply}>
+                <textarea
+                  className="chr-textarea"
+                  rows={2}
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  placeholder="Ask a question or suggest a tweak…"
+                  disabled={busy}
+                />
+                <button type="submit" className="chr-send" disabled={busy || !reply.trim()}>
+                  <Send size={13} />
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+
+        {isOpen && canReview && (
+          <div>
+            <div className="chr-lbl">Review comment</div>
+            <textarea
+              className="chr-textarea"
+              rows={2}
+              value={reviewComment}
+              onChange={(e) => setReviewComment(e.target.value)}
+              placeholder="Required when declining"
+              disabled={busy}
+            />
+            {conflict && (
+              <label className="chr-check" style={{ marginTop: ".45rem" }}>
+                <input
+                  type="checkbox"
+                  checked={overwrite}
+                  onChange={(e) => setOverwrite(e.target.checked)}
+                  disabled={busy}
+                />
+                Apply anyway and overwrite the newer edits
+              </label>
+            )}
+          </div>
+        )}
+
+        {error && <span className="chr-error">{error}</span>}
+      </div>
+
+      {isOpen && (canReview || isAuthor) && (
+        <div className="chr-ft">
+          {canReview && (
+            <>
+              <button
+                type="button"
+                className="chr-btn primary"
+                disabled={busy || (conflict && !overwrite)}
+                onClick={() =>
+                  run(() =>
+                    approveChangeRequest(teamId, prompt, request, user.uid, {
+                      comment: reviewComment,
+                      force: overwrite,
+                    })
+                  )
+                }
+              >
+                <GitMerge size={13} />
+                Apply change
+              </button>
+              <button
+                type="button"
+                className="chr-btn danger"
+                disabled={busy}
+                onClick={() =>
+                  run(() =>
+                    rejectChangeRequest(teamId, prompt.id, request, user.uid, reviewComment)
+                  )
+                }
+              >
+                <Ban size={13} />
+                Decline
+              </button>
+            </>
+          )}
+          {isAuthor && (
+            <button
+              type="button"
+              className="chr-btn ghost"
+              disabled={busy}
+              onClick={() => run(() => withdrawChangeRequest(teamId, prompt.id, request))}
+            >
+              <Undo2 size={13} />
+              Withdraw
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * Every proposal made against a prompt. Reviewers (the prompt's author and
+ * team admins) can apply or decline open ones; anyone who can see the
+ * prompt can join the discussion.
+ */
+export default function ChangeRequestsPanel({
+  open,
+  teamId,
+  prompt,
+  canReview = false,
+  teamMembers = {},
+  onClose,
+}) {
+  const { formatRelative } = useTimestamp();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const promptId = prompt?.id;
+
+  useEffect(() => {
+    if (!open || !teamId || !promptId) return;
+    setLoading(true);
+    setSelectedId(null);
+    return subscribeToChangeRequests(teamId, promptId, (items) => {
+      setRequests(items);
+      setLoading(false);
+    });
+  }, [open, teamId, promptId]);
+
+  if (!open || !prompt) return null;
+
+  const selected = requests.find((r) => r.id === selectedId);
+  const openCount = requests.filter((r) => r.status === CHANGE_REQUEST_STATUSES.OPEN).length;
+  // Open proposals first, then the rest newest first
+  const ordered = [
+    ...requests.filter((r) => r.status === CHANGE_REQUEST_STATUSES.OPEN),
+    ...requests.filter((r) => r.status !== CHANGE_REQUEST_STATUSES.OPEN),
+  ];
+
+  return (
+    <>
+      <style>{CHANGE_STYLES}</style>
+      <div className="chr-overlay" onClick={onClose}>
+        <div className="chr-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="chr-hd">
+            <div style={{ display: "flex", alignItems: "center", gap: ".5rem", minWidth: 0 }}>
+              {selected && (
+                <button type="button" className="chr-back" onClick={() => setSelectedId(null)}>
+                  <ChevronLeft size={15} />
+                </button>
+              )}
+              <div style={{ minWidth: 0 }}>
+                <div className="chr-title">
+                  <GitPullRequest size={15} />
+                  {selected ? selected.title || "Untitled proposal" : "Change requests"}
+                </div>
+                <div className="chr-sub">
+                  {prompt.title}
+                  {!selected && ` · ${openCount} open`}
+                </div>
+              </div>
+            </div>
+            <button type="button" className="chr-close" onClick={onClose}>
+              <X size={14} />
+            </button>
+          </div>
+
+          {selected ? (
+            <RequestDetail
+              key={selected.id}
+              teamId={teamId}
+              prompt={prompt}
+              request={selected}
+              canReview={canReview}
+              teamMembers={teamMembers}
+            />
+          ) : (
+            <div className="chr-body">
+              {loading ? (
+                <div className="chr-empty">Loading…</div>
+              ) : ordered.length === 0 ? (
+                <div className="chr-empty">No one has proposed changes to this prompt yet.</div>
+              ) : (
+                <div className="chr-list">
+                  {ordered.map((r) => (
+                    <button
+                      key={r.id}
+                      type="button"
+                      className="chr-item"
+                      onClick={() => setSelectedId(r.id)}
+                    >
+                      {r.status === CHANGE_REQUEST_STATUSES.APPROVED ? (
+                        <Check size={14} style={{ color: CHANGE_REQUEST_META.approved.color }} />
+                      ) : (
+                        <GitPullRequest size={14} style={{ color: CHANGE_REQUEST_META[r.status]?.color }} />
+                      )}
+                      <div className="chr-item-main">
+                        <div className="chr-item-title">{r.note || r.title || "Proposed change"}</div>
+                        <div className="chr-item-meta">
+                          {memberName(teamMembers, r.createdBy)} · {formatRelative(r.createdAt)}
+                          {(r.discussion || []).length > 0 &&
+                            ` · ${r.discussion.length} ${r.discussion.length === 1 ? "message" : "messages"}`}
+                          {r.status === CHANGE_REQUEST_STATUSES.OPEN && hasConflict(r, prompt) &&
+                            " · conflicts"}
+                        </div>
+                      </div>
+                      <StatusPill status={r.status} />
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,261 @@
+// src/components/ChatPromptEditor.jsx
+// Editor and read-only conversation view for multi-message chat prompts
+import { ArrowUp, ArrowDown, Trash2, Plus, MessageSquare, FileText, Layers } from "lucide-react";
+import {
+  MESSAGE_ROLES,
+  ROLE_LABELS,
+  PROMPT_TYPES,
+  createExamplePair,
+  normalizeMessages,
+} from "../lib/chatPrompts";
+
+const ROLE_COLORS = {
+  system: { fg: "#f59e0b", bg: "rgba(245,158,11,.08)", border: "rgba(245,158,11,.2)" },
+  user: { fg: "#a78bfa", bg: "rgba(139,92,246,.08)", border: "rgba(139,92,246,.2)" },
+  assistant: { fg: "#34d399", bg: "rgba(16,185,129,.08)", border: "rgba(16,185,129,.2)" },
+};
+
+const CHAT_STYLES = `
+  .cpe-list { display:flex;flex-direction:column;gap:.5rem; }
+  .cpe-msg {
+    display:flex;flex-direction:column;gap:.35rem;
+    padding:.6rem .7rem;border-radius:9px;border:1px solid;
+  }
+  .cpe-msg-hd { display:flex;align-items:center;gap:.35rem; }
+  .cpe-role {
+    padding:.2rem .4rem;border-radius:6px;font-size:.68rem;font-weight:700;
+    background:rgba(0,0,0,.2);border:1px solid rgba(255,255,255,.08);color:var(--foreground);
+  }
+  .cpe-example {
+    font-size:.58rem;font-weight:700;letter-spacing:.05em;text-transform:uppercase;
+    padding:.08rem .35rem;border-radius:4px;color:var(--muted-foreground);
+    border:1px dashed rgba(255,255,255,.15);
+  }
+  .cpe-spacer { flex:1; }
+  .cpe-icon-btn {
+    width:24px;height:24px;border-radius:6px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .cpe-icon-btn:hover:not(:disabled) { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .cpe-icon-btn:disabled { opacity:.3;cursor:not-allowed; }
+  .cpe-textarea {
+    width:100%;padding:.5rem .6rem;border-radius:7px;resize:vertical;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.07);
+    color:var(--foreground);font-family:'JetBrains Mono','Consolas',monospace;
+    font-size:.75rem;line-height:1.6;outline:none;box-sizing:border-box;
+  }
+  .cpe-textarea:focus { border-color:rgba(139,92,246,.42); }
+  .cpe-actions { display:flex;gap:.4rem;flex-wrap:wrap; }
+  .cpe-add {
+    display:flex;align-items:center;gap:.3rem;padding:.4rem .7rem;border-radius:7px;
+    font-size:.72rem;font-weight:600;cursor:pointer;background:transparent;
+    color:var(--muted-foreground);border:1px dashed rgba(255,255,255,.14);
+  }
+  .cpe-add:hover:not(:disabled) { color:var(--foreground);border-color:rgba(139,92,246,.4); }
+
+  .cpe-type-toggle { display:grid;grid-template-columns:1fr 1fr;gap:.4rem; }
+  .cpe-type-opt {
+    display:flex;align-items:center;justify-content:center;gap:.35rem;
+    padding:.5rem;border-radius:8px;cursor:pointer;font-size:.75rem;font-weight:600;
+    background:rgba(255,255,255,.02);color:var(--muted-foreground);
+    border:1px solid rgba(255,255,255,.07);
+  }
+  .cpe-type-opt.active { color:var(--foreground);border-color:rgba(139,92,246,.45);background:rgba(139,92,246,.08); }
+
+  .cpe-convo { display:flex;flex-direction:column;gap:.35rem; }
+  .cpe-bubble {
+    padding:.4rem .55rem;border-radius:8px;border:1px solid;font-size:.75rem;line-height:1.5;
+    white-space:pre-wrap;word-break:break-word;
+  }
+  .cpe-bubble.clamped {
+    display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden;
+  }
+  .cpe-bubble-role { font-size:.6rem;font-weight:700;letter-spacing:.05em;text-transform:uppercase;margin-bottom:.15rem; }
+  .cpe-more { font-size:.65rem;color:var(--muted-foreground); }
+`;
+
+/**
+ * Two-way switch between a single text prompt and a chat prompt
+ */
+export function PromptTypeToggle({ value, onChange, disabled = false }) {
+  return (
+    <>
+      <style>{CHAT_STYLES}</style>
+      <div className="cpe-type-toggle">
+        {[
+          { type: PROMPT_TYPES.TEXT, label: "Single text", icon: <FileText size={13} /> },
+          { type: PROMPT_TYPES.CHAT, label: "Chat messages", icon: <MessageSquare size={13} /> },
+        ].map(({ type, label, icon }) => (
+          <button
+            key={type}
+            type="button"
+            className={`cpe-type-opt${value === type ? " active" : ""}`}
+            onClick={() => onChange(type)}
+            disabled={disabled}
+          >
+            {icon}
+            {label}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Read-only conversation rendering used on prompt cards
+ */
+export function ChatConversation({ messages, collapsed = false, maxCollapsed = 3 }) {
+  const normalized = normalizeMessages(messages).filter((m) => m.content.trim());
+  const visible = collapsed ? normalized.slice(0, maxCollapsed) : normalized;
+  const hidden = normalized.length - visible.length;
+
+  return (
+    <>
+      <style>{CHAT_STYLES}</style>
+      <div className="cpe-convo">
+        {visible.map((m, i) => {
+          const colors = ROLE_COLORS[m.role];
+          return (
+            <div
+              key={i}
+              className={`cpe-bubble${collapsed ? " clamped" : ""}`}
+              style={{ background: colors.bg, borderColor: colors.border }}
+            >
+              <div className="cpe-bubble-role" style={{ color: colors.fg }}>
+                {m.example ? `Example · ${ROLE_LABELS[m.role]}` : ROLE_LABELS[m.role]}
+              </div>
+              {m.content}
+            </div>
+          );
+        })}
+        {hidden > 0 && (
+          <span className="cpe-more">
+            +{hidden} more message{hidden !== 1 ? "s" : ""}
+          </span>
+        )}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Ordered message list editor with role selection, reordering and
+ * few-shot example pairs.
+ */
+export default function ChatMessagesEditor({ messages, onChange, disabled = false }) {
+  function update(index, patch) {
+    onChange(messages.map((m, i) => (i === index ? { ...m, ...patch } : m)));
+  }
+
+  function move(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= messages.length) return;
+    const next = [...messages];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  }
+
+  function remove(index) {
+    onChange(messages.filter((_, i) => i !== index));
+  }
+
+  function addMessage() {
+    const last = messages[messages.length - 1];
+    const role = last?.role === "user" ? "assistant" : "user";
+    onChange([...messages, { role, content: "" }]);
+  }
+
+  return (
+    <>
+      <style>{CHAT_STYLES}</style>
+      <div className="cpe-list">
+        {messages.map((message, index) => {
+          const colors = ROLE_COLORS[message.role] || ROLE_COLORS.user;
+          return (
+            <div
+              key={index}
+              className="cpe-msg"
+              style={{ background: colors.bg, borderColor: colors.border }}
+            >
+              <div className="cpe-msg-hd">
+                <select
+                  className="cpe-role"
+                  value={message.role}
+                  disabled={disabled}
+                  onChange={(e) => update(index, { role: e.target.value })}
+                >
+                  {MESSAGE_ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {ROLE_LABELS[role]}
+                    </option>
+                  ))}
+                </select>
+                {message.example && <span className="cpe-example">Example</span>}
+                <div className="cpe-spacer" />
+                <button
+                  type="button"
+                  className="cpe-icon-btn"
+                  title="Move up"
+                  disabled={disabled || index === 0}
+                  onClick={() => move(index, -1)}
+                >
+                  <ArrowUp size={12} />
+                </button>
+                <button
+                  type="button"
+                  className="cpe-icon-btn"
+                  title="Move down"
+                  disabled={disabled || index === messages.length - 1}
+                  onClick={() => move(index, 1)}
+                >
+                  <ArrowDown size={12} />
+                </button>
+                <button
+                  type="button"
+                  className="cpe-icon-btn"
+                  title="Remove message"
+                  disabled={disabled || messages.length <= 1}
+                  onClick={() => remove(index)}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+              <textarea
+                className="cpe-textarea"
+                rows={message.role === "system" ? 4 : 3}
+                value={message.content}
+                disabled={disabled}
+                placeholder={
+                  message.role === "system"
+                    ? "Instructions that set the model's behaviour…"
+                    : message.role === "user"
+                      ? "What the user says…"
+                      : "How the assistant should reply…"
+                }
+                onChange={(e) => update(index, { content: e.target.value })}
+              />
+            </div>
+          );
+        })}
+
+        <div className="cpe-actions">
+          <button type="button" className="cpe-add" onClick={addMessage} disabled={disabled}>
+            <Plus size={12} />
+            Add message
+          </button>
+          <button
+            type="button"
+            className="cpe-add"
+            onClick={() => onChange([...messages, ...createExamplePair()])}
+            disabled={disabled}
+          >
+            <Layers size={12} />
+            Add example pair
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,11 +1,12 @@
 // src/components/CollaborativePromptEditor.jsx - Full Collaboration Interface with Versioning
 import { useState, useEffect } from "react";
 import { db } from "../lib/firebase";
-import { doc, getDoc, updateDoc, serverTimestamp } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
 import { useCollaboration } from "../context/CollaborationContext";
 import CollaborativeEditor from "./CollaborativeEditor";
-import PromptVersioning, { savePromptVersion } from "./PromptVersioning";
+import PromptVersioning from "./PromptVersioning";
+import { updatePrompt } from "../lib/prompts";
 
 export default function CollaborativePromptEditor({
   promptId,
@@ -95,34 +96,14 @@ export default function CollaborativePromptEditor({
       return;
     }
 
-    // 1. Create a version snapshot before updating the main prompt
+    // The version snapshot is written in the same transaction as the update
     try {
-      await savePromptVersion(
+      await updatePrompt(
         teamId,
         promptId,
-        {
-          title: newTitle,
-          text: content,
-          tags: newTags,
-          createdBy: user.uid,
-        },
-        "Collaborative Save"
+        { title: newTitle, text: content, tags: newTags },
+        { userId: user.uid }
       );
-      console.log("✅ Prompt version saved.");
-    } catch (versionError) {
-      console.error("Warning: Failed to save version:", versionError);
-      showNotification("Warning: Version save failed.", "warning");
-    }
-
-    // 2. Update the main prompt document
-    try {
-      const promptRef = doc(db, "teams", teamId, "prompts", promptId);
-      await updateDoc(promptRef, {
-        title: newTitle,
-        text: content,
-        tags: newTags,
-        updatedAt: serverTimestamp(),
-      });
 
       if (onSave) {
         onSave();
@@ -0,0 +1,488 @@
+// src/components/CustomFields.jsx
+// Team-defined metadata: schema editor, form inputs, card chips and filters
+import { useState, useEffect } from "react";
+import { X, Plus, Trash2, Save, ChevronUp, ChevronDown, ExternalLink } from "lucide-react";
+import {
+  FIELD_TYPES,
+  FIELD_TYPE_LABELS,
+  hasOptions,
+  makeFieldId,
+  validateSchema,
+  formatMetadataValue,
+  isEmptyValue,
+} from "../lib/customFields";
+
+const FIELD_STYLES = `
+  @keyframes cfxFade { from{opacity:0} to{opacity:1} }
+  @keyframes cfxRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .cfx-error { font-size:.66rem;color:#f87171; }
+  .cfx-optional { opacity:.5;text-transform:none;letter-spacing:0;font-weight:500; }
+  .cfx-opts { display:flex;flex-wrap:wrap;gap:.3rem; }
+  .cfx-opt {
+    padding:.2rem .55rem;border-radius:999px;cursor:pointer;font-size:.7rem;font-weight:600;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.1);color:var(--muted-foreground);
+  }
+  .cfx-opt.on { background:rgba(139,92,246,.14);border-color:rgba(139,92,246,.4);color:var(--foreground); }
+  .cfx-opt:disabled { opacity:.5;cursor:not-allowed; }
+
+  .cfx-chips { display:flex;flex-wrap:wrap;gap:.3rem;margin:.1rem 0 .4rem; }
+  .cfx-chip {
+    display:inline-flex;align-items:center;gap:.25rem;max-width:100%;
+    padding:.1rem .45rem;border-radius:5px;font-size:.64rem;
+    background:rgba(255,255,255,.04);border:1px solid rgba(255,255,255,.07);color:var(--foreground);
+  }
+  .cfx-chip-lbl { color:var(--muted-foreground); }
+  .cfx-chip-val { white-space:nowrap;overflow:hidden;text-overflow:ellipsis; }
+  .cfx-chip a { color:var(--primary);display:inline-flex;align-items:center;gap:.15rem; }
+
+  .cfx-range { display:flex;gap:.35rem; }
+
+  .cfx-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:cfxFade .18s ease-out;
+  }
+  .cfx-shell {
+    width:100%;max-width:620px;max-height:88vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:cfxRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .cfx-hd {
+    display:flex;align-items:center;justify-content:space-between;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .cfx-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .cfx-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .cfx-close {
+    width:28px;height:28px;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .cfx-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .cfx-body { flex:1;overflow-y:auto;padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.6rem; }
+  .cfx-row {
+    display:flex;flex-direction:column;gap:.45rem;padding:.7rem .8rem;border-radius:10px;
+    background:rgba(255,255,255,.025);border:1px solid rgba(255,255,255,.06);
+  }
+  .cfx-row-top { display:flex;gap:.45rem;align-items:center; }
+  .cfx-input {
+    width:100%;padding:.5rem .6rem;border-radius:8px;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.78rem;font-family:inherit;
+    outline:none;box-sizing:border-box;
+  }
+  .cfx-input:focus { border-color:rgba(139,92,246,.42); }
+  .cfx-check { display:flex;align-items:center;gap:.3rem;font-size:.7rem;color:var(--muted-foreground);white-space:nowrap; }
+  .cfx-icon-btn {
+    width:26px;height:26px;flex-shrink:0;border-radius:6px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .cfx-icon-btn:hover:not(:disabled) { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .cfx-icon-btn.danger:hover { color:#f87171; }
+  .cfx-icon-btn:disabled { opacity:.3;cursor:default; }
+  .cfx-id { font-size:.62rem;color:var(--muted-foreground);font-family:ui-monospace,monospace; }
+  .cfx-add {
+    display:flex;align-items:center;justify-content:center;gap:.35rem;padding:.55rem;border-radius:9px;
+    border:1px dashed rgba(255,255,255,.14);background:none;cursor:pointer;
+    font-size:.75rem;font-weight:600;color:var(--muted-foreground);
+  }
+  .cfx-add:hover { color:var(--foreground);border-color:rgba(139,92,246,.4); }
+  .cfx-empty { font-size:.74rem;color:var(--muted-foreground);text-align:center;padding:1rem 0; }
+  .cfx-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;align-items:center;background:rgba(0,0,0,.08);
+  }
+  .cfx-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .cfx-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .cfx-cancel {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+`;
+
+const INPUT_TYPES = {
+  [FIELD_TYPES.NUMBER]: "number",
+  [FIELD_TYPES.DATE]: "date",
+  [FIELD_TYPES.URL]: "url",
+  [FIELD_TYPES.TEXT]: "text",
+};
+
+/**
+ * Inputs for every field in the team's schema. Class names are passed in
+ * so the fields blend into whichever form hosts them.
+ */
+export function MetadataFieldsEditor({
+  schema = [],
+  values = {},
+  errors = {},
+  onChange,
+  disabled = false,
+  fieldClassName = "",
+  labelClassName = "",
+  inputClassName = "",
+}) {
+  if (schema.length === 0) return null;
+
+  const set = (id, value) => onChange({ ...values, [id]: value });
+
+  return (
+    <>
+      <style>{FIELD_STYLES}</style>
+      {schema.map((field) => {
+        const value = values[field.id];
+        return (
+          <div key={field.id} className={fieldClassName}>
+            <label className={labelClassName}>
+              {field.label}
+              {field.required ? " *" : <span className="cfx-optional"> (optional)</span>}
+            </label>
+
+            {field.type === FIELD_TYPES.SELECT ? (
+              <select
+                className={inputClassName}
+                value={value || ""}
+                disabled={disabled}
+                onChange={(e) => set(field.id, e.target.value)}
+              >
+                <option value="">—</option>
+                {field.options.map((o) => (
+                  <option key={o} value={o}>
+                    {o}
+                  </option>
+                ))}
+              </select>
+            ) : field.type === FIELD_TYPES.MULTISELECT ? (
+              <div className="cfx-opts">
+                {field.options.map((o) => {
+                  const selected = Array.isArray(value) && value.includes(o);
+                  return (
+                    <button
+                      key={o}
+                      type="button"
+                      disabled={disabled}
+                      className={`cfx-opt ${selected ? "on" : ""}`}
+                      onClick={() =>
+                        set(
+                          field.id,
+                          selected ? value.filter((v) => v !== o) : [...(value || []), o]
+                        )
+                      }
+                    >
+                      {o}
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <input
+                type={INPUT_TYPES[field.type] || "text"}
+                className={inputClassName}
+                value={value ?? ""}
+                disabled={disabled}
+                placeholder={field.type === FIELD_TYPES.URL ? "https://…" : ""}
+                onChange={(e) => set(field.id, e.target.value)}
+              />
+            )}
+
+            {errors[field.id] && <span className="cfx-error">{errors[field.id]}</span>}
+          </div>
+        );
+      })}
+    </>
+  );
+}
+
+/**
+ * Compact "Label: value" chips for a prompt card
+ */
+export function MetadataChips({ schema = [], values = {} }) {
+  const filled = schema.filter((field) => !isEmptyValue(values[field.id]));
+  if (filled.length === 0) return null;
+
+  return (
+    <>
+      <style>{FIELD_STYLES}</style>
+      <div className="cfx-chips">
+        {filled.map((field) => (
+          <span key={field.id} className="cfx-chip" title={field.label}>
+            <span className="cfx-chip-lbl">{field.label}:</span>
+            {field.type === FIELD_TYPES.URL ? (
+              <a href={values[field.id]} target="_blank" rel="noopener noreferrer">
+                link
+                <ExternalLink size={9} />
+              </a>
+            ) : (
+              <span className="cfx-chip-val">
+                {formatMetadataValue(field, values[field.id])}
+              </span>
+            )}
+          </span>
+        ))}
+      </div>
+    </>
+  );
+}
+
+/**
+ * One filter control per schema field. Number and date fields get a
+ * min / max range; option fields a select; text and URL a contains search.
+ */
+export function MetadataFilterInputs({
+  schema = [],
+  filters = {},
+  onChange,
+  fieldClassName = "",
+  labelClassName = "",
+  labelStyle,
+  inputClassName = "",
+}) {
+  if (schema.length === 0) return null;
+
+  const set = (id, value) => onChange({ ...filters, [id]: value });
+
+  return (
+    <>
+      <style>{FIELD_STYLES}</style>
+      {schema.map((field) => {
+        const filter = filters[field.id];
+        const isRange = field.type === FIELD_TYPES.NUMBER || field.type === FIELD_TYPES.DATE;
+        return (
+          <div key={field.id} className={fieldClassName}>
+            <label className={labelClassName} style={labelStyle}>
+              {field.label}
+            </label>
+            {isRange ? (
+              <div className="cfx-range">
+                {["min", "max"].map((bound) => (
+                  <input
+                    key={bound}
+                    type={INPUT_TYPES[field.type]}
+                    className={inputClassName}
+                    placeholder={bound === "min" ? "From" : "To"}
+                    value={filter?.[bound] ?? ""}
+                    onChange={(e) => set(field.id, { ...filter, [bound]: e.target.value })}
+                  />
+                ))}
+              </div>
+            ) : hasOptions(field.type) ? (
+              <select
+                className={inputClassName}
+                value={filter || ""}
+                onChange={(e) => set(field.id, e.target.value)}
+              >
+                <option value="">Any</option>
+                {field.options.map((o) => (
+                  <option key={o} value={o}>
+                    {o}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                className={inputClassName}
+                placeholder="Contains…"
+                value={filter || ""}
+                onChange={(e) => set(field.id, e.target.value)}
+              />
+            )}
+          </div>
+        );
+      })}
+    </>
+  );
+}
+
+const NEW_FIELD = { label: "", type: FIELD_TYPES.TEXT, required: false, options: [] };
+
+/**
+ * Owner-only modal for defining the team's custom fields
+ */
+export default function MetadataSchemaEditor({ open, schema = [], onSave, onClose }) {
+  const [fields, setFields] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    // Options are edited as a comma separated string
+    setFields(schema.map((f) => ({ ...f, optionsText: (f.options || []).join(", ") })));
+    setError("");
+  }, [open, schema]);
+
+  if (!open) return null;
+
+  function update(index, patch) {
+    setFields((prev) => prev.map((f, i) => (i === index ? { ...f, ...patch } : f)));
+  }
+
+  function move(index, delta) {
+    setFields((prev) => {
+      const next = [...prev];
+      const [field] = next.splice(index, 1);
+      next.splice(index + delta, 0, field);
+      return next;
+    });
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    const prepared = fields.map((f) => ({
+      ...f,
+      options: f.optionsText.split(",").map((o) => o.trim()).filter(Boolean),
+    }));
+    try {
+      validateSchema(prepared);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      // New fields get an id that no saved or earlier field already uses
+      const next = [];
+      prepared.forEach((field) => {
+        next.push({
+          id: field.id || makeFieldId(field.label, [...schema, ...prepared, ...next]),
+          label: field.label,
+          type: field.type,
+          required: field.required,
+          options: field.options,
+        });
+      });
+      await onSave(next);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to save fields");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <>
+      <style>{FIELD_STYLES}</style>
+      <div className="cfx-overlay" onClick={onClose}>
+        <form className="cfx-shell" onClick={(e) => e.stopPropagation()} onSubmit={handleSave}>
+          <div className="cfx-hd">
+            <div>
+              <div className="cfx-title">Custom fields</div>
+              <div className="cfx-sub">Extra details every prompt in this team can carry</div>
+            </div>
+            <button type="button" className="cfx-close" onClick={onClose} disabled={saving}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="cfx-body">
+            {fields.length === 0 && (
+              <div className="cfx-empty">
+                No custom fields yet. Add one for things like use case, department or target model.
+              </div>
+            )}
+
+            {fields.map((field, i) => (
+              <div key={field.id || `new-${i}`} className="cfx-row">
+                <div className="cfx-row-top">
+                  <input
+                    className="cfx-input"
+                    placeholder="Field label"
+                    value={field.label}
+                    onChange={(e) => update(i, { label: e.target.value })}
+                  />
+                  <select
+                    className="cfx-input"
+                    style={{ width: "auto" }}
+                    value={field.type}
+                    // Changing the type of a saved field would strand its old values
+                    disabled={Boolean(field.id)}
+                    onChange={(e) => update(i, { type: e.target.value })}
+                  >
+                    {Object.entries(FIELD_TYPE_LABELS).map(([type, label]) => (
+                      <option key={type} value={type}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="cfx-check">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) => update(i, { required: e.target.checked })}
+                    />
+                    Required
+                  </label>
+                  <button
+                    type="button"
+                    className="cfx-icon-btn"
+                    disabled={i === 0}
+                    onClick={() => move(i, -1)}
+                    title="Move up"
+                  >
+                    <ChevronUp size={13} />
+                  </button>
+                  <button
+                    type="button"
+                    className="cfx-icon-btn"
+                    disabled={i === fields.length - 1}
+                    onClick={() => move(i, 1)}
+                    title="Move down"
+                  >
+                    <ChevronDown size={13} />
+                  </button>
+                  <button
+                    type="button"
+                    className="cfx-icon-btn danger"
+                    onClick={() => setFields((prev) => prev.filter((_, j) => j !== i))}
+                    title="Remove field"
+                  >
+                    <Trash2 size={13} />
+                  </button>
+                </div>
+                {hasOptions(field.type) && (
+                  <input
+                    className="cfx-input"
+                    placeholder="Options, comma separated"
+                    value={field.optionsText}
+                    onChange={(e) => update(i, { optionsText: e.target.value })}
+                  />
+                )}
+                {field.id && <span className="cfx-id">id: {field.id}</span>}
+              </div>
+            ))}
+
+            <button
+              type="button"
+              className="cfx-add"
+              onClick={() => setFields((prev) => [...prev, { ...NEW_FIELD, optionsText: "" }])}
+            >
+              <Plus size={13} />
+              Add field
+            </button>
+
+            {error && <span className="cfx-error">{error}</span>}
+          </div>
+
+          <div className="cfx-ft">
+            <button type="submit" className="cfx-submit" disabled={saving}>
+              <Save size={13} />
+              {saving ? "Saving…" : "Save fields"}
+            </button>
+            <button type="button" className="cfx-cancel" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
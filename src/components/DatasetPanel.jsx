@@ -0,0 +1,846 @@
+// src/components/DatasetPanel.jsx
+// A prompt's test-case dataset: edit and import cases, run them all, and
+// review runs side by side in a case × output grid, and see how the latest
+// version's regression check went
+import { useState, useEffect, useMemo, useRef } from "react";
+import {
+  X,
+  Table2,
+  Play,
+  Square,
+  Plus,
+  Pencil,
+  Trash2,
+  Upload,
+  Download,
+  Loader2,
+  TrendingDown,
+  CheckCircle2,
+} from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import { useTimestamp } from "../hooks/useTimestamp";
+import {
+  MAX_TEST_CASES,
+  RUN_STATUSES,
+  subscribeToTestCases,
+  addTestCases,
+  updateTestCase,
+  deleteTestCase,
+  subscribeToDatasetRuns,
+  getRunStatus,
+  runDataset,
+  deleteDatasetRun,
+} from "../lib/datasets";
+import { getDefaultRunParameters, getRunVariables } from "../lib/promptRuns";
+import {
+  REGRESSION_STATUSES,
+  getCurrentRegression,
+  saveRegressionRubric,
+} from "../lib/regressions";
+import { subscribeToRubrics, getGrades } from "../lib/rubrics";
+import { ExportUtils } from "./ExportImport";
+
+const DATASET_STYLES = `
+  @keyframes dsetFade { from{opacity:0} to{opacity:1} }
+  @keyframes dsetRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .dset-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:dsetFade .18s ease-out;
+  }
+  .dset-shell {
+    width:100%;max-width:1100px;max-height:92vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:dsetRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .dset-hd {
+    display:flex;align-items:center;justify-content:space-between;gap:.75rem;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .dset-title { font-size:.9rem;font-weight:700;color:var(--foreground);display:flex;align-items:center;gap:.45rem; }
+  .dset-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .dset-close {
+    width:28px;height:28px;flex-shrink:0;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .dset-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .dset-tabs { display:flex;gap:.3rem;padding:.6rem 1.25rem 0; }
+  .dset-tab {
+    padding:.4rem .8rem;border-radius:8px 8px 0 0;border:none;cursor:pointer;
+    font-size:.74rem;font-weight:600;background:transparent;color:var(--muted-foreground);
+  }
+  .dset-tab.on { background:rgba(139,92,246,.12);color:var(--foreground); }
+  .dset-body { flex:1;overflow:auto;padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.8rem; }
+  .dset-bar { display:flex;flex-wrap:wrap;align-items:center;gap:.4rem; }
+  .dset-spacer { flex:1; }
+  .dset-btn {
+    padding:.42rem .75rem;border-radius:8px;cursor:pointer;font-size:.72rem;font-weight:600;
+    display:inline-flex;align-items:center;gap:.35rem;border:1px solid rgba(255,255,255,.08);
+    background:rgba(255,255,255,.03);color:var(--foreground);font-family:inherit;
+  }
+  .dset-btn:hover { border-color:rgba(139,92,246,.35); }
+  .dset-btn:disabled { opacity:.45;cursor:not-allowed; }
+  .dset-btn.primary { background:var(--primary);color:var(--primary-foreground, #000);border-color:transparent; }
+  .dset-btn.danger { color:#f87171;border-color:rgba(248,113,113,.25); }
+  .dset-icon {
+    width:26px;height:26px;border-radius:6px;border:none;cursor:pointer;
+    display:inline-flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .dset-icon:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .dset-hint  { font-size:.68rem;color:var(--muted-foreground); }
+  .dset-error { font-size:.7rem;color:#f87171; }
+  .dset-empty { font-size:.74rem;color:var(--muted-foreground);text-align:center;padding:1.5rem 0; }
+
+  .dset-table-wrap { overflow:auto;border:1px solid rgba(255,255,255,.07);border-radius:10px; }
+  .dset-table { width:100%;border-collapse:collapse;font-size:.72rem; }
+  .dset-table th {
+    position:sticky;top:0;z-index:1;text-align:left;padding:.45rem .6rem;white-space:nowrap;
+    font-size:.62rem;font-weight:700;letter-spacing:.05em;text-transform:uppercase;
+    color:var(--muted-foreground);background:var(--card);border-bottom:1px solid rgba(255,255,255,.07);
+  }
+  .dset-table th.var { font-family:'JetBrains Mono','Consolas',monospace;text-transform:none;letter-spacing:0;color:#a78bfa; }
+  .dset-table td {
+    padding:.45rem .6rem;vertical-align:top;color:var(--foreground);
+    border-bottom:1px solid rgba(255,255,255,.04);
+  }
+  .dset-cell { white-space:pre-wrap;word-break:break-word;max-height:180px;overflow-y:auto;min-width:140px; }
+  .dset-cell.out { min-width:240px;font-family:'JetBrains Mono','Consolas',monospace;font-size:.68rem; }
+  .dset-cell.muted { color:var(--muted-foreground); }
+  .dset-cell.fail { color:#f87171; }
+  .dset-cell-meta { font-size:.6rem;color:var(--muted-foreground);margin-top:.25rem; }
+
+  .dset-form {
+    display:flex;flex-direction:column;gap:.55rem;padding:.75rem .85rem;border-radius:10px;
+    background:rgba(139,92,246,.05);border:1px solid rgba(139,92,246,.2);
+  }
+  .dset-grid { display:grid;grid-template-columns:repeat(auto-fill,minmax(180px,1fr));gap:.5rem; }
+  .dset-field { display:flex;flex-direction:column;gap:.25rem; }
+  .dset-lbl { font-size:.66rem;font-weight:700;color:var(--foreground); }
+  .dset-lbl.mono { font-family:'JetBrains Mono','Consolas',monospace;color:#a78bfa; }
+  .dset-input {
+    width:100%;padding:.42rem .55rem;border-radius:7px;box-sizing:border-box;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.74rem;font-family:inherit;outline:none;resize:vertical;
+  }
+  .dset-input:focus { border-color:rgba(139,92,246,.42); }
+
+  .dset-runs { display:flex;flex-wrap:wrap;gap:.35rem; }
+  .dset-run {
+    display:flex;align-items:center;gap:.4rem;padding:.35rem .6rem;border-radius:8px;cursor:pointer;
+    font-size:.68rem;color:var(--foreground);background:rgba(255,255,255,.02);
+    border:1px solid rgba(255,255,255,.07);font-family:inherit;
+  }
+  .dset-run.on { border-color:rgba(139,92,246,.5);background:rgba(139,92,246,.08); }
+  .dset-pill { font-size:.58rem;font-weight:700;padding:.05rem .4rem;border-radius:999px;border:1px solid currentColor; }
+  .dset-select {
+    padding:.32rem .5rem;border-radius:7px;font-size:.72rem;font-family:inherit;
+    background:rgba(255,255,255,.03);color:var(--foreground);border:1px solid rgba(255,255,255,.08);
+  }
+
+  .dset-reg {
+    display:flex;flex-direction:column;gap:.4rem;padding:.65rem .8rem;border-radius:10px;
+    background:rgba(255,255,255,.02);border:1px solid rgba(255,255,255,.07);
+  }
+  .dset-reg.regressed { background:rgba(248,113,113,.06);border-color:rgba(248,113,113,.25); }
+  .dset-reg.passed { background:rgba(52,211,153,.05);border-color:rgba(52,211,153,.2); }
+  .dset-reg-hd { display:flex;align-items:center;gap:.45rem;font-size:.76rem;font-weight:700;color:var(--foreground); }
+  .dset-reg-reason { font-size:.7rem;color:#f87171; }
+  .dset-reg-metrics { display:flex;flex-wrap:wrap;gap:.3rem .9rem;font-size:.66rem;color:var(--muted-foreground); }
+  .dset-table tr.regressed td:first-child { box-shadow:inset 2px 0 0 #f87171; }
+`;
+
+const STATUS_META = {
+  [RUN_STATUSES.RUNNING]: { label: "Running", color: "#60a5fa" },
+  [RUN_STATUSES.COMPLETED]: { label: "Done", color: "#34d399" },
+  [RUN_STATUSES.CANCELLED]: { label: "Stopped", color: "#94a3b8" },
+  [RUN_STATUSES.INTERRUPTED]: { label: "Interrupted", color: "#f59e0b" },
+};
+
+// How many runs can be lined up next to each other in the grid
+const MAX_COMPARED_RUNS = 3;
+
+function memberName(teamMembers, uid) {
+  const member = teamMembers[uid];
+  return member?.name || member?.email || "Someone";
+}
+
+function CaseForm({ variableNames, initial, submitLabel, onSubmit, onCancel }) {
+  const [variables, setVariables] = useState(initial?.variables || {});
+  const [expected, setExpected] = useState(initial?.expected || "");
+  const [notes, setNotes] = useState(initial?.notes || "");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await onSubmit({ variables, expected, notes });
+    } catch (err) {
+      setError(err.message || "Failed to save test case");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="dset-form" onSubmit={handleSubmit}>
+      {variableNames.length > 0 ? (
+        <div className="dset-grid">
+          {variableNames.map((name) => (
+            <div key={name} className="dset-field">
+              <label className="dset-lbl mono">{name}</label>
+              <textarea
+                className="dset-input"
+                rows={2}
+                value={variables[name] ?? ""}
+                onChange={(e) => setVariables((prev) => ({ ...prev, [name]: e.target.value }))}
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <span className="dset-hint">
+          This prompt has no variables, so every case sends the same text. Cases are
+          still useful for checking consistency across runs.
+        </span>
+      )}
+      <div className="dset-grid">
+        <div className="dset-field">
+          <label className="dset-lbl">Expected output (optional)</label>
+          <textarea
+            className="dset-input"
+            rows={2}
+            value={expected}
+            onChange={(e) => setExpected(e.target.value)}
+          />
+        </div>
+        <div className="dset-field">
+          <label className="dset-lbl">Notes (optional)</label>
+          <textarea
+            className="dset-input"
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </div>
+      </div>
+      {error && <span className="dset-error">{error}</span>}
+      <div className="dset-bar">
+        <button type="submit" className="dset-btn primary" disabled={saving}>
+          {saving ? "Saving…" : submitLabel}
+        </button>
+        <button type="button" className="dset-btn" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function formatChange({ before, after }, asPercent = true) {
+  const show = (v) => (asPercent ? `${Math.round(v * 100)}%` : `${Math.round(v)}%`);
+  return `${show(before)} → ${show(after)}`;
+}
+
+/**
+ * Outcome of the regression check for the prompt's latest version, and
+ * (for editors) the rubric those checks score outputs with
+ */
+function RegressionSummary({ teamId, prompt, rubrics, canEdit, onCompare }) {
+  const regression = getCurrentRegression(prompt);
+  const [error, setError] = useState("");
+
+  async function handleRubricChange(rubricId) {
+    setError("");
+    try {
+      await saveRegressionRubric(teamId, prompt.id, rubricId);
+    } catch (err) {
+      setError(err.message || "Failed to save");
+    }
+  }
+
+  const { metrics = {}, reasons = [] } = regression || {};
+
+  return (
+    <>
+      {canEdit && rubrics.length > 0 && (
+        <div className="dset-bar">
+          <span className="dset-hint">Regression checks score outputs with</span>
+          <select
+            className="dset-select"
+            value={prompt.regressionRubricId || ""}
+            onChange={(e) => handleRubricChange(e.target.value)}
+          >
+            <option value="">No rubric</option>
+            {rubrics.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.name}
+              </option>
+            ))}
+          </select>
+          {error && <span className="dset-error">{error}</span>}
+        </div>
+      )}
+
+      {regression?.status === REGRESSION_STATUSES.RUNNING && (
+        <div className="dset-reg">
+          <div className="dset-reg-hd">
+            <Loader2 size={13} className="animate-spin" /> Checking the latest version for
+            regressions…
+          </div>
+        </div>
+      )}
+
+      {regression?.status === REGRESSION_STATUSES.FAILED && (
+        <div className="dset-reg">
+          <div className="dset-reg-hd">Regression check couldn&apos;t finish</div>
+          <span className="dset-error">{regression.error}</span>
+        </div>
+      )}
+
+      {(regression?.status === REGRESSION_STATUSES.REGRESSED ||
+        regression?.status === REGRESSION_STATUSES.PASSED) && (
+        <div className={`dset-reg ${regression.status}`}>
+          <div className="dset-reg-hd">
+            {regression.status === REGRESSION_STATUSES.REGRESSED ? (
+              <>
+                <TrendingDown size={13} color="#f87171" /> The latest version may have regressed
+              </>
+            ) : (
+              <>
+                <CheckCircle2 size={13} color="#34d399" /> No regressions against the previous
+                version
+              </>
+            )}
+            <span className="dset-spacer" />
+            <button
+              type="button"
+              className="dset-btn"
+              onClick={() => onCompare([regression.baselineRunId, regression.runId])}
+            >
+              Compare runs
+            </button>
+          </div>
+          {reasons.map((reason) => (
+            <span key={reason} className="dset-reg-reason">
+              {reason}
+            </span>
+          ))}
+          <div className="dset-reg-metrics">
+            <span>{metrics.cases} cases compared</span>
+            {metrics.passRate && <span>Checks passing {formatChange(metrics.passRate)}</span>}
+            {metrics.score && <span>Rubric score {formatChange(metrics.score)}</span>}
+            {metrics.expectedSimilarity && (
+              <span>Similarity to expected {formatChange(metrics.expectedSimilarity, false)}</span>
+            )}
+            {metrics.outputSimilarity != null && (
+              <span>Outputs {Math.round(metrics.outputSimilarity)}% similar to before</span>
+            )}
+            {metrics.erroredCases > 0 && <span>{metrics.erroredCases} cases errored</span>}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+function OutputCell({ entry, running }) {
+  if (!entry) {
+    return (
+      <div className="dset-cell out muted">
+        {running ? <Loader2 size={12} className="animate-spin" /> : "—"}
+      </div>
+    );
+  }
+  if (entry.error) return <div className="dset-cell out fail">{entry.error}</div>;
+  return (
+    <>
+      <div className="dset-cell out">{entry.output}</div>
+      <div className="dset-cell-meta">
+        {entry.latencyMs != null && `${entry.latencyMs}ms`}
+        {entry.usage && ` · ${entry.usage.estimated ? "~" : ""}${entry.usage.totalTokens} tokens`}
+        {entry.truncated && " · truncated"}
+        {getGrades(entry).map((grade) => ` · ${grade.rubricName} ${grade.overall}/${grade.scale.max}`)}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Test cases and dataset runs for one prompt. Editors manage the cases;
+ * any team member can run them.
+ */
+export default function DatasetPanel({
+  open,
+  teamId,
+  prompt,
+  canEdit = false,
+  canRun = false,
+  snippets = {},
+  teamMembers = {},
+  onClose,
+}) {
+  const { user } = useAuth();
+  const { formatRelative } = useTimestamp();
+  const [tab, setTab] = useState("cases");
+  const [testCases, setTestCases] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [comparedIds, setComparedIds] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState("");
+  const [rubrics, setRubrics] = useState([]);
+  const stopRef = useRef(false);
+  const promptId = prompt?.id;
+
+  useEffect(() => {
+    if (!open || !teamId || !promptId) return;
+    setLoading(true);
+    setTab("cases");
+    setEditingId(null);
+    setComparedIds([]);
+    setError("");
+    const unsubCases = subscribeToTestCases(teamId, promptId, (items) => {
+      setTestCases(items);
+      setLoading(false);
+    });
+    const unsubRuns = subscribeToDatasetRuns(teamId, promptId, setRuns);
+    const unsubRubrics = subscribeToRubrics(teamId, setRubrics);
+    return () => {
+      unsubCases();
+      unsubRuns();
+      unsubRubrics();
+    };
+  }, [open, teamId, promptId]);
+
+  const variableNames = useMemo(() => {
+    if (!prompt) return [];
+    const declared = getRunVariables(prompt, snippets).map((v) => v.name);
+    const fromCases = testCases.flatMap((c) => Object.keys(c.variables || {}));
+    return [...new Set([...declared, ...fromCases])];
+  }, [prompt, snippets, testCases]);
+
+  // Newest run is shown until the reviewer picks others
+  const shownRuns = (
+    comparedIds.length > 0 ? comparedIds.map((id) => runs.find((r) => r.id === id)) : runs.slice(0, 1)
+  ).filter(Boolean);
+
+  if (!open || !prompt) return null;
+
+  function handleClose() {
+    if (running) {
+      if (!confirm("A dataset run is in progress. Stop it and close?")) return;
+      stopRef.current = true;
+    }
+    onClose();
+  }
+
+  async function runAction(action, fallback) {
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || fallback);
+    }
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setImporting(true);
+    await runAction(async () => {
+      const cases = await ExportUtils.parseDatasetFile(file);
+      if (!confirm(`Add ${cases.length} test cases to this dataset?`)) return;
+      await addTestCases(teamId, promptId, user.uid, cases, testCases.length);
+    }, "Import failed");
+    setImporting(false);
+  }
+
+  async function handleRun() {
+    stopRef.current = false;
+    setRunning(true);
+    setComparedIds([]);
+    setTab("runs");
+    await runAction(
+      () =>
+        runDataset(teamId, prompt, testCases, user.uid, {
+          parameters: getDefaultRunParameters(),
+          snippets,
+          shouldStop: () => stopRef.current,
+        }),
+      "Dataset run failed"
+    );
+    setRunning(false);
+  }
+
+  function toggleCompared(runId) {
+    setComparedIds((prev) => {
+      const base = prev.length > 0 ? prev : shownRuns.map((r) => r.id);
+      if (base.includes(runId)) return base.filter((id) => id !== runId);
+      return [...base, runId].slice(-MAX_COMPARED_RUNS);
+    });
+  }
+
+  // Grid rows: the cases of the shown runs (each run keeps its own copy),
+  // in the order of the newest one
+  const gridCaseIds = [...new Set(shownRuns.flatMap((r) => r.caseIds || []))];
+  const caseFor = (caseId) =>
+    shownRuns.map((r) => r.cases?.[caseId]).find(Boolean) ||
+    testCases.find((c) => c.id === caseId) ||
+    {};
+  const gridVariableNames = [
+    ...new Set(gridCaseIds.flatMap((id) => Object.keys(caseFor(id).variables || {}))),
+  ];
+  // Cases the latest regression check says got worse, marked when its run is shown
+  const regression = getCurrentRegression(prompt);
+  const regressedCases = new Set(
+    regression?.runId && shownRuns.some((r) => r.id === regression.runId)
+      ? regression.metrics?.regressedCases || []
+      : []
+  );
+
+  return (
+    <>
+      <style>{DATASET_STYLES}</style>
+      <div className="dset-overlay" onClick={handleClose}>
+        <div className="dset-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="dset-hd">
+            <div>
+              <div className="dset-title">
+                <Table2 size={15} /> Test dataset
+              </div>
+              <div className="dset-sub">
+                {prompt.title} · {testCases.length} of {MAX_TEST_CASES} cases
+              </div>
+            </div>
+            <div className="dset-bar">
+              {canRun &&
+                (running ? (
+                  <button
+                    type="button"
+                    className="dset-btn danger"
+                    onClick={() => {
+                      stopRef.current = true;
+                    }}
+                  >
+                    <Square size={12} /> Stop
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="dset-btn primary"
+                    onClick={handleRun}
+                    disabled={testCases.length === 0}
+                  >
+                    <Play size={12} /> Run dataset
+                  </button>
+                ))}
+              <button type="button" className="dset-close" onClick={handleClose}>
+                <X size={14} />
+              </button>
+            </div>
+          </div>
+
+          <div className="dset-tabs">
+            <button
+              type="button"
+              className={`dset-tab${tab === "cases" ? " on" : ""}`}
+              onClick={() => setTab("cases")}
+            >
+              Cases ({testCases.length})
+            </button>
+            <button
+              type="button"
+              className={`dset-tab${tab === "runs" ? " on" : ""}`}
+              onClick={() => setTab("runs")}
+            >
+              Runs ({runs.length})
+            </button>
+          </div>
+
+          <div className="dset-body">
+            {error && <span className="dset-error">{error}</span>}
+
+            {!loading && tab === "runs" && (
+              <RegressionSummary
+                teamId={teamId}
+                prompt={prompt}
+                rubrics={rubrics}
+                canEdit={canEdit}
+                onCompare={setComparedIds}
+              />
+            )}
+
+            {loading ? (
+              <div className="dset-empty">Loading…</div>
+            ) : tab === "cases" ? (
+              <>
+                <div className="dset-bar">
+                  {canEdit && (
+                    <>
+                      <button
+                        type="button"
+                        className="dset-btn"
+                        onClick={() => setEditingId("new")}
+                        disabled={testCases.length >= MAX_TEST_CASES}
+                      >
+                        <Plus size={12} /> Add case
+                      </button>
+                      <label className="dset-btn" style={{ opacity: importing ? 0.45 : 1 }}>
+                        {importing ? <Loader2 size={12} className="animate-spin" /> : <Upload size={12} />}
+                        Import CSV / JSONL
+                        <input
+                          type="file"
+                          accept=".csv,.jsonl,.ndjson"
+                          onChange={handleImport}
+                          disabled={importing}
+                          style={{ display: "none" }}
+                        />
+                      </label>
+                    </>
+                  )}
+                  <span className="dset-spacer" />
+                  {testCases.length > 0 && (
+                    <>
+                      <button
+                        type="button"
+                        className="dset-btn"
+                        onClick={() => ExportUtils.exportDatasetAsCSV(testCases, `${prompt.title || "prompt"}-dataset`)}
+                      >
+                        <Download size={12} /> CSV
+                      </button>
+                      <button
+                        type="button"
+                        className="dset-btn"
+                        onClick={() => ExportUtils.exportDatasetAsJSONL(testCases, `${prompt.title || "prompt"}-dataset`)}
+                      >
+                        <Download size={12} /> JSONL
+                      </button>
+                    </>
+                  )}
+                </div>
+                {canEdit && (
+                  <span className="dset-hint">
+                    In CSV, use one column per variable plus optional "expected" and
+                    "notes" columns. In JSONL, one object per line.
+                  </span>
+                )}
+
+                {editingId === "new" && (
+                  <CaseForm
+                    variableNames={variableNames}
+                    submitLabel="Add case"
+                    onSubmit={async (testCase) => {
+                      await addTestCases(teamId, promptId, user.uid, [testCase], testCases.length);
+                      setEditingId(null);
+                    }}
+                    onCancel={() => setEditingId(null)}
+                  />
+                )}
+
+                {testCases.length === 0 ? (
+                  <div className="dset-empty">
+                    No test cases yet. Add inputs to run this prompt against them all at once.
+                  </div>
+                ) : (
+                  <div className="dset-table-wrap">
+                    <table className="dset-table">
+                      <thead>
+                        <tr>
+                          <th>#</th>
+                          {variableNames.map((name) => (
+                            <th key={name} className="var">
+                              {name}
+                            </th>
+                          ))}
+                          <th>Expected</th>
+                          <th>Notes</th>
+                          {canEdit && <th />}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {testCases.map((testCase, index) =>
+                          editingId === testCase.id ? (
+                            <tr key={testCase.id}>
+                              <td colSpan={variableNames.length + 4}>
+                                <CaseForm
+                                  variableNames={variableNames}
+                                  initial={testCase}
+                                  submitLabel="Save case"
+                                  onSubmit={async (next) => {
+                                    await updateTestCase(teamId, promptId, testCase.id, next);
+                                    setEditingId(null);
+                                  }}
+                                  onCancel={() => setEditingId(null)}
+                                />
+                              </td>
+                            </tr>
+                          ) : (
+                            <tr key={testCase.id}>
+                              <td className="dset-cell muted">{index + 1}</td>
+                              {variableNames.map((name) => (
+                                <td key={name}>
+                                  <div className="dset-cell">{testCase.variables?.[name] ?? ""}</div>
+                                </td>
+                              ))}
+                              <td>
+                                <div className="dset-cell muted">{testCase.expected}</div>
+                              </td>
+                              <td>
+                                <div className="dset-cell muted">{testCase.notes}</div>
+                              </td>
+                              {canEdit && (
+                                <td style={{ whiteSpace: "nowrap" }}>
+                                  <button
+                                    type="button"
+                                    className="dset-icon"
+                                    title="Edit"
+                                    onClick={() => setEditingId(testCase.id)}
+                                  >
+                                    <Pencil size={12} />
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className="dset-icon"
+                                    title="Delete"
+                                    onClick={() =>
+                                      confirm("Delete this test case?") &&
+                                      runAction(
+                                        () => deleteTestCase(teamId, promptId, testCase.id),
+                                        "Failed to delete test case"
+                                      )
+                                    }
+                                  >
+                                    <Trash2 size={12} />
+                                  </button>
+                                </td>
+                              )}
+                            </tr>
+                          )
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            ) : runs.length === 0 ? (
+              <div className="dset-empty">
+                No runs yet. Run the dataset to collect an output for every case.
+              </div>
+            ) : (
+              <>
+                <span className="dset-hint">
+                  Pick up to {MAX_COMPARED_RUNS} runs to line them up side by side.
+                </span>
+                <div className="dset-runs">
+                  {runs.map((run) => {
+                    const status = getRunStatus(run);
+                    const meta = STATUS_META[status] || STATUS_META[RUN_STATUSES.COMPLETED];
+                    return (
+                      <button
+                        key={run.id}
+                        type="button"
+                        className={`dset-run${shownRuns.some((r) => r.id === run.id) ? " on" : ""}`}
+                        onClick={() => toggleCompared(run.id)}
+                      >
+                        <span className="dset-pill" style={{ color: meta.color }}>
+                          {meta.label}
+                        </span>
+                        {formatRelative(run.startedAt)} · {memberName(teamMembers, run.startedBy)}
+                        <span className="dset-hint">
+                          {run.completed || 0}/{(run.caseIds || []).length}
+                          {run.failed > 0 && ` · ${run.failed} failed`}
+                          {run.model && ` · ${run.model}`}
+                          {run.trigger === "regression" && " · regression check"}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+
+                <div className="dset-table-wrap">
+                  <table className="dset-table">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        {gridVariableNames.map((name) => (
+                          <th key={name} className="var">
+                            {name}
+                          </th>
+                        ))}
+                        <th>Expected</th>
+                        {shownRuns.map((run) => (
+                          <th key={run.id}>
+                            <div style={{ display: "flex", alignItems: "center", gap: ".3rem" }}>
+                              {formatRelative(run.startedAt)}
+                              {canEdit && getRunStatus(run) !== RUN_STATUSES.RUNNING && (
+                                <button
+                                  type="button"
+                                  className="dset-icon"
+                                  title="Delete run"
+                                  onClick={() =>
+                                    confirm("Delete this run and its outputs?") &&
+                                    runAction(
+                                      () => deleteDatasetRun(teamId, promptId, run.id),
+                                      "Failed to delete run"
+                                    )
+                                  }
+                                >
+                                  <Trash2 size={11} />
+                                </button>
+                              )}
+                            </div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {gridCaseIds.map((caseId, index) => {
+                        const testCase = caseFor(caseId);
+                        return (
+                          <tr key={caseId} className={regressedCases.has(caseId) ? "regressed" : undefined}>
+                            <td className="dset-cell muted">{index + 1}</td>
+                            {gridVariableNames.map((name) => (
+                              <td key={name}>
+                                <div className="dset-cell">{testCase.variables?.[name] ?? ""}</div>
+                              </td>
+                            ))}
+                            <td>
+                              <div className="dset-cell muted">{testCase.expected}</div>
+                            </td>
+                            {shownRuns.map((run) => (
+                              <td key={run.id}>
+                                {(run.caseIds || []).includes(caseId) ? (
+                                  <OutputCell
+                                    entry={run.outputs?.[caseId]}
+                                    running={getRunStatus(run) === RUN_STATUSES.RUNNING}
+                                  />
+                                ) : (
+                                  <div className="dset-cell out muted">Not in this run</div>
+                                )}
+                              </td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,12 +1,107 @@
 // src/components/EditPromptModal.jsx
 import { useState, useEffect } from "react";
-import { X, Lock, Unlock, AlertCircle, Save } from "lucide-react";
+import { X, Lock, Unlock, Users, AlertCircle, Save } from "lucide-react";
+import { VariableEditor } from "./PromptVariables";
+import ChatMessagesEditor, { PromptTypeToggle } from "./ChatPromptEditor";
+import {
+  PROMPT_TYPES,
+  isChatPrompt,
+  createDefaultMessages,
+  flattenMessages,
+  hasMessageContent,
+} from "../lib/chatPrompts";
+import { updateVariableInText } from "../lib/promptVariables";
+import { MetadataFieldsEditor } from "./CustomFields";
+import { validateMetadata, cleanMetadata } from "../lib/customFields";
+import { RESTRICTABLE_ROLES } from "../lib/prompts";
 
-export default function EditPromptModal({ open, prompt, onClose, onSave }) {
+const ROLE_LABELS = { admin: "Admins", member: "Members" };
+
+/**
+ * Who can see a restricted prompt: whole roles and/or named members.
+ * The author and the team owner always can, so they aren't listed.
+ */
+function RestrictedAudiencePicker({ value, onChange, teamMembers, teamMemberRoles, authorId, disabled }) {
+  const { members = [], roles = [] } = value;
+  const people = Object.entries(teamMembers)
+    .filter(([uid]) => uid !== authorId && teamMemberRoles[uid] !== "owner")
+    .map(([uid, m]) => ({ uid, name: m.name || m.email || "Unknown" }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const toggle = (list, item) =>
+    list.includes(item) ? list.filter((i) => i !== item) : [...list, item];
+
+  return (
+    <div className="epm-aud">
+      <div className="epm-aud-row">
+        <span className="epm-aud-lbl">Roles</span>
+        <div className="epm-aud-chips">
+          {RESTRICTABLE_ROLES.map((role) => (
+            <button
+              key={role}
+              type="button"
+              disabled={disabled}
+              className={`epm-aud-chip${roles.includes(role) ? " on" : ""}`}
+              onClick={() => onChange({ members, roles: toggle(roles, role) })}
+            >
+              {ROLE_LABELS[role]}
+            </button>
+          ))}
+        </div>
+      </div>
+      {people.length > 0 && (
+        <div className="epm-aud-row">
+          <span className="epm-aud-lbl">People</span>
+          <div className="epm-aud-people">
+            {people.map((p) => {
+              const coveredByRole = roles.includes(teamMemberRoles[p.uid]);
+              return (
+                <label key={p.uid} className="epm-aud-person">
+                  <input
+                    type="checkbox"
+                    disabled={disabled || coveredByRole}
+                    checked={coveredByRole || members.includes(p.uid)}
+                    onChange={() => onChange({ roles, members: toggle(members, p.uid) })}
+                  />
+                  <span>{p.name}</span>
+                  {coveredByRole && (
+                    <span className="epm-aud-note">via {ROLE_LABELS[teamMemberRoles[p.uid]]}</span>
+                  )}
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      {members.length === 0 && roles.length === 0 && (
+        <div className="epm-aud-note">
+          Nobody picked yet — only you and the team owner will see this prompt.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function EditPromptModal({
+  open,
+  prompt,
+  onClose,
+  onSave,
+  metadataSchema = [],
+  canRestrict = false,
+  teamMembers = {},
+  teamMemberRoles = {},
+}) {
   const [title, setTitle] = useState("");
   const [text, setText] = useState("");
   const [tags, setTags] = useState("");
   const [visibility, setVisibility] = useState("public");
+  const [restrictedTo, setRestrictedTo] = useState({ members: [], roles: [] });
+  const [promptType, setPromptType] = useState(PROMPT_TYPES.TEXT);
+  const [messages, setMessages] = useState(createDefaultMessages());
+  const [metadata, setMetadata] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [changeNote, setChangeNote] = useState("");
   const [saving, setSaving] = useState(false);
 
   useEffect(() => {
@@ -15,25 +110,75 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
       setText(prompt.text || "");
       setTags(Array.isArray(prompt.tags) ? prompt.tags.join(", ") : "");
       setVisibility(prompt.visibility || "public");
+      setRestrictedTo({
+        members: prompt.restrictedTo?.members || [],
+        roles: prompt.restrictedTo?.roles || [],
+      });
+      setPromptType(isChatPrompt(prompt) ? PROMPT_TYPES.CHAT : PROMPT_TYPES.TEXT);
+      setMessages(isChatPrompt(prompt) ? prompt.messages : createDefaultMessages());
+      setMetadata(prompt.metadata || {});
+      setFieldErrors({});
+      setChangeNote("");
     }
   }, [prompt]);
 
+  const isChat = promptType === PROMPT_TYPES.CHAT;
+  const effectiveText = isChat ? flattenMessages(messages) : text;
+
+  function handleTypeChange(nextType) {
+    if (nextType === promptType) return;
+    // Carry content across so switching modes never loses work
+    if (nextType === PROMPT_TYPES.CHAT && !hasMessageContent(messages) && text.trim()) {
+      setMessages([
+        { role: "system", content: "" },
+        { role: "user", content: text },
+      ]);
+    }
+    if (nextType === PROMPT_TYPES.TEXT && !text.trim()) {
+      setText(flattenMessages(messages));
+    }
+    setPromptType(nextType);
+  }
+
+  function handleMessageVariableChange(name, declaration) {
+    setMessages((prev) =>
+      prev.map((m) => ({
+        ...m,
+        content: updateVariableInText(m.content, name, declaration),
+      })),
+    );
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
-    if (!title.trim() || !text.trim()) {
-      alert("Title and prompt text are required");
+    if (!title.trim() || !effectiveText.trim()) {
+      alert(
+        isChat
+          ? "Title and at least one message are required"
+          : "Title and prompt text are required",
+      );
       return;
     }
+    const errors = validateMetadata(metadataSchema, metadata);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
     setSaving(true);
     try {
       await onSave({
         title: title.trim(),
-        text: text.trim(),
+        type: promptType,
+        ...(isChat ? { messages } : {}),
+        text: effectiveText.trim(),
         tags: tags
           .split(",")
           .map((t) => t.trim())
           .filter(Boolean),
         visibility,
+        ...(visibility === "restricted" ? { restrictedTo } : {}),
+        ...(metadataSchema.length > 0
+          ? { metadata: cleanMetadata(metadataSchema, metadata) }
+          : {}),
+        changeNote: changeNote.trim(),
       });
     } catch (err) {
       console.error(err);
@@ -141,6 +286,8 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
 
         /* visibility */
         .epm-vis-grid { display:grid;grid-template-columns:1fr 1fr;gap:.5rem; }
+        .epm-vis-grid.three { grid-template-columns:repeat(3,1fr); }
+        @media(max-width:560px){ .epm-vis-grid.three { grid-template-columns:1fr; } }
         .epm-vis-opt {
           position:relative;display:flex;align-items:flex-start;gap:.625rem;
           padding:.75rem .875rem;border-radius:10px;cursor:pointer;
@@ -150,6 +297,7 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
         .epm-vis-opt:hover { border-color:rgba(139,92,246,.28);background:rgba(139,92,246,.04); }
         .epm-vis-opt.active-pub { border-color:rgba(139,92,246,.45);background:rgba(139,92,246,.08); }
         .epm-vis-opt.active-priv{ border-color:rgba(245,158,11,.35);background:rgba(245,158,11,.06); }
+        .epm-vis-opt.active-restr{ border-color:rgba(34,211,238,.35);background:rgba(34,211,238,.06); }
         .epm-vis-opt input { position:absolute;opacity:0;pointer-events:none; }
         .epm-vis-accent {
           width:3px;height:100%;position:absolute;left:0;top:0;bottom:0;border-radius:0 2px 2px 0;
@@ -161,6 +309,23 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
         .epm-vis-name { font-size:.79rem;font-weight:700;color:var(--foreground);margin-bottom:.12rem; }
         .epm-vis-desc { font-size:.65rem;color:var(--muted-foreground);line-height:1.45; }
 
+        /* restricted audience */
+        .epm-aud {
+          display:flex;flex-direction:column;gap:.6rem;margin-top:.5rem;padding:.75rem .875rem;
+          border-radius:10px;background:rgba(34,211,238,.03);border:1px solid rgba(34,211,238,.14);
+        }
+        .epm-aud-row { display:flex;flex-direction:column;gap:.35rem; }
+        .epm-aud-lbl { font-size:.62rem;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:var(--muted-foreground); }
+        .epm-aud-chips { display:flex;flex-wrap:wrap;gap:.3rem; }
+        .epm-aud-chip {
+          padding:.22rem .6rem;border-radius:999px;cursor:pointer;font-size:.7rem;font-weight:600;
+          background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.1);color:var(--muted-foreground);
+        }
+        .epm-aud-chip.on { background:rgba(34,211,238,.12);border-color:rgba(34,211,238,.4);color:var(--foreground); }
+        .epm-aud-people { display:flex;flex-direction:column;gap:.2rem;max-height:160px;overflow-y:auto; }
+        .epm-aud-person { display:flex;align-items:center;gap:.45rem;font-size:.75rem;color:var(--foreground);cursor:pointer; }
+        .epm-aud-note { font-size:.65rem;color:var(--muted-foreground); }
+
         /* info box */
         .epm-info {
           display:flex;gap:.625rem;padding:.75rem .875rem;border-radius:9px;
@@ -234,23 +399,52 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
                 />
               </div>
 
-              {/* prompt text */}
+              {/* prompt type */}
               <div className="epm-field">
-                <span className="epm-lbl">Prompt Text *</span>
-                <textarea
-                  value={text}
-                  onChange={(e) => setText(e.target.value)}
-                  placeholder="Enter your prompt here…"
-                  className="epm-textarea"
-                  rows={8}
-                  required
+                <span className="epm-lbl">Format</span>
+                <PromptTypeToggle
+                  value={promptType}
+                  onChange={handleTypeChange}
                   disabled={saving}
                 />
-                <div className="epm-char-row">
-                  {text.length.toLocaleString()} chars
-                </div>
               </div>
 
+              {/* prompt text */}
+              {isChat ? (
+                <div className="epm-field">
+                  <span className="epm-lbl">Messages *</span>
+                  <ChatMessagesEditor
+                    messages={messages}
+                    onChange={setMessages}
+                    disabled={saving}
+                  />
+                </div>
+              ) : (
+                <div className="epm-field">
+                  <span className="epm-lbl">Prompt Text *</span>
+                  <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder="Enter your prompt here…"
+                    className="epm-textarea"
+                    rows={8}
+                    required
+                    disabled={saving}
+                  />
+                  <div className="epm-char-row">
+                    {text.length.toLocaleString()} chars
+                  </div>
+                </div>
+              )}
+
+              {/* template variables */}
+              <VariableEditor
+                text={effectiveText}
+                onTextChange={setText}
+                onVariableChange={isChat ? handleMessageVariableChange : undefined}
+                disabled={saving}
+              />
+
               {/* tags */}
               <div className="epm-field">
                 <span className="epm-lbl">
@@ -284,10 +478,22 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
                 )}
               </div>
 
+              {/* custom fields */}
+              <MetadataFieldsEditor
+                schema={metadataSchema}
+                values={metadata}
+                errors={fieldErrors}
+                onChange={setMetadata}
+                disabled={saving}
+                fieldClassName="epm-field"
+                labelClassName="epm-lbl"
+                inputClassName="epm-input"
+              />
+
               {/* visibility */}
               <div className="epm-field">
                 <span className="epm-lbl">Visibility</span>
-                <div className="epm-vis-grid">
+                <div className={`epm-vis-grid${canRestrict ? " three" : ""}`}>
                   <label
                     className={`epm-vis-opt${visibility === "public" ? " active-pub" : ""}`}
                   >
@@ -375,7 +581,88 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
                       </div>
                     </div>
                   </label>
+
+                  {canRestrict && (
+                    <label
+                      className={`epm-vis-opt${visibility === "restricted" ? " active-restr" : ""}`}
+                    >
+                      <input
+                        type="radio"
+                        name="visibility"
+                        value="restricted"
+                        checked={visibility === "restricted"}
+                        onChange={(e) => setVisibility(e.target.value)}
+                        disabled={saving}
+                      />
+                      <div
+                        className="epm-vis-accent"
+                        style={{
+                          background:
+                            visibility === "restricted"
+                              ? "rgba(34,211,238,.6)"
+                              : "transparent",
+                        }}
+                      />
+                      <div
+                        className="epm-vis-icon"
+                        style={{
+                          background: "rgba(34,211,238,.08)",
+                          border: "1px solid rgba(34,211,238,.16)",
+                        }}
+                      >
+                        <Users
+                          size={13}
+                          color={
+                            visibility === "restricted"
+                              ? "#22d3ee"
+                              : "var(--muted-foreground)"
+                          }
+                        />
+                      </div>
+                      <div>
+                        <div className="epm-vis-name">Restricted</div>
+                        <div className="epm-vis-desc">
+                          Only people or roles you pick
+                        </div>
+                      </div>
+                    </label>
+                  )}
                 </div>
+                {canRestrict && visibility === "restricted" && (
+                  <RestrictedAudiencePicker
+                    value={restrictedTo}
+                    onChange={setRestrictedTo}
+                    teamMembers={teamMembers}
+                    teamMemberRoles={teamMemberRoles}
+                    authorId={prompt?.createdBy}
+                    disabled={saving}
+                  />
+                )}
+              </div>
+
+              {/* change message */}
+              <div className="epm-field">
+                <span className="epm-lbl">
+                  Change message{" "}
+                  <span
+                    style={{
+                      opacity: 0.5,
+                      textTransform: "none",
+                      letterSpacing: 0,
+                    }}
+                  >
+                    (optional, shown in version history)
+                  </span>
+                </span>
+                <input
+                  type="text"
+                  value={changeNote}
+                  onChange={(e) => setChangeNote(e.target.value)}
+                  placeholder="e.g. Tightened the output format"
+                  maxLength={200}
+                  className="epm-input"
+                  disabled={saving}
+                />
               </div>
 
               {/* info */}
@@ -390,6 +677,9 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
                   <div className="epm-info-list">
                     {[
                       "Private prompts are only visible to you and team admins/owners",
+                      ...(canRestrict
+                        ? ["Restricted prompts are visible to you, the owner and the people or roles you pick"]
+                        : []),
                       "Results added to private prompts follow the same visibility rules",
                       "You can change visibility at any time",
                     ].map((s) => (
@@ -1,8 +1,21 @@
 // src/components/ExportImport.jsx - Responsive layout
 import { useState } from "react";
 import { Upload, FileJson, FileSpreadsheet, FileText, Lightbulb, Loader2, FolderOpen, ChevronDown, ChevronUp } from "lucide-react";
+import {
+  CHAT_EXPORT_FORMATS,
+  PROMPT_TYPES,
+  buildPromptContent,
+  isChatPrompt,
+  serializeMessages,
+} from "../lib/chatPrompts";
+import {
+  cleanMetadata,
+  formatMetadataValue,
+  parseMetadataValue,
+  serializeMetadataValue,
+} from "../lib/customFields";
 
-export default function ExportImport({ onImport, teamId, teamName, userRole }) {
+export default function ExportImport({ onImport, teamId, teamName, userRole, metadataSchema = [] }) {
   const [importing, setImporting] = useState(false);
   const [dragActive, setDragActive] = useState(false);
   const [formatsOpen, setFormatsOpen] = useState(false);
@@ -34,15 +47,19 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
       }
 
       const validPrompts = prompts
-        .filter(p => p && (p.title || p.text))
+        .filter(p => p && (p.title || p.text || isChatPrompt(p)))
         .map(p => ({
           title: String(p.title || "").trim() || "Untitled Prompt",
-          text: String(p.text || "").trim() || "",
+          // Chat prompts carry their messages; text is re-derived from them
+          ...(isChatPrompt(p)
+            ? buildPromptContent({ type: PROMPT_TYPES.CHAT, messages: p.messages })
+            : { text: String(p.text || "").trim() || "" }),
           tags: Array.isArray(p.tags)
             ? p.tags.filter(t => typeof t === "string" && t.trim())
             : typeof p.tags === "string"
             ? p.tags.split(",").map(t => t.trim()).filter(Boolean)
             : [],
+          ...importMetadata(p.metadata),
         }))
         .filter(p => p.text);
 
@@ -58,6 +75,17 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
     }
   }
 
+  // Custom field values may be keyed by field id or by label
+  function importMetadata(raw) {
+    if (metadataSchema.length === 0 || !raw || typeof raw !== "object") return {};
+    const values = {};
+    metadataSchema.forEach(field => {
+      values[field.id] = parseMetadataValue(field, raw[field.id] ?? raw[field.label]);
+    });
+    const metadata = cleanMetadata(metadataSchema, values);
+    return Object.keys(metadata).length > 0 ? { metadata } : {};
+  }
+
   function parseCSV(text) {
     const lines = text.split("\n").filter(l => l.trim());
     if (lines.length < 2) return [];
@@ -66,9 +94,13 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
     const textIndex  = headers.findIndex(h => h.includes("text") || h.includes("content") || h.includes("prompt"));
     const tagsIndex  = headers.findIndex(h => h.includes("tag"));
     if (textIndex === -1) throw new Error("CSV must have a column for prompt text (e.g., 'text', 'content', 'prompt')");
+    const fieldColumns = metadataSchema
+      .map(field => ({ field, index: headers.findIndex(h => h === field.label.toLowerCase() || h === field.id) }))
+      .filter(({ index }) => index >= 0 && ![titleIndex, textIndex, tagsIndex].includes(index));
     return lines.slice(1).map(line => {
       const cols = line.split(",").map(c => c.trim().replace(/^"(.*)"$/, "$1"));
-      return { title: titleIndex >= 0 ? cols[titleIndex] : "", text: cols[textIndex] || "", tags: tagsIndex >= 0 ? cols[tagsIndex] : "" };
+      const metadata = Object.fromEntries(fieldColumns.map(({ field, index }) => [field.id, cols[index]]));
+      return { title: titleIndex >= 0 ? cols[titleIndex] : "", text: cols[textIndex] || "", tags: tagsIndex >= 0 ? cols[tagsIndex] : "", metadata };
     });
   }
 
@@ -264,36 +296,61 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
   );
 }
 
+// Test-case datasets (see src/lib/datasets.js). In CSV, the `expected` and
+// `notes` columns are special and every other column is a variable. JSONL
+// has one case per line, either { variables, expected, notes } or flat.
+const DATASET_EXPECTED_COLUMNS = ["expected", "expected_output", "expected output"];
+const DATASET_NOTES_COLUMNS = ["notes", "note"];
+
 // Export utility functions
 export const ExportUtils = {
   exportAsJSON(prompts, filename = "prompts") {
     const data = prompts.map(p => ({
       title: p.title, text: p.text, tags: p.tags || [],
+      ...(isChatPrompt(p) ? { type: PROMPT_TYPES.CHAT, messages: p.messages } : {}),
+      ...(p.metadata && Object.keys(p.metadata).length > 0 ? { metadata: p.metadata } : {}),
       createdAt: p.createdAt ? p.createdAt.toDate().toISOString() : null,
       author: p.createdBy,
     }));
     this.downloadFile(JSON.stringify(data, null, 2), `${filename}.json`, "application/json");
   },
-  exportAsCSV(prompts, filename = "prompts") {
-    const headers = ["title", "text", "tags", "created_date", "author"];
+  // `schema` adds one column per team custom field, headed by its label
+  exportAsCSV(prompts, filename = "prompts", schema = []) {
+    const headers = ["title", "text", "tags", "created_date", "author", ...schema.map(f => this.escapeCSV(f.label))];
     const rows = prompts.map(p => [
       this.escapeCSV(p.title || ""),
       this.escapeCSV(p.text || ""),
       this.escapeCSV((p.tags || []).join(", ")),
       p.createdAt ? p.createdAt.toDate().toLocaleDateString() : "",
       p.createdBy || "",
+      ...schema.map(f => this.escapeCSV(serializeMetadataValue(p.metadata?.[f.id]))),
     ]);
     this.downloadFile([headers.join(","), ...rows.map(r => r.join(","))].join("\n"), `${filename}.csv`, "text/csv");
   },
-  exportAsTXT(prompts, filename = "prompts") {
+  exportAsTXT(prompts, filename = "prompts", schema = []) {
     const content = prompts.map(p => {
       let s = p.title || "Untitled Prompt";
       s += "\n" + (p.text || "");
       if (p.tags && p.tags.length > 0) s += "\nTags: " + p.tags.join(", ");
+      schema.forEach(f => {
+        const value = formatMetadataValue(f, p.metadata?.[f.id]);
+        if (value) s += `\n${f.label}: ${value}`;
+      });
       return s;
     }).join("\n\n---\n\n");
     this.downloadFile(content, `${filename}.txt`, "text/plain");
   },
+  // Request bodies ready for a chat API; text prompts become one user message
+  exportAsChatJSON(prompts, filename = "prompts", format = CHAT_EXPORT_FORMATS.OPENAI) {
+    const data = prompts.map(p => {
+      const messages = isChatPrompt(p) ? p.messages : [{ role: "user", content: p.text || "" }];
+      return {
+        title: p.title,
+        ...JSON.parse(serializeMessages(messages, format)),
+      };
+    });
+    this.downloadFile(JSON.stringify(data, null, 2), `${filename}-${format}.json`, "application/json");
+  },
   escapeCSV(value) {
     if (typeof value !== "string") return '""';
     if (value.includes(",") || value.includes('"') || value.includes("\n"))
@@ -308,4 +365,77 @@ export const ExportUtils = {
     document.body.appendChild(link); link.click();
     document.body.removeChild(link); URL.revokeObjectURL(url);
   },
+  async parseDatasetFile(file) {
+    const text = await file.text();
+    const name = file.name.toLowerCase();
+    if (name.endsWith(".csv")) return this.parseDatasetCSV(text);
+    if (name.endsWith(".jsonl") || name.endsWith(".ndjson")) return this.parseDatasetJSONL(text);
+    throw new Error("Unsupported file format. Please use CSV or JSONL files.");
+  },
+  parseDatasetCSV(text) {
+    const rows = this.splitCSVRows(text).filter(r => r.some(c => c.trim()));
+    if (rows.length < 2) throw new Error("CSV needs a header row and at least one test case");
+    const headers = rows[0].map(h => h.trim());
+    return rows.slice(1).map(cols => {
+      const testCase = { variables: {}, expected: "", notes: "" };
+      headers.forEach((header, i) => {
+        const key = header.toLowerCase();
+        const value = cols[i] ?? "";
+        if (DATASET_EXPECTED_COLUMNS.includes(key)) testCase.expected = value;
+        else if (DATASET_NOTES_COLUMNS.includes(key)) testCase.notes = value;
+        else if (header) testCase.variables[header] = value;
+      });
+      return testCase;
+    });
+  },
+  // Quote-aware, so values may contain commas, quotes and newlines
+  splitCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ",") { row.push(cell); cell = ""; }
+      else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell); rows.push(row); row = []; cell = "";
+      } else cell += ch;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+  },
+  parseDatasetJSONL(text) {
+    return text.split("\n").filter(l => l.trim()).map((line, index) => {
+      let data;
+      try { data = JSON.parse(line); } catch { throw new Error(`Line ${index + 1} is not valid JSON`); }
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error(`Line ${index + 1} must be a JSON object`);
+      }
+      if (data.variables && typeof data.variables === "object") {
+        return { variables: data.variables, expected: data.expected ?? "", notes: data.notes ?? "" };
+      }
+      const { expected = "", notes = "", ...variables } = data;
+      return { variables, expected, notes };
+    });
+  },
+  exportDatasetAsCSV(testCases, filename = "dataset") {
+    const names = [...new Set(testCases.flatMap(c => Object.keys(c.variables || {})))];
+    const headers = [...names, "expected", "notes"].map(h => this.escapeCSV(h));
+    const rows = testCases.map(c => [
+      ...names.map(n => this.escapeCSV(c.variables?.[n] ?? "")),
+      this.escapeCSV(c.expected || ""),
+      this.escapeCSV(c.notes || ""),
+    ]);
+    this.downloadFile([headers.join(","), ...rows.map(r => r.join(","))].join("\n"), `${filename}.csv`, "text/csv");
+  },
+  exportDatasetAsJSONL(testCases, filename = "dataset") {
+    const lines = testCases.map(c => JSON.stringify({ variables: c.variables || {}, expected: c.expected || "", notes: c.notes || "" }));
+    this.downloadFile(lines.join("\n"), `${filename}.jsonl`, "application/x-ndjson");
+  },
 };
@@ -11,7 +11,7 @@ import { usePromptRating } from "./PromptAnalytics";
 import EnhancedBadge from "./EnhancedBadge";
 import {
   Star, Copy, Trash2, ChevronDown, ChevronUp,
-  Lock, Unlock, Tag, Calendar, Check, Activity,
+  Lock, Unlock, Users, Tag, Calendar, Check, Activity,
   FileText, Code, Image as ImageIcon, MessageSquare,
   Eye, Sparkles, BarChart2, TrendingUp,
 } from "lucide-react";
@@ -160,7 +160,8 @@ function FavoriteCard({ fav, index, onRemove }) {
   }, [fav.teamId, fav.id]);
 
   const isPrivate = fav.visibility === "private";
-  const stripColor = isPrivate ? "#f59e0b" : "rgba(139,92,246,.6)";
+  const isRestricted = fav.visibility === "restricted";
+  const stripColor = isPrivate || isRestricted ? "#f59e0b" : "rgba(139,92,246,.6)";
   const shouldTruncate = (fav.text?.length || 0) > 200;
 
   async function handleCopy() {
@@ -185,13 +186,13 @@ function FavoriteCard({ fav, index, onRemove }) {
             <span
               className="fav-vis-badge"
               style={
-                isPrivate
+                isPrivate || isRestricted
                   ? { background: "rgba(245,158,11,.1)", color: "#f59e0b", border: "1px solid rgba(245,158,11,.18)" }
                   : { background: "rgba(139,92,246,.1)", color: "#a78bfa", border: "1px solid rgba(139,92,246,.18)" }
               }
             >
-              {isPrivate ? <Lock size={9} /> : <Unlock size={9} />}
-              {isPrivate ? "Private" : "Public"}
+              {isRestricted ? <Users size={9} /> : isPrivate ? <Lock size={9} /> : <Unlock size={9} />}
+              {isRestricted ? "Restricted" : isPrivate ? "Private" : "Public"}
             </span>
             {fav.enhanced && (
               <EnhancedBadge
@@ -317,27 +318,30 @@ export default function FavoritesList() {
         } catch {}
       }
 
-      // Verify each prompt still exists; auto-delete stale favorites
-      const existenceChecks = await Promise.all(
+      // Verify each prompt still exists; auto-delete stale favorites.
+      // Visibility is checked against the live prompt, since the favorite's
+      // copy doesn't follow later visibility or audience changes.
+      const livePrompts = await Promise.all(
         favData.map(async fav => {
-          if (!fav.teamId || !fav.id) return false;
+          if (!fav.teamId || !fav.id) return null;
           try {
             const snap = await getDoc(doc(db, "teams", fav.teamId, "prompts", fav.id));
-            return snap.exists();
-          } catch { return false; }
+            return snap.exists() ? snap.data() : null;
+          } catch { return null; }
         })
       );
 
-      const stale = favData.filter((_, i) => !existenceChecks[i]);
+      const stale = favData.filter((_, i) => !livePrompts[i]);
       await Promise.all(
         stale.map(fav =>
           deleteDoc(doc(db, "users", user.uid, "favorites", fav.id)).catch(() => {})
         )
       );
 
-      const valid = favData.filter((fav, i) =>
-        existenceChecks[i] && canViewPrompt(fav, user.uid, roles[fav.teamId])
-      );
+      const valid = favData
+        .map((fav, i) => ({ fav, live: livePrompts[i] }))
+        .filter(({ fav, live }) => live && canViewPrompt(live, user.uid, roles[fav.teamId]))
+        .map(({ fav, live }) => ({ ...fav, visibility: live.visibility || "public" }));
       setFavorites(valid);
       setLoading(false);
     }, () => setLoading(false));
@@ -0,0 +1,425 @@
+// src/components/FolderTree.jsx
+// Folder sidebar (tree with drag-and-drop) and breadcrumbs for the prompt library
+import { useState, useMemo } from "react";
+import {
+  Folder,
+  FolderOpen,
+  FolderPlus,
+  FolderTree as FolderTreeIcon,
+  ChevronRight,
+  Pencil,
+  Trash2,
+  Check,
+  X,
+  Library,
+} from "lucide-react";
+import { buildFolderTree, getFolderPath } from "../lib/folders";
+
+// dataTransfer keys so prompt and folder drags can't be confused
+export const PROMPT_DRAG_TYPE = "application/x-prompt-id";
+const FOLDER_DRAG_TYPE = "application/x-folder-id";
+
+const FOLDER_STYLES = `
+  .ftree { display:flex;flex-direction:column;gap:.15rem; }
+  .ftree-hd {
+    display:flex;align-items:center;gap:.4rem;margin-bottom:.4rem;
+    font-size:.68rem;font-weight:700;letter-spacing:.07em;text-transform:uppercase;
+    color:var(--muted-foreground);
+  }
+  .ftree-hd-spacer { flex:1; }
+  .ftree-row {
+    display:flex;align-items:center;gap:.3rem;
+    padding:.32rem .4rem;border-radius:7px;cursor:pointer;
+    font-size:.78rem;color:var(--muted-foreground);
+    border:1px solid transparent;transition:background .12s,border-color .12s;
+  }
+  .ftree-row:hover { background:rgba(var(--primary-rgb),.05);color:var(--foreground); }
+  .ftree-row.active { background:rgba(var(--primary-rgb),.09);color:var(--foreground);font-weight:600; }
+  .ftree-row.drop-target { border-color:rgba(var(--primary-rgb),.45);background:rgba(var(--primary-rgb),.08); }
+  .ftree-name { flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap; }
+  .ftree-count { font-size:.65rem;opacity:.7;font-variant-numeric:tabular-nums; }
+  .ftree-caret {
+    width:16px;height:16px;display:flex;align-items:center;justify-content:center;
+    border:none;background:transparent;color:inherit;cursor:pointer;padding:0;flex-shrink:0;
+  }
+  .ftree-caret svg { transition:transform .15s; }
+  .ftree-caret.open svg { transform:rotate(90deg); }
+  .ftree-actions { display:none;gap:.1rem; }
+  .ftree-row:hover .ftree-actions { display:flex; }
+  .ftree-btn {
+    width:22px;height:22px;border-radius:5px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .ftree-btn:hover { background:rgba(var(--primary-rgb),.1);color:var(--foreground); }
+  .ftree-btn.danger:hover { color:#f87171; }
+  .ftree-input {
+    flex:1;min-width:0;padding:.2rem .4rem;border-radius:5px;font-size:.76rem;
+    background:rgba(255,255,255,.04);border:1px solid rgba(var(--primary-rgb),.3);
+    color:var(--foreground);outline:none;
+  }
+  .ftree-empty { font-size:.7rem;color:var(--muted-foreground);padding:.3rem .4rem; }
+
+  .fcrumbs { display:flex;align-items:center;flex-wrap:wrap;gap:.2rem;font-size:.72rem; }
+  .fcrumb {
+    border:none;background:transparent;cursor:pointer;padding:.1rem .25rem;border-radius:4px;
+    color:var(--muted-foreground);font-size:inherit;
+  }
+  .fcrumb:hover { color:var(--foreground);background:rgba(var(--primary-rgb),.06); }
+  .fcrumb.current { color:var(--foreground);font-weight:600;cursor:default;background:transparent; }
+`;
+
+/**
+ * Single-line name editor used for both "new folder" and "rename"
+ */
+function FolderNameInput({ initialValue = "", depth, onSubmit, onCancel }) {
+  const [value, setValue] = useState(initialValue);
+
+  function submit() {
+    if (value.trim()) onSubmit(value.trim());
+    else onCancel();
+  }
+
+  return (
+    <div className="ftree-row" style={{ paddingLeft: `${0.4 + depth * 0.85}rem` }}>
+      <Folder size={13} />
+      <input
+        className="ftree-input"
+        autoFocus
+        value={value}
+        placeholder="Folder name"
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") submit();
+          if (e.key === "Escape") onCancel();
+        }}
+      />
+      <button type="button" className="ftree-btn" title="Save" onClick={submit}>
+        <Check size={12} />
+      </button>
+      <button type="button" className="ftree-btn" title="Cancel" onClick={onCancel}>
+        <X size={12} />
+      </button>
+    </div>
+  );
+}
+
+function FolderNode({
+  node,
+  depth,
+  selectedFolderId,
+  expanded,
+  onToggleExpanded,
+  promptCounts,
+  editing,
+  setEditing,
+  dropTargetId,
+  setDropTargetId,
+  canEdit,
+  canDelete,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onMoveFolder,
+  onDropPrompt,
+}) {
+  const isOpen = expanded.has(node.id);
+  const hasChildren = node.children.length > 0;
+  const isRenaming = editing?.mode === "rename" && editing.id === node.id;
+  const isAddingChild = editing?.mode === "create" && editing.parentId === node.id;
+
+  function handleDrop(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTargetId(null);
+    const promptId = e.dataTransfer.getData(PROMPT_DRAG_TYPE);
+    const folderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+    if (promptId) onDropPrompt(promptId, node.id);
+    else if (folderId && folderId !== node.id) onMoveFolder(folderId, node.id);
+  }
+
+  const shared = {
+    selectedFolderId,
+    expanded,
+    onToggleExpanded,
+    promptCounts,
+    editing,
+    setEditing,
+    dropTargetId,
+    setDropTargetId,
+    canEdit,
+    canDelete,
+    onSelect,
+    onCreate,
+    onRename,
+    onDelete,
+    onMoveFolder,
+    onDropPrompt,
+  };
+
+  return (
+    <>
+      {isRenaming ? (
+        <FolderNameInput
+          depth={depth}
+          initialValue={node.name}
+          onSubmit={(name) => {
+            onRename(node.id, name);
+            setEditing(null);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <div
+          className={`ftree-row${selectedFolderId === node.id ? " active" : ""}${
+            dropTargetId === node.id ? " drop-target" : ""
+          }`}
+          style={{ paddingLeft: `${0.4 + depth * 0.85}rem` }}
+          onClick={() => onSelect(node.id)}
+          draggable={canEdit}
+          onDragStart={(e) => {
+            e.stopPropagation();
+            e.dataTransfer.setData(FOLDER_DRAG_TYPE, node.id);
+            e.dataTransfer.effectAllowed = "move";
+          }}
+          onDragOver={(e) => {
+            if (!canEdit) return;
+            e.preventDefault();
+            setDropTargetId(node.id);
+          }}
+          onDragLeave={() => setDropTargetId(null)}
+          onDrop={handleDrop}
+        >
+          <button
+            type="button"
+            className={`ftree-caret${isOpen ? " open" : ""}`}
+            style={{ visibility: hasChildren ? "visible" : "hidden" }}
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleExpanded(node.id);
+            }}
+          >
+            <ChevronRight size={12} />
+          </button>
+          {selectedFolderId === node.id ? <FolderOpen size={13} /> : <Folder size={13} />}
+          <span className="ftree-name" title={node.name}>
+            {node.name}
+          </span>
+          {canEdit && (
+            <span className="ftree-actions" onClick={(e) => e.stopPropagation()}>
+              <button
+                type="button"
+                className="ftree-btn"
+                title="New subfolder"
+                onClick={() => {
+                  if (!isOpen) onToggleExpanded(node.id);
+                  setEditing({ mode: "create", parentId: node.id });
+                }}
+              >
+                <FolderPlus size={12} />
+              </button>
+              <button
+                type="button"
+                className="ftree-btn"
+                title="Rename"
+                onClick={() => setEditing({ mode: "rename", id: node.id })}
+              >
+                <Pencil size={12} />
+              </button>
+              {canDelete && (
+                <button
+                  type="button"
+                  className="ftree-btn danger"
+                  title="Delete folder and contents"
+                  onClick={() => onDelete(node)}
+                >
+                  <Trash2 size={12} />
+                </button>
+              )}
+            </span>
+          )}
+          {promptCounts[node.id] > 0 && (
+            <span className="ftree-count">{promptCounts[node.id]}</span>
+          )}
+        </div>
+      )}
+
+      {(isOpen || isAddingChild) && (
+        <>
+          {node.children.map((child) => (
+            <FolderNode key={child.id} node={child} depth={depth + 1} {...shared} />
+          ))}
+          {isAddingChild && (
+            <FolderNameInput
+              depth={depth + 1}
+              onSubmit={(name) => {
+                onCreate(name, node.id);
+                setEditing(null);
+              }}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * Team folder tree. Prompts and folders can be dragged onto any folder;
+ * dropping on "All prompts" moves them back to the root.
+ */
+export default function FolderTree({
+  folders,
+  selectedFolderId,
+  onSelect,
+  promptCounts = {},
+  totalCount = 0,
+  canEdit = false,
+  canDelete = false,
+  onCreate,
+  onRename,
+  onDelete,
+  onMoveFolder,
+  onDropPrompt,
+}) {
+  const tree = useMemo(() => buildFolderTree(folders), [folders]);
+  const [expanded, setExpanded] = useState(new Set());
+  const [editing, setEditing] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  function toggleExpanded(id) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function handleRootDrop(e) {
+    e.preventDefault();
+    setDropTargetId(null);
+    const promptId = e.dataTransfer.getData(PROMPT_DRAG_TYPE);
+    const folderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+    if (promptId) onDropPrompt(promptId, null);
+    else if (folderId) onMoveFolder(folderId, null);
+  }
+
+  return (
+    <>
+      <style>{FOLDER_STYLES}</style>
+      <div className="ftree">
+        <div className="ftree-hd">
+          <FolderTreeIcon size={12} />
+          Folders
+          <span className="ftree-hd-spacer" />
+          {canEdit && (
+            <button
+              type="button"
+              className="ftree-btn"
+              title="New folder"
+              onClick={() => setEditing({ mode: "create", parentId: null })}
+            >
+              <FolderPlus size={13} />
+            </button>
+          )}
+        </div>
+
+        <div
+          className={`ftree-row${selectedFolderId === null ? " active" : ""}${
+            dropTargetId === "root" ? " drop-target" : ""
+          }`}
+          onClick={() => onSelect(null)}
+          onDragOver={(e) => {
+            if (!canEdit) return;
+            e.preventDefault();
+            setDropTargetId("root");
+          }}
+          onDragLeave={() => setDropTargetId(null)}
+          onDrop={handleRootDrop}
+        >
+          <Library size={13} />
+          <span className="ftree-name">All prompts</span>
+          <span className="ftree-count">{totalCount}</span>
+        </div>
+
+        {tree.map((node) => (
+          <FolderNode
+            key={node.id}
+            node={node}
+            depth={0}
+            selectedFolderId={selectedFolderId}
+            expanded={expanded}
+            onToggleExpanded={toggleExpanded}
+            promptCounts={promptCounts}
+            editing={editing}
+            setEditing={setEditing}
+            dropTargetId={dropTargetId}
+            setDropTargetId={setDropTargetId}
+            canEdit={canEdit}
+            canDelete={canDelete}
+            onSelect={onSelect}
+            onCreate={onCreate}
+            onRename={onRename}
+            onDelete={onDelete}
+            onMoveFolder={onMoveFolder}
+            onDropPrompt={onDropPrompt}
+          />
+        ))}
+
+        {editing?.mode === "create" && editing.parentId === null && (
+          <FolderNameInput
+            depth={0}
+            onSubmit={(name) => {
+              onCreate(name, null);
+              setEditing(null);
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {folders.length === 0 && editing === null && (
+          <p className="ftree-empty">
+            {canEdit ? "No folders yet — create one to organize prompts." : "No folders yet."}
+          </p>
+        )}
+      </div>
+    </>
+  );
+}
+
+/**
+ * "All prompts / Parent / Child" trail for the selected folder
+ */
+export function FolderBreadcrumbs({ folders, folderId, onNavigate }) {
+  const path = useMemo(() => getFolderPath(folders, folderId), [folders, folderId]);
+
+  return (
+    <>
+      <style>{FOLDER_STYLES}</style>
+      <nav className="fcrumbs" aria-label="Folder path">
+        <button
+          type="button"
+          className={`fcrumb${path.length === 0 ? " current" : ""}`}
+          onClick={() => onNavigate(null)}
+        >
+          All prompts
+        </button>
+        {path.map((folder, index) => (
+          <span key={folder.id} style={{ display: "contents" }}>
+            <ChevronRight size={11} style={{ color: "var(--muted-foreground)" }} />
+            <button
+              type="button"
+              className={`fcrumb${index === path.length - 1 ? " current" : ""}`}
+              onClick={() => onNavigate(folder.id)}
+            >
+              {folder.name}
+            </button>
+          </span>
+        ))}
+      </nav>
+    </>
+  );
+}
@@ -0,0 +1,88 @@
+// src/components/GradeSummary.jsx
+// Judge grades stored on a result: overall score per rubric, expandable to
+// per-criterion scores and rationale
+import { useState } from "react";
+import { ChevronDown, ChevronUp, Award } from "lucide-react";
+import { getGrades } from "../lib/rubrics";
+
+const GRADE_STYLES = `
+  .grd { display:flex;flex-direction:column;gap:.35rem; }
+  .grd-row {
+    display:flex;align-items:center;gap:.5rem;width:100%;padding:.35rem .5rem;border-radius:8px;
+    background:rgba(251,191,36,.05);border:1px solid rgba(251,191,36,.14);
+    cursor:pointer;font-family:inherit;color:var(--foreground);text-align:left;
+  }
+  .grd-name { flex:1;min-width:0;font-size:.7rem;font-weight:700;overflow:hidden;text-overflow:ellipsis;white-space:nowrap; }
+  .grd-score { font-size:.7rem;font-weight:700;color:#fbbf24;font-variant-numeric:tabular-nums; }
+  .grd-judge { font-size:.6rem;color:var(--muted-foreground); }
+  .grd-bar { height:4px;border-radius:2px;background:rgba(255,255,255,.06);overflow:hidden; }
+  .grd-fill { height:100%;background:#fbbf24;border-radius:2px; }
+  .grd-criteria { display:flex;flex-direction:column;gap:.45rem;padding:.2rem .5rem .35rem; }
+  .grd-criterion { display:flex;flex-direction:column;gap:.2rem; }
+  .grd-chd { display:flex;align-items:center;gap:.4rem;font-size:.68rem;color:var(--foreground); }
+  .grd-chd span:first-child { flex:1;font-weight:600; }
+  .grd-weight { font-size:.6rem;color:var(--muted-foreground); }
+  .grd-why { font-size:.66rem;line-height:1.5;color:var(--muted-foreground); }
+`;
+
+function ScoreBar({ score, scale }) {
+  const share = (score - scale.min) / (scale.max - scale.min);
+  return (
+    <div className="grd-bar">
+      <div className="grd-fill" style={{ width: `${Math.max(0, Math.min(1, share)) * 100}%` }} />
+    </div>
+  );
+}
+
+function GradeRow({ grade }) {
+  const [open, setOpen] = useState(false);
+  const { scale } = grade;
+
+  return (
+    <div>
+      <button type="button" className="grd-row" onClick={() => setOpen((v) => !v)}>
+        <Award size={12} color="#fbbf24" />
+        <span className="grd-name">{grade.rubricName}</span>
+        <span className="grd-judge">{grade.judge?.model}</span>
+        <span className="grd-score">
+          {grade.overall ?? "—"}/{scale.max}
+        </span>
+        {open ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+      </button>
+      {open && (
+        <div className="grd-criteria">
+          {grade.criteria.map((c) => (
+            <div key={c.id} className="grd-criterion">
+              <div className="grd-chd">
+                <span>{c.name}</span>
+                <span className="grd-weight">×{c.weight}</span>
+                <span className="grd-score">
+                  {c.score}/{scale.max}
+                </span>
+              </div>
+              <ScoreBar score={c.score} scale={scale} />
+              {c.rationale && <div className="grd-why">{c.rationale}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Every grade on `result`, or nothing if it hasn't been graded
+ */
+export default function GradeSummary({ result }) {
+  const grades = getGrades(result);
+  if (grades.length === 0) return null;
+
+  return (
+    <div className="grd">
+      <style>{GRADE_STYLES}</style>
+      {grades.map((grade) => (
+        <GradeRow key={grade.rubricId} grade={grade} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,300 @@
+// src/components/OutputComparison.jsx
+// Side-by-side A/B review of outputs for the same input, with winner votes
+// and win rates per model and prompt version
+import { useState, useEffect, useMemo } from "react";
+import { Trophy, Scale, Loader2 } from "lucide-react";
+import { useTimestamp } from "../hooks/useTimestamp";
+import {
+  TIE,
+  groupComparableOutputs,
+  getVariant,
+  isDifferentVariant,
+  subscribeToComparisons,
+  voteOnComparison,
+  clearComparisonVote,
+  votesForPair,
+  aggregateWinRates,
+} from "../lib/comparisons";
+import { labelsByVersion } from "../lib/versionLabels";
+import TextDiff from "./TextDiff";
+
+const COMPARE_STYLES = `
+  .ocmp { display:flex;flex-direction:column;gap:.8rem; }
+  .ocmp-section {
+    font-size:.62rem;font-weight:700;letter-spacing:.07em;text-transform:uppercase;
+    color:var(--muted-foreground);
+  }
+  .ocmp-rates { display:grid;grid-template-columns:repeat(auto-fit,minmax(240px,1fr));gap:.6rem; }
+  .ocmp-table { width:100%;border-collapse:collapse;font-size:.7rem; }
+  .ocmp-table th {
+    text-align:left;font-weight:600;color:var(--muted-foreground);
+    padding:.3rem .4rem;border-bottom:1px solid rgba(255,255,255,.06);
+  }
+  .ocmp-table td { padding:.3rem .4rem;color:var(--foreground);font-variant-numeric:tabular-nums; }
+  .ocmp-table td.name {
+    font-family:'JetBrains Mono','Consolas',monospace;color:#a78bfa;
+    max-width:160px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;
+  }
+  .ocmp-none { font-size:.7rem;color:var(--muted-foreground);font-style:italic; }
+  .ocmp-inputs { display:flex;flex-wrap:wrap;gap:.35rem; }
+  .ocmp-input {
+    max-width:260px;padding:.3rem .6rem;border-radius:7px;cursor:pointer;
+    font-size:.68rem;font-family:'JetBrains Mono','Consolas',monospace;
+    overflow:hidden;text-overflow:ellipsis;white-space:nowrap;
+    border:1px solid rgba(255,255,255,.08);background:rgba(255,255,255,.03);color:var(--muted-foreground);
+  }
+  .ocmp-input.on { border-color:rgba(139,92,246,.4);background:rgba(139,92,246,.12);color:var(--foreground); }
+  .ocmp-sides { display:grid;grid-template-columns:1fr 1fr;gap:.6rem; }
+  .ocmp-side { display:flex;flex-direction:column;gap:.3rem; }
+  .ocmp-lbl { font-size:.68rem;font-weight:700;color:var(--foreground); }
+  .ocmp-select {
+    width:100%;padding:.42rem .55rem;border-radius:7px;box-sizing:border-box;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.72rem;font-family:inherit;outline:none;
+  }
+  .ocmp-votes { display:flex;flex-wrap:wrap;align-items:center;gap:.4rem; }
+  .ocmp-vote {
+    padding:.45rem .8rem;border-radius:8px;cursor:pointer;font-size:.72rem;font-weight:600;
+    display:inline-flex;align-items:center;gap:.35rem;font-family:inherit;
+    border:1px solid rgba(255,255,255,.08);background:rgba(255,255,255,.03);color:var(--foreground);
+  }
+  .ocmp-vote:hover { border-color:rgba(139,92,246,.35); }
+  .ocmp-vote:disabled { opacity:.45;cursor:not-allowed; }
+  .ocmp-vote.on { background:rgba(52,211,153,.12);border-color:rgba(52,211,153,.35);color:#34d399; }
+  .ocmp-tally { font-size:.68rem;color:var(--muted-foreground); }
+  .ocmp-error { font-size:.68rem;color:#f87171; }
+`;
+
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Short summary of an input's variable values
+ */
+function describeInput(variables) {
+  const entries = Object.entries(variables);
+  if (entries.length === 0) return "No variables";
+  return entries.map(([name, value]) => `${name}=${value}`).join(", ");
+}
+
+function WinRateTable({ title, rows, describe }) {
+  return (
+    <div>
+      <span className="ocmp-section">{title}</span>
+      {rows.length === 0 ? (
+        <div className="ocmp-none">No votes yet.</div>
+      ) : (
+        <table className="ocmp-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Win rate</th>
+              <th>W / T / L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td className="name" title={describe(row.key)}>
+                  {describe(row.key)}
+                </td>
+                <td>{formatRate(row.winRate)}</td>
+                <td>
+                  {row.wins} / {row.ties} / {row.losses}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Compare two outputs for the same input from different models or prompt
+ * versions. Reviewers with `canVote` pick the better one or call a tie.
+ */
+export default function OutputComparison({ outputs, prompt, teamId, userId, canVote }) {
+  const { formatRelative } = useTimestamp();
+  const groups = useMemo(() => groupComparableOutputs(outputs), [outputs]);
+  const [votes, setVotes] = useState([]);
+  const [inputKey, setInputKey] = useState(null);
+  const [aId, setAId] = useState(null);
+  const [bId, setBId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!teamId || !prompt?.id) return;
+    return subscribeToComparisons(teamId, prompt.id, setVotes);
+  }, [teamId, prompt?.id]);
+
+  const group = groups.find((g) => g.key === inputKey) || groups[0];
+  const resultA = group?.outputs.find((o) => o.id === aId) || group?.outputs[0];
+  const resultB =
+    group?.outputs.find((o) => o.id === bId && o.id !== resultA?.id) ||
+    group?.outputs.find((o) => resultA && isDifferentVariant(o, resultA));
+
+  const winRates = useMemo(() => aggregateWinRates(votes), [votes]);
+  const pairVotes = resultA && resultB ? votesForPair(votes, resultA, resultB) : [];
+  const myVote = pairVotes.find((v) => v.votedBy === userId);
+
+  const versionLabels = labelsByVersion(prompt?.versionLabels || {});
+  function describeVersion(versionId) {
+    if (!versionId || versionId === "unknown") return "Unknown version";
+    const labels = versionLabels[versionId] || [];
+    const current = versionId === prompt?.latestVersion?.id ? " (current)" : "";
+    return `${labels.length ? labels.join(", ") : versionId.slice(0, 7)}${current}`;
+  }
+  function describeModel(model) {
+    return !model || model === "unknown" ? "Unknown model" : model;
+  }
+  function describeOutput(output) {
+    const { model, promptVersionId } = getVariant(output);
+    return `${describeModel(model)} · ${describeVersion(promptVersionId)} · ${formatRelative(output.createdAt)}`;
+  }
+
+  function selectInput(key) {
+    setInputKey(key);
+    setAId(null);
+    setBId(null);
+    setError("");
+  }
+
+  async function handleVote(winnerId) {
+    setSaving(true);
+    setError("");
+    try {
+      if (myVote?.winnerId === winnerId) {
+        await clearComparisonVote(teamId, prompt.id, userId, resultA, resultB);
+      } else {
+        await voteOnComparison(teamId, prompt.id, userId, resultA, resultB, winnerId);
+      }
+    } catch (err) {
+      setError(err.message || "Couldn't save your vote");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const tally = { a: 0, b: 0, tie: 0 };
+  pairVotes.forEach((v) => {
+    if (v.winnerId === TIE) tally.tie++;
+    else if (v.winnerId === resultA?.id) tally.a++;
+    else tally.b++;
+  });
+
+  return (
+    <div className="ocmp">
+      <style>{COMPARE_STYLES}</style>
+
+      <div className="ocmp-rates">
+        <WinRateTable title="Win rate by model" rows={winRates.model} describe={describeModel} />
+        <WinRateTable
+          title="Win rate by version"
+          rows={winRates.version}
+          describe={describeVersion}
+        />
+      </div>
+
+      {groups.length === 0 ? (
+        <div className="ocmp-none">
+          Nothing to compare yet. Run the prompt with the same inputs on two models or prompt
+          versions to line their outputs up here.
+        </div>
+      ) : (
+        <>
+          <span className="ocmp-section">Input</span>
+          <div className="ocmp-inputs">
+            {groups.map((g) => (
+              <button
+                key={g.key}
+                type="button"
+                className={`ocmp-input${g === group ? " on" : ""}`}
+                title={describeInput(g.variables)}
+                onClick={() => selectInput(g.key)}
+              >
+                {describeInput(g.variables)} · {g.outputs.length}
+              </button>
+            ))}
+          </div>
+
+          <div className="ocmp-sides">
+            {[
+              ["A", resultA, setAId],
+              ["B", resultB, setBId],
+            ].map(([side, selected, select]) => (
+              <div key={side} className="ocmp-side">
+                <label className="ocmp-lbl">Output {side}</label>
+                <select
+                  className="ocmp-select"
+                  value={selected?.id || ""}
+                  onChange={(e) => select(e.target.value)}
+                >
+                  {group.outputs.map((o) => (
+                    <option key={o.id} value={o.id}>
+                      {describeOutput(o)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {resultA && resultB && resultA.id !== resultB.id ? (
+            <>
+              <TextDiff
+                key={`${resultA.id}_${resultB.id}`}
+                before={resultA.content}
+                after={resultB.content}
+                initialLayout="split"
+                showLayoutToggle
+              />
+
+              {isDifferentVariant(resultA, resultB) ? (
+                <div className="ocmp-votes">
+                  {[
+                    { winnerId: resultA.id, label: "A is better", icon: Trophy },
+                    { winnerId: TIE, label: "Tie", icon: Scale },
+                    { winnerId: resultB.id, label: "B is better", icon: Trophy },
+                  ].map((choice) => (
+                    <button
+                      key={choice.winnerId}
+                      type="button"
+                      className={`ocmp-vote${myVote?.winnerId === choice.winnerId ? " on" : ""}`}
+                      onClick={() => handleVote(choice.winnerId)}
+                      disabled={!canVote || saving}
+                      title={
+                        myVote?.winnerId === choice.winnerId
+                          ? "Click again to withdraw your vote"
+                          : ""
+                      }
+                    >
+                      <choice.icon size={12} />
+                      {choice.label}
+                    </button>
+                  ))}
+                  {saving && <Loader2 size={13} className="animate-spin" />}
+                  <span className="ocmp-tally">
+                    {pairVotes.length === 0
+                      ? "No votes on this pair yet"
+                      : `A ${tally.a} · tie ${tally.tie} · B ${tally.b}`}
+                  </span>
+                </div>
+              ) : (
+                <div className="ocmp-none">
+                  These outputs come from the same model and version, so they can't be voted on.
+                </div>
+              )}
+              {error && <span className="ocmp-error">{error}</span>}
+            </>
+          ) : (
+            <div className="ocmp-none">Pick two different outputs to compare.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+// src/components/OwnershipTransfer.jsx
+// Hand prompts to another member, in bulk when someone leaves the team
+// or one at a time from a prompt's menu
+import { useState, useEffect } from "react";
+import { X, ArrowRightLeft, Lock, Unlock, Users } from "lucide-react";
+
+const TRANSFER_STYLES = `
+  @keyframes ownFade { from{opacity:0} to{opacity:1} }
+  @keyframes ownRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .own-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:ownFade .18s ease-out;
+  }
+  .own-shell {
+    width:100%;max-width:520px;max-height:88vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:ownRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .own-hd {
+    display:flex;align-items:center;justify-content:space-between;gap:.75rem;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .own-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .own-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .own-close {
+    width:28px;height:28px;flex-shrink:0;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .own-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .own-body { flex:1;overflow-y:auto;padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.9rem; }
+  .own-lbl {
+    display:flex;align-items:center;justify-content:space-between;
+    font-size:.62rem;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:var(--muted-foreground);
+  }
+  .own-link { background:none;border:none;cursor:pointer;font-size:.66rem;font-weight:600;color:var(--primary);text-transform:none;letter-spacing:0; }
+  .own-list {
+    display:flex;flex-direction:column;gap:.15rem;max-height:220px;overflow-y:auto;
+    padding:.35rem;border-radius:10px;background:rgba(255,255,255,.02);border:1px solid rgba(255,255,255,.06);
+  }
+  .own-item {
+    display:flex;align-items:center;gap:.5rem;padding:.35rem .45rem;border-radius:7px;
+    font-size:.76rem;color:var(--foreground);cursor:pointer;
+  }
+  .own-item:hover { background:rgba(255,255,255,.03); }
+  .own-item-title { flex:1;min-width:0;white-space:nowrap;overflow:hidden;text-overflow:ellipsis; }
+  .own-vis { display:inline-flex;align-items:center;gap:.2rem;font-size:.6rem;color:var(--muted-foreground); }
+  .own-mode {
+    display:flex;align-items:flex-start;gap:.55rem;padding:.65rem .75rem;border-radius:10px;cursor:pointer;
+    border:1px solid rgba(255,255,255,.07);background:rgba(255,255,255,.02);
+  }
+  .own-mode.on { border-color:rgba(139,92,246,.4);background:rgba(139,92,246,.06); }
+  .own-mode-name { font-size:.78rem;font-weight:700;color:var(--foreground); }
+  .own-mode-desc { font-size:.66rem;color:var(--muted-foreground);margin-top:.1rem; }
+  .own-select {
+    width:100%;margin-top:.45rem;padding:.45rem .55rem;border-radius:8px;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.76rem;font-family:inherit;outline:none;
+  }
+  .own-error { font-size:.7rem;color:#f87171; }
+  .own-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;flex-wrap:wrap;gap:.5rem;align-items:center;background:rgba(0,0,0,.08);
+  }
+  .own-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .own-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .own-cancel {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+  .own-cancel:disabled { opacity:.5;cursor:not-allowed; }
+`;
+
+const VIS_ICONS = { private: Lock, restricted: Users, public: Unlock };
+
+/**
+ * Pick prompts and where they go: another member, or public in place.
+ * `onSkip`, when given, adds a button to carry on without transferring
+ * (used by the remove/leave flow).
+ */
+export default function TransferOwnershipModal({
+  open,
+  title = "Transfer ownership",
+  subtitle,
+  prompts = [],
+  members = [],
+  excludeUserId,
+  confirmLabel = "Transfer",
+  skipLabel,
+  onSubmit,
+  onSkip,
+  onClose,
+}) {
+  const [selected, setSelected] = useState(new Set());
+  const [mode, setMode] = useState("transfer");
+  const [toUserId, setToUserId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const candidates = members.filter((m) => m.uid !== excludeUserId);
+
+  useEffect(() => {
+    if (!open) return;
+    setSelected(new Set(prompts.map((p) => p.id)));
+    setMode("transfer");
+    setToUserId("");
+    setError("");
+    setBusy(false);
+  }, [open, prompts]);
+
+  if (!open) return null;
+
+  const allSelected = selected.size === prompts.length;
+  const canSubmit =
+    selected.size > 0 && (mode === "public" || Boolean(toUserId)) && !busy;
+
+  function toggle(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  }
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      setBusy(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!canSubmit) return;
+    const target = candidates.find((m) => m.uid === toUserId);
+    run(() =>
+      onSubmit({
+        prompts: prompts.filter((p) => selected.has(p.id)),
+        toUserId: mode === "transfer" ? toUserId : null,
+        toName: mode === "transfer" ? target?.name || target?.email || "" : "",
+        makePublic: mode === "public",
+      })
+    );
+  }
+
+  return (
+    <>
+      <style>{TRANSFER_STYLES}</style>
+      <div className="own-overlay" onClick={busy ? undefined : onClose}>
+        <form className="own-shell" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+          <div className="own-hd">
+            <div>
+              <div className="own-title">{title}</div>
+              {subtitle && <div className="own-sub">{subtitle}</div>}
+            </div>
+            <button type="button" className="own-close" onClick={onClose} disabled={busy}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="own-body">
+            <div>
+              <div className="own-lbl">
+                <span>
+                  {prompts.length === 1 ? "Prompt" : `Prompts (${selected.size}/${prompts.length})`}
+                </span>
+                {prompts.length > 1 && (
+                  <button
+                    type="button"
+                    className="own-link"
+                    onClick={() =>
+                      setSelected(allSelected ? new Set() : new Set(prompts.map((p) => p.id)))
+                    }
+                  >
+                    {allSelected ? "Select none" : "Select all"}
+                  </button>
+                )}
+              </div>
+              <div className="own-list" style={{ marginTop: ".35rem" }}>
+                {prompts.map((p) => {
+                  const vis = p.visibility || "public";
+                  const VisIcon = VIS_ICONS[vis] || Unlock;
+                  return (
+                    <label key={p.id} className="own-item">
+                      {prompts.length > 1 && (
+                        <input
+                          type="checkbox"
+                          checked={selected.has(p.id)}
+                          onChange={() => toggle(p.id)}
+                          disabled={busy}
+                        />
+                      )}
+                      <span className="own-item-title">{p.title || "Untitled prompt"}</span>
+                      <span className="own-vis">
+                        <VisIcon size={9} />
+                        {vis}
+                      </span>
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+
+            <label className={`own-mode${mode === "transfer" ? " on" : ""}`}>
+              <input
+                type="radio"
+                name="own-mode"
+                checked={mode === "transfer"}
+                onChange={() => setMode("transfer")}
+                disabled={busy}
+              />
+              <div style={{ flex: 1 }}>
+                <div className="own-mode-name">Transfer to another member</div>
+                <div className="own-mode-desc">
+                  They become the author and keep the current visibility
+                </div>
+                {mode === "transfer" && (
+                  <select
+                    className="own-select"
+                    value={toUserId}
+                    onChange={(e) => setToUserId(e.target.value)}
+                    disabled={busy}
+                  >
+                    <option value="">Choose a member…</option>
+                    {candidates.map((m) => (
+                      <option key={m.uid} value={m.uid}>
+                        {m.name || m.email}
+                        {m.role ? ` (${m.role})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </label>
+
+            <label className={`own-mode${mode === "public" ? " on" : ""}`}>
+              <input
+                type="radio"
+                name="own-mode"
+                checked={mode === "public"}
+                onChange={() => setMode("public")}
+                disabled={busy}
+              />
+              <div>
+                <div className="own-mode-name">Make public</div>
+                <div className="own-mode-desc">
+                  Keep the original author and open them up to the whole team
+                </div>
+              </div>
+            </label>
+
+            {error && <span className="own-error">{error}</span>}
+          </div>
+
+          <div className="own-ft">
+            <button type="submit" className="own-submit" disabled={!canSubmit}>
+              <ArrowRightLeft size={13} />
+              {busy ? "Working…" : confirmLabel}
+            </button>
+            {onSkip && (
+              <button
+                type="button"
+                className="own-cancel"
+                disabled={busy}
+                onClick={() => run(onSkip)}
+              >
+                {skipLabel || "Skip"}
+              </button>
+            )}
+            <button type="button" className="own-cancel" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
@@ -1,36 +1,88 @@
 // src/components/PromptForm.jsx
 import { useState, useEffect } from "react";
 import { Plus, Edit2, Check, X, Lightbulb } from "lucide-react";
+import { VariableEditor } from "./PromptVariables";
+import ChatMessagesEditor, { PromptTypeToggle } from "./ChatPromptEditor";
+import {
+  PROMPT_TYPES,
+  isChatPrompt,
+  createDefaultMessages,
+  flattenMessages,
+  hasMessageContent,
+} from "../lib/chatPrompts";
+import { updateVariableInText } from "../lib/promptVariables";
+import { MetadataFieldsEditor } from "./CustomFields";
+import { validateMetadata, cleanMetadata } from "../lib/customFields";
 
-export default function PromptForm({ onSubmit, editingPrompt, onUpdate, onCancel }) {
+export default function PromptForm({ onSubmit, editingPrompt, onUpdate, onCancel, metadataSchema = [] }) {
   const [title,       setTitle]       = useState("");
   const [text,        setText]        = useState("");
   const [tags,        setTags]        = useState("");
+  const [promptType,  setPromptType]  = useState(PROMPT_TYPES.TEXT);
+  const [messages,    setMessages]    = useState(createDefaultMessages());
+  const [metadata,    setMetadata]    = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
   const [submitting,  setSubmitting]  = useState(false);
 
+  function resetFields() {
+    setTitle(""); setText(""); setTags("");
+    setPromptType(PROMPT_TYPES.TEXT); setMessages(createDefaultMessages());
+    setMetadata({}); setFieldErrors({});
+  }
+
   useEffect(() => {
     if (editingPrompt) {
       setTitle(editingPrompt.title || "");
       setText(editingPrompt.text || "");
       setTags((editingPrompt.tags || []).join(", "));
+      setPromptType(isChatPrompt(editingPrompt) ? PROMPT_TYPES.CHAT : PROMPT_TYPES.TEXT);
+      setMessages(isChatPrompt(editingPrompt) ? editingPrompt.messages : createDefaultMessages());
+      setMetadata(editingPrompt.metadata || {});
+      setFieldErrors({});
     } else {
-      setTitle(""); setText(""); setTags("");
+      resetFields();
     }
   }, [editingPrompt]);
 
+  const isChat        = promptType === PROMPT_TYPES.CHAT;
+  const effectiveText = isChat ? flattenMessages(messages) : text;
+
+  function handleTypeChange(nextType) {
+    if (nextType === promptType) return;
+    // Carry content across so switching modes never loses work
+    if (nextType === PROMPT_TYPES.CHAT && !hasMessageContent(messages) && text.trim()) {
+      setMessages([{ role: "system", content: "" }, { role: "user", content: text }]);
+    }
+    if (nextType === PROMPT_TYPES.TEXT && !text.trim()) setText(flattenMessages(messages));
+    setPromptType(nextType);
+  }
+
+  function handleMessageVariableChange(name, declaration) {
+    setMessages(prev => prev.map(m => ({ ...m, content: updateVariableInText(m.content, name, declaration) })));
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
-    if (!title.trim() || !text.trim()) { alert("Please fill in both title and prompt text"); return; }
+    if (!title.trim() || !effectiveText.trim()) {
+      alert(isChat ? "Please add a title and at least one message" : "Please fill in both title and prompt text");
+      return;
+    }
+    const errors = validateMetadata(metadataSchema, metadata);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
     setSubmitting(true);
     const data = {
       title: title.trim(),
-      text:  text.trim(),
+      type:  promptType,
+      ...(isChat ? { messages } : {}),
+      text:  effectiveText.trim(),
       tags:  tags.split(",").map(t => t.trim()).filter(Boolean),
+      ...(metadataSchema.length > 0 ? { metadata: cleanMetadata(metadataSchema, metadata) } : {}),
     };
     try {
       if (editingPrompt && onUpdate) await onUpdate(editingPrompt.id, data);
       else if (onSubmit) await onSubmit(data);
-      if (!editingPrompt) { setTitle(""); setText(""); setTags(""); }
+      if (!editingPrompt) resetFields();
     } catch (err) {
       console.error(err);
       alert("Failed to save prompt. Please try again.");
@@ -40,14 +92,14 @@ export default function PromptForm({ onSubmit, editingPrompt, onUpdate, onCancel
   }
 
   function handleCancel() {
-    setTitle(""); setText(""); setTags("");
+    resetFields();
     if (onCancel) onCancel();
   }
 
   const isEditing  = Boolean(editingPrompt);
-  const isDirty    = title || text || tags;
+  const isDirty    = title || effectiveText || tags;
   const tagList    = tags.split(",").map(t => t.trim()).filter(Boolean);
-  const wordCount  = text.trim().split(/\s+/).filter(Boolean).length;
+  const wordCount  = effectiveText.trim().split(/\s+/).filter(Boolean).length;
 
   const TIPS = [
     "Be specific about the desired output format",
@@ -191,19 +243,37 @@ export default function PromptForm({ onSubmit, editingPrompt, onUpdate, onCancel
                 className="pf-input" required disabled={submitting} maxLength={100} />
             </div>
 
+            {/* format */}
+            <div className="pf-field">
+              <label className="pf-lbl">Format</label>
+              <PromptTypeToggle value={promptType} onChange={handleTypeChange} disabled={submitting} />
+            </div>
+
             {/* text */}
             <div className="pf-field">
               <label className="pf-lbl">
-                Prompt Content *
+                {isChat ? "Messages *" : "Prompt Content *"}
                 <span className="pf-lbl-count" style={{ fontVariantNumeric:"tabular-nums" }}>
-                  {text.length.toLocaleString()} chars · {wordCount} words
+                  {effectiveText.length.toLocaleString()} chars · {wordCount} words
                 </span>
               </label>
-              <textarea value={text} onChange={e => setText(e.target.value)}
-                placeholder="Write your AI prompt here. Be specific about what you want the AI to do, provide context, and include any formatting instructions…"
-                className="pf-textarea" required disabled={submitting} rows={8} />
+              {isChat ? (
+                <ChatMessagesEditor messages={messages} onChange={setMessages} disabled={submitting} />
+              ) : (
+                <textarea value={text} onChange={e => setText(e.target.value)}
+                  placeholder="Write your AI prompt here. Be specific about what you want the AI to do, provide context, and include any formatting instructions…"
+                  className="pf-textarea" required disabled={submitting} rows={8} />
+              )}
             </div>
 
+            {/* template variables */}
+            <VariableEditor
+              text={effectiveText}
+              onTextChange={setText}
+              onVariableChange={isChat ? handleMessageVariableChange : undefined}
+              disabled={submitting}
+            />
+
             {/* tags */}
             <div className="pf-field">
               <label className="pf-lbl">Tags <span style={{ opacity:.5, textTransform:"none", letterSpacing:0, fontWeight:500 }}>(comma separated)</span></label>
@@ -217,11 +287,23 @@ export default function PromptForm({ onSubmit, editingPrompt, onUpdate, onCancel
               )}
             </div>
 
+            {/* custom fields */}
+            <MetadataFieldsEditor
+              schema={metadataSchema}
+              values={metadata}
+              errors={fieldErrors}
+              onChange={setMetadata}
+              disabled={submitting}
+              fieldClassName="pf-field"
+              labelClassName="pf-lbl"
+              inputClassName="pf-input"
+            />
+
           </div>
 
           {/* footer */}
           <div className="pf-footer">
-            <button type="submit" disabled={submitting || !title.trim() || !text.trim()} className="pf-submit">
+            <button type="submit" disabled={submitting || !title.trim() || !effectiveText.trim()} className="pf-submit">
               {submitting
                 ? <><div className="pf-spinner" />{isEditing ? "Updating…" : "Creating…"}</>
                 : <><Check size={13} />{isEditing ? "Update Prompt" : "Create Prompt"}</>}
@@ -234,7 +316,7 @@ export default function PromptForm({ onSubmit, editingPrompt, onUpdate, onCancel
             )}
 
             {!isEditing && isDirty && (
-              <button type="button" onClick={() => { setTitle(""); setText(""); setTags(""); }}
+              <button type="button" onClick={resetFields}
                 disabled={submitting} className="pf-clear">
                 <X size={12} />Clear
               </button>
@@ -0,0 +1,390 @@
+// src/components/PromptLineage.jsx
+// Fork dialog and the lineage panel (ancestors, forks, changes since fork)
+import { useState, useEffect } from "react";
+import { X, GitFork, GitBranch, CornerDownRight, Lock } from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import {
+  getUserTeams,
+  getForkTargets,
+  getForkAncestors,
+  getForkDescendants,
+} from "../lib/forks";
+import TextDiff from "./TextDiff";
+
+const LINEAGE_STYLES = `
+  @keyframes linFade { from{opacity:0} to{opacity:1} }
+  @keyframes linRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .lin-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:linFade .18s ease-out;
+  }
+  .lin-shell {
+    width:100%;max-width:440px;max-height:85vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:linRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .lin-shell.wide { max-width:680px; }
+  .lin-hd {
+    display:flex;align-items:center;justify-content:space-between;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .lin-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .lin-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .lin-close {
+    width:28px;height:28px;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .lin-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .lin-tabs { display:flex;gap:.25rem;padding:.6rem 1.25rem 0; }
+  .lin-tab {
+    padding:.4rem .75rem;border-radius:7px 7px 0 0;border:none;cursor:pointer;
+    font-size:.72rem;font-weight:600;background:transparent;color:var(--muted-foreground);
+    border-bottom:2px solid transparent;
+  }
+  .lin-tab.active { color:var(--foreground);border-bottom-color:var(--primary); }
+  .lin-body {
+    padding:1rem 1.25rem;overflow-y:auto;display:flex;flex-direction:column;gap:.65rem;
+  }
+  .lin-lbl { font-size:.7rem;font-weight:700;color:var(--foreground); }
+  .lin-hint { font-size:.7rem;color:var(--muted-foreground);line-height:1.5; }
+  .lin-input {
+    width:100%;padding:.55rem .65rem;border-radius:8px;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.78rem;font-family:inherit;
+    outline:none;box-sizing:border-box;
+  }
+  .lin-input:focus { border-color:rgba(139,92,246,.42); }
+  .lin-error { font-size:.68rem;color:#f87171; }
+  .lin-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;background:rgba(0,0,0,.08);
+  }
+  .lin-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .lin-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .lin-cancel {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+
+  .lin-section { font-size:.64rem;font-weight:700;letter-spacing:.06em;text-transform:uppercase;color:var(--muted-foreground); }
+  .lin-node {
+    display:flex;align-items:center;gap:.45rem;padding:.4rem .55rem;border-radius:8px;
+    font-size:.76rem;color:var(--foreground);background:none;border:1px solid transparent;
+    text-align:left;width:100%;font-family:inherit;
+  }
+  button.lin-node { cursor:pointer; }
+  button.lin-node:hover { background:rgba(255,255,255,.04);border-color:rgba(255,255,255,.06); }
+  .lin-node.current { background:rgba(139,92,246,.1);border-color:rgba(139,92,246,.28);font-weight:700; }
+  .lin-node.unavailable { color:var(--muted-foreground);font-style:italic; }
+  .lin-node-title { flex:1;min-width:0;white-space:nowrap;overflow:hidden;text-overflow:ellipsis; }
+  .lin-team {
+    font-size:.6rem;font-weight:600;padding:.05rem .4rem;border-radius:999px;
+    background:rgba(255,255,255,.06);color:var(--muted-foreground);white-space:nowrap;
+  }
+  .lin-empty { font-size:.72rem;color:var(--muted-foreground); }
+  .lin-compare { display:flex;align-items:center;gap:.5rem;flex-wrap:wrap; }
+`;
+
+/**
+ * Ask for the fork's title and destination team, then call
+ * onSubmit({ teamId, title })
+ */
+export function ForkDialog({ open, prompt, currentTeamId, onSubmit, onClose }) {
+  const { user } = useAuth();
+  const [teams, setTeams] = useState([]);
+  const [teamId, setTeamId] = useState(currentTeamId);
+  const [title, setTitle] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open || !prompt) return;
+    setTeamId(currentTeamId);
+    setTitle(`${prompt.title} (fork)`);
+    setError("");
+    getUserTeams(user?.uid)
+      .then((all) => setTeams(getForkTargets(all)))
+      .catch(() => setTeams([]));
+  }, [open, prompt, currentTeamId, user]);
+
+  if (!open || !prompt) return null;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+    try {
+      await onSubmit({ teamId, title });
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to fork prompt");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <>
+      <style>{LINEAGE_STYLES}</style>
+      <div className="lin-overlay" onClick={onClose}>
+        <div className="lin-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="lin-hd">
+            <div>
+              <div className="lin-title">Fork prompt</div>
+              <div className="lin-sub">{prompt.title}</div>
+            </div>
+            <button className="lin-close" onClick={onClose} disabled={submitting}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} style={{ display: "contents" }}>
+            <div className="lin-body">
+              <p className="lin-hint">
+                The fork starts as your own draft and keeps a link back to
+                this prompt, so you can always see what you changed.
+              </p>
+              <label className="lin-lbl">Title</label>
+              <input
+                className="lin-input"
+                value={title}
+                autoFocus
+                onChange={(e) => setTitle(e.target.value)}
+              />
+              {teams.length > 1 && (
+                <>
+                  <label className="lin-lbl">Team</label>
+                  <select
+                    className="lin-input"
+                    value={teamId}
+                    onChange={(e) => setTeamId(e.target.value)}
+                  >
+                    {teams.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.name}
+                        {t.id === currentTeamId ? " (current)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
+              {error && <span className="lin-error">{error}</span>}
+            </div>
+
+            <div className="lin-ft">
+              <button type="submit" className="lin-submit" disabled={submitting}>
+                <GitFork size={13} />
+                {submitting ? "Forking…" : "Fork"}
+              </button>
+              <button type="button" className="lin-cancel" onClick={onClose} disabled={submitting}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function LineageNode({ node, teamNames, currentTeamId, isCurrent, indent = 0, onOpen }) {
+  const otherTeam = node.teamId !== currentTeamId ? teamNames[node.teamId] : null;
+  const content = (
+    <>
+      {indent > 0 ? <CornerDownRight size={12} /> : <GitBranch size={12} />}
+      <span className="lin-node-title">
+        {node.title || "Untitled"}
+        {node.unavailable ? " (deleted or no access)" : ""}
+      </span>
+      {otherTeam && <span className="lin-team">{otherTeam}</span>}
+      {node.unavailable && <Lock size={11} />}
+    </>
+  );
+  const style = { paddingLeft: `${0.55 + indent * 1.1}rem` };
+
+  if (isCurrent || node.unavailable || !onOpen) {
+    return (
+      <div
+        className={`lin-node${isCurrent ? " current" : ""}${node.unavailable ? " unavailable" : ""}`}
+        style={style}
+      >
+        {content}
+      </div>
+    );
+  }
+  return (
+    <button type="button" className="lin-node" style={style} onClick={() => onOpen(node)}>
+      {content}
+    </button>
+  );
+}
+
+/**
+ * Where a prompt came from, what was forked from it, and how it differs
+ * from its parent
+ */
+export function LineagePanel({ open, prompt, teamId, userRole, onOpenPrompt, onClose }) {
+  const { user } = useAuth();
+  const [tab, setTab] = useState("lineage");
+  const [loading, setLoading] = useState(true);
+  const [ancestors, setAncestors] = useState([]);
+  const [descendants, setDescendants] = useState([]);
+  const [teamNames, setTeamNames] = useState({});
+  const [compareTo, setCompareTo] = useState("fork");
+
+  useEffect(() => {
+    if (!open || !prompt) return;
+    let cancelled = false;
+    setTab("lineage");
+    setCompareTo("fork");
+    setAncestors([]);
+    setDescendants([]);
+    setLoading(true);
+
+    (async () => {
+      const teams = await getUserTeams(user?.uid).catch(() => []);
+      const teamIds = teams.length ? teams.map((t) => t.id) : [teamId];
+      const viewer = {
+        userId: user?.uid,
+        roles: { [teamId]: userRole, ...Object.fromEntries(teams.map((t) => [t.id, t.role])) },
+      };
+      const [up, down] = await Promise.all([
+        prompt.forkedFrom ? getForkAncestors(prompt, viewer) : [],
+        getForkDescendants(teamIds, teamId, prompt.id, viewer),
+      ]);
+      if (cancelled) return;
+      setTeamNames(Object.fromEntries(teams.map((t) => [t.id, t.name])));
+      setAncestors(up);
+      setDescendants(down);
+      setLoading(false);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, prompt, teamId, userRole, user]);
+
+  if (!open || !prompt) return null;
+
+  // Only a parent the viewer can see is compared as it is now
+  const parent = ancestors[0] && !ancestors[0].unavailable ? ancestors[0] : null;
+  const parentText =
+    compareTo === "current" && parent ? parent.text : prompt.forkedFrom?.text || "";
+
+  return (
+    <>
+      <style>{LINEAGE_STYLES}</style>
+      <div className="lin-overlay" onClick={onClose}>
+        <div className="lin-shell wide" onClick={(e) => e.stopPropagation()}>
+          <div className="lin-hd">
+            <div>
+              <div className="lin-title">Lineage</div>
+              <div className="lin-sub">{prompt.title}</div>
+            </div>
+            <button className="lin-close" onClick={onClose}>
+              <X size={14} />
+            </button>
+          </div>
+
+          {prompt.forkedFrom && (
+            <div className="lin-tabs">
+              <button
+                className={`lin-tab ${tab === "lineage" ? "active" : ""}`}
+                onClick={() => setTab("lineage")}
+              >
+                Lineage
+              </button>
+              <button
+                className={`lin-tab ${tab === "changes" ? "active" : ""}`}
+                onClick={() => setTab("changes")}
+              >
+                Changes since fork
+              </button>
+            </div>
+          )}
+
+          <div className="lin-body">
+            {tab === "lineage" &&
+              (loading ? (
+                <div className="lin-empty">Loading lineage…</div>
+              ) : (
+                <>
+                  <div className="lin-section">Forked from</div>
+                  {ancestors.length === 0 ? (
+                    <div className="lin-empty">This is an original prompt.</div>
+                  ) : (
+                    [...ancestors].reverse().map((node, i) => (
+                      <LineageNode
+                        key={node.id}
+                        node={node}
+                        indent={i}
+                        teamNames={teamNames}
+                        currentTeamId={teamId}
+                        onOpen={onOpenPrompt}
+                      />
+                    ))
+                  )}
+
+                  <LineageNode
+                    node={{ ...prompt, teamId }}
+                    indent={ancestors.length}
+                    teamNames={teamNames}
+                    currentTeamId={teamId}
+                    isCurrent
+                  />
+
+                  <div className="lin-section">Forks</div>
+                  {descendants.length === 0 ? (
+                    <div className="lin-empty">No forks yet.</div>
+                  ) : (
+                    descendants.map((node) => (
+                      <LineageNode
+                        key={node.id}
+                        node={node}
+                        indent={ancestors.length + node.depth}
+                        teamNames={teamNames}
+                        currentTeamId={teamId}
+                        onOpen={onOpenPrompt}
+                      />
+                    ))
+                  )}
+                </>
+              ))}
+
+            {tab === "changes" && prompt.forkedFrom && (
+              <>
+                <div className="lin-compare">
+                  <span className="lin-hint">Compare with</span>
+                  <select
+                    className="lin-input"
+                    style={{ width: "auto" }}
+                    value={compareTo}
+                    onChange={(e) => setCompareTo(e.target.value)}
+                  >
+                    <option value="fork">
+                      &quot;{prompt.forkedFrom.title}&quot; when forked
+                    </option>
+                    <option value="current" disabled={!parent}>
+                      &quot;{prompt.forkedFrom.title}&quot; now
+                      {!parent && !loading ? " (unavailable)" : ""}
+                    </option>
+                  </select>
+                </div>
+                <TextDiff before={parentText} after={prompt.text} />
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -27,6 +27,7 @@ import {
   deletePrompt,
   togglePromptVisibility,
   filterVisiblePrompts,
+  canViewPrompt,
 } from "../lib/prompts";
 import {
   getAllDemoPrompts,
@@ -71,12 +72,31 @@ import {
   Lightbulb,
   SlidersHorizontal,
   UserPlus,
+  Users,
+  ArrowRightLeft,
   TrendingUp as TrendIcon,
   ChevronUp,
   ShieldAlert,
   Video,
   ChevronLeft,
   ChevronRight, // ← added ChevronLeft/Right
+  Send,
+  CheckCircle2,
+  XCircle,
+  Archive,
+  RotateCcw,
+  GitPullRequest,
+  GitFork,
+  GitBranch,
+  Puzzle,
+  TableProperties,
+  History,
+  ClipboardCheck,
+  GitMerge,
+  Rocket,
+  Play,
+  Table2,
+  TrendingDown,
 } from "lucide-react";
 import EditPromptModal from "./EditPromptModal";
 import EnhancedBadge from "./EnhancedBadge";
@@ -92,6 +112,103 @@ import { TokenEstimator, AI_MODELS } from "./AIModelTools";
 import BulkOperations, { PromptSelector } from "./BulkOperations";
 import { useNotification } from "../context/NotificationContext";
 import usePagination, { PaginationControls } from "../hooks/usePagination";
+import VariableFillModal, { VariableEditor } from "./PromptVariables";
+import { parseVariables, updateVariableInText } from "../lib/promptVariables";
+import ChatMessagesEditor, {
+  ChatConversation,
+  PromptTypeToggle,
+} from "./ChatPromptEditor";
+import FolderTree, { FolderBreadcrumbs, PROMPT_DRAG_TYPE } from "./FolderTree";
+import {
+  subscribeToFolders,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  deleteFolder,
+  movePromptToFolder,
+  getDescendantFolderIds,
+} from "../lib/folders";
+import {
+  StatusBadge,
+  StatusNotice,
+  StatusActionDialog,
+  DeprecatedCopyDialog,
+} from "./PromptStatus";
+import {
+  PROMPT_STATUSES,
+  STATUS_META,
+  getPromptStatus,
+  getAvailableStatusActions,
+  requestReview,
+  withdrawReview,
+  approvePrompt,
+  rejectPrompt,
+  deprecatePrompt,
+  reinstatePrompt,
+} from "../lib/promptStatus";
+import useTeamRole from "../hooks/useTeamRole";
+import TrashBin from "./TrashBin";
+import { ForkDialog, LineagePanel } from "./PromptLineage";
+import { forkPrompt } from "../lib/forks";
+import SnippetLibrary from "./SnippetLibrary";
+import TransferOwnershipModal from "./OwnershipTransfer";
+import { transferPromptOwnership } from "../lib/ownership";
+import PromptVersioning from "./PromptVersioning";
+import ChangeRequestsPanel, { ProposeChangeModal } from "./ChangeRequests";
+import { proposeChange } from "../lib/changeRequests";
+import VersionRetentionModal from "./VersionRetention";
+import RunPromptModal from "./RunPromptModal";
+import DatasetPanel from "./DatasetPanel";
+import useRegressionChecks from "../hooks/useRegressionChecks";
+import {
+  REGRESSION_STATUSES,
+  getCurrentRegression,
+} from "../lib/regressions";
+import RubricManager from "./RubricManager";
+import { RUBRIC_EDITOR_ROLES } from "../lib/rubrics";
+import {
+  subscribeToVersionRetention,
+  saveVersionRetention,
+  DEFAULT_RETENTION,
+} from "../lib/versionRetention";
+import MetadataSchemaEditor, {
+  MetadataFieldsEditor,
+  MetadataChips,
+  MetadataFilterInputs,
+} from "./CustomFields";
+import {
+  subscribeToMetadataSchema,
+  saveMetadataSchema,
+  validateMetadata,
+  cleanMetadata,
+  countMetadataFilters,
+  hasMetadataFilters,
+  matchesMetadataFilters,
+} from "../lib/customFields";
+import {
+  subscribeToSnippets,
+  createSnippet,
+  updateSnippet,
+  deleteSnippet,
+  indexSnippets,
+  hasSnippetRefs,
+  expandPromptSnippets,
+} from "../lib/snippets";
+import {
+  subscribeToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+} from "../lib/trash";
+import {
+  CHAT_EXPORT_FORMATS,
+  PROMPT_TYPES,
+  isChatPrompt,
+  serializeMessages,
+  buildPromptContent,
+  createDefaultMessages,
+  flattenMessages,
+  hasMessageContent,
+} from "../lib/chatPrompts";
 
 // ─── Utility functions ────────────────────────────────────────────────────────
 function getRelativeTime(timestamp) {
@@ -167,43 +284,159 @@ function UserAvatar({ src, name, email, size = "sm" }) {
 }
 
 // ─── Copy Button ─────────────────────────────────────────────────────────────
-function CopyButton({ text, promptId, onCopy, isGuestMode, compact = false }) {
+function getCopySource(prompt, snippets = {}) {
+  const expanded = expandPromptSnippets(prompt, snippets);
+  return {
+    id: expanded.id,
+    title: expanded.title,
+    text: expanded.text,
+    variables: expanded.variables,
+    messages: isChatPrompt(expanded) ? expanded.messages : undefined,
+  };
+}
+
+function CopyButton({
+  text,
+  title,
+  variables,
+  messages,
+  format = CHAT_EXPORT_FORMATS.TEXT,
+  promptId,
+  onCopy,
+  isGuestMode,
+  compact = false,
+  deprecated = false,
+  replacement = null,
+  snippets = {},
+}) {
   const [copied, setCopied] = useState(false);
-  const handleCopy = async () => {
-    await onCopy(text, promptId, isGuestMode);
+  const [showVariableForm, setShowVariableForm] = useState(false);
+  const [showDeprecatedNotice, setShowDeprecatedNotice] = useState(false);
+  const [useReplacement, setUseReplacement] = useState(false);
+
+  // What actually gets copied: this prompt, or its replacement if chosen
+  const source =
+    useReplacement && replacement
+      ? getCopySource(replacement, snippets)
+      : { id: promptId, title, text, variables, messages };
+  const declaredVariables = useMemo(
+    () =>
+      source.variables && source.variables.length > 0
+        ? source.variables
+        : parseVariables(source.text),
+    [source.variables, source.text],
+  );
+
+  const copyText = async (filledText, values = {}, from = source) => {
+    // Chat prompts are serialized from their messages in the chosen format
+    const value =
+      from.messages && from.messages.length > 0
+        ? serializeMessages(from.messages, format, values)
+        : filledText;
+    await onCopy(value, from.id, isGuestMode);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const startCopy = async (from) => {
+    // Templated prompts are filled in before anything reaches the clipboard
+    const fromVariables =
+      from.variables && from.variables.length > 0
+        ? from.variables
+        : parseVariables(from.text);
+    if (fromVariables.length > 0) {
+      setShowVariableForm(true);
+      return;
+    }
+    await copyText(from.text, {}, from);
+    setUseReplacement(false);
+  };
+
+  const handleCopy = async () => {
+    if (deprecated) {
+      setShowDeprecatedNotice(true);
+      return;
+    }
+    await startCopy(source);
+  };
+
+  const variableForm = (
+    <>
+      {showDeprecatedNotice && (
+        <DeprecatedCopyDialog
+          open={showDeprecatedNotice}
+          prompt={{ title }}
+          replacement={replacement}
+          onUseReplacement={() => {
+            setShowDeprecatedNotice(false);
+            setUseReplacement(true);
+            startCopy(getCopySource(replacement, snippets));
+          }}
+          onCopyAnyway={() => {
+            setShowDeprecatedNotice(false);
+            startCopy({ id: promptId, title, text, variables, messages });
+          }}
+          onClose={() => setShowDeprecatedNotice(false)}
+        />
+      )}
+      {showVariableForm && (
+        <VariableFillModal
+          open={showVariableForm}
+          title={source.title}
+          text={source.text}
+          variables={declaredVariables}
+          submitLabel="Copy filled prompt"
+          onSubmit={copyText}
+          onClose={() => {
+            setShowVariableForm(false);
+            setUseReplacement(false);
+          }}
+        />
+      )}
+    </>
+  );
+
   if (compact) {
     return (
+      <>
+        <button
+          onClick={handleCopy}
+          className="icon-action-btn"
+          title={
+            copied
+              ? "Copied!"
+              : declaredVariables.length > 0
+                ? "Fill variables & copy"
+                : "Copy prompt"
+          }
+        >
+          {copied ? (
+            <Check className="w-3.5 h-3.5 text-green-400" />
+          ) : (
+            <Copy className="w-3.5 h-3.5" />
+          )}
+        </button>
+        {variableForm}
+      </>
+    );
+  }
+
+  return (
+    <>
       <button
         onClick={handleCopy}
-        className="icon-action-btn"
-        title={copied ? "Copied!" : "Copy prompt"}
+        className="btn-action-secondary"
+        title="Copy prompt"
       >
         {copied ? (
           <Check className="w-3.5 h-3.5 text-green-400" />
         ) : (
           <Copy className="w-3.5 h-3.5" />
         )}
+        <span className="hidden sm:inline">{copied ? "Copied!" : "Copy"}</span>
       </button>
-    );
-  }
-
-  return (
-    <button
-      onClick={handleCopy}
-      className="btn-action-secondary"
-      title="Copy prompt"
-    >
-      {copied ? (
-        <Check className="w-3.5 h-3.5 text-green-400" />
-      ) : (
-        <Copy className="w-3.5 h-3.5" />
-      )}
-      <span className="hidden sm:inline">{copied ? "Copied!" : "Copy"}</span>
-    </button>
+      {variableForm}
+    </>
   );
 }
 
@@ -369,22 +602,26 @@ function ExpandedCommentsSection({
 }
 
 // ─── AI Analysis Panel (content only — toggled from the tab bar) ─────────────
-function AIAnalysisPanel({ text, onEnhance }) {
+function AIAnalysisPanel({ text, messages, onEnhance }) {
   const stats = useMemo(() => {
     if (!text) return null;
-    const tokens = TokenEstimator.estimateTokens(text, "gpt-4");
-    const cost = TokenEstimator.estimateCost(text, "gpt-4");
+    // Chat prompts are counted across every message, including role overhead
+    const tokens =
+      messages && messages.length > 0
+        ? TokenEstimator.estimateMessagesTokens(messages, "gpt-4")
+        : TokenEstimator.estimateTokens(text, "gpt-4");
+    const cost = (tokens / 1000) * AI_MODELS["gpt-4"].costPer1kTokens;
     const recommendations = TokenEstimator.getRecommendations(text);
     return {
       tokens,
       cost,
       bestModel: recommendations[0]?.model || "gpt-4",
-      compatibleModels: Object.keys(AI_MODELS).filter((model) =>
-        TokenEstimator.fitsInContext(text, model),
+      compatibleModels: Object.keys(AI_MODELS).filter(
+        (model) => tokens <= AI_MODELS[model].maxTokens,
       ).length,
       totalModels: Object.keys(AI_MODELS).length,
     };
-  }, [text]);
+  }, [text, messages]);
 
   if (!stats) return null;
   const BestIcon = AI_MODELS[stats.bestModel]?.icon || Cpu;
@@ -709,6 +946,15 @@ function OutputsMiniGrid({
 }
 
 // ─── Prompt Card ──────────────────────────────────────────────────────────────
+const STATUS_MENU_ITEMS = {
+  request_review: { label: "Request Review", icon: Send },
+  approve: { label: "Approve", icon: CheckCircle2 },
+  reject: { label: "Request Changes", icon: XCircle, danger: true },
+  withdraw: { label: "Withdraw Review", icon: RotateCcw },
+  deprecate: { label: "Deprecate…", icon: Archive, danger: true },
+  reinstate: { label: "Reinstate", icon: RotateCcw },
+};
+
 function PromptCard({
   prompt,
   outputs = [],
@@ -740,16 +986,47 @@ function PromptCard({
   favouritePromptIds = new Set(),
   canModify = true,
   creatorRole = "member",
+  onDragStart,
+  showStatus = false,
+  statusActions = [],
+  onStatusAction,
+  replacement = null,
+  onOpenReplacement,
+  onFork,
+  onShowLineage,
+  onTransferOwnership,
+  onShowHistory,
+  onRun,
+  onShowDataset,
+  onProposeChange,
+  onShowChangeRequests,
+  snippets = {},
+  metadataSchema = [],
 }) {
   const [isTextExpanded, setIsTextExpanded] = useState(false);
+  const [showSnippetsExpanded, setShowSnippetsExpanded] = useState(false);
+  const [copyFormat, setCopyFormat] = useState(CHAT_EXPORT_FORMATS.TEXT);
   const [showAIAnalysis, setShowAIAnalysis] = useState(false);
   const [showRatingStats, setShowRatingStats] = useState(false);
   const [outputIndex, setOutputIndex] = useState(0);
   const menuRef = useRef(null);
   const isPrivate = prompt.visibility === "private";
+  const isRestricted = prompt.visibility === "restricted";
+  const regression = getCurrentRegression(prompt);
   const isViewed = viewedPrompts.has(prompt.id);
-  const shouldTruncate = prompt.text.length > 160;
+  const isChat = isChatPrompt(prompt);
+  const usesSnippets = hasSnippetRefs(prompt);
+  // Copy, export and analysis always work on the expanded prompt
+  const expanded = useMemo(
+    () => expandPromptSnippets(prompt, snippets),
+    [prompt, snippets],
+  );
+  const shown = showSnippetsExpanded ? expanded : prompt;
+  const shouldTruncate = isChat
+    ? prompt.messages.length > 3 || shown.text.length > 160
+    : shown.text.length > 160;
   const badge = getPromptBadge(prompt, isGuestMode);
+  const status = getPromptStatus(prompt);
   const showMenu = openMenuId === prompt.id;
   const isFavourited = favouritePromptIds.has(prompt.id);
   const showRestrictionBanner =
@@ -793,6 +1070,8 @@ function PromptCard({
   return (
     <article
       className={`prompt-card-v3 ${isViewed ? "viewed" : "new"} ${isSelected ? "ring-2 ring-primary" : ""} ${isDemo ? "is-demo" : ""}`}
+      draggable={Boolean(onDragStart)}
+      onDragStart={onDragStart ? (e) => onDragStart(e, prompt) : undefined}
     >
       {showRestrictionBanner && <RestrictionBanner creatorRole={creatorRole} />}
 
@@ -837,6 +1116,8 @@ function PromptCard({
               <span className="demo-badge-small">{badge.label}</span>
             )}
 
+            {showStatus && <StatusBadge status={status} />}
+
             <div className="prompt-left-top-spacer" />
 
             {!isDemo && prompt.enhanced && (
@@ -866,18 +1147,96 @@ function PromptCard({
           {/* ── Middle: prompt title, prompt details ── */}
           <div className="prompt-left-mid">
             <h3 className="prompt-title-text">{prompt.title}</h3>
-            <div className="prompt-preview-section">
-              <p
-                className={`prompt-text-content ${isTextExpanded ? "expanded" : ""}`}
-                style={{
-                  display: isTextExpanded ? "block" : "-webkit-box",
-                  WebkitLineClamp: isTextExpanded ? "unset" : 4,
-                  WebkitBoxOrient: "vertical",
-                  overflow: isTextExpanded ? undefined : "hidden",
-                }}
+            {prompt.forkedFrom && onShowLineage && (
+              <button
+                onClick={() => onShowLineage(prompt)}
+                className="prompt-fork-chip"
+                title="View lineage"
               >
-                {prompt.text}
-              </p>
+                <GitFork className="w-3 h-3" />
+                <span>Forked from {prompt.forkedFrom.title || "a prompt"}</span>
+              </button>
+            )}
+            {prompt.versionLabels?.production && onShowHistory && (
+              <button
+                onClick={() => onShowHistory(prompt)}
+                className="prompt-fork-chip"
+                title="Open version history"
+              >
+                <Rocket className="w-3 h-3" />
+                <span>
+                  {prompt.latestVersion?.id === prompt.versionLabels.production
+                    ? "Production is the latest version"
+                    : "Production is pinned to an earlier version"}
+                </span>
+              </button>
+            )}
+            {prompt.openChangeRequests > 0 && onShowChangeRequests && (
+              <button
+                onClick={() => onShowChangeRequests(prompt)}
+                className="prompt-fork-chip"
+                title="Review proposed changes"
+              >
+                <GitPullRequest className="w-3 h-3" />
+                <span>
+                  {prompt.openChangeRequests} proposed{" "}
+                  {prompt.openChangeRequests === 1 ? "change" : "changes"}
+                </span>
+              </button>
+            )}
+            {regression?.status === REGRESSION_STATUSES.REGRESSED && (
+              <button
+                onClick={onShowDataset ? () => onShowDataset(prompt) : undefined}
+                className="prompt-fork-chip regressed"
+                title={regression.reasons.join("\n")}
+              >
+                <TrendingDown className="w-3 h-3" />
+                <span>Possible regression: {regression.reasons[0]}</span>
+              </button>
+            )}
+            {regression?.status === REGRESSION_STATUSES.RUNNING && (
+              <span className="prompt-fork-chip">
+                <Loader2 className="w-3 h-3 animate-spin" />
+                <span>Checking this version against its test cases…</span>
+              </span>
+            )}
+            {showStatus && (
+              <StatusNotice
+                prompt={prompt}
+                replacement={replacement}
+                onOpenReplacement={onOpenReplacement}
+              />
+            )}
+            <div className="prompt-preview-section">
+              {isChat ? (
+                <ChatConversation
+                  messages={shown.messages}
+                  collapsed={!isTextExpanded}
+                />
+              ) : (
+                <p
+                  className={`prompt-text-content ${isTextExpanded ? "expanded" : ""}`}
+                  style={{
+                    display: isTextExpanded ? "block" : "-webkit-box",
+                    WebkitLineClamp: isTextExpanded ? "unset" : 4,
+                    WebkitBoxOrient: "vertical",
+                    overflow: isTextExpanded ? undefined : "hidden",
+                  }}
+                >
+                  {shown.text}
+                </p>
+              )}
+              {usesSnippets && (
+                <button
+                  onClick={() => setShowSnippetsExpanded(!showSnippetsExpanded)}
+                  className="read-more-btn"
+                  style={{ marginRight: "0.75rem" }}
+                  title="Snippets are always expanded when copying or exporting"
+                >
+                  <Puzzle className="w-3 h-3" />
+                  {showSnippetsExpanded ? "Collapse snippets" : "Expand snippets"}
+                </button>
+              )}
               {shouldTruncate && (
                 <button
                   onClick={() => {
@@ -893,18 +1252,42 @@ function PromptCard({
                 </button>
               )}
             </div>
+            <MetadataChips schema={metadataSchema} values={prompt.metadata} />
           </div>
 
           {/* ── Bottom: copy/enhance icon buttons + tags ── */}
           <div className="prompt-left-bottom">
             <div className="prompt-left-icon-actions">
               <CopyButton
-                text={prompt.text}
+                text={expanded.text}
+                title={prompt.title}
+                variables={expanded.variables}
+                messages={isChat ? expanded.messages : undefined}
+                format={copyFormat}
                 promptId={prompt.id}
                 onCopy={onCopy}
                 isGuestMode={isGuestMode}
+                deprecated={
+                  showStatus && status === PROMPT_STATUSES.DEPRECATED
+                }
+                replacement={replacement}
+                snippets={snippets}
                 compact
               />
+              {isChat && (
+                <select
+                  value={copyFormat}
+                  onChange={(e) => setCopyFormat(e.target.value)}
+                  className="copy-format-select"
+                  title="Copy format"
+                >
+                  <option value={CHAT_EXPORT_FORMATS.TEXT}>Text</option>
+                  <option value={CHAT_EXPORT_FORMATS.OPENAI}>OpenAI JSON</option>
+                  <option value={CHAT_EXPORT_FORMATS.ANTHROPIC}>
+                    Anthropic JSON
+                  </option>
+                </select>
+              )}
 
               {isDemo ? (
                 <button
@@ -1093,6 +1476,99 @@ function PromptCard({
                       </>
                     )}
 
+                    {onRun && (
+                      <button
+                        onClick={() => {
+                          onRun(prompt);
+                          onMenuToggle(null);
+                        }}
+                        className="menu-item"
+                      >
+                        <Play className="w-4 h-4" />
+                        <span>Run prompt</span>
+                      </button>
+                    )}
+
+                    {onShowDataset && (
+                      <button
+                        onClick={() => {
+                          onShowDataset(prompt);
+                          onMenuToggle(null);
+                        }}
+                        className="menu-item"
+                      >
+                        <Table2 className="w-4 h-4" />
+                        <span>Test dataset</span>
+                      </button>
+                    )}
+
+                    {onShowHistory && (
+                      <button
+                        onClick={() => {
+                          onShowHistory(prompt);
+                          onMenuToggle(null);
+                        }}
+                        className="menu-item"
+                      >
+                        <History className="w-4 h-4" />
+                        <span>Version history</span>
+                      </button>
+                    )}
+
+                    {onProposeChange && (
+                      <button
+                        onClick={() => {
+                          onProposeChange(prompt);
+                          onMenuToggle(null);
+                        }}
+                        className="menu-item"
+                      >
+                        <GitPullRequest className="w-4 h-4" />
+                        <span>Propose change</span>
+                      </button>
+                    )}
+
+                    {onShowChangeRequests && (
+                      <button
+                        onClick={() => {
+                          onShowChangeRequests(prompt);
+                          onMenuToggle(null);
+                        }}
+                        className="menu-item"
+                      >
+                        <GitMerge className="w-4 h-4" />
+                        <span>Change requests</span>
+                      </button>
+                    )}
+
+                    {onFork && (
+                      <>
+                        <button
+                          onClick={() => {
+                            onFork(prompt);
+                            onMenuToggle(null);
+                          }}
+                          className="menu-item"
+                        >
+                          <GitFork className="w-4 h-4" />
+                          <span>Fork</span>
+                        </button>
+                        {onShowLineage && (
+                          <button
+                            onClick={() => {
+                              onShowLineage(prompt);
+                              onMenuToggle(null);
+                            }}
+                            className="menu-item"
+                          >
+                            <GitBranch className="w-4 h-4" />
+                            <span>Lineage</span>
+                          </button>
+                        )}
+                        <div className="menu-divider" />
+                      </>
+                    )}
+
                     {!canModify ? (
                       <button
                         className="menu-item"
@@ -1137,15 +1613,53 @@ function PromptCard({
                         }}
                         className="menu-item"
                       >
-                        {isPrivate ? (
+                        {isPrivate || isRestricted ? (
                           <Unlock className="w-4 h-4" />
                         ) : (
                           <Lock className="w-4 h-4" />
                         )}
-                        <span>Make {isPrivate ? "Public" : "Private"}</span>
+                        <span>
+                          Make {isPrivate || isRestricted ? "Public" : "Private"}
+                        </span>
                       </button>
                     )}
 
+                    {onTransferOwnership && (
+                      <button
+                        onClick={() => {
+                          onTransferOwnership(prompt);
+                          onMenuToggle(null);
+                        }}
+                        className="menu-item"
+                      >
+                        <ArrowRightLeft className="w-4 h-4" />
+                        <span>Transfer ownership</span>
+                      </button>
+                    )}
+
+                    {statusActions.length > 0 && (
+                      <>
+                        <div className="menu-divider" />
+                        {statusActions.map((action) => {
+                          const item = STATUS_MENU_ITEMS[action];
+                          const ItemIcon = item.icon;
+                          return (
+                            <button
+                              key={action}
+                              onClick={() => {
+                                onStatusAction(prompt, action);
+                                onMenuToggle(null);
+                              }}
+                              className={`menu-item ${item.danger ? "danger" : ""}`}
+                            >
+                              <ItemIcon className="w-4 h-4" />
+                              <span>{item.label}</span>
+                            </button>
+                          );
+                        })}
+                      </>
+                    )}
+
                     {canEdit && (
                       <>
                         <div className="menu-divider" />
@@ -1204,7 +1718,8 @@ function PromptCard({
             <div className={`panel-expand ${showAIAnalysis ? "open" : ""}`}>
               {showAIAnalysis && (
                 <AIAnalysisPanel
-                  text={prompt.text}
+                  text={expanded.text}
+                  messages={isChat ? expanded.messages : undefined}
                   onEnhance={
                     isGuestMode && activeTeam
                       ? null
@@ -1229,14 +1744,23 @@ function PromptCard({
               </span>
               {!isGuestMode && (
                 <span
-                  className={`privacy-badge ${isPrivate ? "private" : "public"}`}
+                  className={`privacy-badge ${isRestricted ? "restricted" : isPrivate ? "private" : "public"}`}
+                  title={
+                    isRestricted
+                      ? "Visible to the people and roles picked by the author"
+                      : undefined
+                  }
                 >
-                  {isPrivate ? (
+                  {isRestricted ? (
+                    <Users className="w-2.5 h-2.5" />
+                  ) : isPrivate ? (
                     <Lock className="w-2.5 h-2.5" />
                   ) : (
                     <Unlock className="w-2.5 h-2.5" />
                   )}
-                  <span>{isPrivate ? "Private" : "Public"}</span>
+                  <span>
+                    {isRestricted ? "Restricted" : isPrivate ? "Private" : "Public"}
+                  </span>
                 </span>
               )}
             </div>
@@ -1291,14 +1815,17 @@ function FilterCard({
   teamMembers = {},
   isExpanded,
   onToggleExpanded,
+  showStatus = false,
+  metadataSchema = [],
 }) {
   const authors = Object.entries(teamMembers).map(([uid, member]) => ({
     uid,
     name: member.name || member.email,
   }));
-  const activeFilterCount = Object.entries(filters).filter(
-    ([k, v]) => k !== "sortBy" && v !== "" && v !== "all",
-  ).length;
+  const activeFilterCount =
+    Object.entries(filters).filter(
+      ([k, v]) => k !== "sortBy" && k !== "metadata" && v !== "" && v !== "all",
+    ).length + countMetadataFilters(filters.metadata);
 
   return (
     <div className="glass-card p-4 mb-4" id="filter-card">
@@ -1381,6 +1908,21 @@ function FilterCard({
                   { value: "private", label: "Private Only" },
                 ],
               },
+              ...(showStatus
+                ? [
+                    {
+                      key: "status",
+                      label: "Status",
+                      icon: GitPullRequest,
+                      options: [
+                        { value: "all", label: "All Statuses" },
+                        ...Object.entries(STATUS_META).map(
+                          ([value, meta]) => ({ value, label: meta.label }),
+                        ),
+                      ],
+                    },
+                  ]
+                : []),
               {
                 key: "dateRange",
                 label: "Created",
@@ -1461,6 +2003,15 @@ function FilterCard({
                 />
               </div>
             ))}
+
+            <MetadataFilterInputs
+              schema={metadataSchema}
+              filters={filters.metadata}
+              onChange={(metadata) => onFilterChange("metadata", metadata)}
+              labelClassName="flex items-center gap-1.5 text-xs font-medium mb-1.5"
+              labelStyle={{ color: "var(--foreground)" }}
+              inputClassName="form-input w-full text-sm"
+            />
           </div>
 
           {hasActiveFilters && (
@@ -1525,9 +2076,13 @@ export default function PromptList({
   const [newPrompt, setNewPrompt] = useState({
     title: "",
     tags: "",
+    type: PROMPT_TYPES.TEXT,
     text: "",
+    messages: createDefaultMessages(),
     visibility: "public",
+    metadata: {},
   });
+  const [newPromptErrors, setNewPromptErrors] = useState({});
   const [editingPrompt, setEditingPrompt] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [teamMembers, setTeamMembers] = useState({});
@@ -1550,6 +2105,27 @@ export default function PromptList({
   const filterCardRef = useRef(null);
   const importCardRef = useRef(null);
   const [favouritePromptIds, setFavouritePromptIds] = useState(new Set());
+  const [folders, setFolders] = useState([]);
+  const [selectedFolderId, setSelectedFolderId] = useState(null);
+  const [statusAction, setStatusAction] = useState(null);
+  const [trashItems, setTrashItems] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [forkSource, setForkSource] = useState(null);
+  const [lineagePrompt, setLineagePrompt] = useState(null);
+  const [transferPrompt, setTransferPrompt] = useState(null);
+  const [historyPrompt, setHistoryPrompt] = useState(null);
+  const [promptToRun, setPromptToRun] = useState(null);
+  const [proposePrompt, setProposePrompt] = useState(null);
+  const [changeRequestsPromptId, setChangeRequestsPromptId] = useState(null);
+  const [datasetPromptId, setDatasetPromptId] = useState(null);
+  const [snippets, setSnippets] = useState([]);
+  const [showSnippets, setShowSnippets] = useState(false);
+  const [metadataSchema, setMetadataSchema] = useState([]);
+  const [showSchemaEditor, setShowSchemaEditor] = useState(false);
+  const [versionRetention, setVersionRetention] = useState(DEFAULT_RETENTION);
+  const [showRetention, setShowRetention] = useState(false);
+  const [showRubrics, setShowRubrics] = useState(false);
+  const { canReviewPrompts } = useTeamRole(isGuestMode ? null : activeTeam);
 
   const [filters, setFilters] = useState({
     author: "all",
@@ -1559,6 +2135,8 @@ export default function PromptList({
     minLength: "",
     maxLength: "",
     visibility: "all",
+    status: "all",
+    metadata: {},
   });
 
   const demos = useMemo(() => {
@@ -1602,9 +2180,12 @@ export default function PromptList({
         const unique = Array.from(
           new Map(data.map((item) => [item.id, item])).values(),
         );
-        const visible = user
-          ? filterVisiblePrompts(unique, user.uid, userRole)
-          : unique.filter((p) => p.visibility === "public" || !p.visibility);
+        // Guest links have no user or role, so only public prompts pass
+        const visible = filterVisiblePrompts(
+          unique,
+          user?.uid || null,
+          user ? userRole : null,
+        );
         setUserPrompts(visible);
         setLoading(false);
       },
@@ -1613,6 +2194,57 @@ export default function PromptList({
     return () => unsub();
   }, [activeTeam, user, userRole, isGuestMode]);
 
+  useEffect(() => {
+    setSelectedFolderId(null);
+    if (!activeTeam) {
+      setFolders([]);
+      return;
+    }
+    return subscribeToFolders(activeTeam, setFolders);
+  }, [activeTeam]);
+
+  useEffect(() => {
+    if (!activeTeam || isGuestMode) {
+      setTrashItems([]);
+      return;
+    }
+    return subscribeToTrash(activeTeam, setTrashItems);
+  }, [activeTeam, isGuestMode]);
+
+  useEffect(() => {
+    if (!activeTeam || isGuestMode) {
+      setSnippets([]);
+      return;
+    }
+    return subscribeToSnippets(activeTeam, setSnippets);
+  }, [activeTeam, isGuestMode]);
+  const snippetsByName = useMemo(() => indexSnippets(snippets), [snippets]);
+  useRegressionChecks(activeTeam, userPrompts, user?.uid, snippetsByName);
+
+  useEffect(() => {
+    // Field ids are per team, so filters on them don't carry over
+    setFilters((prev) => ({ ...prev, metadata: {} }));
+    if (!activeTeam || isGuestMode) {
+      setMetadataSchema([]);
+      return;
+    }
+    return subscribeToMetadataSchema(activeTeam, setMetadataSchema);
+  }, [activeTeam, isGuestMode]);
+
+  useEffect(() => {
+    if (!activeTeam || isGuestMode) {
+      setVersionRetention(DEFAULT_RETENTION);
+      return;
+    }
+    return subscribeToVersionRetention(activeTeam, setVersionRetention);
+  }, [activeTeam, isGuestMode]);
+
+  // Drop back to the root if the open folder is deleted elsewhere
+  useEffect(() => {
+    if (selectedFolderId && !folders.some((f) => f.id === selectedFolderId))
+      setSelectedFolderId(null);
+  }, [folders, selectedFolderId]);
+
   useEffect(() => {
     if (!activeTeam) return;
     const unsubs = userPrompts.map((prompt) =>
@@ -1728,6 +2360,15 @@ export default function PromptList({
       return 0;
     }
     let filtered = [...promptsList];
+    // A folder shows its own prompts; searching widens to its subfolders
+    if (selectedFolderId) {
+      const scope = new Set(
+        searchQuery.trim()
+          ? getDescendantFolderIds(folders, selectedFolderId)
+          : [selectedFolderId],
+      );
+      filtered = filtered.filter((p) => scope.has(p.folderId));
+    }
     if (searchQuery.trim()) {
       const term = searchQuery.toLowerCase().trim();
       filtered = filtered.filter(
@@ -1744,6 +2385,10 @@ export default function PromptList({
       filtered = filtered.filter(
         (p) => (p.visibility || "public") === filters.visibility,
       );
+    if (filters.status !== "all")
+      filtered = filtered.filter(
+        (p) => getPromptStatus(p) === filters.status,
+      );
     if (filters.tags.trim()) {
       const searchTags = filters.tags
         .toLowerCase()
@@ -1792,6 +2437,10 @@ export default function PromptList({
       filtered = filtered.filter(
         (p) => (p.text?.length || 0) <= parseInt(filters.maxLength),
       );
+    if (hasMetadataFilters(filters.metadata))
+      filtered = filtered.filter((p) =>
+        matchesMetadataFilters(p, metadataSchema, filters.metadata),
+      );
     filtered.sort((a, b) => {
       switch (filters.sortBy) {
         case "newest":
@@ -1833,6 +2482,8 @@ export default function PromptList({
       minLength: "",
       maxLength: "",
       visibility: "all",
+      status: "all",
+      metadata: {},
     });
   }
   function hasActiveFilters() {
@@ -1842,7 +2493,9 @@ export default function PromptList({
       filters.dateRange !== "all" ||
       filters.minLength !== "" ||
       filters.maxLength !== "" ||
-      filters.visibility !== "all"
+      filters.visibility !== "all" ||
+      filters.status !== "all" ||
+      hasMetadataFilters(filters.metadata)
     );
   }
 
@@ -1860,7 +2513,16 @@ export default function PromptList({
 
   const allPrompts = useMemo(
     () => applyFilters([...demos, ...userPrompts]),
-    [demos, userPrompts, searchQuery, filters, teamMembers],
+    [
+      demos,
+      userPrompts,
+      searchQuery,
+      filters,
+      teamMembers,
+      selectedFolderId,
+      folders,
+      metadataSchema,
+    ],
   );
   const displayDemos = useMemo(
     () => allPrompts.filter((p) => isDemoPrompt(p)),
@@ -1881,38 +2543,46 @@ export default function PromptList({
 
   const handleBulkDelete = async (promptIds) => {
     try {
-      let deletedCount = 0;
+      const trashedIds = [];
       for (const id of promptIds) {
         const prompt = displayUserPrompts.find((p) => p.id === id);
         if (prompt && !canEditPrompt(prompt)) continue;
         if (isGuestMode) guestState.deletePrompt(id);
         else {
-          await deletePrompt(activeTeam, id);
+          await deletePrompt(activeTeam, id, user?.uid);
           if (user)
             deleteDoc(doc(db, "users", user.uid, "favorites", id)).catch(
               () => {},
             );
         }
-        deletedCount++;
+        trashedIds.push(id);
       }
       if (isGuestMode)
         setUserPrompts((prev) => prev.filter((p) => !promptIds.includes(p.id)));
       setSelectedPrompts([]);
-      showSuccessToast(
-        `${deletedCount} prompt${deletedCount !== 1 ? "s" : ""} deleted`,
-      );
+      const label = `${trashedIds.length} prompt${trashedIds.length !== 1 ? "s" : ""}`;
+      if (isGuestMode) showSuccessToast(`${label} deleted`);
+      else showUndoToast(`${label} moved to trash`, trashedIds);
     } catch {
       showNotification("Failed to delete some prompts", "error");
     }
   };
 
-  const handleBulkExport = (prompts, format) => {
+  const handleBulkExport = (selected, format) => {
+    const prompts = selected
+      .filter((p) => canViewPrompt(p, user?.uid || null, userRole))
+      .map((p) => expandPromptSnippets(p, snippetsByName));
     if (format === "json")
       ExportUtils.exportAsJSON(prompts, `prompts-${Date.now()}`);
     else if (format === "csv")
-      ExportUtils.exportAsCSV(prompts, `prompts-${Date.now()}`);
+      ExportUtils.exportAsCSV(prompts, `prompts-${Date.now()}`, metadataSchema);
     else if (format === "txt")
-      ExportUtils.exportAsTXT(prompts, `prompts-${Date.now()}`);
+      ExportUtils.exportAsTXT(prompts, `prompts-${Date.now()}`, metadataSchema);
+    else if (
+      format === CHAT_EXPORT_FORMATS.OPENAI ||
+      format === CHAT_EXPORT_FORMATS.ANTHROPIC
+    )
+      ExportUtils.exportAsChatJSON(prompts, `prompts-${Date.now()}`, format);
   };
 
   const handleDuplicateDemo = (demoPrompt) => {
@@ -1939,22 +2609,68 @@ export default function PromptList({
     });
   };
 
+  function handleNewPromptTypeChange(type) {
+    setNewPrompt((prev) => {
+      if (type === prev.type) return prev;
+      // Carry content across so switching modes never loses work
+      const next = { ...prev, type };
+      if (
+        type === PROMPT_TYPES.CHAT &&
+        !hasMessageContent(prev.messages) &&
+        prev.text.trim()
+      ) {
+        next.messages = [
+          { role: "system", content: "" },
+          { role: "user", content: prev.text },
+        ];
+      }
+      if (type === PROMPT_TYPES.TEXT && !prev.text.trim()) {
+        next.text = flattenMessages(prev.messages);
+      }
+      return next;
+    });
+  }
+
+  function handleNewPromptVariableChange(name, declaration) {
+    setNewPrompt((prev) => ({
+      ...prev,
+      messages: prev.messages.map((m) => ({
+        ...m,
+        content: updateVariableInText(m.content, name, declaration),
+      })),
+    }));
+  }
+
   async function handleCreate(e) {
     e.preventDefault();
-    if (!newPrompt.title.trim() || !newPrompt.text.trim()) {
-      showNotification("Title and prompt text are required", "error");
+    const isChat = newPrompt.type === PROMPT_TYPES.CHAT;
+    const content = buildPromptContent({
+      ...newPrompt,
+      text: newPrompt.text.trim(),
+    });
+    if (!newPrompt.title.trim() || !content.text.trim()) {
+      showNotification(
+        isChat
+          ? "Title and at least one message are required"
+          : "Title and prompt text are required",
+        "error",
+      );
       return;
     }
+    const fieldErrors = validateMetadata(metadataSchema, newPrompt.metadata);
+    setNewPromptErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
     try {
       if (isGuestMode) {
         const saved = guestState.addPrompt({
           title: newPrompt.title.trim(),
-          text: newPrompt.text.trim(),
+          ...content,
           tags: newPrompt.tags
             .split(",")
             .map((t) => t.trim())
             .filter(Boolean),
           visibility: newPrompt.visibility,
+          variables: parseVariables(content.text),
         });
         setUserPrompts((prev) => [saved, ...prev]);
         checkSaveRequired("create_prompt", () => {});
@@ -1963,17 +2679,27 @@ export default function PromptList({
           user.uid,
           {
             title: newPrompt.title.trim(),
-            text: newPrompt.text.trim(),
+            ...content,
             tags: newPrompt.tags
               .split(",")
               .map((t) => t.trim())
               .filter(Boolean),
             visibility: newPrompt.visibility,
+            folderId: selectedFolderId,
+            metadata: cleanMetadata(metadataSchema, newPrompt.metadata),
           },
           activeTeam,
         );
       }
-      setNewPrompt({ title: "", tags: "", text: "", visibility: "public" });
+      setNewPrompt({
+        title: "",
+        tags: "",
+        type: PROMPT_TYPES.TEXT,
+        text: "",
+        messages: createDefaultMessages(),
+        visibility: "public",
+        metadata: {},
+      });
       setShowCreateForm(false);
       showSuccessToast("Prompt created successfully!");
     } catch {
@@ -1981,15 +2707,22 @@ export default function PromptList({
     }
   }
 
-  async function handleUpdate(promptId, updates) {
+  async function handleUpdate(promptId, { changeNote = "", ...updates }) {
     try {
       if (isGuestMode) {
-        guestState.updatePrompt(promptId, updates);
+        const guestUpdates =
+          typeof updates.text === "string"
+            ? { ...updates, variables: parseVariables(updates.text) }
+            : updates;
+        guestState.updatePrompt(promptId, guestUpdates);
         setUserPrompts((prev) =>
-          prev.map((p) => (p.id === promptId ? { ...p, ...updates } : p)),
+          prev.map((p) => (p.id === promptId ? { ...p, ...guestUpdates } : p)),
         );
       } else {
-        await updatePromptFirestore(activeTeam, promptId, updates);
+        await updatePromptFirestore(activeTeam, promptId, updates, {
+          userId: user?.uid,
+          changeNote,
+        });
       }
       setShowEditModal(false);
       setEditingPrompt(null);
@@ -2000,19 +2733,20 @@ export default function PromptList({
   }
 
   async function handleDelete(promptId) {
-    if (!confirm("Are you sure you want to delete this prompt?")) return;
-    try {
-      if (isGuestMode) {
-        guestState.deletePrompt(promptId);
-        setUserPrompts((prev) => prev.filter((p) => p.id !== promptId));
-      } else {
-        await deletePrompt(activeTeam, promptId);
-        if (user)
-          deleteDoc(doc(db, "users", user.uid, "favorites", promptId)).catch(
-            () => {},
-          );
-      }
+    if (isGuestMode) {
+      if (!confirm("Are you sure you want to delete this prompt?")) return;
+      guestState.deletePrompt(promptId);
+      setUserPrompts((prev) => prev.filter((p) => p.id !== promptId));
       showSuccessToast("Prompt deleted");
+      return;
+    }
+    try {
+      await deletePrompt(activeTeam, promptId, user?.uid);
+      if (user)
+        deleteDoc(doc(db, "users", user.uid, "favorites", promptId)).catch(
+          () => {},
+        );
+      showUndoToast("Prompt moved to trash", [promptId]);
     } catch {
       showNotification("Failed to delete prompt", "error");
     }
@@ -2099,26 +2833,291 @@ export default function PromptList({
     }
   }
 
-  function handleEnhance(prompt) {
-    if (!canModifyPrompt(prompt)) {
-      showNotification(
-        "You don't have permission to enhance this prompt",
-        "error",
-      );
-      return;
+  // ─── Folders ───────────────────────────────────────────────────────────────
+  const canManageFolders =
+    !isGuestMode &&
+    !!user &&
+    ["owner", "admin", "member"].includes(userRole);
+  const canDeleteFolders =
+    !isGuestMode && (userRole === "owner" || userRole === "admin");
+
+  const folderPromptCounts = useMemo(() => {
+    const counts = {};
+    userPrompts.forEach((p) => {
+      if (p.folderId) counts[p.folderId] = (counts[p.folderId] || 0) + 1;
+    });
+    return counts;
+  }, [userPrompts]);
+
+  async function handleCreateFolder(name, parentId) {
+    try {
+      const id = await createFolder(activeTeam, user.uid, name, parentId);
+      setSelectedFolderId(id);
+    } catch (e) {
+      showNotification(e.message || "Failed to create folder", "error");
     }
-    setCurrentPromptForAI(prompt);
-    setShowAIEnhancer(true);
   }
 
-  function handleAttachOutput(prompt) {
-    if (!canModifyPrompt(prompt)) {
-      showNotification(
-        "You don't have permission to attach outputs to this prompt",
-        "error",
-      );
-      return;
-    }
+  async function handleRenameFolder(folderId, name) {
+    try {
+      await renameFolder(activeTeam, folderId, name);
+    } catch (e) {
+      showNotification(e.message || "Failed to rename folder", "error");
+    }
+  }
+
+  async function handleMoveFolder(folderId, parentId) {
+    try {
+      await moveFolder(activeTeam, folders, folderId, parentId);
+    } catch (e) {
+      showNotification(e.message || "Failed to move folder", "error");
+    }
+  }
+
+  async function handleDeleteFolder(folder) {
+    const ids = getDescendantFolderIds(folders, folder.id);
+    const promptCount = userPrompts.filter((p) =>
+      ids.includes(p.folderId),
+    ).length;
+    const subfolderCount = ids.length - 1;
+    if (
+      !confirm(
+        `Delete "${folder.name}"` +
+          (subfolderCount
+            ? ` and ${subfolderCount} subfolder${subfolderCount !== 1 ? "s" : ""}`
+            : "") +
+          `? ${promptCount} prompt${promptCount !== 1 ? "s" : ""} inside will be moved to the trash.`,
+      )
+    )
+      return;
+    try {
+      const removed = await deleteFolder(activeTeam, folders, folder.id, {
+        userId: user?.uid,
+        userRole,
+      });
+      if (ids.includes(selectedFolderId)) setSelectedFolderId(folder.parentId);
+      showSuccessToast(
+        `Folder deleted (${removed} prompt${removed !== 1 ? "s" : ""} moved to trash)`,
+      );
+    } catch (err) {
+      showNotification(err.message || "Failed to delete folder", "error");
+    }
+  }
+
+  async function handleDropPromptOnFolder(promptId, folderId) {
+    const prompt = userPrompts.find((p) => p.id === promptId);
+    if (!prompt || (prompt.folderId || null) === folderId) return;
+    if (!canModifyPrompt(prompt)) {
+      showNotification("You don't have permission to move this prompt", "error");
+      return;
+    }
+    try {
+      await movePromptToFolder(activeTeam, promptId, folderId);
+      const target = folders.find((f) => f.id === folderId);
+      showSuccessToast(`Moved to ${target ? target.name : "All prompts"}`);
+    } catch {
+      showNotification("Failed to move prompt", "error");
+    }
+  }
+
+  function handlePromptDragStart(e, prompt) {
+    e.dataTransfer.setData(PROMPT_DRAG_TYPE, prompt.id);
+    e.dataTransfer.effectAllowed = "move";
+  }
+
+  // ─── Lifecycle / review ────────────────────────────────────────────────────
+  const showStatus = !isGuestMode && Boolean(activeTeam);
+  const promptsById = useMemo(
+    () => new Map(userPrompts.map((p) => [p.id, p])),
+    [userPrompts],
+  );
+  const reviewQueueCount = useMemo(
+    () =>
+      userPrompts.filter(
+        (p) => getPromptStatus(p) === PROMPT_STATUSES.IN_REVIEW,
+      ).length,
+    [userPrompts],
+  );
+
+  function getReplacement(prompt) {
+    const id = prompt.deprecation?.replacementId;
+    return id ? promptsById.get(id) || null : null;
+  }
+
+  function getStatusActions(prompt) {
+    if (!showStatus) return [];
+    return getAvailableStatusActions(prompt, {
+      canModify: canModifyPrompt(prompt),
+      canReview: canReviewPrompts(),
+    });
+  }
+
+  async function handleStatusSubmit(value) {
+    const { action, prompt } = statusAction;
+    switch (action) {
+      case "request_review":
+        await requestReview(activeTeam, prompt.id, user.uid, value);
+        showSuccessToast("Sent for review");
+        break;
+      case "withdraw":
+        await withdrawReview(activeTeam, prompt.id);
+        showSuccessToast("Moved back to draft");
+        break;
+      case "approve":
+        await approvePrompt(activeTeam, prompt.id, user.uid, value);
+        showSuccessToast("Prompt approved");
+        break;
+      case "reject":
+        await rejectPrompt(activeTeam, prompt.id, user.uid, value);
+        showSuccessToast("Changes requested");
+        break;
+      case "deprecate":
+        await deprecatePrompt(activeTeam, prompt.id, user.uid, value || null);
+        showSuccessToast("Prompt deprecated");
+        break;
+      case "reinstate":
+        await reinstatePrompt(activeTeam, prompt.id);
+        showSuccessToast("Prompt reinstated");
+        break;
+      default:
+        break;
+    }
+  }
+
+  function handleOpenReplacement(replacement) {
+    setSelectedFolderId(replacement.folderId || null);
+    setSearchQuery(replacement.title || "");
+  }
+
+  // ─── Forks / lineage ───────────────────────────────────────────────────────
+  const canFork = !isGuestMode && Boolean(activeTeam && user);
+
+  async function handleFork({ teamId, title }) {
+    await forkPrompt(user.uid, forkSource, activeTeam, teamId, title);
+    showSuccessToast(
+      teamId === activeTeam
+        ? "Prompt forked"
+        : "Prompt forked — switch teams to find it",
+    );
+  }
+
+  // ─── Change requests ───────────────────────────────────────────────────────
+  // Members propose edits to prompts they can't modify; whoever can modify
+  // the prompt (its author and admins) reviews them
+  function canProposeChange(prompt) {
+    return canFork && !canModifyPrompt(prompt) && !isChatPrompt(prompt);
+  }
+
+  async function handleProposeChange(data) {
+    await proposeChange(activeTeam, proposePrompt, user.uid, data);
+    showSuccessToast("Change proposed — the author will be asked to review it");
+  }
+
+  // Look the prompt up by id so the panel sees live edits (for conflicts)
+  const changeRequestsPrompt = changeRequestsPromptId
+    ? userPrompts.find((p) => p.id === changeRequestsPromptId) || null
+    : null;
+  // Same for datasets, so a run uses the latest text and version
+  const datasetPrompt = datasetPromptId
+    ? userPrompts.find((p) => p.id === datasetPromptId) || null
+    : null;
+  // And for outputs, so edited checks re-evaluate straight away
+  const outputsPrompt = viewOutputsPrompt
+    ? userPrompts.find((p) => p.id === viewOutputsPrompt.id) || viewOutputsPrompt
+    : null;
+
+  function handleOpenLineagePrompt(node) {
+    if (node.teamId !== activeTeam) {
+      showNotification("Switch to that team to open this prompt", "info");
+      return;
+    }
+    setLineagePrompt(null);
+    handleOpenReplacement(node);
+  }
+
+  // ─── Ownership ─────────────────────────────────────────────────────────────
+  function canTransferOwnership(prompt) {
+    return (
+      !isGuestMode &&
+      Boolean(activeTeam && user) &&
+      (userRole === "owner" ||
+        userRole === "admin" ||
+        prompt.createdBy === user.uid)
+    );
+  }
+
+  const transferCandidates = useMemo(
+    () =>
+      Object.entries(teamMembers).map(([uid, m]) => ({
+        uid,
+        name: m.name,
+        email: m.email,
+        role: teamMemberRoles[uid],
+      })),
+    [teamMembers, teamMemberRoles],
+  );
+  // Stable so the dialog doesn't reset its selection on every re-render
+  const transferPrompts = useMemo(
+    () => (transferPrompt ? [transferPrompt] : []),
+    [transferPrompt],
+  );
+
+  async function handleTransferOwnership({ prompts, toUserId, toName, makePublic }) {
+    await transferPromptOwnership(
+      activeTeam,
+      prompts,
+      { toUserId, toName, makePublic },
+      user.uid,
+    );
+    setTransferPrompt(null);
+    showSuccessToast(
+      makePublic ? "Prompt made public" : `Prompt transferred to ${toName}`,
+    );
+  }
+
+  // ─── Custom fields ─────────────────────────────────────────────────────────
+  async function handleSaveMetadataSchema(schema) {
+    await saveMetadataSchema(activeTeam, schema);
+    showSuccessToast("Custom fields saved");
+  }
+
+  // ─── Snippets ──────────────────────────────────────────────────────────────
+  async function handleCreateSnippet(data) {
+    const id = await createSnippet(activeTeam, user.uid, data, snippets);
+    showSuccessToast("Snippet created");
+    return id;
+  }
+
+  async function handleUpdateSnippet(snippetId, data) {
+    await updateSnippet(activeTeam, snippetId, data, snippets);
+    showSuccessToast("Snippet saved");
+  }
+
+  async function handleDeleteSnippet(snippet) {
+    await deleteSnippet(activeTeam, snippet.id);
+    showSuccessToast("Snippet deleted");
+  }
+
+  function handleEnhance(prompt) {
+    if (!canModifyPrompt(prompt)) {
+      showNotification(
+        "You don't have permission to enhance this prompt",
+        "error",
+      );
+      return;
+    }
+    setCurrentPromptForAI(prompt);
+    setShowAIEnhancer(true);
+  }
+
+  function handleAttachOutput(prompt) {
+    if (!canModifyPrompt(prompt)) {
+      showNotification(
+        "You don't have permission to attach outputs to this prompt",
+        "error",
+      );
+      return;
+    }
     setSelectedPromptForAttach(prompt);
   }
 
@@ -2132,6 +3131,74 @@ export default function PromptList({
     else if (type === "info") info(msg, 3000);
     else success(msg, 3000);
   }
+  function showUndoToast(msg, promptIds) {
+    playNotification();
+    success(msg, 6000, {
+      label: "Undo",
+      onClick: () => handleRestore(promptIds),
+    });
+  }
+
+  // ─── Trash ─────────────────────────────────────────────────────────────────
+  const isTeamAdmin = userRole === "owner" || userRole === "admin";
+
+  // Private and restricted prompts keep their audience in the trash too
+  const visibleTrash = useMemo(
+    () =>
+      trashItems.filter((item) => canViewPrompt(item, user?.uid, userRole)),
+    [trashItems, userRole, user],
+  );
+
+  function canRestoreTrashed(item) {
+    return (
+      isTeamAdmin ||
+      item.createdBy === user?.uid ||
+      item.deletedBy === user?.uid
+    );
+  }
+
+  function canPurgeTrashed(item) {
+    return isTeamAdmin || item.createdBy === user?.uid;
+  }
+
+  async function handleRestore(promptIds) {
+    try {
+      for (const id of promptIds) await restoreFromTrash(activeTeam, id);
+      showSuccessToast(
+        promptIds.length === 1
+          ? "Prompt restored"
+          : `${promptIds.length} prompts restored`,
+      );
+    } catch {
+      showNotification("Failed to restore from trash", "error");
+    }
+  }
+
+  async function handlePurge(item) {
+    if (!confirm(`Permanently delete "${item.title}"? This can't be undone.`))
+      return;
+    try {
+      await purgeFromTrash(activeTeam, item.id);
+      showSuccessToast("Prompt deleted forever");
+    } catch {
+      showNotification("Failed to delete prompt", "error");
+    }
+  }
+
+  async function handleEmptyTrash() {
+    if (
+      !confirm(
+        `Permanently delete ${visibleTrash.length} prompt${visibleTrash.length !== 1 ? "s" : ""} in the trash? This can't be undone.`,
+      )
+    )
+      return;
+    try {
+      for (const item of visibleTrash) await purgeFromTrash(activeTeam, item.id);
+      showSuccessToast("Trash emptied");
+    } catch {
+      showNotification("Failed to empty trash", "error");
+    }
+  }
 
   if (loading) {
     return (
@@ -2143,382 +3210,691 @@ export default function PromptList({
     );
   }
 
-  const activeFilterCount = Object.entries(filters).filter(
-    ([k, v]) => k !== "sortBy" && v !== "" && v !== "all",
-  ).length;
+  const activeFilterCount =
+    Object.entries(filters).filter(
+      ([k, v]) => k !== "sortBy" && k !== "metadata" && v !== "" && v !== "all",
+    ).length + countMetadataFilters(filters.metadata);
+  const showFolders = Boolean(activeTeam);
 
   return (
     <div className="prompt-list-container">
-      {/* ── Header ── */}
-      <div className="glass-card p-4 mb-3">
-        <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
-          <div>
-            <h2
-              className="text-lg font-bold"
-              style={{ color: "var(--foreground)" }}
-            >
-              {isGuestMode ? "Demo Prompts" : "Prompt Library"}
-            </h2>
-            <p
-              className="text-xs mt-0.5"
-              style={{ color: "var(--muted-foreground)" }}
-            >
-              {isGuestMode
-                ? `${displayDemos.length} demos · ${displayUserPrompts.length} yours`
-                : `${displayUserPrompts.length} ${displayUserPrompts.length === 1 ? "prompt" : "prompts"}`}
-              {hasActiveFilters() && (
-                <span className="text-primary font-medium"> · filtered</span>
-              )}
-            </p>
-          </div>
-          <div className="flex items-center gap-1.5 flex-wrap">
-            {!isGuestMode &&
-              (userRole === "owner" || userRole === "admin") &&
-              onScrollToInvite && (
+      <div className={`prompt-library-layout ${showFolders ? "has-folders" : ""}`}>
+        {showFolders && (
+          <aside className="glass-card p-3 folder-sidebar">
+            <FolderTree
+              folders={folders}
+              selectedFolderId={selectedFolderId}
+              onSelect={setSelectedFolderId}
+              promptCounts={folderPromptCounts}
+              totalCount={userPrompts.length}
+              canEdit={canManageFolders}
+              canDelete={canDeleteFolders}
+              onCreate={handleCreateFolder}
+              onRename={handleRenameFolder}
+              onDelete={handleDeleteFolder}
+              onMoveFolder={handleMoveFolder}
+              onDropPrompt={handleDropPromptOnFolder}
+            />
+          </aside>
+        )}
+        <div className="prompt-library-main">
+          {/* ── Header ── */}
+          <div className="glass-card p-4 mb-3">
+            <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
+              <div>
+                <h2
+                  className="text-lg font-bold"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {isGuestMode ? "Demo Prompts" : "Prompt Library"}
+                </h2>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  {isGuestMode
+                    ? `${displayDemos.length} demos · ${displayUserPrompts.length} yours`
+                    : `${displayUserPrompts.length} ${displayUserPrompts.length === 1 ? "prompt" : "prompts"}`}
+                  {hasActiveFilters() && (
+                    <span className="text-primary font-medium"> · filtered</span>
+                  )}
+                </p>
+                {showFolders && selectedFolderId && (
+                  <div className="mt-1">
+                    <FolderBreadcrumbs
+                      folders={folders}
+                      folderId={selectedFolderId}
+                      onNavigate={setSelectedFolderId}
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-1.5 flex-wrap">
+                {!isGuestMode &&
+                  (userRole === "owner" || userRole === "admin") &&
+                  onScrollToInvite && (
+                    <button
+                      onClick={onScrollToInvite}
+                      className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs"
+                    >
+                      <UserPlus className="w-3.5 h-3.5" />
+                      <span className="hidden sm:inline">Invite</span>
+                    </button>
+                  )}
+                {showStatus && canReviewPrompts() && reviewQueueCount > 0 && (
+                  <button
+                    onClick={() =>
+                      handleFilterChange(
+                        "status",
+                        filters.status === PROMPT_STATUSES.IN_REVIEW
+                          ? "all"
+                          : PROMPT_STATUSES.IN_REVIEW,
+                      )
+                    }
+                    className={`px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap ${filters.status === PROMPT_STATUSES.IN_REVIEW ? "btn-primary" : "btn-secondary"}`}
+                    title="Prompts waiting for your review"
+                  >
+                    <GitPullRequest className="w-3.5 h-3.5" />
+                    <span>{reviewQueueCount} to review</span>
+                  </button>
+                )}
+                {!isGuestMode && activeTeam && (
+                  <button
+                    onClick={() => setShowSnippets(true)}
+                    className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap"
+                    title="Reusable blocks you can include in prompts"
+                  >
+                    <Puzzle className="w-3.5 h-3.5" />
+                    <span className="hidden sm:inline">Snippets</span>
+                  </button>
+                )}
+                {!isGuestMode && activeTeam && userRole === "owner" && (
+                  <button
+                    onClick={() => setShowSchemaEditor(true)}
+                    className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap"
+                    title="Custom fields for this team's prompts"
+                  >
+                    <TableProperties className="w-3.5 h-3.5" />
+                    <span className="hidden sm:inline">Fields</span>
+                  </button>
+                )}
+                {!isGuestMode && activeTeam && userRole === "owner" && (
+                  <button
+                    onClick={() => setShowRetention(true)}
+                    className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap"
+                    title="How long version history is kept"
+                  >
+                    <History className="w-3.5 h-3.5" />
+                    <span className="hidden sm:inline">Retention</span>
+                  </button>
+                )}
+                {!isGuestMode && activeTeam && RUBRIC_EDITOR_ROLES.includes(userRole) && (
+                  <button
+                    onClick={() => setShowRubrics(true)}
+                    className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap"
+                    title="Rubrics a judge model grades outputs against"
+                  >
+                    <ClipboardCheck className="w-3.5 h-3.5" />
+                    <span className="hidden sm:inline">Rubrics</span>
+                  </button>
+                )}
+                {!isGuestMode && activeTeam && visibleTrash.length > 0 && (
+                  <button
+                    onClick={() => setShowTrash(true)}
+                    className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap"
+                    title="Recently deleted prompts"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                    <span className="hidden sm:inline">Trash</span>
+                    <span>({visibleTrash.length})</span>
+                  </button>
+                )}
                 <button
-                  onClick={onScrollToInvite}
-                  className="btn-secondary px-2.5 py-1.5 flex items-center gap-1 text-xs"
+                  onClick={scrollToFilters}
+                  className={`px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap transition-all ${hasActiveFilters() ? "btn-primary" : "btn-secondary"}`}
                 >
-                  <UserPlus className="w-3.5 h-3.5" />
-                  <span className="hidden sm:inline">Invite</span>
+                  <Filter className="w-3.5 h-3.5" />
+                  <span className="hidden sm:inline">Filters</span>
+                  {activeFilterCount > 0 && (
+                    <span
+                      className="text-xs rounded-full px-1 py-0.5 font-bold min-w-[1rem] text-center"
+                      style={{
+                        backgroundColor: "var(--primary-foreground)",
+                        color: "var(--primary)",
+                      }}
+                    >
+                      {activeFilterCount}
+                    </span>
+                  )}
                 </button>
-              )}
-            <button
-              onClick={scrollToFilters}
-              className={`px-2.5 py-1.5 flex items-center gap-1 text-xs whitespace-nowrap transition-all ${hasActiveFilters() ? "btn-primary" : "btn-secondary"}`}
-            >
-              <Filter className="w-3.5 h-3.5" />
-              <span className="hidden sm:inline">Filters</span>
-              {activeFilterCount > 0 && (
-                <span
-                  className="text-xs rounded-full px-1 py-0.5 font-bold min-w-[1rem] text-center"
-                  style={{
-                    backgroundColor: "var(--primary-foreground)",
-                    color: "var(--primary)",
-                  }}
+                <button
+                  onClick={() => setShowCreateForm(!showCreateForm)}
+                  className="btn-primary px-3 py-1.5 flex items-center gap-1 text-xs"
                 >
-                  {activeFilterCount}
-                </span>
-              )}
-            </button>
-            <button
-              onClick={() => setShowCreateForm(!showCreateForm)}
-              className="btn-primary px-3 py-1.5 flex items-center gap-1 text-xs"
-            >
-              {showCreateForm ? (
-                <X className="w-3.5 h-3.5" />
-              ) : (
-                <Plus className="w-3.5 h-3.5" />
-              )}
-              <span>{showCreateForm ? "Cancel" : "Create"}</span>
-            </button>
-          </div>
-        </div>
-
-        <div className="relative">
-          <Search
-            className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 pointer-events-none"
-            style={{ color: "var(--muted-foreground)" }}
-          />
-          <input
-            type="text"
-            placeholder="Search prompts by title, content, or tag…"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="search-input pl-9 w-full"
-          />
-          {searchQuery && (
-            <button
-              onClick={() => setSearchQuery("")}
-              className="absolute right-3 top-1/2 -translate-y-1/2 hover:text-foreground"
-              style={{ color: "var(--muted-foreground)" }}
-            >
-              <X className="w-4 h-4" />
-            </button>
-          )}
-        </div>
-      </div>
-
-      {/* ── Create form ── */}
-      {showCreateForm && (
-        <div className="glass-card p-4 mb-3">
-          <h3
-            className="text-sm font-semibold mb-3"
-            style={{ color: "var(--foreground)" }}
-          >
-            Create New Prompt
-          </h3>
-          <form onSubmit={handleCreate} className="space-y-3">
-            <input
-              type="text"
-              placeholder="Title *"
-              className="form-input w-full"
-              value={newPrompt.title}
-              onChange={(e) =>
-                setNewPrompt({ ...newPrompt, title: e.target.value })
-              }
-              required
-            />
-            <textarea
-              placeholder="Prompt text *"
-              className="form-input w-full min-h-[100px]"
-              value={newPrompt.text}
-              onChange={(e) =>
-                setNewPrompt({ ...newPrompt, text: e.target.value })
-              }
-              required
-            />
-            <input
-              type="text"
-              placeholder="Tags (comma separated)"
-              className="form-input w-full"
-              value={newPrompt.tags}
-              onChange={(e) =>
-                setNewPrompt({ ...newPrompt, tags: e.target.value })
-              }
-            />
-            {!isGuestMode && (
-              <div className="flex gap-4">
-                {["public", "private"].map((vis) => (
-                  <label
-                    key={vis}
-                    className="flex items-center gap-2 cursor-pointer text-sm"
-                  >
-                    <input
-                      type="radio"
-                      value={vis}
-                      checked={newPrompt.visibility === vis}
-                      onChange={(e) =>
-                        setNewPrompt({
-                          ...newPrompt,
-                          visibility: e.target.value,
-                        })
-                      }
-                    />
-                    <span className="capitalize">{vis}</span>
-                  </label>
-                ))}
+                  {showCreateForm ? (
+                    <X className="w-3.5 h-3.5" />
+                  ) : (
+                    <Plus className="w-3.5 h-3.5" />
+                  )}
+                  <span>{showCreateForm ? "Cancel" : "Create"}</span>
+                </button>
               </div>
-            )}
-            <div className="flex gap-2">
-              <button type="submit" className="btn-primary flex-1 text-sm">
-                Create Prompt
-              </button>
-              <button
-                type="button"
-                onClick={() => setShowCreateForm(false)}
-                className="btn-secondary px-4 text-sm"
-              >
-                Cancel
-              </button>
             </div>
-          </form>
-        </div>
-      )}
 
-      {/* ── Bulk operations ── */}
-      {!isGuestMode && displayUserPrompts.length > 0 && (
-        <BulkOperations
-          prompts={displayUserPrompts}
-          selectedPrompts={selectedPrompts}
-          onSelectionChange={setSelectedPrompts}
-          onBulkDelete={handleBulkDelete}
-          onBulkExport={handleBulkExport}
-          userRole={userRole}
-          userId={userId}
-        />
-      )}
-
-      {/* ── Demo section ── */}
-      {displayDemos.length > 0 && (
-        <section className="mb-4">
-          <div className="flex items-center gap-2 mb-2">
-            <h4
-              className="text-sm font-semibold"
-              style={{ color: "var(--foreground)" }}
-            >
-              Try These Examples
-            </h4>
-          </div>
-          {demoPromptsPagination.currentItems.map((prompt) => (
-            <PromptCard
-              key={prompt.id}
-              prompt={prompt}
-              outputs={[]}
-              commentCount={0}
-              isDemo={true}
-              canEdit={false}
-              author={null}
-              isGuestMode={isGuestMode}
-              activeTeam={activeTeam}
-              userRole={userRole}
-              onCopy={handleCopy}
-              onDuplicate={handleDuplicateDemo}
-              viewedPrompts={viewedPrompts}
-              showCommentSection={false}
-              onToggleComments={() => {}}
-              openMenuId={openMenuId}
-              onMenuToggle={setOpenMenuId}
-              onTrackView={handleTrackView}
-              onToggleFavourite={null}
-              favouritePromptIds={favouritePromptIds}
-              canModify={true}
-              creatorRole="member"
-            />
-          ))}
-          {displayDemos.length > 5 && (
-            <div className="mt-3">
-              <PaginationControls
-                pagination={demoPromptsPagination}
-                showSearch={false}
-                showPageSizeSelector
-                pageSizeOptions={[5, 10, 15]}
+            <div className="relative">
+              <Search
+                className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 pointer-events-none"
+                style={{ color: "var(--muted-foreground)" }}
+              />
+              <input
+                type="text"
+                placeholder="Search prompts by title, content, or tag…"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="search-input pl-9 w-full"
               />
+              {searchQuery && (
+                <button
+                  onClick={() => setSearchQuery("")}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 hover:text-foreground"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
             </div>
-          )}
-        </section>
-      )}
+          </div>
 
-      {/* ── User prompts section ── */}
-      {displayUserPrompts.length > 0 && (
-        <section>
-          {isGuestMode && displayDemos.length > 0 && (
-            <div className="flex items-center gap-2 mb-2">
-              <FileText
-                className="w-4 h-4"
-                style={{ color: "var(--primary)" }}
-              />
+          {/* ── Create form ── */}
+          {showCreateForm && (
+            <div className="glass-card p-4 mb-3">
               <h3
-                className="text-sm font-semibold"
+                className="text-sm font-semibold mb-3"
                 style={{ color: "var(--foreground)" }}
               >
-                Your Prompts
+                Create New Prompt
               </h3>
+              <form onSubmit={handleCreate} className="space-y-3">
+                <input
+                  type="text"
+                  placeholder="Title *"
+                  className="form-input w-full"
+                  value={newPrompt.title}
+                  onChange={(e) =>
+                    setNewPrompt({ ...newPrompt, title: e.target.value })
+                  }
+                  required
+                />
+                <PromptTypeToggle
+                  value={newPrompt.type}
+                  onChange={handleNewPromptTypeChange}
+                />
+                {newPrompt.type === PROMPT_TYPES.CHAT ? (
+                  <ChatMessagesEditor
+                    messages={newPrompt.messages}
+                    onChange={(messages) =>
+                      setNewPrompt((prev) => ({ ...prev, messages }))
+                    }
+                  />
+                ) : (
+                  <textarea
+                    placeholder="Prompt text *"
+                    className="form-input w-full min-h-[100px]"
+                    value={newPrompt.text}
+                    onChange={(e) =>
+                      setNewPrompt({ ...newPrompt, text: e.target.value })
+                    }
+                    required
+                  />
+                )}
+                <VariableEditor
+                  text={
+                    newPrompt.type === PROMPT_TYPES.CHAT
+                      ? flattenMessages(newPrompt.messages)
+                      : newPrompt.text
+                  }
+                  onTextChange={(text) =>
+                    setNewPrompt((prev) => ({ ...prev, text }))
+                  }
+                  onVariableChange={
+                    newPrompt.type === PROMPT_TYPES.CHAT
+                      ? handleNewPromptVariableChange
+                      : undefined
+                  }
+                />
+                <input
+                  type="text"
+                  placeholder="Tags (comma separated)"
+                  className="form-input w-full"
+                  value={newPrompt.tags}
+                  onChange={(e) =>
+                    setNewPrompt({ ...newPrompt, tags: e.target.value })
+                  }
+                />
+                {!isGuestMode && (
+                  <div className="flex gap-4">
+                    {["public", "private"].map((vis) => (
+                      <label
+                        key={vis}
+                        className="flex items-center gap-2 cursor-pointer text-sm"
+                      >
+                        <input
+                          type="radio"
+                          value={vis}
+                          checked={newPrompt.visibility === vis}
+                          onChange={(e) =>
+                            setNewPrompt({
+                              ...newPrompt,
+                              visibility: e.target.value,
+                            })
+                          }
+                        />
+                        <span className="capitalize">{vis}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <MetadataFieldsEditor
+                  schema={metadataSchema}
+                  values={newPrompt.metadata}
+                  errors={newPromptErrors}
+                  onChange={(metadata) =>
+                    setNewPrompt({ ...newPrompt, metadata })
+                  }
+                  fieldClassName="flex flex-col gap-1"
+                  labelClassName="text-xs font-medium"
+                  inputClassName="form-input w-full"
+                />
+                <div className="flex gap-2">
+                  <button type="submit" className="btn-primary flex-1 text-sm">
+                    Create Prompt
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowCreateForm(false)}
+                    className="btn-secondary px-4 text-sm"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
             </div>
           )}
-          {userPromptsPagination.currentItems.map((prompt) => (
-            <PromptCard
-              key={prompt.id}
-              prompt={prompt}
-              outputs={promptOutputs[prompt.id] || []}
-              commentCount={promptComments[prompt.id] || 0}
-              isDemo={false}
-              canEdit={canEditPrompt(prompt)}
-              author={teamMembers[prompt.createdBy]}
-              isGuestMode={isGuestMode}
-              activeTeam={activeTeam}
+
+          {/* ── Bulk operations ── */}
+          {!isGuestMode && displayUserPrompts.length > 0 && (
+            <BulkOperations
+              prompts={displayUserPrompts}
+              selectedPrompts={selectedPrompts}
+              onSelectionChange={setSelectedPrompts}
+              onBulkDelete={handleBulkDelete}
+              onBulkExport={handleBulkExport}
               userRole={userRole}
-              onCopy={handleCopy}
-              onEdit={(p) => {
-                setEditingPrompt(p);
-                setShowEditModal(true);
-              }}
-              onDelete={handleDelete}
-              onToggleVisibility={handleToggleVisibility}
-              onEnhance={handleEnhance}
-              onViewOutputs={setViewOutputsPrompt}
-              onAttachOutput={handleAttachOutput}
-              viewedPrompts={viewedPrompts}
-              onMarkViewed={(id) =>
-                setViewedPrompts((prev) => new Set([...prev, id]))
-              }
-              showCommentSection={showCommentSection[prompt.id] || false}
-              onToggleComments={handleToggleComments}
-              isSelected={selectedPrompts.includes(prompt.id)}
-              onSelect={handleSelectPrompt}
-              openMenuId={openMenuId}
-              onMenuToggle={setOpenMenuId}
-              onTrackView={handleTrackView}
-              onToggleFavourite={handleToggleFavourite}
-              favouritePromptIds={favouritePromptIds}
-              canModify={canModifyPrompt(prompt)}
-              creatorRole={getPromptCreatorRole(prompt)}
+              userId={userId}
+              trashEnabled={!isGuestMode}
             />
-          ))}
-          {displayUserPrompts.length > 5 && (
-            <div className="mt-3">
-              <PaginationControls
-                pagination={userPromptsPagination}
-                showSearch={false}
-                showPageSizeSelector
-                showItemCount
-                pageSizeOptions={[5, 10, 20, 50]}
-              />
-            </div>
           )}
-        </section>
-      )}
 
-      {/* ── Empty state ── */}
-      {allPrompts.length === 0 && (
-        <div className="glass-card p-8 text-center mb-6">
-          <Sparkles
-            size={36}
-            style={{ color: "var(--primary)", margin: "0 auto 0.75rem" }}
-          />
-          <h3 className="text-sm font-semibold mb-2">
-            {searchQuery || hasActiveFilters()
-              ? "No prompts match your search"
-              : "No prompts yet"}
-          </h3>
-          <p
-            className="text-xs mb-4"
-            style={{ color: "var(--muted-foreground)" }}
-          >
-            {searchQuery || hasActiveFilters() ? (
-              <>
-                <span>Try adjusting your search or </span>
-                <button
-                  onClick={() => {
-                    setSearchQuery("");
-                    clearFilters();
+          {/* ── Demo section ── */}
+          {displayDemos.length > 0 && (
+            <section className="mb-4">
+              <div className="flex items-center gap-2 mb-2">
+                <h4
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  Try These Examples
+                </h4>
+              </div>
+              {demoPromptsPagination.currentItems.map((prompt) => (
+                <PromptCard
+                  key={prompt.id}
+                  prompt={prompt}
+                  outputs={[]}
+                  commentCount={0}
+                  isDemo={true}
+                  canEdit={false}
+                  author={null}
+                  isGuestMode={isGuestMode}
+                  activeTeam={activeTeam}
+                  userRole={userRole}
+                  onCopy={handleCopy}
+                  onDuplicate={handleDuplicateDemo}
+                  viewedPrompts={viewedPrompts}
+                  showCommentSection={false}
+                  onToggleComments={() => {}}
+                  openMenuId={openMenuId}
+                  onMenuToggle={setOpenMenuId}
+                  onTrackView={handleTrackView}
+                  onToggleFavourite={null}
+                  favouritePromptIds={favouritePromptIds}
+                  canModify={true}
+                  creatorRole="member"
+                />
+              ))}
+              {displayDemos.length > 5 && (
+                <div className="mt-3">
+                  <PaginationControls
+                    pagination={demoPromptsPagination}
+                    showSearch={false}
+                    showPageSizeSelector
+                    pageSizeOptions={[5, 10, 15]}
+                  />
+                </div>
+              )}
+            </section>
+          )}
+
+          {/* ── User prompts section ── */}
+          {displayUserPrompts.length > 0 && (
+            <section>
+              {isGuestMode && displayDemos.length > 0 && (
+                <div className="flex items-center gap-2 mb-2">
+                  <FileText
+                    className="w-4 h-4"
+                    style={{ color: "var(--primary)" }}
+                  />
+                  <h3
+                    className="text-sm font-semibold"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Your Prompts
+                  </h3>
+                </div>
+              )}
+              {userPromptsPagination.currentItems.map((prompt) => (
+                <PromptCard
+                  key={prompt.id}
+                  prompt={prompt}
+                  outputs={promptOutputs[prompt.id] || []}
+                  commentCount={promptComments[prompt.id] || 0}
+                  isDemo={false}
+                  canEdit={canEditPrompt(prompt)}
+                  author={teamMembers[prompt.createdBy]}
+                  isGuestMode={isGuestMode}
+                  activeTeam={activeTeam}
+                  userRole={userRole}
+                  onCopy={handleCopy}
+                  onEdit={(p) => {
+                    setEditingPrompt(p);
+                    setShowEditModal(true);
                   }}
-                  className="text-primary hover:underline"
+                  onDelete={handleDelete}
+                  onToggleVisibility={handleToggleVisibility}
+                  onEnhance={handleEnhance}
+                  onViewOutputs={setViewOutputsPrompt}
+                  onAttachOutput={handleAttachOutput}
+                  viewedPrompts={viewedPrompts}
+                  onMarkViewed={(id) =>
+                    setViewedPrompts((prev) => new Set([...prev, id]))
+                  }
+                  showCommentSection={showCommentSection[prompt.id] || false}
+                  onToggleComments={handleToggleComments}
+                  isSelected={selectedPrompts.includes(prompt.id)}
+                  onSelect={handleSelectPrompt}
+                  openMenuId={openMenuId}
+                  onMenuToggle={setOpenMenuId}
+                  onTrackView={handleTrackView}
+                  onToggleFavourite={handleToggleFavourite}
+                  favouritePromptIds={favouritePromptIds}
+                  canModify={canModifyPrompt(prompt)}
+                  creatorRole={getPromptCreatorRole(prompt)}
+                  onDragStart={
+                    canManageFolders && canModifyPrompt(prompt)
+                      ? handlePromptDragStart
+                      : undefined
+                  }
+                  showStatus={showStatus}
+                  statusActions={getStatusActions(prompt)}
+                  onStatusAction={(p, action) =>
+                    setStatusAction({ prompt: p, action })
+                  }
+                  replacement={getReplacement(prompt)}
+                  onOpenReplacement={handleOpenReplacement}
+                  onFork={canFork ? setForkSource : undefined}
+                  onShowLineage={canFork ? setLineagePrompt : undefined}
+                  onTransferOwnership={
+                    canTransferOwnership(prompt) ? setTransferPrompt : undefined
+                  }
+                  onShowHistory={isGuestMode ? undefined : setHistoryPrompt}
+                  onRun={canFork ? setPromptToRun : undefined}
+                  onShowDataset={canFork ? (p) => setDatasetPromptId(p.id) : undefined}
+                  onProposeChange={
+                    canProposeChange(prompt) ? setProposePrompt : undefined
+                  }
+                  onShowChangeRequests={
+                    canFork ? (p) => setChangeRequestsPromptId(p.id) : undefined
+                  }
+                  snippets={snippetsByName}
+                  metadataSchema={metadataSchema}
+                />
+              ))}
+              {displayUserPrompts.length > 5 && (
+                <div className="mt-3">
+                  <PaginationControls
+                    pagination={userPromptsPagination}
+                    showSearch={false}
+                    showPageSizeSelector
+                    showItemCount
+                    pageSizeOptions={[5, 10, 20, 50]}
+                  />
+                </div>
+              )}
+            </section>
+          )}
+
+          {/* ── Empty state ── */}
+          {allPrompts.length === 0 && (
+            <div className="glass-card p-8 text-center mb-6">
+              <Sparkles
+                size={36}
+                style={{ color: "var(--primary)", margin: "0 auto 0.75rem" }}
+              />
+              <h3 className="text-sm font-semibold mb-2">
+                {searchQuery || hasActiveFilters()
+                  ? "No prompts match your search"
+                  : "No prompts yet"}
+              </h3>
+              <p
+                className="text-xs mb-4"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {searchQuery || hasActiveFilters() ? (
+                  <>
+                    <span>Try adjusting your search or </span>
+                    <button
+                      onClick={() => {
+                        setSearchQuery("");
+                        clearFilters();
+                      }}
+                      className="text-primary hover:underline"
+                    >
+                      clear all filters
+                    </button>
+                  </>
+                ) : (
+                  "Create your first prompt to get started"
+                )}
+              </p>
+              {!searchQuery && !hasActiveFilters() && (
+                <button
+                  onClick={() => setShowCreateForm(true)}
+                  className="btn-primary text-xs"
                 >
-                  clear all filters
+                  <Plus className="w-3.5 h-3.5" />
+                  Create First Prompt
                 </button>
-              </>
-            ) : (
-              "Create your first prompt to get started"
-            )}
-          </p>
-          {!searchQuery && !hasActiveFilters() && (
-            <button
-              onClick={() => setShowCreateForm(true)}
-              className="btn-primary text-xs"
-            >
-              <Plus className="w-3.5 h-3.5" />
-              Create First Prompt
-            </button>
+              )}
+            </div>
           )}
-        </div>
-      )}
 
-      {/* ── Filter card ── */}
-      <div ref={filterCardRef}>
-        <FilterCard
-          filters={filters}
-          onFilterChange={handleFilterChange}
-          onClearFilters={clearFilters}
-          hasActiveFilters={hasActiveFilters()}
-          filteredCount={allPrompts.length}
-          teamMembers={teamMembers}
-          isExpanded={showFilters}
-          onToggleExpanded={() => setShowFilters(!showFilters)}
-        />
+          {/* ── Filter card ── */}
+          <div ref={filterCardRef}>
+            <FilterCard
+              filters={filters}
+              onFilterChange={handleFilterChange}
+              onClearFilters={clearFilters}
+              hasActiveFilters={hasActiveFilters()}
+              filteredCount={allPrompts.length}
+              teamMembers={teamMembers}
+              isExpanded={showFilters}
+              onToggleExpanded={() => setShowFilters(!showFilters)}
+              showStatus={showStatus}
+              metadataSchema={metadataSchema}
+            />
+          </div>
+
+          {/* ── Export/Import ── */}
+          <div ref={importCardRef}>
+            <ExportImport
+              onImport={handleImportPrompts}
+              teamId={activeTeam}
+              teamName={teamName}
+              userRole={userRole}
+              metadataSchema={metadataSchema}
+            />
+          </div>
+        </div>
       </div>
 
-      {/* ── Export/Import ── */}
-      <div ref={importCardRef}>
-        <ExportImport
-          onImport={handleImportPrompts}
+      {/* ── Modals ── */}
+      <SnippetLibrary
+        open={showSnippets}
+        snippets={snippets}
+        prompts={userPrompts}
+        canEdit={canManageFolders}
+        canDelete={(snippet) =>
+          isTeamAdmin || snippet.createdBy === user?.uid
+        }
+        onCreate={handleCreateSnippet}
+        onUpdate={handleUpdateSnippet}
+        onDelete={handleDeleteSnippet}
+        onClose={() => setShowSnippets(false)}
+      />
+      <TransferOwnershipModal
+        open={Boolean(transferPrompt)}
+        subtitle={
+          transferPrompt &&
+          `Currently owned by ${teamMembers[transferPrompt.createdBy]?.name || teamMembers[transferPrompt.createdBy]?.email || "a former member"}`
+        }
+        prompts={transferPrompts}
+        members={transferCandidates}
+        excludeUserId={transferPrompt?.createdBy}
+        onSubmit={handleTransferOwnership}
+        onClose={() => setTransferPrompt(null)}
+      />
+      <VersionRetentionModal
+        open={showRetention}
+        policy={versionRetention}
+        onSave={(policy) => saveVersionRetention(activeTeam, policy, user.uid)}
+        onClose={() => setShowRetention(false)}
+      />
+      <RubricManager
+        open={showRubrics}
+        teamId={activeTeam}
+        userId={user?.uid}
+        onClose={() => setShowRubrics(false)}
+      />
+      <MetadataSchemaEditor
+        open={showSchemaEditor}
+        schema={metadataSchema}
+        onSave={handleSaveMetadataSchema}
+        onClose={() => setShowSchemaEditor(false)}
+      />
+      <ForkDialog
+        open={Boolean(forkSource)}
+        prompt={forkSource}
+        currentTeamId={activeTeam}
+        onSubmit={handleFork}
+        onClose={() => setForkSource(null)}
+      />
+      <ProposeChangeModal
+        open={Boolean(proposePrompt)}
+        prompt={proposePrompt}
+        onSubmit={handleProposeChange}
+        onClose={() => setProposePrompt(null)}
+      />
+      <ChangeRequestsPanel
+        open={Boolean(changeRequestsPrompt)}
+        teamId={activeTeam}
+        prompt={changeRequestsPrompt}
+        canReview={Boolean(changeRequestsPrompt) && canModifyPrompt(changeRequestsPrompt)}
+        teamMembers={teamMembers}
+        onClose={() => setChangeRequestsPromptId(null)}
+      />
+      {historyPrompt && (
+        <PromptVersioning
           teamId={activeTeam}
-          teamName={teamName}
+          promptId={historyPrompt.id}
+          currentPrompt={
+            userPrompts.find((p) => p.id === historyPrompt.id) || historyPrompt
+          }
           userRole={userRole}
+          canModify={canModifyPrompt(historyPrompt)}
+          teamMembers={teamMembers}
+          retention={versionRetention}
+          onRestore={
+            canModifyPrompt(historyPrompt)
+              ? (data) =>
+                  updatePromptFirestore(activeTeam, historyPrompt.id, data, {
+                    userId: user.uid,
+                    changeNote: "Restored an earlier version",
+                    coalesce: false,
+                  })
+              : undefined
+          }
+          onClose={() => setHistoryPrompt(null)}
         />
-      </div>
-
-      {/* ── Modals ── */}
+      )}
+      <RunPromptModal
+        open={Boolean(promptToRun)}
+        prompt={promptToRun}
+        teamId={activeTeam}
+        userId={user?.uid}
+        snippets={snippetsByName}
+        onClose={() => setPromptToRun(null)}
+      />
+      <DatasetPanel
+        open={Boolean(datasetPrompt)}
+        teamId={activeTeam}
+        prompt={datasetPrompt}
+        canEdit={Boolean(datasetPrompt) && canModifyPrompt(datasetPrompt)}
+        canRun={canFork}
+        snippets={snippetsByName}
+        teamMembers={teamMembers}
+        onClose={() => setDatasetPromptId(null)}
+      />
+      <LineagePanel
+        open={Boolean(lineagePrompt)}
+        prompt={lineagePrompt}
+        teamId={activeTeam}
+        userRole={userRole}
+        onOpenPrompt={handleOpenLineagePrompt}
+        onClose={() => setLineagePrompt(null)}
+      />
+      <TrashBin
+        open={showTrash}
+        items={visibleTrash}
+        teamMembers={teamMembers}
+        canRestore={canRestoreTrashed}
+        canPurge={canPurgeTrashed}
+        canEmpty={isTeamAdmin}
+        onRestore={(item) => handleRestore([item.id])}
+        onPurge={handlePurge}
+        onEmpty={handleEmptyTrash}
+        onClose={() => setShowTrash(false)}
+      />
+      {statusAction && (
+        <StatusActionDialog
+          action={statusAction.action}
+          prompt={statusAction.prompt}
+          candidates={userPrompts.filter(
+            (p) => getPromptStatus(p) === PROMPT_STATUSES.APPROVED,
+          )}
+          onSubmit={handleStatusSubmit}
+          onClose={() => setStatusAction(null)}
+        />
+      )}
       {showEditModal && editingPrompt && (
         <EditPromptModal
           open={showEditModal}
@@ -2528,6 +3904,10 @@ export default function PromptList({
             setEditingPrompt(null);
           }}
           onSave={(updates) => handleUpdate(editingPrompt.id, updates)}
+          metadataSchema={metadataSchema}
+          canRestrict={!isGuestMode && Boolean(activeTeam)}
+          teamMembers={teamMembers}
+          teamMemberRoles={teamMemberRoles}
         />
       )}
       {selectedPromptForAttach && (
@@ -2537,16 +3917,18 @@ export default function PromptList({
           promptId={selectedPromptForAttach.id}
           teamId={activeTeam}
           userId={user?.uid}
+          prompt={selectedPromptForAttach}
         />
       )}
       {viewOutputsPrompt && (
         <ViewOutputsModal
           isOpen={!!viewOutputsPrompt}
           onClose={() => setViewOutputsPrompt(null)}
-          prompt={viewOutputsPrompt}
+          prompt={outputsPrompt}
           teamId={activeTeam}
           userRole={userRole}
           isGuestMode={isGuestMode}
+          canEditChecks={canModifyPrompt(outputsPrompt)}
           onAttachNew={
             isGuestMode
               ? null
@@ -2561,7 +3943,10 @@ export default function PromptList({
         <AIPromptEnhancer
           prompt={currentPromptForAI}
           onApply={async (enhanced) => {
-            await handleUpdate(enhanced.id, enhanced);
+            await handleUpdate(enhanced.id, {
+              ...enhanced,
+              changeNote: "Applied AI enhancement",
+            });
             setShowAIEnhancer(false);
           }}
           onSaveAsNew={(enhanced) => {
@@ -2590,6 +3975,28 @@ export default function PromptList({
            .btn-primary, .form-input) will resolve to these values
            anywhere inside .prompt-list-container.
         ══════════════════════════════════════════════════════════════ */
+        .prompt-library-layout.has-folders {
+          display: grid;
+          grid-template-columns: 220px minmax(0, 1fr);
+          gap: 0.75rem;
+          align-items: start;
+        }
+        .folder-sidebar {
+          position: sticky;
+          top: 0;
+          max-height: calc(100vh - 2rem);
+          overflow-y: auto;
+        }
+        @media (max-width: 768px) {
+          .prompt-library-layout.has-folders {
+            grid-template-columns: 1fr;
+          }
+          .folder-sidebar {
+            position: static;
+            max-height: 260px;
+          }
+        }
+
         .prompt-list-container {
           --background: #0a0a0b;
           --card: #16161a;
@@ -2707,6 +4114,27 @@ export default function PromptList({
           line-height: 1.3;
           color: var(--foreground);
         }
+        .prompt-fork-chip {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.3rem;
+          max-width: 100%;
+          margin-bottom: 0.4rem;
+          padding: 0;
+          border: none;
+          background: none;
+          cursor: pointer;
+          font-size: 0.68rem;
+          color: var(--muted-foreground);
+        }
+        .prompt-fork-chip span {
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .prompt-fork-chip:hover { color: var(--primary); }
+        .prompt-fork-chip.regressed,
+        .prompt-fork-chip.regressed:hover { color: #f87171; }
         .prompt-text-content {
           font-size: 0.8rem;
           color: var(--muted-foreground);
@@ -2757,6 +4185,16 @@ export default function PromptList({
           border-color: rgba(var(--primary-rgb), 0.3);
           color: var(--foreground);
         }
+        .copy-format-select {
+          height: 30px;
+          padding: 0 0.4rem;
+          border-radius: 8px;
+          border: 1px solid rgba(var(--primary-rgb), 0.15);
+          background: transparent;
+          color: var(--muted-foreground);
+          font-size: 0.7rem;
+          cursor: pointer;
+        }
         .btn-action-primary-compact {
           padding: 0.4rem 0.7rem;
           font-size: 0.72rem;
@@ -3323,6 +4761,7 @@ export default function PromptList({
         }
         .privacy-badge.private { background: rgba(239,68,68,0.15); color: rgb(248,113,113); }
         .privacy-badge.public  { background: rgba(34,197,94,0.15);  color: rgb(74,222,128);  }
+        .privacy-badge.restricted { background: rgba(34,211,238,0.15); color: rgb(103,232,249); }
 
         /* ── Tags ── */
         .prompt-tag {
@@ -2,6 +2,7 @@
 import { useState, useEffect, useRef } from "react";
 import { useAuth } from "../context/AuthContext";
 import { subscribeToResults, deleteResult } from "../lib/results";
+import { evaluateResult, getPassRate } from "../lib/assertions";
 import AddResultModal from "./AddResultModal";
 import ResultCard from "./ResultCard";
 
@@ -22,6 +23,7 @@ export default function PromptResults({
   teamId,
   promptId,
   userRole,
+  assertions = [],
   onResultsChange,
 }) {
   const { user } = useAuth();
@@ -143,6 +145,8 @@ export default function PromptResults({
     }, 3000);
   }
 
+  const passRate = getPassRate(assertions, results);
+
   if (loading) {
     return (
       <div className="p-6 text-center">
@@ -172,6 +176,8 @@ export default function PromptResults({
             {results.length === 0
               ? "No results yet"
               : `${results.length} ${results.length === 1 ? "result" : "results"}`}
+            {passRate &&
+              ` · ${Math.round(passRate.rate * 100)}% pass checks (${passRate.passing}/${passRate.checked})`}
           </p>
         </div>
       </div>
@@ -217,6 +223,7 @@ export default function PromptResults({
               result={result}
               isExpanded={expandedResults.has(result.id)}
               onToggleExpand={() => toggleExpanded(result.id)}
+              checks={evaluateResult(assertions, result)}
               onDelete={
                 canDeleteResult(result)
                   ? () => handleDelete(result.id, result.imagePath)
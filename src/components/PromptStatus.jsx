@@ -0,0 +1,368 @@
+// src/components/PromptStatus.jsx
+// Lifecycle badge, card notices and the review / deprecation dialogs
+import { useState, useEffect } from "react";
+import {
+  X,
+  CheckCircle2,
+  XCircle,
+  Send,
+  Archive,
+  RotateCcw,
+  AlertTriangle,
+  ArrowRight,
+  Copy,
+} from "lucide-react";
+import { STATUS_META, PROMPT_STATUSES, getPromptStatus } from "../lib/promptStatus";
+
+const STATUS_STYLES = `
+  @keyframes pstFade { from{opacity:0} to{opacity:1} }
+  @keyframes pstRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .pst-badge {
+    display:inline-flex;align-items:center;gap:.3rem;padding:.1rem .45rem;border-radius:999px;
+    font-size:.62rem;font-weight:700;letter-spacing:.03em;white-space:nowrap;border:1px solid;
+  }
+  .pst-dot { width:6px;height:6px;border-radius:50%; }
+
+  .pst-notice {
+    display:flex;align-items:flex-start;gap:.45rem;padding:.45rem .6rem;border-radius:8px;
+    font-size:.72rem;line-height:1.45;margin-bottom:.4rem;border:1px solid;
+  }
+  .pst-notice strong { font-weight:700; }
+  .pst-link {
+    background:none;border:none;padding:0;cursor:pointer;font:inherit;
+    color:inherit;text-decoration:underline;font-weight:600;
+  }
+
+  .pst-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:pstFade .18s ease-out;
+  }
+  .pst-shell {
+    width:100%;max-width:440px;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:pstRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .pst-hd {
+    display:flex;align-items:center;justify-content:space-between;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .pst-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .pst-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .pst-close {
+    width:28px;height:28px;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .pst-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .pst-body { padding:1.125rem 1.25rem;display:flex;flex-direction:column;gap:.65rem; }
+  .pst-lbl { font-size:.7rem;font-weight:700;color:var(--foreground); }
+  .pst-hint { font-size:.7rem;color:var(--muted-foreground);line-height:1.5; }
+  .pst-input {
+    width:100%;padding:.55rem .65rem;border-radius:8px;resize:vertical;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.78rem;font-family:inherit;
+    outline:none;box-sizing:border-box;
+  }
+  .pst-input:focus { border-color:rgba(139,92,246,.42); }
+  .pst-error { font-size:.68rem;color:#f87171; }
+  .pst-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;background:rgba(0,0,0,.08);
+  }
+  .pst-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .pst-submit.danger { background:#ef4444;color:#fff; }
+  .pst-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .pst-cancel {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+`;
+
+/**
+ * Small coloured pill for a prompt's lifecycle status
+ */
+export function StatusBadge({ status }) {
+  const meta = STATUS_META[status] || STATUS_META[PROMPT_STATUSES.APPROVED];
+  return (
+    <>
+      <style>{STATUS_STYLES}</style>
+      <span
+        className="pst-badge"
+        style={{ color: meta.color, borderColor: `${meta.color}55`, background: `${meta.color}14` }}
+      >
+        <span className="pst-dot" style={{ background: meta.color }} />
+        {meta.label}
+      </span>
+    </>
+  );
+}
+
+/**
+ * Inline notice on a card: reviewer feedback on a returned draft, or the
+ * replacement for a deprecated prompt.
+ */
+export function StatusNotice({ prompt, replacement, onOpenReplacement }) {
+  const status = getPromptStatus(prompt);
+
+  if (status === PROMPT_STATUSES.DEPRECATED) {
+    return (
+      <>
+        <style>{STATUS_STYLES}</style>
+        <div
+          className="pst-notice"
+          style={{ color: "#fca5a5", borderColor: "rgba(248,113,113,.3)", background: "rgba(248,113,113,.07)" }}
+        >
+          <AlertTriangle size={13} style={{ flexShrink: 0, marginTop: 2 }} />
+          <span>
+            <strong>Deprecated.</strong>{" "}
+            {replacement ? (
+              <>
+                Use{" "}
+                <button type="button" className="pst-link" onClick={() => onOpenReplacement?.(replacement)}>
+                  {replacement.title}
+                </button>{" "}
+                instead.
+              </>
+            ) : (
+              "Avoid using this prompt in new work."
+            )}
+          </span>
+        </div>
+      </>
+    );
+  }
+
+  if (status === PROMPT_STATUSES.DRAFT && prompt.review?.decision === "rejected") {
+    return (
+      <>
+        <style>{STATUS_STYLES}</style>
+        <div
+          className="pst-notice"
+          style={{ color: "#fcd34d", borderColor: "rgba(245,158,11,.3)", background: "rgba(245,158,11,.07)" }}
+        >
+          <XCircle size={13} style={{ flexShrink: 0, marginTop: 2 }} />
+          <span>
+            <strong>Changes requested:</strong> {prompt.review.comment}
+          </span>
+        </div>
+      </>
+    );
+  }
+
+  return null;
+}
+
+const ACTION_COPY = {
+  request_review: {
+    title: "Request review",
+    hint: "An admin or owner will approve it or send it back with feedback.",
+    label: "Note for reviewers (optional)",
+    submit: "Send for review",
+    Icon: Send,
+  },
+  approve: {
+    title: "Approve prompt",
+    hint: "Approved prompts are ready for the whole team to use.",
+    label: "Comment (optional)",
+    submit: "Approve",
+    Icon: CheckCircle2,
+  },
+  reject: {
+    title: "Request changes",
+    hint: "The prompt goes back to draft and the author sees your comment.",
+    label: "What needs to change? *",
+    submit: "Send back to draft",
+    Icon: XCircle,
+    danger: true,
+    required: true,
+  },
+  deprecate: {
+    title: "Deprecate prompt",
+    hint: "Teammates who copy it will be warned and pointed at the replacement.",
+    label: "Replacement prompt",
+    submit: "Deprecate",
+    Icon: Archive,
+    danger: true,
+  },
+  reinstate: {
+    title: "Reinstate prompt",
+    hint: "The prompt becomes approved again and the deprecation warning is removed.",
+    submit: "Reinstate",
+    Icon: RotateCcw,
+  },
+  withdraw: {
+    title: "Withdraw from review",
+    hint: "The prompt goes back to draft so you can keep editing.",
+    submit: "Withdraw",
+    Icon: RotateCcw,
+  },
+};
+
+/**
+ * Confirmation dialog for a lifecycle action. Calls onSubmit with the
+ * comment (or the replacement prompt id when deprecating).
+ */
+export function StatusActionDialog({ action, prompt, candidates = [], onSubmit, onClose }) {
+  const [value, setValue] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setValue("");
+    setError("");
+  }, [action, prompt?.id]);
+
+  if (!action || !prompt) return null;
+  const copy = ACTION_COPY[action];
+  const SubmitIcon = copy.Icon;
+  const hasTextInput = ["request_review", "approve", "reject"].includes(action);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (copy.required && !value.trim()) {
+      setError("A comment is required");
+      return;
+    }
+    setSubmitting(true);
+    setError("");
+    try {
+      await onSubmit(value);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <>
+      <style>{STATUS_STYLES}</style>
+      <div className="pst-overlay" onClick={onClose}>
+        <div className="pst-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="pst-hd">
+            <div>
+              <div className="pst-title">{copy.title}</div>
+              <div className="pst-sub">{prompt.title}</div>
+            </div>
+            <button className="pst-close" onClick={onClose} disabled={submitting}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} style={{ display: "contents" }}>
+            <div className="pst-body">
+              <p className="pst-hint">{copy.hint}</p>
+
+              {prompt.review?.note && (action === "approve" || action === "reject") && (
+                <p className="pst-hint">
+                  <strong>Author&apos;s note:</strong> {prompt.review.note}
+                </p>
+              )}
+
+              {hasTextInput && (
+                <>
+                  <label className="pst-lbl">{copy.label}</label>
+                  <textarea
+                    className="pst-input"
+                    rows={3}
+                    value={value}
+                    autoFocus
+                    onChange={(e) => setValue(e.target.value)}
+                  />
+                </>
+              )}
+
+              {action === "deprecate" && (
+                <>
+                  <label className="pst-lbl">{copy.label}</label>
+                  <select className="pst-input" value={value} onChange={(e) => setValue(e.target.value)}>
+                    <option value="">No replacement</option>
+                    {candidates
+                      .filter((p) => p.id !== prompt.id)
+                      .map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.title}
+                        </option>
+                      ))}
+                  </select>
+                </>
+              )}
+
+              {error && <span className="pst-error">{error}</span>}
+            </div>
+
+            <div className="pst-ft">
+              <button
+                type="submit"
+                className={`pst-submit${copy.danger ? " danger" : ""}`}
+                disabled={submitting}
+              >
+                <SubmitIcon size={13} />
+                {submitting ? "Saving…" : copy.submit}
+              </button>
+              <button type="button" className="pst-cancel" onClick={onClose} disabled={submitting}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Shown before copying a deprecated prompt
+ */
+export function DeprecatedCopyDialog({ open, prompt, replacement, onUseReplacement, onCopyAnyway, onClose }) {
+  if (!open) return null;
+
+  return (
+    <>
+      <style>{STATUS_STYLES}</style>
+      <div className="pst-overlay" onClick={onClose}>
+        <div className="pst-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="pst-hd">
+            <div>
+              <div className="pst-title">This prompt is deprecated</div>
+              <div className="pst-sub">{prompt?.title}</div>
+            </div>
+            <button className="pst-close" onClick={onClose}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="pst-body">
+            <p className="pst-hint">
+              {replacement
+                ? `Your team replaced it with "${replacement.title}". Copy the replacement instead?`
+                : "Your team no longer recommends this prompt. You can still copy it."}
+            </p>
+          </div>
+
+          <div className="pst-ft">
+            {replacement && (
+              <button type="button" className="pst-submit" onClick={onUseReplacement}>
+                <ArrowRight size={13} />
+                Use replacement
+              </button>
+            )}
+            <button type="button" className="pst-cancel" onClick={onCopyAnyway}>
+              <Copy size={12} style={{ display: "inline", marginRight: 4 }} />
+              Copy anyway
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
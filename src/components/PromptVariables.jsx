@@ -0,0 +1,349 @@
+// src/components/PromptVariables.jsx
+// Variable editor (used while authoring) and fill-in form (used on copy/run)
+import { useState, useEffect, useMemo } from "react";
+import { Braces, X, Copy, Check } from "lucide-react";
+import {
+  VARIABLE_TYPES,
+  parseVariables,
+  updateVariableInText,
+  getDefaultValues,
+  validateVariableValues,
+  fillVariables,
+} from "../lib/promptVariables";
+
+const VARIABLE_STYLES = `
+  @keyframes pvarFade { from{opacity:0} to{opacity:1} }
+  @keyframes pvarRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .pvar-box {
+    display:flex;flex-direction:column;gap:.45rem;
+    padding:.75rem .875rem;border-radius:10px;
+    background:rgba(255,255,255,.02);border:1px solid rgba(255,255,255,.07);
+  }
+  .pvar-head {
+    display:flex;align-items:center;gap:.4rem;
+    font-size:.62rem;font-weight:700;letter-spacing:.07em;text-transform:uppercase;
+    color:var(--muted-foreground);
+  }
+  .pvar-hint { font-size:.65rem;color:var(--muted-foreground);line-height:1.5; }
+  .pvar-hint code { font-family:'JetBrains Mono','Consolas',monospace;color:#a78bfa; }
+  .pvar-row  { display:grid;grid-template-columns:1fr 110px 1.3fr;gap:.4rem;align-items:center; }
+  @media(max-width:480px){ .pvar-row { grid-template-columns:1fr; } }
+  .pvar-name {
+    font-family:'JetBrains Mono','Consolas',monospace;font-size:.72rem;font-weight:600;
+    color:#a78bfa;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;
+  }
+  .pvar-input {
+    width:100%;padding:.42rem .55rem;border-radius:7px;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.75rem;font-family:inherit;
+    outline:none;box-sizing:border-box;transition:border-color .14s;
+  }
+  .pvar-input:focus { border-color:rgba(139,92,246,.42); }
+  .pvar-input.invalid { border-color:rgba(239,68,68,.5); }
+  .pvar-error { font-size:.63rem;color:#f87171; }
+
+  .pvar-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:pvarFade .18s ease-out;
+  }
+  .pvar-shell {
+    width:100%;max-width:520px;max-height:90vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:pvarRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .pvar-shell-hd {
+    display:flex;align-items:center;justify-content:space-between;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .pvar-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .pvar-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .pvar-close {
+    width:28px;height:28px;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .pvar-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .pvar-body {
+    flex:1;overflow-y:auto;padding:1.125rem 1.25rem;
+    display:flex;flex-direction:column;gap:.875rem;
+  }
+  .pvar-field { display:flex;flex-direction:column;gap:.35rem; }
+  .pvar-lbl {
+    font-size:.68rem;font-weight:700;color:var(--foreground);
+    font-family:'JetBrains Mono','Consolas',monospace;
+  }
+  .pvar-preview {
+    font-family:'JetBrains Mono','Consolas',monospace;font-size:.72rem;line-height:1.6;
+    white-space:pre-wrap;max-height:160px;overflow-y:auto;
+    padding:.6rem .7rem;border-radius:8px;color:var(--muted-foreground);
+    background:rgba(0,0,0,.15);border:1px solid rgba(255,255,255,.05);
+  }
+  .pvar-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;background:rgba(0,0,0,.08);
+  }
+  .pvar-submit {
+    flex:1;padding:.65rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .pvar-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .pvar-cancel {
+    padding:.65rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+`;
+
+/**
+ * Comma-separated enum options. Typed text is kept as a draft and only
+ * written into the template on blur or Enter, since parsing it on every
+ * keystroke would drop a trailing comma before the next option is typed.
+ */
+function EnumOptionsInput({ options, disabled, onCommit }) {
+  const joined = options.join(", ");
+  const [draft, setDraft] = useState(joined);
+  const [editing, setEditing] = useState(false);
+
+  // Follow edits made in the template itself while not typing here
+  useEffect(() => {
+    if (!editing) setDraft(joined);
+  }, [joined, editing]);
+
+  function commit() {
+    setEditing(false);
+    const next = draft
+      .split(",")
+      .map((o) => o.trim())
+      .filter(Boolean);
+    if (next.join(", ") !== joined) onCommit(next);
+    else setDraft(joined);
+  }
+
+  return (
+    <input
+      type="text"
+      className="pvar-input"
+      value={draft}
+      disabled={disabled}
+      placeholder="option1, option2"
+      onFocus={() => setEditing(true)}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          commit();
+        }
+      }}
+    />
+  );
+}
+
+/**
+ * Lists the variables detected in a prompt's text and lets the author
+ * change each one's type, default and enum options. Edits are written
+ * back into the text so the template stays the single source of truth.
+ */
+export function VariableEditor({
+  text,
+  onTextChange,
+  onVariableChange,
+  disabled = false,
+}) {
+  const variables = useMemo(() => parseVariables(text), [text]);
+
+  function handleChange(variable, patch) {
+    const next = { ...variable, ...patch };
+    if (next.type !== "enum") next.options = [];
+    // Callers whose text is derived (e.g. chat messages) rewrite it themselves
+    if (onVariableChange) onVariableChange(variable.name, next);
+    else onTextChange(updateVariableInText(text, variable.name, next));
+  }
+
+  return (
+    <>
+      <style>{VARIABLE_STYLES}</style>
+      <div className="pvar-box">
+        <div className="pvar-head">
+          <Braces size={12} />
+          Variables
+          {variables.length > 0 && <span style={{ opacity: 0.6 }}>({variables.length})</span>}
+        </div>
+
+        {variables.length === 0 ? (
+          <p className="pvar-hint">
+            Add placeholders like <code>{"{{topic}}"}</code>,{" "}
+            <code>{"{{words:number=500}}"}</code> or{" "}
+            <code>{"{{tone:enum(formal|casual)=casual}}"}</code> — teammates fill them in when copying.
+          </p>
+        ) : (
+          variables.map((variable) => (
+            <div key={variable.name} className="pvar-row">
+              <span className="pvar-name" title={variable.name}>
+                {variable.name}
+              </span>
+              <select
+                className="pvar-input"
+                value={variable.type}
+                disabled={disabled}
+                onChange={(e) => handleChange(variable, { type: e.target.value })}
+              >
+                {VARIABLE_TYPES.map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+              {variable.type === "enum" ? (
+                <EnumOptionsInput
+                  options={variable.options}
+                  disabled={disabled}
+                  onCommit={(options) => handleChange(variable, { options })}
+                />
+              ) : (
+                <input
+                  type={variable.type === "number" ? "number" : "text"}
+                  className="pvar-input"
+                  value={variable.defaultValue}
+                  disabled={disabled}
+                  placeholder="Default value"
+                  onChange={(e) => handleChange(variable, { defaultValue: e.target.value })}
+                />
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Form shown before a templated prompt is copied or run. Calls
+ * onSubmit(filledText, values) with every variable substituted.
+ */
+export default function VariableFillModal({
+  open,
+  title,
+  text,
+  variables,
+  submitLabel = "Copy",
+  onSubmit,
+  onClose,
+}) {
+  const declared = useMemo(
+    () => (variables && variables.length > 0 ? variables : parseVariables(text)),
+    [variables, text]
+  );
+  const [values, setValues] = useState(() => getDefaultValues(declared));
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+
+  useEffect(() => {
+    setValues(getDefaultValues(declared));
+    setDone(false);
+  }, [declared]);
+
+  const errors = validateVariableValues(declared, values);
+  const isValid = Object.keys(errors).length === 0;
+  const preview = fillVariables(text, values);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!isValid) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(preview, values);
+      setDone(true);
+      setTimeout(onClose, 600);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  if (!open) return null;
+
+  return (
+    <>
+      <style>{VARIABLE_STYLES}</style>
+      <div className="pvar-overlay" onClick={onClose}>
+        <div className="pvar-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="pvar-shell-hd">
+            <div>
+              <div className="pvar-title">Fill in variables</div>
+              <div className="pvar-sub">{title || "Template prompt"}</div>
+            </div>
+            <button className="pvar-close" onClick={onClose} disabled={submitting}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} style={{ display: "contents" }}>
+            <div className="pvar-body">
+              {declared.map((variable) => {
+                const value = values[variable.name] ?? "";
+                const error = errors[variable.name];
+                const update = (v) => setValues((prev) => ({ ...prev, [variable.name]: v }));
+
+                return (
+                  <div key={variable.name} className="pvar-field">
+                    <label className="pvar-lbl">{variable.name}</label>
+                    {variable.type === "enum" ? (
+                      <select
+                        className={`pvar-input${error ? " invalid" : ""}`}
+                        value={value}
+                        onChange={(e) => update(e.target.value)}
+                      >
+                        {variable.options.map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    ) : variable.type === "multiline" ? (
+                      <textarea
+                        className={`pvar-input${error ? " invalid" : ""}`}
+                        rows={4}
+                        value={value}
+                        onChange={(e) => update(e.target.value)}
+                      />
+                    ) : (
+                      <input
+                        type={variable.type === "number" ? "number" : "text"}
+                        className={`pvar-input${error ? " invalid" : ""}`}
+                        value={value}
+                        onChange={(e) => update(e.target.value)}
+                      />
+                    )}
+                    {error && <span className="pvar-error">{error}</span>}
+                  </div>
+                );
+              })}
+
+              <div className="pvar-field">
+                <span className="pvar-lbl" style={{ fontFamily: "inherit" }}>
+                  Preview
+                </span>
+                <div className="pvar-preview">{preview}</div>
+              </div>
+            </div>
+
+            <div className="pvar-ft">
+              <button type="submit" className="pvar-submit" disabled={!isValid || submitting}>
+                {done ? <Check size={13} /> : <Copy size={13} />}
+                {done ? "Done" : submitLabel}
+              </button>
+              <button type="button" className="pvar-cancel" onClick={onClose} disabled={submitting}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,29 +1,378 @@
 // src/components/PromptVersioning.jsx - Prompt Version History
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import { db } from "../lib/firebase";
 import {
   collection,
-  addDoc,
   query,
   orderBy,
   limit,
   onSnapshot,
-  serverTimestamp,
+  startAfter,
+  getDocs,
   doc,
   getDoc,
 } from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
 import { useNotification } from "../context/NotificationContext";
 import { useTimestamp } from "../hooks/useTimestamp";
-// Hook to manage prompt versions
+import { diffWords, summarizeDiff, blameLines } from "../lib/textDiff";
+import { FIELD_LABELS } from "../lib/versions";
+import { describeRetention } from "../lib/versionRetention";
+import {
+  PRODUCTION_LABEL,
+  canMoveLabel,
+  labelsByVersion,
+  setVersionLabel,
+  removeVersionLabel,
+  rollbackVersionLabel,
+  getRollbackTarget,
+  subscribeToLabelHistory,
+} from "../lib/versionLabels";
+import TextDiff from "./TextDiff";
+
+const CURRENT = "current";
+
+// What changed between two snapshots outside the body text
+function diffFields(from, to) {
+  const oldTags = new Set(from.tags || []);
+  const newTags = new Set(to.tags || []);
+  return {
+    title: (from.title || "") !== (to.title || "") ? diffWords(from.title || "", to.title || "") : null,
+    tagsAdded: [...newTags].filter((t) => !oldTags.has(t)),
+    tagsRemoved: [...oldTags].filter((t) => !newTags.has(t)),
+    visibility:
+      from.visibility && to.visibility && from.visibility !== to.visibility
+        ? { old: from.visibility, new: to.visibility }
+        : null,
+  };
+}
+
+// Compare any two snapshots (or one against the live prompt), fields first
+// and then the body text
+function VersionCompare({ versions, currentPrompt, fromId, toId, onChange, label }) {
+  const pick = (id) =>
+    id === CURRENT ? currentPrompt : versions.find((v) => v.id === id) || currentPrompt;
+  const from = pick(fromId);
+  const to = pick(toId);
+  const fields = diffFields(from, to);
+  const hasFieldChanges =
+    fields.title ||
+    fields.tagsAdded.length > 0 ||
+    fields.tagsRemoved.length > 0 ||
+    fields.visibility;
+
+  const select = (value, key) => (
+    <select
+      value={value}
+      onChange={(e) => onChange({ [key]: e.target.value })}
+      className="text-sm px-2 py-1 rounded bg-slate-800 border border-white/10 text-slate-200"
+    >
+      <option value={CURRENT}>Current</option>
+      {versions.map((v) => (
+        <option key={v.id} value={v.id}>
+          {label(v)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-slate-400">
+        <span>From</span>
+        {select(fromId, "fromId")}
+        <span>to</span>
+        {select(toId, "toId")}
+        <button
+          onClick={() => onChange({ fromId: toId, toId: fromId })}
+          className="text-sm px-3 py-1 rounded bg-white/5 hover:bg-white/10 text-slate-300 transition-colors"
+        >
+          ⇄ Swap
+        </button>
+      </div>
+
+      <div className="glass-card p-4 space-y-3">
+        <h4 className="text-xs uppercase tracking-wide text-slate-400">Fields</h4>
+        {!hasFieldChanges && (
+          <p className="text-sm text-slate-500">Title, tags and visibility are unchanged.</p>
+        )}
+        {fields.title && (
+          <div>
+            <label className="text-xs text-slate-400 block mb-1">Title:</label>
+            <p className="text-slate-200">
+              {fields.title.map((part, i) => (
+                <span
+                  key={i}
+                  className={
+                    part.type === "added"
+                      ? "bg-emerald-500/20 text-emerald-300 rounded"
+                      : part.type === "removed"
+                      ? "bg-red-500/20 text-red-300 line-through rounded"
+                      : undefined
+                  }
+                >
+                  {part.value}
+                </span>
+              ))}
+            </p>
+          </div>
+        )}
+        {(fields.tagsAdded.length > 0 || fields.tagsRemoved.length > 0) && (
+          <div>
+            <label className="text-xs text-slate-400 block mb-1">Tags:</label>
+            <div className="flex flex-wrap gap-1">
+              {fields.tagsAdded.map((tag) => (
+                <span
+                  key={`+${tag}`}
+                  className="text-xs px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300"
+                >
+                  +#{tag}
+                </span>
+              ))}
+              {fields.tagsRemoved.map((tag) => (
+                <span
+                  key={`-${tag}`}
+                  className="text-xs px-2 py-1 rounded-full bg-red-500/20 text-red-300 line-through"
+                >
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        {fields.visibility && (
+          <div>
+            <label className="text-xs text-slate-400 block mb-1">Visibility:</label>
+            <p className="text-sm text-slate-200">
+              <span className="text-red-300 line-through">{fields.visibility.old}</span>
+              {" → "}
+              <span className="text-emerald-300">{fields.visibility.new}</span>
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="glass-card p-4">
+        <h4 className="text-xs uppercase tracking-wide text-slate-400 mb-2">Content</h4>
+        <TextDiff
+          before={from.text || ""}
+          after={to.text || ""}
+          initialLayout="split"
+          showLayoutToggle
+        />
+      </div>
+    </div>
+  );
+}
+
+// Each line of the current text next to the version that last touched it.
+// Consecutive lines from the same version share one annotation; clicking it
+// opens that version's changes. Only loaded versions are walked, so while
+// older pages exist the oldest loaded one may be credited with older lines.
+function BlameView({ versions, currentPrompt, hasMore, describe, onOpen }) {
+  const blocks = useMemo(() => {
+    const revisions = [...versions].reverse().map((v) => ({ id: v.id, text: v.text || "" }));
+    const currentText = currentPrompt.text || "";
+    if (!revisions.length || revisions[revisions.length - 1].text !== currentText) {
+      revisions.push({ id: CURRENT, text: currentText });
+    }
+
+    const grouped = [];
+    blameLines(revisions).forEach((entry) => {
+      const last = grouped[grouped.length - 1];
+      if (last && last.id === entry.id) last.lines.push(entry);
+      else grouped.push({ id: entry.id, lines: [entry] });
+    });
+    return grouped;
+  }, [versions, currentPrompt.text]);
+
+  const oldestId = versions[versions.length - 1]?.id;
+
+  if (!blocks.length) {
+    return <p className="text-sm text-slate-500">This prompt has no text to annotate.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {hasMore && (
+        <p className="text-xs text-slate-500">
+          Only recent versions are loaded. Lines credited to the oldest one may be
+          older; load more history below to trace them further.
+        </p>
+      )}
+      <div className="rounded-lg border border-white/10 overflow-hidden text-xs">
+        {blocks.map((block, i) => {
+          const info = describe(block.id);
+          return (
+            <div
+              key={`${block.id}-${block.lines[0].lineNo}`}
+              className={`flex border-b border-white/5 last:border-b-0 ${
+                i % 2 ? "bg-white/[0.02]" : ""
+              }`}
+            >
+              <button
+                onClick={() => onOpen(block.id)}
+                title={info.note || "Show this version's changes"}
+                className="w-56 shrink-0 text-left px-3 py-1.5 border-r border-white/10 hover:bg-white/5 transition-colors"
+              >
+                <span className="block font-semibold text-slate-200 truncate">{info.author}</span>
+                <span className="block text-slate-500">
+                  {info.when}
+                  {hasMore && block.id === oldestId && " or earlier"}
+                </span>
+                {info.note && (
+                  <span className="block text-slate-400 italic truncate">{info.note}</span>
+                )}
+              </button>
+              <pre className="flex-1 min-w-0 py-1.5 font-mono text-slate-300 whitespace-pre-wrap break-words">
+                {block.lines.map((entry) => (
+                  <div key={entry.lineNo} className="flex">
+                    <span className="w-10 shrink-0 pr-3 text-right text-slate-600 select-none">
+                      {entry.lineNo}
+                    </span>
+                    <span className="flex-1 min-w-0">{entry.line || " "}</span>
+                  </div>
+                ))}
+              </pre>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function LabelChip({ label }) {
+  const isProduction = label === PRODUCTION_LABEL;
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full border ${
+        isProduction
+          ? "bg-emerald-500/15 text-emerald-300 border-emerald-500/40"
+          : "bg-purple-500/15 text-purple-300 border-purple-500/30"
+      }`}
+    >
+      {isProduction ? "🚀" : "🏷️"} {label}
+    </span>
+  );
+}
+
+// Where each label points, one-click rollback, and who moved what when
+function LabelsPanel({
+  versionLabels,
+  history,
+  nameOf,
+  versionName,
+  canMove,
+  onRollback,
+  onRemove,
+}) {
+  const [showHistory, setShowHistory] = useState(false);
+  const labels = Object.keys(versionLabels).sort((a, b) =>
+    a === PRODUCTION_LABEL ? -1 : b === PRODUCTION_LABEL ? 1 : a.localeCompare(b)
+  );
+  if (labels.length === 0 && history.length === 0) return null;
+
+  return (
+    <div className="glass-card p-4 mb-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-slate-100">Labels</h3>
+        {history.length > 0 && (
+          <button
+            onClick={() => setShowHistory((v) => !v)}
+            className="text-xs text-slate-400 hover:text-slate-200"
+          >
+            {showHistory ? "Hide label history" : "Label history"}
+          </button>
+        )}
+      </div>
+
+      {labels.length === 0 ? (
+        <p className="text-sm text-slate-500">No labels set.</p>
+      ) : (
+        <div className="space-y-2">
+          {labels.map((label) => {
+            const target = getRollbackTarget(history, label, versionLabels[label]);
+            return (
+              <div key={label} className="flex flex-wrap items-center gap-2 text-sm">
+                <LabelChip label={label} />
+                <span className="text-slate-400">→ {versionName(versionLabels[label])}</span>
+                <div className="ml-auto flex items-center gap-2">
+                  {canMove(label) && target && (
+                    <button
+                      onClick={() => onRollback(label, target)}
+                      className="text-xs px-3 py-1 rounded bg-amber-500/15 hover:bg-amber-500/25 text-amber-300 transition-colors"
+                      title={`Move ${label} back to ${versionName(target)}`}
+                    >
+                      ↶ Roll back
+                    </button>
+                  )}
+                  {canMove(label) && label !== PRODUCTION_LABEL && (
+                    <button
+                      onClick={() => onRemove(label)}
+                      className="text-xs px-3 py-1 rounded bg-white/5 hover:bg-white/10 text-slate-400 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showHistory && (
+        <ul className="space-y-1 border-t border-white/10 pt-3">
+          {history.map((event) => (
+            <li key={event.id} className="text-xs text-slate-400">
+              <span className="text-slate-200">{nameOf(event.movedBy)}</span>{" "}
+              {event.action === "removed"
+                ? "removed"
+                : event.action === "rollback"
+                ? "rolled back"
+                : event.previousVersionId
+                ? "moved"
+                : "set"}{" "}
+              <span className="text-slate-200">{event.label}</span>
+              {event.previousVersionId && ` from ${versionName(event.previousVersionId)}`}
+              {event.versionId && ` to ${versionName(event.versionId)}`} ·{" "}
+              {event.movedAtLabel}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const PAGE_SIZE = 25;
+
+function versionMillis(version) {
+  // A version saved moments ago still has a pending server timestamp
+  return version.createdAt?.toMillis?.() ?? Number.MAX_SAFE_INTEGER;
+}
+
+// Hook to manage prompt versions. The newest page is live; older pages are
+// fetched on demand with a cursor so long histories stay reachable.
 export function usePromptVersions(teamId, promptId) {
-  const [versions, setVersions] = useState([]);
+  const [liveVersions, setLiveVersions] = useState([]);
+  const [olderVersions, setOlderVersions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
   const [authorProfiles, setAuthorProfiles] = useState({});
+  const cursorRef = useRef(null);
+  const pagedRef = useRef(false);
 
   useEffect(() => {
+    setLiveVersions([]);
+    setOlderVersions([]);
+    setHasMore(false);
+    cursorRef.current = null;
+    pagedRef.current = false;
+
     if (!teamId || !promptId) {
-      setVersions([]);
       setLoading(false);
       return;
     }
@@ -36,36 +385,39 @@ export function usePromptVersions(teamId, promptId) {
       promptId,
       "versions"
     );
-    const q = query(versionsRef, orderBy("createdAt", "desc"), limit(50));
+    const q = query(versionsRef, orderBy("createdAt", "desc"), limit(PAGE_SIZE));
 
     const unsubscribe = onSnapshot(
       q,
-      async (snapshot) => {
-        const versionData = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-
-        setVersions(versionData);
-
-        // Load author profiles
-        const authorIds = [
-          ...new Set(versionData.map((v) => v.createdBy).filter(Boolean)),
-        ];
-        const profiles = {};
-
-        for (const authorId of authorIds) {
-          try {
-            const userDoc = await getDoc(doc(db, "users", authorId));
-            if (userDoc.exists()) {
-              profiles[authorId] = userDoc.data();
-            }
-          } catch (error) {
-            console.error("Error loading author:", error);
-          }
-        }
+      (snapshot) => {
+        setLiveVersions(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
 
-        setAuthorProfiles(profiles);
+        if (pagedRef.current) {
+          // Once older pages are loaded, a version pushed off the live page
+          // by a new one has to move into the older list, not disappear.
+          // Versions that were deleted (pruned, say) leave both lists.
+          const last = snapshot.docs[snapshot.docs.length - 1];
+          const lastCreatedAt = last?.data().createdAt?.toMillis?.();
+          snapshot
+            .docChanges()
+            .filter((change) => change.type === "removed")
+            .forEach(async ({ doc: removed }) => {
+              const createdAt = removed.data().createdAt?.toMillis?.();
+              const pushedOff =
+                snapshot.docs.length === PAGE_SIZE &&
+                createdAt !== undefined &&
+                lastCreatedAt !== undefined &&
+                createdAt <= lastCreatedAt;
+              const current = pushedOff ? await getDoc(removed.ref).catch(() => null) : null;
+              setOlderVersions((prev) => {
+                const rest = prev.filter((v) => v.id !== removed.id);
+                return current?.exists() ? [{ id: current.id, ...current.data() }, ...rest] : rest;
+              });
+            });
+        } else {
+          cursorRef.current = snapshot.docs[snapshot.docs.length - 1] || null;
+          setHasMore(snapshot.docs.length === PAGE_SIZE);
+        }
         setLoading(false);
       },
       (error) => {
@@ -77,33 +429,68 @@ export function usePromptVersions(teamId, promptId) {
     return () => unsubscribe();
   }, [teamId, promptId]);
 
-  return { versions, loading, authorProfiles };
-}
+  async function loadMore() {
+    if (!cursorRef.current || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const snapshot = await getDocs(
+        query(
+          collection(db, "teams", teamId, "prompts", promptId, "versions"),
+          orderBy("createdAt", "desc"),
+          startAfter(cursorRef.current),
+          limit(PAGE_SIZE)
+        )
+      );
+      pagedRef.current = true;
+      cursorRef.current = snapshot.docs[snapshot.docs.length - 1] || cursorRef.current;
+      setHasMore(snapshot.docs.length === PAGE_SIZE);
+      setOlderVersions((prev) => [
+        ...prev,
+        ...snapshot.docs.map((d) => ({ id: d.id, ...d.data() })),
+      ]);
+    } catch (error) {
+      console.error("Error loading older versions:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
 
-// Save a new version
-export async function savePromptVersion(
-  teamId,
-  promptId,
-  data,
-  changeNote = ""
-) {
-  try {
-    const versionData = {
-      ...data,
-      changeNote,
-      createdAt: serverTimestamp(),
-    };
+  const versions = useMemo(() => {
+    const byId = new Map();
+    [...liveVersions, ...olderVersions].forEach((v) => {
+      if (!byId.has(v.id)) byId.set(v.id, v);
+    });
+    return [...byId.values()].sort((a, b) => versionMillis(b) - versionMillis(a));
+  }, [liveVersions, olderVersions]);
 
-    await addDoc(
-      collection(db, "teams", teamId, "prompts", promptId, "versions"),
-      versionData
-    );
+  // Load author profiles, only fetching people we haven't seen yet
+  useEffect(() => {
+    const missing = [
+      ...new Set(versions.map((v) => v.createdBy).filter(Boolean)),
+    ].filter((id) => !(id in authorProfiles));
+    if (missing.length === 0) return;
 
-    return { success: true };
-  } catch (error) {
-    console.error("Error saving version:", error);
-    return { success: false, error };
-  }
+    let cancelled = false;
+    Promise.all(
+      missing.map((authorId) =>
+        getDoc(doc(db, "users", authorId))
+          .then((userDoc) => [authorId, userDoc.exists() ? userDoc.data() : null])
+          .catch((error) => {
+            console.error("Error loading author:", error);
+            return [authorId, null];
+          })
+      )
+    ).then((entries) => {
+      if (!cancelled) {
+        setAuthorProfiles((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [versions, authorProfiles]);
+
+  return { versions, loading, authorProfiles, hasMore, loadingMore, loadMore };
 }
 
 // Version History Modal Component
@@ -113,20 +500,77 @@ export default function PromptVersioning({
   currentPrompt,
   onRestore,
   onClose,
+  userRole = null,
+  canModify = false,
+  teamMembers = {},
+  retention,
 }) {
   const { user } = useAuth();
   const { success, error: notifyError } = useNotification();
   const { formatRelative } = useTimestamp();
-  const { versions, loading, authorProfiles } = usePromptVersions(
-    teamId,
-    promptId
-  );
-  const [selectedVersion, setSelectedVersion] = useState(null);
-  const [comparing, setComparing] = useState(false);
+  const { versions, loading, authorProfiles, hasMore, loadingMore, loadMore } =
+    usePromptVersions(teamId, promptId);
+  const [comparison, setComparison] = useState(null);
+  const [mode, setMode] = useState("history");
+  const [labelHistory, setLabelHistory] = useState([]);
+  const [labelingId, setLabelingId] = useState(null);
+  const [labelDraft, setLabelDraft] = useState("");
+
+  const versionLabels = currentPrompt.versionLabels || {};
+  const labelsOnVersion = labelsByVersion(versionLabels);
+  const canLabel = canModify || canMoveLabel(PRODUCTION_LABEL, userRole, canModify);
+
+  useEffect(() => {
+    if (!teamId || !promptId) return;
+    return subscribeToLabelHistory(teamId, promptId, setLabelHistory);
+  }, [teamId, promptId]);
+
+  function nameOf(uid) {
+    const person = teamMembers[uid] || authorProfiles[uid];
+    return person?.name || person?.email || "Unknown";
+  }
+
+  function versionName(versionId) {
+    const version = versions.find((v) => v.id === versionId);
+    return version ? versionLabel(version) : "an older version";
+  }
+
+  async function runLabelAction(action, message) {
+    try {
+      await action();
+      if (message) success(message);
+    } catch (err) {
+      notifyError(err.message || "Failed to update label");
+    }
+  }
+
+  function handleSetLabel(e, versionId) {
+    e.preventDefault();
+    runLabelAction(async () => {
+      await setVersionLabel(teamId, promptId, labelDraft, versionId, {
+        userId: user.uid,
+        userRole,
+      });
+      setLabelingId(null);
+      setLabelDraft("");
+    }, "Label saved");
+  }
+
+  function handleRollbackLabel(label, versionId) {
+    if (!confirm(`Move "${label}" back to ${versionName(versionId)}?`)) return;
+    runLabelAction(
+      () => rollbackVersionLabel(teamId, promptId, label, versionId, { userId: user.uid, userRole }),
+      `Rolled back ${label}`
+    );
+  }
 
- 
+  function handleRemoveLabel(label) {
+    runLabelAction(() =>
+      removeVersionLabel(teamId, promptId, label, { userId: user.uid, userRole })
+    );
+  }
 
-  function handleRestore(version) {
+  async function handleRestore(version) {
     if (
       !confirm(
         "Restore this version? This will create a new version with this content."
@@ -135,19 +579,59 @@ export default function PromptVersioning({
       return;
     }
 
-    onRestore({
-      title: version.title,
-      text: version.text,
-      tags: version.tags || [],
-    });
-
-    success("Version restored successfully!");
-    onClose();
+    try {
+      await onRestore({
+        title: version.title,
+        text: version.text,
+        tags: version.tags || [],
+      });
+      success("Version restored successfully!");
+      onClose();
+    } catch (err) {
+      console.error("Error restoring version:", err);
+      notifyError("Failed to restore version");
+    }
   }
 
   function handleCompare(version) {
-    setSelectedVersion(version);
-    setComparing(true);
+    setComparison({ fromId: version.id, toId: CURRENT });
+  }
+
+  function handleCompareWithPrevious(version, index) {
+    const prev = versions[index + 1];
+    if (prev) setComparison({ fromId: prev.id, toId: version.id });
+  }
+
+  // Annotation for a blame block; CURRENT is text that never made it into
+  // a version, e.g. edits made before history was recorded
+  function describeBlame(versionId) {
+    const version = versions.find((v) => v.id === versionId);
+    if (!version) {
+      return { author: "Not in history", when: "Current text", note: "" };
+    }
+    return {
+      author: nameOf(version.createdBy),
+      when: formatRelative(version.createdAt),
+      note: version.changeNote || (version.original ? "Original version" : ""),
+    };
+  }
+
+  function handleOpenBlame(versionId) {
+    const index = versions.findIndex((v) => v.id === versionId);
+    if (index === -1) {
+      if (versions[0]) setComparison({ fromId: versions[0].id, toId: CURRENT });
+    } else if (versions[index + 1]) {
+      handleCompareWithPrevious(versions[index], index);
+    } else {
+      handleCompare(versions[index]);
+    }
+  }
+
+  function versionLabel(version) {
+    const author = authorProfiles[version.createdBy];
+    return `${formatRelative(version.createdAt)} · ${
+      author?.name || author?.email || "Unknown"
+    }`;
   }
 
   function getChangeIndicator(version, index) {
@@ -183,15 +667,11 @@ export default function PromptVersioning({
     }
 
     if (version.text !== prevVersion.text) {
-      const oldWords = prevVersion.text.split(/\s+/).length;
-      const newWords = version.text.split(/\s+/).length;
-      const diff = newWords - oldWords;
-      changes.push({
-        type: "text",
-        wordDiff: diff,
-        oldLength: prevVersion.text.length,
-        newLength: version.text.length,
-      });
+      const { added, removed } = summarizeDiff(
+        diffWords(prevVersion.text || "", version.text || ""),
+        "word"
+      );
+      changes.push({ type: "text", added, removed });
     }
 
     const oldTags = new Set(prevVersion.tags || []);
@@ -203,6 +683,14 @@ export default function PromptVersioning({
       changes.push({ type: "tags", added, removed });
     }
 
+    if (
+      version.visibility &&
+      prevVersion.visibility &&
+      version.visibility !== prevVersion.visibility
+    ) {
+      changes.push({ type: "visibility", new: version.visibility });
+    }
+
     return changes;
   }
 
@@ -234,7 +722,8 @@ export default function PromptVersioning({
                   Version History
                 </h2>
                 <p className="text-sm text-slate-400">
-                  {versions.length}{" "}
+                  {versions.length}
+                  {hasMore && "+"}{" "}
                   {versions.length === 1 ? "version" : "versions"} •{" "}
                   {currentPrompt.title}
                 </p>
@@ -273,222 +762,274 @@ export default function PromptVersioning({
                 Versions will be saved automatically when you edit this prompt.
               </p>
             </div>
-          ) : comparing && selectedVersion ? (
+          ) : comparison ? (
             /* Comparison View */
             <div className="space-y-6">
               <div className="flex items-center justify-between">
                 <h3 className="text-lg font-semibold text-slate-100">
-                  Comparing with Current
+                  Compare Versions
                 </h3>
-                <button
-                  onClick={() => setComparing(false)}
-                  className="btn-secondary text-sm px-4 py-2"
-                >
-                  ← Back to History
-                </button>
-              </div>
-
-              <div className="grid md:grid-cols-2 gap-4">
-                {/* Selected Version */}
-                <div className="glass-card p-4 border-2 border-yellow-500/50">
-                  <div className="flex items-center gap-2 mb-3">
-                    <span className="text-yellow-400">📜</span>
-                    <h4 className="font-semibold text-slate-100">
-                      Version from {formatRelative(selectedVersion.createdAt)}
-                    </h4>
-                  </div>
-                  <div className="space-y-3">
-                    <div>
-                      <label className="text-xs text-slate-400 block mb-1">
-                        Title:
-                      </label>
-                      <p className="text-slate-200">{selectedVersion.title}</p>
-                    </div>
-                    <div>
-                      <label className="text-xs text-slate-400 block mb-1">
-                        Content:
-                      </label>
-                      <pre className="text-sm text-slate-200 whitespace-pre-wrap p-3 rounded bg-slate-800/50 max-h-64 overflow-y-auto">
-                        {selectedVersion.text}
-                      </pre>
-                    </div>
-                    {selectedVersion.tags &&
-                      selectedVersion.tags.length > 0 && (
-                        <div>
-                          <label className="text-xs text-slate-400 block mb-1">
-                            Tags:
-                          </label>
-                          <div className="flex flex-wrap gap-1">
-                            {selectedVersion.tags.map((tag) => (
-                              <span
-                                key={tag}
-                                className="text-xs px-2 py-1 rounded-full bg-slate-700 text-slate-300"
-                              >
-                                #{tag}
-                              </span>
-                            ))}
-                          </div>
-                        </div>
-                      )}
-                  </div>
+                <div className="flex items-center gap-2">
+                  {onRestore && comparison.fromId !== CURRENT && (
+                    <button
+                      onClick={() =>
+                        handleRestore(versions.find((v) => v.id === comparison.fromId))
+                      }
+                      className="btn-primary text-sm px-4 py-2"
+                    >
+                      Restore "From" Version
+                    </button>
+                  )}
                   <button
-                    onClick={() => handleRestore(selectedVersion)}
-                    className="btn-primary w-full mt-4"
+                    onClick={() => setComparison(null)}
+                    className="btn-secondary text-sm px-4 py-2"
                   >
-                    Restore This Version
+                    ← Back to History
                   </button>
                 </div>
-
-                {/* Current Version */}
-                <div className="glass-card p-4 border-2 border-green-500/50">
-                  <div className="flex items-center gap-2 mb-3">
-                    <span className="text-green-400">✓</span>
-                    <h4 className="font-semibold text-slate-100">
-                      Current Version
-                    </h4>
-                  </div>
-                  <div className="space-y-3">
-                    <div>
-                      <label className="text-xs text-slate-400 block mb-1">
-                        Title:
-                      </label>
-                      <p className="text-slate-200">{currentPrompt.title}</p>
-                    </div>
-                    <div>
-                      <label className="text-xs text-slate-400 block mb-1">
-                        Content:
-                      </label>
-                      <pre className="text-sm text-slate-200 whitespace-pre-wrap p-3 rounded bg-slate-800/50 max-h-64 overflow-y-auto">
-                        {currentPrompt.text}
-                      </pre>
-                    </div>
-                    {currentPrompt.tags && currentPrompt.tags.length > 0 && (
-                      <div>
-                        <label className="text-xs text-slate-400 block mb-1">
-                          Tags:
-                        </label>
-                        <div className="flex flex-wrap gap-1">
-                          {currentPrompt.tags.map((tag) => (
-                            <span
-                              key={tag}
-                              className="text-xs px-2 py-1 rounded-full bg-slate-700 text-slate-300"
-                            >
-                              #{tag}
-                            </span>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                </div>
               </div>
+
+              <VersionCompare
+                versions={versions}
+                currentPrompt={currentPrompt}
+                fromId={comparison.fromId}
+                toId={comparison.toId}
+                label={versionLabel}
+                onChange={(next) => setComparison((prev) => ({ ...prev, ...next }))}
+              />
             </div>
           ) : (
             /* Version List */
             <div className="space-y-3">
-              {versions.map((version, index) => {
-                const author = authorProfiles[version.createdBy];
-                const prevVersion = versions[index + 1];
-                const changes = calculateChanges(version, prevVersion);
-
-                return (
-                  <div
-                    key={version.id}
-                    className="glass-card p-4 hover:border-primary/50 transition-all duration-200"
+              <div className="flex items-center gap-1 text-sm">
+                {[
+                  ["history", "History"],
+                  ["blame", "Blame"],
+                ].map(([value, text]) => (
+                  <button
+                    key={value}
+                    onClick={() => setMode(value)}
+                    className={`px-3 py-1 rounded transition-colors ${
+                      mode === value
+                        ? "bg-primary/20 text-primary"
+                        : "bg-white/5 hover:bg-white/10 text-slate-300"
+                    }`}
                   >
-                    <div className="flex items-start gap-4">
-                      <div className="text-2xl">
-                        {getChangeIndicator(version, index)}
-                      </div>
+                    {text}
+                  </button>
+                ))}
+              </div>
+              {mode === "blame" ? (
+                <BlameView
+                  versions={versions}
+                  currentPrompt={currentPrompt}
+                  hasMore={hasMore}
+                  describe={describeBlame}
+                  onOpen={handleOpenBlame}
+                />
+              ) : (
+                <>
+                  <LabelsPanel
+                    versionLabels={versionLabels}
+                    history={labelHistory.map((event) => ({
+                      ...event,
+                      movedAtLabel: formatRelative(event.movedAt),
+                    }))}
+                    nameOf={nameOf}
+                    versionName={versionName}
+                    canMove={(label) => canMoveLabel(label, userRole, canModify)}
+                    onRollback={handleRollbackLabel}
+                    onRemove={handleRemoveLabel}
+                  />
+                  {versions.map((version, index) => {
+                    const author = authorProfiles[version.createdBy];
+                    const prevVersion = versions[index + 1];
+                    const changes = calculateChanges(version, prevVersion);
 
-                      <div className="flex-1">
-                        <div className="flex items-start justify-between mb-2">
-                          <div>
-                            <div className="flex items-center gap-2 mb-1">
-                              <span className="font-semibold text-slate-100">
-                                {author?.name || author?.email || "Unknown"}
-                              </span>
-                              {index === 0 && (
-                                <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/20 text-green-300 border border-green-500/30">
-                                  Current
-                                </span>
-                              )}
-                            </div>
-                            <p className="text-sm text-slate-400">
-                              {formatRelative(version.createdAt)}
-                            </p>
+                    return (
+                      <div
+                        key={version.id}
+                        className="glass-card p-4 hover:border-primary/50 transition-all duration-200"
+                      >
+                        <div className="flex items-start gap-4">
+                          <div className="text-2xl">
+                            {getChangeIndicator(version, index)}
                           </div>
 
-                          <div className="flex items-center gap-2">
-                            <button
-                              onClick={() => handleCompare(version)}
-                              className="text-sm px-3 py-1 rounded bg-white/5 hover:bg-white/10 text-slate-300 transition-colors"
-                            >
-                              Compare
-                            </button>
-                            {index !== 0 && (
-                              <button
-                                onClick={() => handleRestore(version)}
-                                className="text-sm px-3 py-1 rounded bg-primary/20 hover:bg-primary/30 text-primary transition-colors"
-                              >
-                                Restore
-                              </button>
-                            )}
-                          </div>
-                        </div>
+                          <div className="flex-1">
+                            <div className="flex items-start justify-between mb-2">
+                              <div>
+                                <div className="flex items-center gap-2 mb-1">
+                                  <span className="font-semibold text-slate-100">
+                                    {author?.name || author?.email || "Unknown"}
+                                  </span>
+                                  {index === 0 && (
+                                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/20 text-green-300 border border-green-500/30">
+                                      Current
+                                    </span>
+                                  )}
+                                  {(labelsOnVersion[version.id] || []).map((label) => (
+                                    <LabelChip key={label} label={label} />
+                                  ))}
+                                </div>
+                                <p className="text-sm text-slate-400">
+                                  {formatRelative(version.createdAt)}
+                                </p>
+                              </div>
 
-                        {version.changeNote && (
-                          <p className="text-sm text-slate-300 mb-2 italic">
-                            "{version.changeNote}"
-                          </p>
-                        )}
-
-                        {changes && changes.length > 0 && (
-                          <div className="flex flex-wrap gap-2 text-xs">
-                            {changes.map((change, i) => (
-                              <span
-                                key={i}
-                                className="px-2 py-1 rounded bg-slate-800/50 text-slate-400"
-                              >
-                                {change.type === "title" && "📌 Title changed"}
-                                {change.type === "text" && (
-                                  <>
-                                    ✏️ {change.wordDiff > 0 ? "+" : ""}
-                                    {change.wordDiff} words (
-                                    {change.newLength - change.oldLength > 0
-                                      ? "+"
-                                      : ""}
-                                    {change.newLength - change.oldLength} chars)
-                                  </>
+                              <div className="flex items-center gap-2">
+                                {prevVersion && (
+                                  <button
+                                    onClick={() => handleCompareWithPrevious(version, index)}
+                                    className="text-sm px-3 py-1 rounded bg-white/5 hover:bg-white/10 text-slate-300 transition-colors"
+                                  >
+                                    Changes
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => handleCompare(version)}
+                                  className="text-sm px-3 py-1 rounded bg-white/5 hover:bg-white/10 text-slate-300 transition-colors"
+                                >
+                                  Compare
+                                </button>
+                                {canLabel && (
+                                  <button
+                                    onClick={() => {
+                                      setLabelingId(labelingId === version.id ? null : version.id);
+                                      setLabelDraft("");
+                                    }}
+                                    className="text-sm px-3 py-1 rounded bg-white/5 hover:bg-white/10 text-slate-300 transition-colors"
+                                  >
+                                    Label
+                                  </button>
                                 )}
-                                {change.type === "tags" && (
-                                  <>
-                                    🏷️ Tags:
-                                    {change.added.length > 0 &&
-                                      ` +${change.added.length}`}
-                                    {change.removed.length > 0 &&
-                                      ` -${change.removed.length}`}
-                                  </>
+                                {onRestore && index !== 0 && (
+                                  <button
+                                    onClick={() => handleRestore(version)}
+                                    className="text-sm px-3 py-1 rounded bg-primary/20 hover:bg-primary/30 text-primary transition-colors"
+                                  >
+                                    Restore
+                                  </button>
                                 )}
-                              </span>
-                            ))}
+                              </div>
+                            </div>
+
+                            {labelingId === version.id && (
+                              <form
+                                onSubmit={(e) => handleSetLabel(e, version.id)}
+                                className="flex flex-wrap items-center gap-2 mb-3"
+                              >
+                                <input
+                                  value={labelDraft}
+                                  onChange={(e) => setLabelDraft(e.target.value)}
+                                  list={`labels-${version.id}`}
+                                  placeholder="production, v2.1, staging…"
+                                  autoFocus
+                                  className="text-sm px-3 py-1 rounded bg-slate-800 border border-white/10 text-slate-200"
+                                />
+                                <datalist id={`labels-${version.id}`}>
+                                  {[
+                                    ...new Set([
+                                      ...(canMoveLabel(PRODUCTION_LABEL, userRole, canModify)
+                                        ? [PRODUCTION_LABEL]
+                                        : []),
+                                      ...Object.keys(versionLabels).filter((l) =>
+                                        canMoveLabel(l, userRole, canModify)
+                                      ),
+                                    ]),
+                                  ].map((l) => (
+                                    <option key={l} value={l} />
+                                  ))}
+                                </datalist>
+                                <button
+                                  type="submit"
+                                  disabled={!labelDraft.trim()}
+                                  className="text-sm px-3 py-1 rounded bg-primary/20 hover:bg-primary/30 text-primary transition-colors disabled:opacity-50"
+                                >
+                                  {versionLabels[labelDraft.trim().toLowerCase()] ? "Move label here" : "Add label"}
+                                </button>
+                                <span className="text-xs text-slate-500">
+                                  Only admins can move production
+                                </span>
+                              </form>
+                            )}
+
+                            {version.changeNote && (
+                              <p className="text-sm text-slate-300 mb-2 italic">
+                                "{version.changeNote}"
+                              </p>
+                            )}
+
+                            {(version.changedFields?.length > 0 || version.editCount > 1) && (
+                              <p className="text-xs text-slate-500 mb-2">
+                                {version.changedFields?.length > 0 &&
+                                  `Changed ${version.changedFields
+                                    .map((f) => FIELD_LABELS[f] || f)
+                                    .join(", ")}`}
+                                {version.changedFields?.length > 0 && version.editCount > 1 && " · "}
+                                {version.editCount > 1 && `${version.editCount} edits combined`}
+                              </p>
+                            )}
+
+                            {changes && changes.length > 0 && (
+                              <div className="flex flex-wrap gap-2 text-xs">
+                                {changes.map((change, i) => (
+                                  <span
+                                    key={i}
+                                    className="px-2 py-1 rounded bg-slate-800/50 text-slate-400"
+                                  >
+                                    {change.type === "title" && "📌 Title changed"}
+                                    {change.type === "text" && (
+                                      <>
+                                        ✏️{" "}
+                                        <span className="text-emerald-400">+{change.added}</span>{" "}
+                                        <span className="text-red-400">−{change.removed}</span> words
+                                      </>
+                                    )}
+                                    {change.type === "visibility" &&
+                                      `🔒 Now ${change.new}`}
+                                    {change.type === "tags" && (
+                                      <>
+                                        🏷️ Tags:
+                                        {change.added.length > 0 &&
+                                          ` +${change.added.length}`}
+                                        {change.removed.length > 0 &&
+                                          ` -${change.removed.length}`}
+                                      </>
+                                    )}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+
+                            <details className="mt-3">
+                              <summary className="cursor-pointer text-sm text-slate-400 hover:text-slate-300">
+                                View content preview
+                              </summary>
+                              <pre className="mt-2 text-xs text-slate-300 whitespace-pre-wrap p-3 rounded bg-slate-800/50 max-h-32 overflow-y-auto">
+                                {version.text.slice(0, 300)}
+                                {version.text.length > 300 && "..."}
+                              </pre>
+                            </details>
                           </div>
-                        )}
-
-                        <details className="mt-3">
-                          <summary className="cursor-pointer text-sm text-slate-400 hover:text-slate-300">
-                            View content preview
-                          </summary>
-                          <pre className="mt-2 text-xs text-slate-300 whitespace-pre-wrap p-3 rounded bg-slate-800/50 max-h-32 overflow-y-auto">
-                            {version.text.slice(0, 300)}
-                            {version.text.length > 300 && "..."}
-                          </pre>
-                        </details>
+                        </div>
                       </div>
-                    </div>
-                  </div>
-                );
-              })}
+                    );
+                  })}
+                </>
+              )}
+
+              {hasMore && (
+                <div className="text-center pt-2">
+                  <button
+                    onClick={loadMore}
+                    disabled={loadingMore}
+                    className="btn-secondary text-sm px-4 py-2"
+                  >
+                    {loadingMore ? "Loading…" : "Load older versions"}
+                  </button>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -497,7 +1038,8 @@ export default function PromptVersioning({
         <div className="p-4 border-t border-white/10 bg-white/5">
           <div className="flex justify-between items-center text-xs text-slate-400">
             <div>
-              💡 Tip: Versions are saved automatically when you edit a prompt
+              💡 Every edit is saved as a version; quick edits in a row are combined.
+              {retention && ` ${describeRetention(retention)}.`}
             </div>
             <button onClick={onClose} className="btn-secondary px-4 py-2">
               Close
@@ -2,6 +2,7 @@
 import { useState } from "react";
 import { useSoundEffects } from '../hooks/useSoundEffects';
 import { X, ZoomIn } from "lucide-react";
+import GradeSummary from "./GradeSummary";
 
 function Icon({ name, className = "w-4 h-4" }) {
   const icons = {
@@ -71,7 +72,9 @@ function ImageLightbox({ src, title, onClose }) {
   );
 }
 
-export default function ResultCard({ result, isExpanded, onToggleExpand, onDelete }) {
+// `checks` is the result's evaluateResult() outcome, or null when no
+// checks apply
+export default function ResultCard({ result, isExpanded, onToggleExpand, onDelete, checks = null }) {
   const [imageError, setImageError]   = useState(false);
   const [lightboxOpen, setLightbox]   = useState(false);
   const { playNotification }          = useSoundEffects();
@@ -260,6 +263,19 @@ export default function ResultCard({ result, isExpanded, onToggleExpand, onDelet
                 <span className="text-xs" style={{ color: "rgba(228,228,231,.5)" }}>
                   {formatDate(result.createdAt)}
                 </span>
+                {checks && (
+                  <span
+                    title={checks.checks.map(c => `${c.passed ? "✓" : "✗"} ${c.label} — ${c.message}`).join("\n")}
+                    style={{
+                      padding: "4px 10px", borderRadius: "10px", fontSize: "0.7rem", fontWeight: "600",
+                      backgroundColor: checks.allPassed ? "rgba(52,211,153,.15)" : "rgba(239,68,68,.15)",
+                      color: checks.allPassed ? "rgba(52,211,153,.95)" : "rgba(248,113,113,.95)",
+                      border: `1px solid ${checks.allPassed ? "rgba(52,211,153,.25)" : "rgba(239,68,68,.25)"}`,
+                    }}
+                  >
+                    {checks.allPassed ? "✓ Passed" : "✗ Failed"} {checks.passed}/{checks.total}
+                  </span>
+                )}
               </div>
             </div>
           </div>
@@ -289,6 +305,13 @@ export default function ResultCard({ result, isExpanded, onToggleExpand, onDelet
           </div>
         </div>
 
+        {/* Judge grades */}
+        {result.grades && (
+          <div className="mb-4">
+            <GradeSummary result={result} />
+          </div>
+        )}
+
         {/* ── Content ── */}
 
         {/* IMAGE: always fully visible, no collapse/expand needed */}
@@ -0,0 +1,361 @@
+// src/components/RubricManager.jsx
+// Owner/admin editor for the team's grading rubrics
+import { useState, useEffect } from "react";
+import { X, ClipboardCheck, Plus, Trash2, Save } from "lucide-react";
+import {
+  MAX_CRITERIA,
+  DEFAULT_SCALE,
+  createCriterion,
+  normalizeRubric,
+  subscribeToRubrics,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+} from "../lib/rubrics";
+
+const RUBRIC_STYLES = `
+  @keyframes rubFade { from{opacity:0} to{opacity:1} }
+  @keyframes rubRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .rub-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:rubFade .18s ease-out;
+  }
+  .rub-shell {
+    width:100%;max-width:860px;height:min(88vh,720px);display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:rubRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .rub-hd {
+    display:flex;align-items:center;justify-content:space-between;gap:.75rem;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .rub-title { font-size:.9rem;font-weight:700;color:var(--foreground);display:flex;align-items:center;gap:.45rem; }
+  .rub-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .rub-close {
+    width:28px;height:28px;flex-shrink:0;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .rub-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .rub-main { flex:1;min-height:0;display:flex; }
+  .rub-list {
+    width:220px;flex-shrink:0;overflow-y:auto;padding:.75rem;
+    border-right:1px solid rgba(255,255,255,.05);display:flex;flex-direction:column;gap:.3rem;
+  }
+  .rub-item {
+    padding:.5rem .6rem;border-radius:8px;cursor:pointer;text-align:left;font-family:inherit;
+    border:1px solid transparent;background:transparent;color:var(--foreground);
+  }
+  .rub-item:hover { background:rgba(255,255,255,.04); }
+  .rub-item.on { border-color:rgba(139,92,246,.35);background:rgba(139,92,246,.08); }
+  .rub-item-name { font-size:.74rem;font-weight:700; }
+  .rub-item-meta { font-size:.62rem;color:var(--muted-foreground);margin-top:.1rem; }
+  .rub-new {
+    display:flex;align-items:center;gap:.35rem;padding:.45rem .6rem;border-radius:8px;cursor:pointer;
+    font-size:.72rem;font-weight:700;font-family:inherit;
+    background:rgba(139,92,246,.1);color:var(--primary);border:1px dashed rgba(139,92,246,.28);
+  }
+  .rub-form { flex:1;min-width:0;display:flex;flex-direction:column; }
+  .rub-body { flex:1;overflow-y:auto;padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.7rem; }
+  .rub-field { display:flex;flex-direction:column;gap:.3rem; }
+  .rub-lbl { font-size:.68rem;font-weight:700;color:var(--foreground); }
+  .rub-input {
+    width:100%;padding:.42rem .55rem;border-radius:7px;box-sizing:border-box;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.75rem;font-family:inherit;outline:none;
+  }
+  .rub-input:focus { border-color:rgba(139,92,246,.42); }
+  .rub-input.num { width:5rem; }
+  .rub-scale { display:flex;align-items:center;gap:.4rem;font-size:.7rem;color:var(--muted-foreground); }
+  .rub-criterion {
+    display:grid;grid-template-columns:1fr 5rem 28px;gap:.4rem;padding:.55rem;border-radius:9px;
+    background:rgba(255,255,255,.02);border:1px solid rgba(255,255,255,.06);
+  }
+  .rub-criterion textarea { grid-column:1 / 3;resize:vertical;min-height:44px; }
+  .rub-icon {
+    width:28px;height:28px;border-radius:7px;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    border:1px solid rgba(239,68,68,.18);background:rgba(239,68,68,.07);color:#f87171;
+  }
+  .rub-icon:disabled { opacity:.45;cursor:not-allowed; }
+  .rub-add {
+    align-self:flex-start;display:flex;align-items:center;gap:.35rem;padding:.4rem .7rem;border-radius:7px;
+    font-size:.72rem;font-weight:600;cursor:pointer;font-family:inherit;
+    background:transparent;color:var(--muted-foreground);border:1px dashed rgba(255,255,255,.15);
+  }
+  .rub-add:disabled { opacity:.45;cursor:not-allowed; }
+  .rub-note { font-size:.68rem;color:var(--muted-foreground);line-height:1.5; }
+  .rub-error { font-size:.7rem;color:#f87171; }
+  .rub-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;background:rgba(0,0,0,.08);
+  }
+  .rub-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .rub-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .rub-delete {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:#f87171;border:1px solid rgba(248,113,113,.25);
+  }
+  .rub-delete:disabled { opacity:.45;cursor:not-allowed; }
+`;
+
+function emptyRubric() {
+  return { name: "", description: "", scale: { ...DEFAULT_SCALE }, criteria: [createCriterion()] };
+}
+
+/**
+ * List, create, edit and delete the team's rubrics. Grades already stored
+ * on results keep the criteria they were scored with.
+ */
+export default function RubricManager({ open, teamId, userId, onClose }) {
+  const [rubrics, setRubrics] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(emptyRubric);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open || !teamId) return;
+    return subscribeToRubrics(teamId, setRubrics);
+  }, [open, teamId]);
+
+  useEffect(() => {
+    if (!open) return;
+    setSelectedId(null);
+    setDraft(emptyRubric());
+    setError("");
+  }, [open]);
+
+  if (!open) return null;
+
+  function select(rubric) {
+    setSelectedId(rubric?.id || null);
+    setDraft(
+      rubric
+        ? {
+            name: rubric.name,
+            description: rubric.description || "",
+            scale: { ...rubric.scale },
+            criteria: rubric.criteria.map((c) => ({ ...c })),
+          }
+        : emptyRubric()
+    );
+    setError("");
+  }
+
+  function updateCriterion(id, patch) {
+    setDraft((prev) => ({
+      ...prev,
+      criteria: prev.criteria.map((c) => (c.id === id ? { ...c, ...patch } : c)),
+    }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    try {
+      normalizeRubric(draft);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setSaving(true);
+    try {
+      if (selectedId) {
+        await updateRubric(teamId, selectedId, draft);
+      } else {
+        setSelectedId(await createRubric(teamId, userId, draft));
+      }
+    } catch (err) {
+      setError(err.message || "Failed to save rubric");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    if (!confirm(`Delete "${draft.name}"? Grades already given with it are kept.`)) return;
+    setSaving(true);
+    try {
+      await deleteRubric(teamId, selectedId);
+      select(null);
+    } catch (err) {
+      setError(err.message || "Failed to delete rubric");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <>
+      <style>{RUBRIC_STYLES}</style>
+      <div className="rub-overlay" onClick={saving ? undefined : onClose}>
+        <div className="rub-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="rub-hd">
+            <div>
+              <div className="rub-title">
+                <ClipboardCheck size={15} /> Grading rubrics
+              </div>
+              <div className="rub-sub">
+                Criteria a judge model scores outputs against
+              </div>
+            </div>
+            <button type="button" className="rub-close" onClick={onClose} disabled={saving}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="rub-main">
+            <div className="rub-list">
+              <button type="button" className="rub-new" onClick={() => select(null)}>
+                <Plus size={12} /> New rubric
+              </button>
+              {rubrics.map((rubric) => (
+                <button
+                  key={rubric.id}
+                  type="button"
+                  className={`rub-item${rubric.id === selectedId ? " on" : ""}`}
+                  onClick={() => select(rubric)}
+                >
+                  <div className="rub-item-name">{rubric.name}</div>
+                  <div className="rub-item-meta">
+                    {rubric.criteria.length} criteria · {rubric.scale.min}–{rubric.scale.max}
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            <form className="rub-form" onSubmit={handleSubmit}>
+              <div className="rub-body">
+                <div className="rub-field">
+                  <label className="rub-lbl">Name</label>
+                  <input
+                    className="rub-input"
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    placeholder="e.g. Support reply quality"
+                  />
+                </div>
+                <div className="rub-field">
+                  <label className="rub-lbl">Description</label>
+                  <input
+                    className="rub-input"
+                    value={draft.description}
+                    onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                    placeholder="What a good output looks like (shown to the judge)"
+                  />
+                </div>
+                <div className="rub-field">
+                  <label className="rub-lbl">Scale</label>
+                  <div className="rub-scale">
+                    <input
+                      type="number"
+                      className="rub-input num"
+                      value={draft.scale.min}
+                      onChange={(e) =>
+                        setDraft({ ...draft, scale: { ...draft.scale, min: e.target.value } })
+                      }
+                    />
+                    to
+                    <input
+                      type="number"
+                      className="rub-input num"
+                      value={draft.scale.max}
+                      onChange={(e) =>
+                        setDraft({ ...draft, scale: { ...draft.scale, max: e.target.value } })
+                      }
+                    />
+                  </div>
+                </div>
+
+                <label className="rub-lbl">Criteria</label>
+                {draft.criteria.map((criterion) => (
+                  <div key={criterion.id} className="rub-criterion">
+                    <input
+                      className="rub-input"
+                      placeholder="Criterion, e.g. Accuracy"
+                      value={criterion.name}
+                      onChange={(e) => updateCriterion(criterion.id, { name: e.target.value })}
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.5}
+                      className="rub-input"
+                      title="Weight"
+                      value={criterion.weight}
+                      onChange={(e) => updateCriterion(criterion.id, { weight: e.target.value })}
+                    />
+                    <button
+                      type="button"
+                      className="rub-icon"
+                      title="Remove criterion"
+                      disabled={draft.criteria.length === 1}
+                      onClick={() =>
+                        setDraft({
+                          ...draft,
+                          criteria: draft.criteria.filter((c) => c.id !== criterion.id),
+                        })
+                      }
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                    <textarea
+                      className="rub-input"
+                      placeholder="What the judge should look for"
+                      value={criterion.description}
+                      onChange={(e) =>
+                        updateCriterion(criterion.id, { description: e.target.value })
+                      }
+                    />
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="rub-add"
+                  disabled={draft.criteria.length >= MAX_CRITERIA}
+                  onClick={() =>
+                    setDraft({ ...draft, criteria: [...draft.criteria, createCriterion()] })
+                  }
+                >
+                  <Plus size={12} /> Add criterion
+                </button>
+
+                <p className="rub-note">
+                  The overall grade is the weighted average of the criterion scores.
+                  Changing a rubric doesn't change grades already given.
+                </p>
+                {error && <span className="rub-error">{error}</span>}
+              </div>
+
+              <div className="rub-ft">
+                <button type="submit" className="rub-submit" disabled={saving}>
+                  <Save size={13} />
+                  {saving ? "Saving…" : selectedId ? "Save rubric" : "Create rubric"}
+                </button>
+                {selectedId && (
+                  <button
+                    type="button"
+                    className="rub-delete"
+                    onClick={handleDelete}
+                    disabled={saving}
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,344 @@
+// src/components/RunPromptModal.jsx
+// Run a prompt against the team's AI provider and save the output as a result
+import { useState, useEffect, useMemo, useRef } from "react";
+import { X, Play, Loader2, Check, Square } from "lucide-react";
+import { getDefaultValues, validateVariableValues } from "../lib/promptVariables";
+import {
+  RUN_PARAMETERS,
+  getDefaultRunParameters,
+  getRunVariables,
+  listRunModels,
+  runPrompt,
+} from "../lib/promptRuns";
+
+const RUN_STYLES = `
+  @keyframes runpFade { from{opacity:0} to{opacity:1} }
+  @keyframes runpRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .runp-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:runpFade .18s ease-out;
+  }
+  .runp-shell {
+    width:100%;max-width:620px;max-height:90vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:runpRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .runp-hd {
+    display:flex;align-items:center;justify-content:space-between;gap:.75rem;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .runp-title { font-size:.9rem;font-weight:700;color:var(--foreground);display:flex;align-items:center;gap:.45rem; }
+  .runp-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .runp-close {
+    width:28px;height:28px;flex-shrink:0;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .runp-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .runp-body {
+    flex:1;overflow-y:auto;padding:1rem 1.25rem;
+    display:flex;flex-direction:column;gap:.8rem;
+  }
+  .runp-section {
+    font-size:.62rem;font-weight:700;letter-spacing:.07em;text-transform:uppercase;
+    color:var(--muted-foreground);
+  }
+  .runp-grid  { display:grid;grid-template-columns:repeat(auto-fill,minmax(160px,1fr));gap:.55rem; }
+  .runp-field { display:flex;flex-direction:column;gap:.3rem; }
+  .runp-lbl   { font-size:.68rem;font-weight:700;color:var(--foreground); }
+  .runp-lbl.mono { font-family:'JetBrains Mono','Consolas',monospace;color:#a78bfa; }
+  .runp-input {
+    width:100%;padding:.42rem .55rem;border-radius:7px;box-sizing:border-box;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.75rem;font-family:inherit;outline:none;
+  }
+  .runp-input:focus { border-color:rgba(139,92,246,.42); }
+  .runp-input.invalid { border-color:rgba(239,68,68,.5); }
+  .runp-error { font-size:.68rem;color:#f87171; }
+  .runp-output {
+    font-family:'JetBrains Mono','Consolas',monospace;font-size:.72rem;line-height:1.6;
+    white-space:pre-wrap;max-height:280px;overflow-y:auto;
+    padding:.7rem .8rem;border-radius:8px;color:var(--foreground);
+    background:rgba(0,0,0,.15);border:1px solid rgba(255,255,255,.05);
+  }
+  .runp-meta { display:flex;flex-wrap:wrap;gap:.35rem; }
+  .runp-chip {
+    font-size:.64rem;font-weight:600;padding:.15rem .5rem;border-radius:999px;
+    background:rgba(255,255,255,.05);color:var(--muted-foreground);
+  }
+  .runp-chip.ok { background:rgba(52,211,153,.12);color:#34d399; }
+  .runp-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;background:rgba(0,0,0,.08);
+  }
+  .runp-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .runp-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .runp-cancel {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+`;
+
+// <select> value for a provider/model pick; "" is the server default
+const toChoiceKey = (provider, model) => JSON.stringify([provider, model]);
+
+function formatLatency(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+/**
+ * Fill in variables, pick sampling parameters and run the prompt. Each run
+ * is saved to the prompt's results.
+ */
+export default function RunPromptModal({ open, prompt, teamId, userId, snippets = {}, onClose }) {
+  const variables = useMemo(
+    () => (prompt ? getRunVariables(prompt, snippets) : []),
+    [prompt, snippets]
+  );
+  const [values, setValues] = useState({});
+  const [parameters, setParameters] = useState(getDefaultRunParameters);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  // Output so far while a run streams in
+  const [partial, setPartial] = useState("");
+  const abortRef = useRef(null);
+  // Providers/models the server allows, and the one picked
+  const [modelChoices, setModelChoices] = useState([]);
+  const [choiceKey, setChoiceKey] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setValues(getDefaultValues(variables));
+    setResult(null);
+    setError("");
+  }, [open, variables]);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    listRunModels()
+      .then((providers) => {
+        if (!cancelled) setModelChoices(providers);
+      })
+      .catch((err) => console.error("Error loading run models:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  // Closing the modal (or unmounting) cancels the run in progress
+  useEffect(() => {
+    if (open) return () => abortRef.current?.abort();
+  }, [open]);
+
+  if (!open || !prompt) return null;
+
+  const errors = validateVariableValues(variables, values);
+  const modelCount = modelChoices.reduce((sum, choice) => sum + choice.models.length, 0);
+  const isValid = Object.keys(errors).length === 0;
+
+  async function handleRun(e) {
+    e.preventDefault();
+    if (!isValid) return;
+    const [provider, model] = choiceKey ? JSON.parse(choiceKey) : [];
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError("");
+    setResult(null);
+    setPartial("");
+    try {
+      const saved = await runPrompt(teamId, prompt, userId, {
+        values,
+        parameters,
+        snippets,
+        signal: controller.signal,
+        onDelta: (text) => setPartial((prev) => prev + text),
+        selection: { provider, model },
+      });
+      setResult(saved);
+    } catch (err) {
+      setError(err.name === "AbortError" ? "Run cancelled — nothing was saved" : err.message || "Run failed");
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setRunning(false);
+      setPartial("");
+    }
+  }
+
+  function handleStop() {
+    abortRef.current?.abort();
+  }
+
+  return (
+    <>
+      <style>{RUN_STYLES}</style>
+      <div className="runp-overlay" onClick={running ? undefined : onClose}>
+        <form className="runp-shell" onClick={(e) => e.stopPropagation()} onSubmit={handleRun}>
+          <div className="runp-hd">
+            <div>
+              <div className="runp-title">
+                <Play size={14} /> Run prompt
+              </div>
+              <div className="runp-sub">
+                {prompt.title || "Untitled"} · outputs are saved to results
+              </div>
+            </div>
+            <button type="button" className="runp-close" onClick={onClose} disabled={running}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="runp-body">
+            {variables.length > 0 && (
+              <>
+                <span className="runp-section">Variables</span>
+                <div className="runp-grid">
+                  {variables.map((variable) => {
+                    const value = values[variable.name] ?? "";
+                    const fieldError = errors[variable.name];
+                    const update = (v) =>
+                      setValues((prev) => ({ ...prev, [variable.name]: v }));
+                    const className = `runp-input${fieldError ? " invalid" : ""}`;
+
+                    return (
+                      <div key={variable.name} className="runp-field">
+                        <label className="runp-lbl mono">{variable.name}</label>
+                        {variable.type === "enum" ? (
+                          <select
+                            className={className}
+                            value={value}
+                            onChange={(e) => update(e.target.value)}
+                          >
+                            {variable.options.map((option) => (
+                              <option key={option} value={option}>
+                                {option}
+                              </option>
+                            ))}
+                          </select>
+                        ) : variable.type === "multiline" ? (
+                          <textarea
+                            className={className}
+                            rows={3}
+                            value={value}
+                            onChange={(e) => update(e.target.value)}
+                          />
+                        ) : (
+                          <input
+                            type={variable.type === "number" ? "number" : "text"}
+                            className={className}
+                            value={value}
+                            onChange={(e) => update(e.target.value)}
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </>
+            )}
+
+            <span className="runp-section">Parameters</span>
+            <div className="runp-grid">
+              {modelCount > 1 && (
+                <div className="runp-field">
+                  <label className="runp-lbl">Model</label>
+                  <select
+                    className="runp-input"
+                    value={choiceKey}
+                    onChange={(e) => setChoiceKey(e.target.value)}
+                    disabled={running}
+                  >
+                    <option value="">Default</option>
+                    {modelChoices.map((choice) => (
+                      <optgroup key={choice.provider} label={choice.label}>
+                        {choice.models.map((model) => (
+                          <option key={model} value={toChoiceKey(choice.provider, model)}>
+                            {model}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {Object.entries(RUN_PARAMETERS).map(([key, spec]) => (
+                <div key={key} className="runp-field">
+                  <label className="runp-lbl">{spec.label}</label>
+                  <input
+                    type="number"
+                    className="runp-input"
+                    min={spec.min}
+                    max={spec.max}
+                    step={spec.step}
+                    value={parameters[key]}
+                    onChange={(e) =>
+                      setParameters((prev) => ({ ...prev, [key]: e.target.value }))
+                    }
+                    disabled={running}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {error && <span className="runp-error">{error}</span>}
+
+            {running && partial && (
+              <>
+                <span className="runp-section">Output</span>
+                <div className="runp-output">{partial}</div>
+              </>
+            )}
+
+            {result && (
+              <>
+                <span className="runp-section">Output</span>
+                <div className="runp-meta">
+                  <span className="runp-chip ok">
+                    <Check size={10} style={{ display: "inline", marginRight: 3 }} />
+                    Saved to results
+                  </span>
+                  <span className="runp-chip">{result.model}</span>
+                  <span className="runp-chip">{formatLatency(result.latencyMs)}</span>
+                  {result.usage && (
+                    <span className="runp-chip">
+                      {result.usage.estimated && "~"}
+                      {result.usage.promptTokens} in · {result.usage.completionTokens} out
+                    </span>
+                  )}
+                </div>
+                <div className="runp-output">{result.content}</div>
+              </>
+            )}
+          </div>
+
+          <div className="runp-ft">
+            <button type="submit" className="runp-submit" disabled={!isValid || running}>
+              {running ? <Loader2 size={13} className="animate-spin" /> : <Play size={13} />}
+              {running ? "Running…" : result ? "Run again" : "Run"}
+            </button>
+            {running ? (
+              <button type="button" className="runp-cancel" onClick={handleStop}>
+                <Square size={11} style={{ display: "inline", marginRight: 4 }} />
+                Stop
+              </button>
+            ) : (
+              <button type="button" className="runp-cancel" onClick={onClose}>
+                Close
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,330 @@
+// src/components/SnippetLibrary.jsx
+// Manage team snippets and see which prompts include them
+import { useState, useEffect, useMemo } from "react";
+import { X, Plus, Puzzle, Trash2, Save, Copy, AlertTriangle } from "lucide-react";
+import { findSnippetCycle, getSnippetUsage, SNIPPET_NAME_PATTERN } from "../lib/snippets";
+
+const SNIPPET_STYLES = `
+  @keyframes snipFade { from{opacity:0} to{opacity:1} }
+  @keyframes snipRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .snip-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:snipFade .18s ease-out;
+  }
+  .snip-shell {
+    width:100%;max-width:760px;height:min(620px,85vh);display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:snipRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .snip-hd {
+    display:flex;align-items:center;justify-content:space-between;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .snip-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .snip-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .snip-sub code { font-size:.66rem;padding:0 .25rem;border-radius:4px;background:rgba(255,255,255,.06); }
+  .snip-close {
+    width:28px;height:28px;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .snip-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+
+  .snip-cols { flex:1;display:flex;min-height:0; }
+  .snip-list {
+    width:220px;flex-shrink:0;overflow-y:auto;padding:.6rem;
+    border-right:1px solid rgba(255,255,255,.05);display:flex;flex-direction:column;gap:.2rem;
+  }
+  .snip-item {
+    display:flex;flex-direction:column;gap:.1rem;padding:.45rem .6rem;border-radius:8px;
+    background:none;border:1px solid transparent;cursor:pointer;text-align:left;font-family:inherit;
+  }
+  .snip-item:hover { background:rgba(255,255,255,.04); }
+  .snip-item.active { background:rgba(139,92,246,.1);border-color:rgba(139,92,246,.28); }
+  .snip-item-name { font-size:.75rem;font-weight:600;color:var(--foreground);font-family:ui-monospace,monospace; }
+  .snip-item-desc {
+    font-size:.64rem;color:var(--muted-foreground);
+    white-space:nowrap;overflow:hidden;text-overflow:ellipsis;
+  }
+  .snip-new {
+    display:flex;align-items:center;gap:.35rem;padding:.45rem .6rem;border-radius:8px;
+    border:1px dashed rgba(255,255,255,.12);background:none;cursor:pointer;
+    font-size:.72rem;font-weight:600;color:var(--muted-foreground);margin-bottom:.35rem;
+  }
+  .snip-new:hover { color:var(--foreground);border-color:rgba(139,92,246,.4); }
+  .snip-empty { font-size:.72rem;color:var(--muted-foreground);padding:.5rem; }
+
+  .snip-editor { flex:1;min-width:0;overflow-y:auto;padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.55rem; }
+  .snip-lbl { font-size:.7rem;font-weight:700;color:var(--foreground); }
+  .snip-input {
+    width:100%;padding:.55rem .65rem;border-radius:8px;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.78rem;font-family:inherit;
+    outline:none;box-sizing:border-box;
+  }
+  .snip-input:focus { border-color:rgba(139,92,246,.42); }
+  .snip-input:disabled { opacity:.6; }
+  .snip-input.mono { font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:.74rem;resize:vertical; }
+  .snip-ref {
+    display:inline-flex;align-items:center;gap:.35rem;align-self:flex-start;
+    padding:.25rem .5rem;border-radius:6px;border:1px solid rgba(255,255,255,.08);
+    background:rgba(255,255,255,.03);cursor:pointer;
+    font-size:.7rem;font-family:ui-monospace,monospace;color:var(--foreground);
+  }
+  .snip-warn {
+    display:flex;align-items:flex-start;gap:.4rem;padding:.45rem .6rem;border-radius:8px;
+    font-size:.7rem;color:#fcd34d;background:rgba(245,158,11,.07);border:1px solid rgba(245,158,11,.3);
+  }
+  .snip-error { font-size:.68rem;color:#f87171; }
+  .snip-usage { display:flex;flex-direction:column;gap:.2rem; }
+  .snip-usage-item {
+    font-size:.72rem;color:var(--muted-foreground);padding:.2rem .5rem;border-radius:6px;
+    background:rgba(255,255,255,.025);
+  }
+  .snip-actions { display:flex;gap:.5rem;margin-top:.25rem; }
+  .snip-submit {
+    flex:1;padding:.55rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.78rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.4rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .snip-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .snip-delete {
+    padding:.55rem .8rem;border-radius:9px;cursor:pointer;font-size:.78rem;font-weight:600;
+    display:flex;align-items:center;gap:.35rem;
+    background:transparent;color:#f87171;border:1px solid rgba(248,113,113,.3);
+  }
+`;
+
+const EMPTY_DRAFT = { name: "", description: "", content: "" };
+
+/**
+ * Modal for browsing, creating and editing a team's snippets
+ */
+export default function SnippetLibrary({
+  open,
+  snippets = [],
+  prompts = [],
+  canEdit = false,
+  canDelete,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onClose,
+}) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const selected = snippets.find((s) => s.id === selectedId) || null;
+
+  useEffect(() => {
+    if (!open) return;
+    setSelectedId((id) => id ?? snippets[0]?.id ?? null);
+  }, [open, snippets]);
+
+  useEffect(() => {
+    setDraft(
+      selected
+        ? { name: selected.name, description: selected.description || "", content: selected.content }
+        : EMPTY_DRAFT
+    );
+    setError("");
+  }, [selected]);
+
+  const name = draft.name.trim().toLowerCase();
+  const others = useMemo(
+    () => snippets.filter((s) => s.id !== selectedId),
+    [snippets, selectedId]
+  );
+  const cycle = useMemo(
+    () => (name ? findSnippetCycle(name, draft.content, others) : null),
+    [name, draft.content, others]
+  );
+  const usage = useMemo(
+    () => (selected ? getSnippetUsage(selected.name, prompts, snippets) : []),
+    [selected, prompts, snippets]
+  );
+
+  if (!open) return null;
+
+  const nameInvalid = name !== "" && !SNIPPET_NAME_PATTERN.test(name);
+  const dirty =
+    !selected ||
+    selected.name !== name ||
+    (selected.description || "") !== draft.description ||
+    selected.content !== draft.content;
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      if (selected) await onUpdate(selected.id, draft);
+      else {
+        const id = await onCreate(draft);
+        if (id) setSelectedId(id);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to save snippet");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    const warning = usage.length
+      ? ` ${usage.length} prompt${usage.length !== 1 ? "s" : ""} still include it and will show the raw reference.`
+      : "";
+    if (!confirm(`Delete snippet "${selected.name}"?${warning}`)) return;
+    try {
+      await onDelete(selected);
+      setSelectedId(null);
+    } catch (err) {
+      setError(err.message || "Failed to delete snippet");
+    }
+  }
+
+  function copyReference() {
+    navigator.clipboard.writeText(`{{> ${name}}}`);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  }
+
+  return (
+    <>
+      <style>{SNIPPET_STYLES}</style>
+      <div className="snip-overlay" onClick={onClose}>
+        <div className="snip-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="snip-hd">
+            <div>
+              <div className="snip-title">Snippets</div>
+              <div className="snip-sub">
+                Include one in any prompt with <code>{"{{> snippet-name}}"}</code>
+              </div>
+            </div>
+            <button className="snip-close" onClick={onClose}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="snip-cols">
+            <div className="snip-list">
+              {canEdit && (
+                <button className="snip-new" onClick={() => setSelectedId(null)}>
+                  <Plus size={12} />
+                  New snippet
+                </button>
+              )}
+              {snippets.length === 0 && <div className="snip-empty">No snippets yet.</div>}
+              {snippets.map((s) => (
+                <button
+                  key={s.id}
+                  className={`snip-item ${s.id === selectedId ? "active" : ""}`}
+                  onClick={() => setSelectedId(s.id)}
+                >
+                  <span className="snip-item-name">{s.name}</span>
+                  {s.description && <span className="snip-item-desc">{s.description}</span>}
+                </button>
+              ))}
+            </div>
+
+            <form className="snip-editor" onSubmit={handleSave}>
+              {!selected && !canEdit ? (
+                <div className="snip-empty">Select a snippet to view it.</div>
+              ) : (
+                <>
+                  <label className="snip-lbl">Name</label>
+                  <input
+                    className="snip-input mono"
+                    value={draft.name}
+                    placeholder="style-guide"
+                    disabled={!canEdit}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  />
+                  {nameInvalid && (
+                    <span className="snip-error">
+                      Use lowercase letters, numbers, - and _ only
+                    </span>
+                  )}
+                  {name && !nameInvalid && (
+                    <button type="button" className="snip-ref" onClick={copyReference}>
+                      <Copy size={11} />
+                      {copied ? "Copied!" : `{{> ${name}}}`}
+                    </button>
+                  )}
+
+                  <label className="snip-lbl">Description</label>
+                  <input
+                    className="snip-input"
+                    value={draft.description}
+                    placeholder="What is this snippet for?"
+                    disabled={!canEdit}
+                    onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                  />
+
+                  <label className="snip-lbl">Content</label>
+                  <textarea
+                    className="snip-input mono"
+                    rows={8}
+                    value={draft.content}
+                    disabled={!canEdit}
+                    onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+                  />
+
+                  {cycle && (
+                    <div className="snip-warn">
+                      <AlertTriangle size={13} style={{ flexShrink: 0, marginTop: 1 }} />
+                      <span>This would include itself: {cycle.join(" → ")}</span>
+                    </div>
+                  )}
+
+                  {selected && (
+                    <>
+                      <label className="snip-lbl">
+                        Used by {usage.length} prompt{usage.length !== 1 ? "s" : ""}
+                      </label>
+                      <div className="snip-usage">
+                        {usage.map((p) => (
+                          <span key={p.id} className="snip-usage-item">
+                            {p.title || "Untitled"}
+                          </span>
+                        ))}
+                      </div>
+                    </>
+                  )}
+
+                  {error && <span className="snip-error">{error}</span>}
+
+                  {canEdit && (
+                    <div className="snip-actions">
+                      <button
+                        type="submit"
+                        className="snip-submit"
+                        disabled={saving || !dirty || !name || nameInvalid || Boolean(cycle)}
+                      >
+                        {selected ? <Save size={13} /> : <Puzzle size={13} />}
+                        {saving ? "Saving…" : selected ? "Save changes" : "Create snippet"}
+                      </button>
+                      {selected && canDelete?.(selected) && (
+                        <button type="button" className="snip-delete" onClick={handleDelete}>
+                          <Trash2 size={12} />
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </form>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
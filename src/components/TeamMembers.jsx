@@ -8,6 +8,8 @@ import {
 import { useAuth } from "../context/AuthContext";
 import { cancelTeamInvite, deleteTeamInvite } from "../lib/inviteUtils";
 import { batchGetUserProfiles } from "../lib/firestoreUtils"; // ✅ PERF: batch reads
+import { getPromptsOwnedBy, transferPromptOwnership } from "../lib/ownership";
+import TransferOwnershipModal from "./OwnershipTransfer";
 import {
   Users, Crown, Shield, User, Trash2,
   Mail, Clock, Calendar, X, LogOut, Eye,
@@ -37,6 +39,7 @@ const ROLE_CFG = {
   member: { icon: User,   color: "#64748b", bg: "rgba(100,116,139,.08)", border: "rgba(100,116,139,.16)", label: "Member" },
 };
 const getRoleCfg = r => ROLE_CFG[r] || ROLE_CFG.member;
+const NO_PROMPTS = [];
 
 // ── Avatar ────────────────────────────────────────────────────────────────────
 function Avatar({ src, name, email, size = 38 }) {
@@ -68,6 +71,8 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
   const [loadingGuest,      setLoadingGuest]      = useState(true);
   const [isLeaving,         setIsLeaving]         = useState(false);
   const [permsExpanded,     setPermsExpanded]     = useState(false);
+  // { member, prompts, leaving } while a departing member's prompts are handed over
+  const [offboarding,       setOffboarding]       = useState(null);
 
   // ✅ PERF: Load all member profiles in parallel using batchGetUserProfiles
   useEffect(() => {
@@ -159,37 +164,81 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
     finally { setProc(`role-${uid}`, false); }
   }
 
+  async function dropMember(uid) {
+    const teamDoc = await getDoc(doc(db,"teams",teamId));
+    if (teamDoc.exists()) {
+      const curr = { ...teamDoc.data().members };
+      delete curr[uid];
+      await updateDoc(doc(db,"teams",teamId), { members: curr });
+    }
+  }
+
+  async function finishRemoval(m) {
+    await dropMember(m.uid);
+    notify(`${m.name||m.email} removed`);
+  }
+
+  async function finishLeaving() {
+    await dropMember(user.uid);
+    notify("You have left the team");
+    setTimeout(() => { window.location.href = "/"; }, 500);
+  }
+
+  // Prompts the departing member authored, or [] if they can't be listed
+  async function ownedPrompts(uid) {
+    try { return await getPromptsOwnedBy(teamId, uid); }
+    catch { return []; }
+  }
+
   async function removeMember(uid) {
     if (!canRemoveMembers() || uid === user.uid) return;
     const m = members.find(x => x.uid === uid);
-    if (!m || !confirm(`Remove ${m.name||m.email} from the team?`)) return;
+    if (!m) return;
     setProc(`remove-${uid}`, true);
     try {
-      const teamDoc = await getDoc(doc(db,"teams",teamId));
-      if (teamDoc.exists()) {
-        const curr = { ...teamDoc.data().members };
-        delete curr[uid];
-        await updateDoc(doc(db,"teams",teamId), { members: curr });
+      const prompts = await ownedPrompts(uid);
+      if (prompts.length > 0) {
+        setOffboarding({ member: m, prompts, leaving: false });
+        return;
       }
-      notify(`${m.name||m.email} removed`);
+      if (!confirm(`Remove ${m.name||m.email} from the team?`)) return;
+      await finishRemoval(m);
     } catch { notify("Failed to remove member","error"); }
     finally { setProc(`remove-${uid}`, false); }
   }
 
   async function handleLeaveTeam() {
     if (!user || userRole==="owner") return;
-    if (!confirm(`Leave "${teamName}"? You'll lose access to all team prompts.`)) return;
     setIsLeaving(true);
-    try {
-      const teamDoc = await getDoc(doc(db,"teams",teamId));
-      if (teamDoc.exists()) {
-        const curr = { ...teamDoc.data().members };
-        delete curr[user.uid];
-        await updateDoc(doc(db,"teams",teamId), { members:curr });
-      }
-      notify("You have left the team");
-      setTimeout(() => { window.location.href = "/"; }, 500);
-    } catch { notify("Failed to leave team","error"); setIsLeaving(false); }
+    const prompts = await ownedPrompts(user.uid);
+    if (prompts.length > 0) {
+      const self = members.find(x => x.uid === user.uid) || { uid: user.uid, email: user.email };
+      setOffboarding({ member: self, prompts, leaving: true });
+      setIsLeaving(false);
+      return;
+    }
+    if (!confirm(`Leave "${teamName}"? You'll lose access to all team prompts.`)) {
+      setIsLeaving(false);
+      return;
+    }
+    try { await finishLeaving(); }
+    catch { notify("Failed to leave team","error"); setIsLeaving(false); }
+  }
+
+  async function handleOffboardTransfer({ prompts, toUserId, toName, makePublic }) {
+    const { member, leaving } = offboarding;
+    const moved = await transferPromptOwnership(teamId, prompts, { toUserId, toName, makePublic }, user.uid);
+    notify(`${moved} prompt${moved !== 1 ? "s" : ""} ${makePublic ? "made public" : `transferred to ${toName}`}`);
+    if (leaving) await finishLeaving();
+    else await finishRemoval(member);
+    setOffboarding(null);
+  }
+
+  async function handleOffboardSkip() {
+    const { member, leaving } = offboarding;
+    if (leaving) await finishLeaving();
+    else await finishRemoval(member);
+    setOffboarding(null);
   }
 
   async function cancelInvite(id) {
@@ -613,6 +662,22 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
         </div>
 
       </div>
+
+      <TransferOwnershipModal
+        open={Boolean(offboarding)}
+        title={offboarding?.leaving
+          ? `Before you leave "${teamName}"`
+          : `Remove ${offboarding?.member.name || offboarding?.member.email || "member"}`}
+        subtitle={offboarding && `${offboarding.prompts.length} prompt${offboarding.prompts.length !== 1 ? "s" : ""} ${offboarding.leaving ? "you wrote" : "they wrote"} will otherwise stay under ${offboarding.leaving ? "your" : "their"} name`}
+        prompts={offboarding?.prompts || NO_PROMPTS}
+        members={members}
+        excludeUserId={offboarding?.member.uid}
+        confirmLabel={offboarding?.leaving ? "Transfer & leave" : "Transfer & remove"}
+        skipLabel={offboarding?.leaving ? "Leave without transferring" : "Remove without transferring"}
+        onSubmit={handleOffboardTransfer}
+        onSkip={handleOffboardSkip}
+        onClose={() => setOffboarding(null)}
+      />
     </>
   );
 }
@@ -0,0 +1,222 @@
+// src/components/TextDiff.jsx
+// Diff of two prompt texts with a line / word granularity toggle and an
+// optional unified / side-by-side layout toggle
+import { useState, useMemo } from "react";
+import { diffLines, diffWords, summarizeDiff, toSideBySideRows } from "../lib/textDiff";
+
+const DIFF_STYLES = `
+  .tdiff-bar {
+    display:flex;align-items:center;justify-content:space-between;gap:.5rem;
+    margin-bottom:.45rem;
+  }
+  .tdiff-stats { display:flex;gap:.6rem;font-size:.68rem;font-weight:600; }
+  .tdiff-stat-add { color:#34d399; }
+  .tdiff-stat-del { color:#f87171; }
+  .tdiff-modes {
+    display:inline-flex;padding:2px;border-radius:7px;
+    background:rgba(255,255,255,.04);border:1px solid rgba(255,255,255,.08);
+  }
+  .tdiff-mode {
+    padding:.2rem .55rem;border-radius:5px;border:none;cursor:pointer;
+    font-size:.66rem;font-weight:600;background:transparent;color:var(--muted-foreground);
+  }
+  .tdiff-mode.active { background:rgba(139,92,246,.18);color:var(--foreground); }
+  .tdiff-body {
+    margin:0;padding:.65rem .75rem;border-radius:9px;max-height:360px;overflow:auto;
+    background:rgba(0,0,0,.18);border:1px solid rgba(255,255,255,.06);
+    font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:.72rem;line-height:1.55;
+    white-space:pre-wrap;word-break:break-word;color:var(--foreground);
+  }
+  .tdiff-line { display:block;padding:0 .35rem;margin:0 -.35rem;border-radius:3px; }
+  .tdiff-add { background:rgba(52,211,153,.14);color:#6ee7b7; }
+  .tdiff-del { background:rgba(248,113,113,.14);color:#fca5a5;text-decoration:line-through; }
+  .tdiff-line.tdiff-add::before { content:"+ ";opacity:.7; }
+  .tdiff-line.tdiff-del::before { content:"- ";opacity:.7; }
+  .tdiff-line.tdiff-eq::before { content:"  ";opacity:.4; }
+  .tdiff-line.tdiff-eq { color:var(--muted-foreground); }
+  .tdiff-empty { font-size:.72rem;color:var(--muted-foreground);padding:.5rem 0; }
+  .tdiff-controls { display:flex;gap:.4rem; }
+
+  .tdiff-split {
+    display:grid;grid-template-columns:1fr 1fr;border-radius:9px;max-height:420px;overflow:auto;
+    background:rgba(0,0,0,.18);border:1px solid rgba(255,255,255,.06);
+    font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:.72rem;line-height:1.55;
+    color:var(--foreground);
+  }
+  .tdiff-cell {
+    display:flex;gap:.5rem;padding:0 .6rem;min-width:0;
+    white-space:pre-wrap;word-break:break-word;
+  }
+  .tdiff-cell:nth-child(2n) { border-left:1px solid rgba(255,255,255,.06); }
+  .tdiff-no { flex-shrink:0;width:2.2em;text-align:right;color:var(--muted-foreground);opacity:.45;user-select:none; }
+  .tdiff-cell.tdiff-eq { color:var(--muted-foreground); }
+  .tdiff-cell.tdiff-del, .tdiff-cell.tdiff-add { text-decoration:none; }
+  .tdiff-cell.tdiff-blank { background:rgba(255,255,255,.015); }
+  .tdiff-cell .tdiff-del { background:rgba(248,113,113,.3);border-radius:2px; }
+  .tdiff-cell .tdiff-add { background:rgba(52,211,153,.3);border-radius:2px; }
+  .tdiff-col { padding:.65rem .75rem;white-space:pre-wrap;word-break:break-word;min-width:0; }
+  .tdiff-col + .tdiff-col { border-left:1px solid rgba(255,255,255,.06); }
+  @media(max-width:640px){
+    .tdiff-split { grid-template-columns:1fr; }
+    .tdiff-cell:nth-child(2n), .tdiff-col + .tdiff-col { border-left:none;border-top:1px dashed rgba(255,255,255,.06); }
+  }
+`;
+
+const PART_CLASS = { added: "tdiff-add", removed: "tdiff-del", equal: "tdiff-eq" };
+
+// Split a line-mode part back into lines so each gets its own +/- gutter
+function toLines(value) {
+  return value.replace(/\n$/, "").split("\n");
+}
+
+// One side of a changed line, with the words that differ highlighted
+function ChangedLine({ before, after, side }) {
+  const hidden = side === "left" ? "added" : "removed";
+  return diffWords(before, after)
+    .filter((part) => part.type !== hidden)
+    .map((part, i) => (
+      <span key={i} className={part.type === "equal" ? undefined : PART_CLASS[part.type]}>
+        {part.value}
+      </span>
+    ));
+}
+
+function SideBySide({ parts, mode }) {
+  if (mode === "word") {
+    return (
+      <div className="tdiff-split">
+        {["left", "right"].map((side) => (
+          <div key={side} className="tdiff-col">
+            {parts
+              .filter((p) => p.type !== (side === "left" ? "added" : "removed"))
+              .map((part, i) => (
+                <span key={i} className={part.type === "equal" ? undefined : PART_CLASS[part.type]}>
+                  {part.value}
+                </span>
+              ))}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="tdiff-split">
+      {toSideBySideRows(parts).flatMap((row, i) => {
+        const cell = (side) => {
+          const text = row[side];
+          const no = side === "left" ? row.leftNo : row.rightNo;
+          const cls =
+            text === null
+              ? "tdiff-blank"
+              : row.type === "equal"
+              ? "tdiff-eq"
+              : side === "left"
+              ? "tdiff-del"
+              : "tdiff-add";
+          return (
+            <div key={`${i}-${side}`} className={`tdiff-cell ${cls}`}>
+              <span className="tdiff-no">{no ?? ""}</span>
+              <span>
+                {row.type === "changed" ? (
+                  <ChangedLine before={row.left} after={row.right} side={side} />
+                ) : (
+                  text || " "
+                )}
+              </span>
+            </div>
+          );
+        };
+        return [cell("left"), cell("right")];
+      })}
+    </div>
+  );
+}
+
+/**
+ * Show what changed between `before` and `after`. With `showLayoutToggle`
+ * the reader can switch between a unified view and old / new side by side.
+ */
+export default function TextDiff({
+  before = "",
+  after = "",
+  initialMode = "line",
+  initialLayout = "unified",
+  showLayoutToggle = false,
+}) {
+  const [mode, setMode] = useState(initialMode);
+  const [layout, setLayout] = useState(initialLayout);
+
+  const parts = useMemo(
+    () => (mode === "line" ? diffLines(before, after) : diffWords(before, after)),
+    [before, after, mode]
+  );
+  const stats = useMemo(() => summarizeDiff(parts, mode), [parts, mode]);
+  const unchanged = parts.every((p) => p.type === "equal");
+
+  return (
+    <div>
+      <style>{DIFF_STYLES}</style>
+      <div className="tdiff-bar">
+        <div className="tdiff-stats">
+          <span className="tdiff-stat-add">
+            +{stats.added} {mode === "line" ? "lines" : "words"}
+          </span>
+          <span className="tdiff-stat-del">
+            −{stats.removed} {mode === "line" ? "lines" : "words"}
+          </span>
+        </div>
+        <div className="tdiff-controls">
+          {showLayoutToggle && (
+            <div className="tdiff-modes">
+              {["unified", "split"].map((l) => (
+                <button
+                  key={l}
+                  type="button"
+                  className={`tdiff-mode ${layout === l ? "active" : ""}`}
+                  onClick={() => setLayout(l)}
+                >
+                  {l === "unified" ? "Unified" : "Side by side"}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="tdiff-modes">
+            {["line", "word"].map((m) => (
+              <button
+                key={m}
+                type="button"
+                className={`tdiff-mode ${mode === m ? "active" : ""}`}
+                onClick={() => setMode(m)}
+              >
+                {m === "line" ? "Lines" : "Words"}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {unchanged ? (
+        <div className="tdiff-empty">No differences.</div>
+      ) : layout === "split" ? (
+        <SideBySide parts={parts} mode={mode} />
+      ) : (
+        <pre className="tdiff-body">
+          {mode === "line"
+            ? parts.flatMap((part, i) =>
+                toLines(part.value).map((line, j) => (
+                  <span key={`${i}-${j}`} className={`tdiff-line ${PART_CLASS[part.type]}`}>
+                    {line || " "}
+                  </span>
+                ))
+              )
+            : parts.map((part, i) => (
+                <span key={i} className={part.type === "equal" ? undefined : PART_CLASS[part.type]}>
+                  {part.value}
+                </span>
+              ))}
+        </pre>
+      )}
+    </div>
+  );
+}
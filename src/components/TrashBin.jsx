@@ -0,0 +1,185 @@
+// src/components/TrashBin.jsx
+// Team trash: restore or permanently delete prompts removed in the last 30 days
+import { useState } from "react";
+import { X, Trash2, RotateCcw, Clock } from "lucide-react";
+import { TRASH_RETENTION_DAYS, getDaysUntilPurge } from "../lib/trash";
+
+const TRASH_STYLES = `
+  @keyframes trashFade { from{opacity:0} to{opacity:1} }
+  @keyframes trashRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .trash-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:trashFade .18s ease-out;
+  }
+  .trash-shell {
+    width:100%;max-width:560px;max-height:80vh;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:trashRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .trash-hd {
+    display:flex;align-items:center;justify-content:space-between;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .trash-title { font-size:.9rem;font-weight:700;color:var(--foreground); }
+  .trash-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .trash-close {
+    width:28px;height:28px;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .trash-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .trash-body { padding:.75rem 1.25rem;overflow-y:auto;display:flex;flex-direction:column;gap:.5rem; }
+  .trash-empty {
+    padding:2rem 0;text-align:center;font-size:.78rem;color:var(--muted-foreground);
+  }
+  .trash-item {
+    display:flex;align-items:center;gap:.75rem;padding:.6rem .75rem;border-radius:10px;
+    background:rgba(255,255,255,.025);border:1px solid rgba(255,255,255,.06);
+  }
+  .trash-info { flex:1;min-width:0; }
+  .trash-name {
+    font-size:.8rem;font-weight:600;color:var(--foreground);
+    white-space:nowrap;overflow:hidden;text-overflow:ellipsis;
+  }
+  .trash-meta {
+    display:flex;align-items:center;gap:.35rem;margin-top:.15rem;
+    font-size:.66rem;color:var(--muted-foreground);
+  }
+  .trash-meta.soon { color:#f87171; }
+  .trash-btn {
+    display:inline-flex;align-items:center;gap:.3rem;padding:.35rem .6rem;border-radius:7px;
+    font-size:.7rem;font-weight:600;cursor:pointer;white-space:nowrap;
+    background:transparent;color:var(--foreground);border:1px solid rgba(255,255,255,.1);
+  }
+  .trash-btn:hover:not(:disabled) { background:rgba(255,255,255,.06); }
+  .trash-btn.danger { color:#f87171;border-color:rgba(248,113,113,.3); }
+  .trash-btn.danger:hover:not(:disabled) { background:rgba(248,113,113,.08); }
+  .trash-btn:disabled { opacity:.45;cursor:not-allowed; }
+  .trash-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;align-items:center;justify-content:space-between;gap:.5rem;
+    background:rgba(0,0,0,.08);
+  }
+  .trash-note { font-size:.66rem;color:var(--muted-foreground); }
+`;
+
+function formatDeletedAt(item) {
+  const date = item.deletedAt?.toDate?.();
+  return date ? date.toLocaleDateString() : "just now";
+}
+
+/**
+ * Modal listing a team's trashed prompts. Restore/purge permissions are
+ * decided by the caller through canRestore / canPurge.
+ */
+export default function TrashBin({
+  open,
+  items = [],
+  teamMembers = {},
+  canRestore,
+  canPurge,
+  canEmpty,
+  onRestore,
+  onPurge,
+  onEmpty,
+  onClose,
+}) {
+  const [busyId, setBusyId] = useState(null);
+
+  if (!open) return null;
+
+  async function run(id, fn) {
+    setBusyId(id);
+    try {
+      await fn();
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <>
+      <style>{TRASH_STYLES}</style>
+      <div className="trash-overlay" onClick={onClose}>
+        <div className="trash-shell" onClick={(e) => e.stopPropagation()}>
+          <div className="trash-hd">
+            <div>
+              <div className="trash-title">Trash</div>
+              <div className="trash-sub">
+                {items.length} deleted prompt{items.length !== 1 ? "s" : ""}
+              </div>
+            </div>
+            <button className="trash-close" onClick={onClose}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="trash-body">
+            {items.length === 0 ? (
+              <div className="trash-empty">Trash is empty</div>
+            ) : (
+              items.map((item) => {
+                const daysLeft = getDaysUntilPurge(item);
+                const deleter = teamMembers[item.deletedBy];
+                const busy = busyId === item.id || busyId === "all";
+                return (
+                  <div key={item.id} className="trash-item">
+                    <div className="trash-info">
+                      <div className="trash-name">{item.title || "Untitled"}</div>
+                      <div className={`trash-meta${daysLeft <= 3 ? " soon" : ""}`}>
+                        <Clock size={10} />
+                        Deleted {formatDeletedAt(item)}
+                        {deleter ? ` by ${deleter.name || deleter.email}` : ""} ·{" "}
+                        {daysLeft} day{daysLeft !== 1 ? "s" : ""} left
+                      </div>
+                    </div>
+                    {canRestore(item) && (
+                      <button
+                        className="trash-btn"
+                        disabled={busy}
+                        onClick={() => run(item.id, () => onRestore(item))}
+                      >
+                        <RotateCcw size={11} />
+                        Restore
+                      </button>
+                    )}
+                    {canPurge(item) && (
+                      <button
+                        className="trash-btn danger"
+                        disabled={busy}
+                        onClick={() => run(item.id, () => onPurge(item))}
+                        title="Delete forever"
+                      >
+                        <Trash2 size={11} />
+                      </button>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </div>
+
+          <div className="trash-ft">
+            <span className="trash-note">
+              Prompts are deleted forever after {TRASH_RETENTION_DAYS} days.
+            </span>
+            {canEmpty && items.length > 0 && (
+              <button
+                className="trash-btn danger"
+                disabled={busyId !== null}
+                onClick={() => run("all", onEmpty)}
+              >
+                <Trash2 size={11} />
+                Empty trash
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
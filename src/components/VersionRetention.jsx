@@ -0,0 +1,208 @@
+// src/components/VersionRetention.jsx
+// Owner settings for how long prompt version history is kept
+import { useState, useEffect } from "react";
+import { X, History, Save } from "lucide-react";
+import {
+  RETENTION_MODES,
+  DEFAULT_RETENTION,
+  MIN_KEEP_COUNT,
+  MIN_KEEP_DAYS,
+  validateRetention,
+  describeRetention,
+} from "../lib/versionRetention";
+
+const RETENTION_STYLES = `
+  @keyframes retFade { from{opacity:0} to{opacity:1} }
+  @keyframes retRise { from{opacity:0;transform:translateY(14px) scale(.977)} to{opacity:1;transform:none} }
+
+  .ret-overlay {
+    position:fixed;inset:0;z-index:9999;
+    display:flex;align-items:center;justify-content:center;padding:1rem;
+    background:rgba(0,0,0,.7);backdrop-filter:blur(8px);
+    animation:retFade .18s ease-out;
+  }
+  .ret-shell {
+    width:100%;max-width:460px;display:flex;flex-direction:column;
+    background:var(--card);border:1px solid rgba(139,92,246,.16);border-radius:16px;
+    box-shadow:0 32px 72px rgba(0,0,0,.55);overflow:hidden;
+    animation:retRise .24s cubic-bezier(.4,0,.2,1);
+  }
+  .ret-hd {
+    display:flex;align-items:center;justify-content:space-between;gap:.75rem;
+    padding:1rem 1.25rem .875rem;border-bottom:1px solid rgba(255,255,255,.05);
+  }
+  .ret-title { font-size:.9rem;font-weight:700;color:var(--foreground);display:flex;align-items:center;gap:.45rem; }
+  .ret-sub   { font-size:.68rem;color:var(--muted-foreground);margin-top:.08rem; }
+  .ret-close {
+    width:28px;height:28px;flex-shrink:0;border-radius:7px;border:none;cursor:pointer;
+    display:flex;align-items:center;justify-content:center;
+    background:transparent;color:var(--muted-foreground);
+  }
+  .ret-close:hover { background:rgba(255,255,255,.07);color:var(--foreground); }
+  .ret-body { padding:1rem 1.25rem;display:flex;flex-direction:column;gap:.55rem; }
+  .ret-mode {
+    display:flex;align-items:flex-start;gap:.55rem;padding:.65rem .75rem;border-radius:10px;cursor:pointer;
+    border:1px solid rgba(255,255,255,.07);background:rgba(255,255,255,.02);
+  }
+  .ret-mode.on { border-color:rgba(139,92,246,.4);background:rgba(139,92,246,.06); }
+  .ret-mode-name { font-size:.78rem;font-weight:700;color:var(--foreground); }
+  .ret-mode-desc { font-size:.66rem;color:var(--muted-foreground);margin-top:.1rem; }
+  .ret-num {
+    width:5.5rem;margin-top:.45rem;padding:.4rem .55rem;border-radius:8px;
+    background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.08);
+    color:var(--foreground);font-size:.76rem;font-family:inherit;outline:none;
+  }
+  .ret-note { font-size:.68rem;color:var(--muted-foreground);line-height:1.5; }
+  .ret-error { font-size:.7rem;color:#f87171; }
+  .ret-ft {
+    padding:.8rem 1.25rem;border-top:1px solid rgba(255,255,255,.05);
+    display:flex;gap:.5rem;background:rgba(0,0,0,.08);
+  }
+  .ret-submit {
+    flex:1;padding:.6rem;border-radius:9px;border:none;cursor:pointer;
+    font-size:.8rem;font-weight:700;display:flex;align-items:center;justify-content:center;gap:.45rem;
+    background:var(--primary);color:var(--primary-foreground, #000);
+  }
+  .ret-submit:disabled { opacity:.45;cursor:not-allowed; }
+  .ret-cancel {
+    padding:.6rem 1rem;border-radius:9px;cursor:pointer;font-size:.8rem;font-weight:600;
+    background:transparent;color:var(--muted-foreground);border:1px solid rgba(255,255,255,.08);
+  }
+`;
+
+const MODE_OPTIONS = [
+  {
+    mode: RETENTION_MODES.ALL,
+    name: "Keep everything",
+    desc: "Every version of every prompt stays forever",
+  },
+  {
+    mode: RETENTION_MODES.COUNT,
+    name: "Keep the last N versions",
+    desc: "Per prompt; older versions are removed",
+    min: MIN_KEEP_COUNT,
+    unit: "versions",
+  },
+  {
+    mode: RETENTION_MODES.DAYS,
+    name: "Keep the last N days",
+    desc: "Versions older than this are removed",
+    min: MIN_KEEP_DAYS,
+    unit: "days",
+  },
+];
+
+/**
+ * Pick the team's retention policy and save it via onSave({ mode, value })
+ */
+export default function VersionRetentionModal({ open, policy, onSave, onClose }) {
+  const [mode, setMode] = useState(RETENTION_MODES.ALL);
+  const [values, setValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    const current = policy || DEFAULT_RETENTION;
+    setMode(current.mode);
+    setValues({
+      [RETENTION_MODES.COUNT]: current.mode === RETENTION_MODES.COUNT ? current.value : 50,
+      [RETENTION_MODES.DAYS]: current.mode === RETENTION_MODES.DAYS ? current.value : 90,
+    });
+    setError("");
+  }, [open, policy]);
+
+  if (!open) return null;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const next = { mode, value: values[mode] ?? null };
+    setError("");
+    try {
+      validateRetention(next);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(next);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to save");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <>
+      <style>{RETENTION_STYLES}</style>
+      <div className="ret-overlay" onClick={saving ? undefined : onClose}>
+        <form className="ret-shell" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+          <div className="ret-hd">
+            <div>
+              <div className="ret-title">
+                <History size={15} /> Version history retention
+              </div>
+              <div className="ret-sub">{describeRetention(policy || DEFAULT_RETENTION)}</div>
+            </div>
+            <button type="button" className="ret-close" onClick={onClose} disabled={saving}>
+              <X size={14} />
+            </button>
+          </div>
+
+          <div className="ret-body">
+            {MODE_OPTIONS.map((option) => (
+              <label key={option.mode} className={`ret-mode${mode === option.mode ? " on" : ""}`}>
+                <input
+                  type="radio"
+                  name="ret-mode"
+                  checked={mode === option.mode}
+                  onChange={() => setMode(option.mode)}
+                  disabled={saving}
+                />
+                <div>
+                  <div className="ret-mode-name">{option.name}</div>
+                  <div className="ret-mode-desc">{option.desc}</div>
+                  {option.unit && mode === option.mode && (
+                    <div style={{ display: "flex", alignItems: "center", gap: ".4rem" }}>
+                      <input
+                        type="number"
+                        className="ret-num"
+                        min={option.min}
+                        step={1}
+                        value={values[option.mode] ?? ""}
+                        onChange={(e) =>
+                          setValues((prev) => ({ ...prev, [option.mode]: e.target.value }))
+                        }
+                        disabled={saving}
+                      />
+                      <span className="ret-mode-desc">{option.unit}</span>
+                    </div>
+                  )}
+                </div>
+              </label>
+            ))}
+
+            <p className="ret-note">
+              Labeled versions (like production) and each prompt's latest version
+              are always kept. Removal runs once a day and can't be undone.
+            </p>
+            {error && <span className="ret-error">{error}</span>}
+          </div>
+
+          <div className="ret-ft">
+            <button type="submit" className="ret-submit" disabled={saving}>
+              <Save size={13} />
+              {saving ? "Saving…" : "Save policy"}
+            </button>
+            <button type="button" className="ret-cancel" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
@@ -3,14 +3,26 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // ALL BUGS FIXED — full analysis in comments below each fix
 // ═══════════════════════════════════════════════════════════════════════════════
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import {
   X, FileText, Code, Image as ImageIcon, Loader2,
   Plus, Copy, Trash2, ChevronDown, ChevronUp, Check,
-  ZoomIn, Maximize2, Video as VideoIcon,
+  ZoomIn, Maximize2, Video as VideoIcon, GitCompare, List, XCircle, Award,
 } from "lucide-react";
 import { subscribeToResults, deleteResult } from "../lib/results";
 import { useAuth } from "../context/AuthContext";
+import { evaluateResult, getPassRate } from "../lib/assertions";
+import { subscribeToRubrics, gradeResult, gradeResults } from "../lib/rubrics";
+import {
+  OUTPUT_DIMENSIONS, UNRECORDED, RESULT_SOURCE_MANUAL,
+  getDimensionValues, matchesOutputFilters, groupOutputs, describeInputKey,
+} from "../lib/resultMetadata";
+import { RESULT_SOURCE_RUN } from "../lib/promptRuns";
+import { labelsByVersion } from "../lib/versionLabels";
+import { AI_MODELS } from "./AIModelTools";
+import OutputComparison from "./OutputComparison";
+import AssertionsPanel from "./AssertionsPanel";
+import GradeSummary from "./GradeSummary";
 
 // ─── Helpers ───────────────────────────────────────────────────────────────────
 function fmtDate(ts) {
@@ -29,6 +41,31 @@ const TYPE_BG = {
   text: "rgba(96,165,250,.13)",
   video: "rgba(52,211,153,.13)",                       // ← added video (green)
 };
+const SOURCE_LABELS = { [RESULT_SOURCE_RUN]: "Run", [RESULT_SOURCE_MANUAL]: "Added by hand" };
+
+// Dimensions offered as filters; source is only used for grouping
+const FILTER_DIMENSIONS = ["model", "version", "temperature", "input"];
+
+function describeModel(model) {
+  return AI_MODELS[model]?.name || model;
+}
+
+/**
+ * Short facts about how an output was generated, for the card header
+ */
+function generationFacts(output) {
+  const facts = [];
+  const { temperature, topP, maxTokens } = output.parameters || {};
+  if (output.model) facts.push(describeModel(output.model));
+  if (Number.isFinite(temperature)) facts.push(`T ${temperature}`);
+  if (Number.isFinite(topP)) facts.push(`top-p ${topP}`);
+  if (Number.isFinite(maxTokens)) facts.push(`max ${maxTokens.toLocaleString()}`);
+  if (output.usage?.totalTokens) facts.push(`${output.usage.totalTokens.toLocaleString()} tokens`);
+  if (Number.isFinite(output.latencyMs)) facts.push(`${(output.latencyMs / 1000).toFixed(1)}s`);
+  if (Number.isFinite(output.cost)) facts.push(`$${output.cost.toFixed(4)}`);
+  return facts;
+}
+
 function typeColor(t) { return TYPE_COLOR[t] ?? TYPE_COLOR.text; }
 function typeBg(t) { return TYPE_BG[t] ?? TYPE_BG.text; }
 
@@ -102,7 +139,7 @@ function ClipFade() {
 }
 
 // ─── OutputCard ────────────────────────────────────────────────────────────────
-function OutputCard({ output, onDelete, canDelete }) {
+function OutputCard({ output, onDelete, canDelete, checks, onGrade, grading }) {
   const contentRef = useRef(null);
 
   // FIX 5: Detect REAL rendered overflow (replaces brittle char-count threshold).
@@ -581,6 +618,7 @@ function OutputCard({ output, onDelete, canDelete }) {
       ? !!output.downloadUrl                             // ← video uses downloadUrl
       : !!output.content;
   const showToggle = hasContent && realOverflow && output.type !== 'video'; // video never needs show-more
+  const facts = generationFacts(output);
 
   return (
     <>
@@ -651,6 +689,35 @@ function OutputCard({ output, onDelete, canDelete }) {
                   {(output.imageSize / 1024).toFixed(0)} KB
                 </span>
               )}
+              {facts.length > 0 && (
+                <span
+                  title={output.variables && Object.keys(output.variables).length
+                    ? `Inputs: ${Object.entries(output.variables).map(([k, v]) => `${k}=${v}`).join(", ")}`
+                    : undefined}
+                  style={{
+                    fontSize: ".61rem", color: "var(--muted-foreground)",
+                    fontVariantNumeric: "tabular-nums",
+                  }}
+                >
+                  {facts.join(" · ")}
+                </span>
+              )}
+              {checks && (
+                <span
+                  title={checks.checks.map(c => `${c.passed ? "✓" : "✗"} ${c.label} — ${c.message}`).join("\n")}
+                  style={{
+                    display: "inline-flex", alignItems: "center", gap: ".2rem",
+                    fontSize: ".61rem", fontWeight: 700, padding: ".09rem .42rem",
+                    borderRadius: "4px", fontVariantNumeric: "tabular-nums",
+                    background: checks.allPassed ? "rgba(52,211,153,.12)" : "rgba(248,113,113,.12)",
+                    color: checks.allPassed ? "#34d399" : "#f87171",
+                    border: `1px solid ${checks.allPassed ? "rgba(52,211,153,.25)" : "rgba(248,113,113,.25)"}`,
+                  }}
+                >
+                  {checks.allPassed ? <Check size={9} /> : <XCircle size={9} />}
+                  {checks.passed}/{checks.total} checks
+                </span>
+              )}
             </div>
           </div>
 
@@ -690,6 +757,25 @@ function OutputCard({ output, onDelete, canDelete }) {
                 <Maximize2 size={12} />
               </button>
             )}
+            {onGrade && (output.type === "text" || output.type === "code") && output.content && (
+              <button
+                onClick={() => onGrade(output)}
+                disabled={grading}
+                title="Grade with the selected rubric"
+                style={{
+                  width: "28px", height: "28px", borderRadius: "7px",
+                  border: "1px solid rgba(251,191,36,.22)",
+                  background: "rgba(251,191,36,.07)", color: "#fbbf24",
+                  cursor: grading ? "wait" : "pointer",
+                  display: "flex", alignItems: "center", justifyContent: "center",
+                  transition: "all .15s",
+                }}
+              >
+                {grading
+                  ? <Loader2 size={12} style={{ animation: "vomSpin .8s linear infinite" }} />
+                  : <Award size={12} />}
+              </button>
+            )}
             {canDelete && onDelete && (
               <button
                 onClick={() => onDelete(output)}
@@ -716,6 +802,28 @@ function OutputCard({ output, onDelete, canDelete }) {
           </div>
         </div>
 
+        {/* ── Judge grades ── */}
+        {output.grades && (
+          <div style={{ padding: ".5rem .875rem 0" }}>
+            <GradeSummary result={output} />
+          </div>
+        )}
+
+        {/* ── Failed checks ── */}
+        {checks && !checks.allPassed && (
+          <div style={{
+            padding: ".45rem .875rem", display: "flex", flexDirection: "column", gap: ".2rem",
+            background: "rgba(248,113,113,.05)", borderBottom: "1px solid rgba(248,113,113,.1)",
+          }}>
+            {checks.checks.filter(c => !c.passed).map(c => (
+              <span key={c.id} style={{ fontSize: ".66rem", color: "#f87171" }}>
+                ✗ {c.label}
+                <span style={{ color: "var(--muted-foreground)" }}> — {c.message}</span>
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* ── Content area ── */}
         {hasContent && (
           <div style={{ padding: ".75rem .875rem .5rem" }}>
@@ -798,12 +906,23 @@ export default function ViewOutputsModal({
   teamId,
   userRole,
   isGuestMode = false,
+  canEditChecks = false,
   onAttachNew,
 }) {
   const { user } = useAuth();
   const [outputs, setOutputs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState("all");
+  // "list" shows every output; "compare" lines two up side by side
+  const [view, setView] = useState("list");
+  const [rubrics, setRubrics] = useState([]);
+  const [rubricId, setRubricId] = useState("");
+  const [gradingIds, setGradingIds] = useState(() => new Set());
+  const [gradeProgress, setGradeProgress] = useState(null);
+  const [gradeError, setGradeError] = useState("");
+  // { dimension: value } from OUTPUT_DIMENSIONS, alongside the type filter
+  const [metaFilters, setMetaFilters] = useState({});
+  const [groupBy, setGroupBy] = useState("none");
 
   useEffect(() => {
     if (!isOpen || !teamId || !prompt?.id) {
@@ -817,6 +936,16 @@ export default function ViewOutputsModal({
     return () => unsub();
   }, [isOpen, teamId, prompt?.id]);
 
+  useEffect(() => {
+    if (!isOpen || !teamId || isGuestMode) return;
+    return subscribeToRubrics(teamId, setRubrics);
+  }, [isOpen, teamId, isGuestMode]);
+
+  // Keep a rubric selected while any exist
+  useEffect(() => {
+    if (rubrics.length && !rubrics.some(r => r.id === rubricId)) setRubricId(rubrics[0].id);
+  }, [rubrics, rubricId]);
+
   // If filtered type disappears (e.g. last code output deleted), fall back to All
   useEffect(() => {
     if (!loading && filter !== "all") {
@@ -824,12 +953,54 @@ export default function ViewOutputsModal({
     }
   }, [outputs, loading, filter]);
 
+  // Same for metadata filters whose value no longer appears
+  useEffect(() => {
+    if (loading) return;
+    const stale = Object.entries(metaFilters).filter(([dimension, value]) =>
+      !outputs.some(o => (OUTPUT_DIMENSIONS[dimension].key(o) ?? UNRECORDED) === value)
+    );
+    if (stale.length) {
+      setMetaFilters(prev => {
+        const next = { ...prev };
+        stale.forEach(([dimension]) => delete next[dimension]);
+        return next;
+      });
+    }
+  }, [outputs, loading, metaFilters]);
+
   async function handleDelete(output) {
     if (!confirm("Delete this output? This cannot be undone.")) return;
     try { await deleteResult(teamId, prompt.id, output.id, output.imagePath); }
     catch { alert("Failed to delete output."); }
   }
 
+  async function handleGrade(output) {
+    setGradeError("");
+    setGradingIds(prev => new Set(prev).add(output.id));
+    try {
+      await gradeResult(teamId, prompt.id, output.id, rubricId);
+    } catch (e) {
+      setGradeError(e.message || "Grading failed");
+    } finally {
+      setGradingIds(prev => { const next = new Set(prev); next.delete(output.id); return next; });
+    }
+  }
+
+  // Outputs that haven't been graded with the selected rubric yet
+  const ungraded = outputs.filter(o =>
+    (o.type === "text" || o.type === "code") && o.content && !o.grades?.[rubricId]
+  );
+
+  async function handleGradeAll() {
+    setGradeError("");
+    setGradeProgress({ done: 0, total: ungraded.length });
+    const failed = await gradeResults(teamId, prompt.id, ungraded.map(o => o.id), rubricId, {
+      onProgress: (done, total) => setGradeProgress({ done, total }),
+    });
+    setGradeProgress(null);
+    if (failed) setGradeError(`${failed} output${failed === 1 ? "" : "s"} couldn't be graded`);
+  }
+
   function canDelete(output) {
     if (isGuestMode) return false;
     return output.createdBy === user?.uid
@@ -840,7 +1011,10 @@ export default function ViewOutputsModal({
   const counts = { all: outputs.length, text: 0, code: 0, image: 0, video: 0 }; // ← added video
   outputs.forEach(o => { if (o.type in counts) counts[o.type]++; });
 
-  const filtered = filter === "all" ? outputs : outputs.filter(o => o.type === filter);
+  const filtered = outputs.filter(o =>
+    (filter === "all" || o.type === filter) && matchesOutputFilters(o, metaFilters)
+  );
+  const isFiltered = filter !== "all" || Object.keys(metaFilters).length > 0;
 
   const filterTabs = [
     { id: "all", label: "All", icon: null },
@@ -850,6 +1024,44 @@ export default function ViewOutputsModal({
     { id: "video", label: "Video", icon: VideoIcon }, // ← added
   ].filter(t => t.id === "all" || counts[t.id] > 0);
 
+  const assertions = prompt?.assertions;
+  const checksById = useMemo(
+    () => Object.fromEntries(outputs.map(o => [o.id, evaluateResult(assertions, o)])),
+    [assertions, outputs]
+  );
+  const passRate = useMemo(() => getPassRate(assertions, outputs), [assertions, outputs]);
+
+  // Only dimensions where outputs actually differ are worth filtering or grouping by
+  const dimensionValues = useMemo(() => Object.fromEntries(
+    Object.keys(OUTPUT_DIMENSIONS).map(d => [d, getDimensionValues(outputs, d)])
+  ), [outputs]);
+  const varyingDimensions = Object.keys(OUTPUT_DIMENSIONS).filter(d => dimensionValues[d].length > 1);
+  const activeGroupBy = varyingDimensions.includes(groupBy) ? groupBy : "none";
+  const groups = activeGroupBy === "none"
+    ? [{ key: "all", outputs: filtered }]
+    : groupOutputs(filtered, activeGroupBy);
+
+  const versionLabels = labelsByVersion(prompt?.versionLabels || {});
+  function describeValue(dimension, value) {
+    if (value === UNRECORDED) return "Not recorded";
+    if (dimension === "model") return describeModel(value);
+    if (dimension === "temperature") return `Temperature ${value}`;
+    if (dimension === "input") return describeInputKey(value);
+    if (dimension === "source") return SOURCE_LABELS[value] || value;
+    const labels = versionLabels[value] || [];
+    const current = value === prompt?.latestVersion?.id ? " (current)" : "";
+    return `${labels.length ? labels.join(", ") : value.slice(0, 7)}${current}`;
+  }
+
+  function setMetaFilter(dimension, value) {
+    setMetaFilters(prev => {
+      const next = { ...prev };
+      if (value === "all") delete next[dimension];
+      else next[dimension] = value;
+      return next;
+    });
+  }
+
   if (!isOpen) return null;
 
   return (
@@ -875,6 +1087,7 @@ export default function ViewOutputsModal({
         .vom-shell {
           width: 100%;
           max-width: 700px;
+          transition: max-width .2s;
           height: min(90vh, 780px);
           display: flex;
           flex-direction: column;
@@ -885,6 +1098,8 @@ export default function ViewOutputsModal({
           overflow: hidden;
           animation: vomSlideIn .24s cubic-bezier(.4,0,.2,1);
         }
+        /* Side-by-side comparison needs the room */
+        .vom-shell.wide { max-width: 1100px; }
 
         .vom-hd {
           padding: 1.125rem 1.375rem 1rem;
@@ -900,6 +1115,7 @@ export default function ViewOutputsModal({
           background: transparent; color: var(--muted-foreground); transition: all .14s;
         }
         .vom-x:hover { background: rgba(255,255,255,.07); color: var(--foreground); }
+        .vom-views { display: flex; align-items: center; gap: .3rem; }
 
         .vom-fbar {
           display: flex; align-items: center; gap: .3rem;
@@ -917,6 +1133,18 @@ export default function ViewOutputsModal({
         }
         .vom-fbtn:hover  { background: rgba(255,255,255,.04); color: var(--foreground); }
         .vom-fbtn.active { background: rgba(139,92,246,.12); border-color: rgba(139,92,246,.22); color: var(--primary); }
+        .vom-msel {
+          padding: .26rem .45rem; border-radius: 6px; font-size: .7rem; font-family: inherit;
+          background: rgba(255,255,255,.03); color: var(--muted-foreground);
+          border: 1px solid rgba(255,255,255,.08); cursor: pointer; max-width: 180px;
+        }
+        .vom-msel.active { border-color: rgba(139,92,246,.3); color: var(--primary); }
+        .vom-msel option { background: var(--card); color: var(--foreground); }
+        .vom-ghd {
+          display: flex; align-items: center; gap: .45rem; padding-top: .25rem;
+          font-size: .7rem; font-weight: 700; color: var(--foreground);
+          border-bottom: 1px solid rgba(255,255,255,.05); padding-bottom: .3rem;
+        }
         .vom-fcount {
           font-size: .58rem; padding: .04rem .34rem; border-radius: 999px;
           background: rgba(139,92,246,.18); color: var(--primary); font-weight: 700;
@@ -978,7 +1206,10 @@ export default function ViewOutputsModal({
       `}</style>
 
       <div className="vom-overlay" onClick={onClose}>
-        <div className="vom-shell" onClick={e => e.stopPropagation()}>
+        <div
+          className={`vom-shell${view === "compare" ? " wide" : ""}`}
+          onClick={e => e.stopPropagation()}
+        >
 
           {/* Header */}
           <div className="vom-hd">
@@ -998,17 +1229,35 @@ export default function ViewOutputsModal({
                 <div className="vom-subtitle">
                   {prompt.title}&ensp;·&ensp;
                   {outputs.length} {outputs.length === 1 ? "output" : "outputs"}
-                  {filter !== "all" && filtered.length !== outputs.length && (
-                    <>&ensp;·&ensp;showing {filtered.length} {filter}</>
+                  {isFiltered && filtered.length !== outputs.length && (
+                    <>&ensp;·&ensp;showing {filtered.length}</>
+                  )}
+                  {passRate && (
+                    <>&ensp;·&ensp;{Math.round(passRate.rate * 100)}% pass checks</>
                   )}
                 </div>
               )}
             </div>
-            <button className="vom-x" onClick={onClose}><X size={14} /></button>
+            <div className="vom-views">
+              {!loading && outputs.length > 0 && [
+                { id: "list", label: "Outputs", icon: List },
+                { id: "compare", label: "Compare", icon: GitCompare },
+              ].map(v => (
+                <button
+                  key={v.id}
+                  className={`vom-fbtn${view === v.id ? " active" : ""}`}
+                  onClick={() => setView(v.id)}
+                >
+                  <v.icon size={11} />
+                  {v.label}
+                </button>
+              ))}
+              <button className="vom-x" onClick={onClose}><X size={14} /></button>
+            </div>
           </div>
 
           {/* Filter bar — only when multiple types exist */}
-          {!loading && outputs.length > 0 && filterTabs.length > 1 && (
+          {view === "list" && !loading && outputs.length > 0 && filterTabs.length > 1 && (
             <div className="vom-fbar">
               {filterTabs.map(t => (
                 <button
@@ -1024,6 +1273,42 @@ export default function ViewOutputsModal({
             </div>
           )}
 
+          {/* Generation filters and grouping — only for fields where outputs differ */}
+          {view === "list" && !loading && varyingDimensions.length > 0 && (
+            <div className="vom-fbar">
+              {FILTER_DIMENSIONS.filter(d => varyingDimensions.includes(d)).map(d => (
+                <select
+                  key={d}
+                  className={`vom-msel${metaFilters[d] ? " active" : ""}`}
+                  value={metaFilters[d] || "all"}
+                  onChange={e => setMetaFilter(d, e.target.value)}
+                  title={`Filter by ${OUTPUT_DIMENSIONS[d].label.toLowerCase()}`}
+                >
+                  <option value="all">Any {OUTPUT_DIMENSIONS[d].label.toLowerCase()}</option>
+                  {dimensionValues[d].map(v => (
+                    <option key={v.key} value={v.key}>
+                      {describeValue(d, v.key)} ({v.count})
+                    </option>
+                  ))}
+                </select>
+              ))}
+              <span style={{ flex: 1 }} />
+              <span style={{ fontSize: ".68rem", color: "var(--muted-foreground)", whiteSpace: "nowrap" }}>
+                Group by
+              </span>
+              <select
+                className={`vom-msel${activeGroupBy !== "none" ? " active" : ""}`}
+                value={activeGroupBy}
+                onChange={e => setGroupBy(e.target.value)}
+              >
+                <option value="none">Nothing</option>
+                {varyingDimensions.map(d => (
+                  <option key={d} value={d}>{OUTPUT_DIMENSIONS[d].label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Scrollable body */}
           <div className="vom-body">
 
@@ -1038,7 +1323,59 @@ export default function ViewOutputsModal({
               </div>
             )}
 
-            {!loading && filtered.length === 0 && (
+            {!loading && view === "compare" && (
+              <OutputComparison
+                outputs={outputs}
+                prompt={prompt}
+                teamId={teamId}
+                userId={user?.uid}
+                canVote={!isGuestMode && Boolean(user)}
+              />
+            )}
+
+            {!loading && view === "list" && !isGuestMode && rubrics.length > 0 && outputs.length > 0 && (
+              <div style={{ display: "flex", alignItems: "center", gap: ".4rem", flexWrap: "wrap" }}>
+                <Award size={13} color="#fbbf24" />
+                <span style={{ fontSize: ".72rem", fontWeight: 700, color: "var(--foreground)" }}>
+                  Grade with
+                </span>
+                <select
+                  value={rubricId}
+                  onChange={e => setRubricId(e.target.value)}
+                  disabled={Boolean(gradeProgress)}
+                  style={{
+                    padding: ".3rem .5rem", borderRadius: "7px", fontSize: ".72rem",
+                    background: "rgba(255,255,255,.03)", color: "var(--foreground)",
+                    border: "1px solid rgba(255,255,255,.08)", fontFamily: "inherit",
+                  }}
+                >
+                  {rubrics.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+                <button
+                  className="vom-fbtn"
+                  onClick={handleGradeAll}
+                  disabled={Boolean(gradeProgress) || ungraded.length === 0}
+                >
+                  {gradeProgress
+                    ? <>Grading {gradeProgress.done}/{gradeProgress.total}…</>
+                    : <>Grade ungraded <span className="vom-fcount">{ungraded.length}</span></>}
+                </button>
+                {gradeError && (
+                  <span style={{ fontSize: ".68rem", color: "#f87171" }}>{gradeError}</span>
+                )}
+              </div>
+            )}
+
+            {!loading && view === "list" && (
+              <AssertionsPanel
+                prompt={prompt}
+                teamId={teamId}
+                outputs={outputs}
+                canEdit={canEditChecks && !isGuestMode}
+              />
+            )}
+
+            {!loading && view === "list" && filtered.length === 0 && (
               <div className="vom-empty">
                 <div className="vom-empty-icon">
                   <FileText size={22} color="rgba(139,92,246,.4)" />
@@ -1047,7 +1384,7 @@ export default function ViewOutputsModal({
                   fontSize: ".875rem", fontWeight: 700,
                   color: "var(--foreground)", margin: 0,
                 }}>
-                  {filter === "all" ? "No outputs yet" : `No ${filter} outputs`}
+                  {!isFiltered ? "No outputs yet" : "No matching outputs"}
                 </p>
                 <p style={{
                   fontSize: ".75rem", color: "var(--muted-foreground)",
@@ -1055,11 +1392,11 @@ export default function ViewOutputsModal({
                 }}>
                   {isGuestMode
                     ? "This prompt has no outputs attached yet."
-                    : filter !== "all"
-                      ? `No ${filter} outputs found. Switch to "All" or add one.`
+                    : isFiltered
+                      ? "No outputs match these filters. Clear them or add one."
                       : "Attach AI-generated text, code, or images to this prompt."}
                 </p>
-                {onAttachNew && !isGuestMode && filter === "all" && (
+                {onAttachNew && !isGuestMode && !isFiltered && (
                   <button
                     onClick={() => { onClose(); onAttachNew(); }}
                     style={{
@@ -1077,13 +1414,26 @@ export default function ViewOutputsModal({
               </div>
             )}
 
-            {!loading && filtered.length > 0 && filtered.map(o => (
-              <OutputCard
-                key={o.id}
-                output={o}
-                onDelete={isGuestMode ? null : handleDelete}
-                canDelete={canDelete(o)}
-              />
+            {!loading && view === "list" && filtered.length > 0 && groups.map(group => (
+              <div key={group.key} style={{ display: "flex", flexDirection: "column", gap: ".625rem" }}>
+                {activeGroupBy !== "none" && (
+                  <div className="vom-ghd">
+                    <span>{describeValue(activeGroupBy, group.key)}</span>
+                    <span className="vom-fcount">{group.outputs.length}</span>
+                  </div>
+                )}
+                {group.outputs.map(o => (
+                  <OutputCard
+                    key={o.id}
+                    output={o}
+                    onDelete={isGuestMode ? null : handleDelete}
+                    canDelete={canDelete(o)}
+                    checks={checksById[o.id]}
+                    onGrade={!isGuestMode && rubricId && !gradeProgress ? handleGrade : null}
+                    grading={gradingIds.has(o.id)}
+                  />
+                ))}
+              </div>
             ))}
 
           </div>
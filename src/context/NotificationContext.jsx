@@ -15,7 +15,7 @@ export function NotificationProvider({ children }) {
   const [notifications, setNotifications] = useState([]);
 
   const addNotification = useCallback(
-    (message, type = "info", duration = 4000) => {
+    (message, type = "info", duration = 4000, action = null) => {
       const id = Date.now() + Math.random();
 
       const notification = {
@@ -23,6 +23,7 @@ export function NotificationProvider({ children }) {
         message,
         type, // 'success' | 'error' | 'warning' | 'info'
         duration,
+        action, // optional { label, onClick } rendered as a button, e.g. "Undo"
         timestamp: new Date(),
       };
 
@@ -50,29 +51,29 @@ export function NotificationProvider({ children }) {
 
   // Convenience methods
   const success = useCallback(
-    (message, duration) => {
-      return addNotification(message, "success", duration);
+    (message, duration, action) => {
+      return addNotification(message, "success", duration, action);
     },
     [addNotification]
   );
 
   const error = useCallback(
-    (message, duration) => {
-      return addNotification(message, "error", duration);
+    (message, duration, action) => {
+      return addNotification(message, "error", duration, action);
     },
     [addNotification]
   );
 
   const warning = useCallback(
-    (message, duration) => {
-      return addNotification(message, "warning", duration);
+    (message, duration, action) => {
+      return addNotification(message, "warning", duration, action);
     },
     [addNotification]
   );
 
   const info = useCallback(
-    (message, duration) => {
-      return addNotification(message, "info", duration);
+    (message, duration, action) => {
+      return addNotification(message, "info", duration, action);
     },
     [addNotification]
   );
@@ -117,7 +118,7 @@ function NotificationContainer() {
 
 // Individual Notification Component
 function Notification({ notification, onClose }) {
-  const { message, type } = notification;
+  const { message, type, action } = notification;
 
   const getIcon = () => {
     switch (type) {
@@ -199,6 +200,18 @@ function Notification({ notification, onClose }) {
           {getIcon()}
         </span>
         <span className="flex-1 font-medium">{message}</span>
+        {action && (
+          <button
+            onClick={() => {
+              action.onClick();
+              onClose();
+            }}
+            className="flex-shrink-0 font-semibold underline hover:opacity-80 transition-opacity"
+            style={{ color: "var(--foreground)" }}
+          >
+            {action.label}
+          </button>
+        )}
         <button
           onClick={onClose}
           className="flex-shrink-0 hover:opacity-70 transition-opacity"
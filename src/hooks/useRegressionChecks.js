@@ -0,0 +1,29 @@
+// src/hooks/useRegressionChecks.js
+// Start a regression check (see lib/regressions.js) for every prompt whose
+// latest version this user just saved, whichever editor saved it
+import { useEffect, useRef } from "react";
+import { getRevisionKey, needsRegressionCheck, runRegressionCheck } from "../lib/regressions";
+
+export default function useRegressionChecks(teamId, prompts, userId, snippets = {}) {
+  // Revisions this tab has already looked at, so each snapshot doesn't
+  // re-read the test cases of prompts that have none
+  const startedRef = useRef(new Set());
+  const snippetsRef = useRef(snippets);
+
+  useEffect(() => {
+    snippetsRef.current = snippets;
+  }, [snippets]);
+
+  useEffect(() => {
+    if (!teamId || !userId) return;
+    prompts.forEach((prompt) => {
+      if (!needsRegressionCheck(prompt, userId)) return;
+      const key = `${prompt.id}:${getRevisionKey(prompt)}`;
+      if (startedRef.current.has(key)) return;
+      startedRef.current.add(key);
+      runRegressionCheck(teamId, prompt, userId, { snippets: snippetsRef.current }).catch((err) =>
+        console.error("Error starting regression check:", err)
+      );
+    });
+  }, [teamId, prompts, userId]);
+}
@@ -59,6 +59,7 @@ export default function useTeamRole(teamId) {
   const canEditAllPrompts = () => role === 'owner' || role === 'admin';
   const canDeleteTeam = () => role === 'owner';
   const canInviteMembers = () => role === 'owner' || role === 'admin';
+  const canReviewPrompts = () => role === 'owner' || role === 'admin';
 
   // Check if user can edit a specific prompt
   const canEditPrompt = (promptCreatorId) => {
@@ -126,6 +127,7 @@ export default function useTeamRole(teamId) {
     canEditAllPrompts,
     canDeleteTeam,
     canInviteMembers,
+    canReviewPrompts,
     canEditPrompt,
     canDeletePrompt,
     isOwner,
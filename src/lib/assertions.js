@@ -0,0 +1,330 @@
+// src/lib/assertions.js
+// Automated checks run against a prompt's results
+//
+// Checks are stored on the prompt doc as `assertions: [{ id, type, ... }]`
+// and evaluated in the browser whenever results are shown, so every result
+// is judged against the current checks, including ones saved before a
+// check was added. Only text and code results are checked.
+//
+// Types and their fields:
+//   contains / not_contains  { value, caseSensitive }
+//   regex                    { pattern, flags }
+//   json_valid               {}
+//   json_schema              { schema }   JSON text; see validateJsonSchema
+//   length                   { min, max } characters, either may be null
+//   code_parses              { language } "" means the result's own language
+
+import { db } from "./firebase";
+import { doc, updateDoc, serverTimestamp } from "firebase/firestore";
+import { checkCodeSyntax } from "./codeSyntax";
+
+export const ASSERTION_TYPES = {
+  contains: { label: "Contains" },
+  not_contains: { label: "Doesn't contain" },
+  regex: { label: "Matches regex" },
+  json_valid: { label: "Valid JSON" },
+  json_schema: { label: "Matches JSON schema" },
+  length: { label: "Length between" },
+  code_parses: { label: "Code parses" },
+};
+
+export const MAX_ASSERTIONS = 20;
+
+const CHECKED_TYPES = ["text", "code"];
+const REGEX_FLAGS = /^[gimsuy]*$/;
+
+function newAssertionId() {
+  return `chk_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function parseBound(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error("Length bounds must be whole numbers");
+  return n;
+}
+
+/**
+ * Validate a check from the editor and keep only the fields its type uses.
+ * Throws with a readable message if it can't be evaluated.
+ */
+export function normalizeAssertion(assertion) {
+  const { type } = assertion;
+  const id = assertion.id || newAssertionId();
+
+  switch (type) {
+    case "contains":
+    case "not_contains": {
+      const value = String(assertion.value ?? "");
+      if (!value.trim()) throw new Error("Enter the text to look for");
+      return { id, type, value, caseSensitive: Boolean(assertion.caseSensitive) };
+    }
+    case "regex": {
+      const pattern = String(assertion.pattern ?? "");
+      const flags = String(assertion.flags ?? "").trim();
+      if (!pattern) throw new Error("Enter a pattern");
+      if (!REGEX_FLAGS.test(flags)) throw new Error("Flags can only be g, i, m, s, u or y");
+      try {
+        new RegExp(pattern, flags);
+      } catch (err) {
+        throw new Error(`Invalid regex: ${err.message}`);
+      }
+      return { id, type, pattern, flags };
+    }
+    case "json_valid":
+      return { id, type };
+    case "json_schema": {
+      const schema = String(assertion.schema ?? "").trim();
+      let parsed;
+      try {
+        parsed = JSON.parse(schema);
+      } catch (err) {
+        throw new Error(`Schema isn't valid JSON: ${err.message}`);
+      }
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("Schema must be a JSON object");
+      }
+      return { id, type, schema };
+    }
+    case "length": {
+      const min = parseBound(assertion.min);
+      const max = parseBound(assertion.max);
+      if (min === null && max === null) throw new Error("Set a minimum, a maximum or both");
+      if (min !== null && max !== null && min > max) {
+        throw new Error("Minimum can't be more than maximum");
+      }
+      return { id, type, min, max };
+    }
+    case "code_parses":
+      return { id, type, language: String(assertion.language || "") };
+    default:
+      throw new Error(`Unknown check type "${type}"`);
+  }
+}
+
+/**
+ * One-line description of a check, e.g. `Contains "refund"`
+ */
+export function describeAssertion(assertion) {
+  const { label } = ASSERTION_TYPES[assertion.type] || { label: assertion.type };
+  switch (assertion.type) {
+    case "contains":
+    case "not_contains":
+      return `${label} "${assertion.value}"${assertion.caseSensitive ? " (case-sensitive)" : ""}`;
+    case "regex":
+      return `${label} /${assertion.pattern}/${assertion.flags || ""}`;
+    case "length":
+      if (assertion.min === null) return `At most ${assertion.max} characters`;
+      if (assertion.max === null) return `At least ${assertion.min} characters`;
+      return `${label} ${assertion.min} and ${assertion.max} characters`;
+    case "code_parses":
+      return assertion.language ? `Parses as ${assertion.language}` : label;
+    default:
+      return label;
+  }
+}
+
+/**
+ * Models often wrap JSON in a ```json fence; check what's inside it
+ */
+function unwrapCodeFence(content) {
+  const match = content.trim().match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+  return match ? match[1] : content;
+}
+
+function parseJSON(content) {
+  try {
+    return { value: JSON.parse(unwrapCodeFence(content)) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Check `value` against a JSON Schema. Supports the keywords prompt
+ * outputs usually need: type, enum, const, properties, required,
+ * additionalProperties, items, min/maxItems, min/maxLength, pattern,
+ * minimum, maximum and anyOf. Returns the first problem found, or null.
+ */
+export function validateJsonSchema(value, schema, path = "$") {
+  if (schema === true || !schema) return null;
+  if (schema === false) return `${path} is not allowed`;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      return `${path} should be ${types.join(" or ")}, got ${typeOf(value)}`;
+    }
+  }
+  if (schema.enum && !schema.enum.some((v) => JSON.stringify(v) === JSON.stringify(value))) {
+    return `${path} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`;
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    return `${path} should be ${JSON.stringify(schema.const)}`;
+  }
+  if (schema.anyOf && !schema.anyOf.some((s) => validateJsonSchema(value, s, path) === null)) {
+    return `${path} doesn't match any allowed shape`;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} should be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} should be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${path} should match /${schema.pattern}/`;
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} should be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} should be at most ${schema.maximum}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path} should have at least ${schema.minItems} items`;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} should have at most ${schema.maxItems} items`;
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validateJsonSchema(value[i], schema.items, `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${path}.${key} is required`;
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = key in properties ? properties[key] : schema.additionalProperties;
+      if (childSchema === false) return `${path}.${key} is not allowed`;
+      if (childSchema && typeof childSchema === "object") {
+        const error = validateJsonSchema(child, childSchema, `${path}.${key}`);
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate one check against a result's content. Returns { passed, message }.
+ */
+export function evaluateAssertion(assertion, result) {
+  const content = result.content || "";
+
+  switch (assertion.type) {
+    case "contains":
+    case "not_contains": {
+      const haystack = assertion.caseSensitive ? content : content.toLowerCase();
+      const needle = assertion.caseSensitive ? assertion.value : assertion.value.toLowerCase();
+      const found = haystack.includes(needle);
+      const passed = assertion.type === "contains" ? found : !found;
+      return { passed, message: found ? `Found "${assertion.value}"` : `"${assertion.value}" not found` };
+    }
+    case "regex": {
+      const passed = new RegExp(assertion.pattern, assertion.flags).test(content);
+      return { passed, message: passed ? "Pattern matched" : "Pattern didn't match" };
+    }
+    case "json_valid": {
+      const { error } = parseJSON(content);
+      return { passed: !error, message: error || "Valid JSON" };
+    }
+    case "json_schema": {
+      const { value, error } = parseJSON(content);
+      if (error) return { passed: false, message: `Not valid JSON: ${error}` };
+      const problem = validateJsonSchema(value, JSON.parse(assertion.schema));
+      return { passed: !problem, message: problem || "Matches schema" };
+    }
+    case "length": {
+      const { min, max } = assertion;
+      const passed = (min === null || content.length >= min) && (max === null || content.length <= max);
+      return { passed, message: `${content.length.toLocaleString()} characters` };
+    }
+    case "code_parses": {
+      const language = assertion.language || result.language;
+      const { ok, message } = checkCodeSyntax(unwrapCodeFence(content), language);
+      return { passed: ok, message };
+    }
+    default:
+      return { passed: false, message: `Unknown check type "${assertion.type}"` };
+  }
+}
+
+/**
+ * Run every check against a result. Returns null when nothing applies (no
+ * checks, or an image or video), otherwise
+ * { passed, failed, total, allPassed, checks: [{ id, label, passed, message }] }.
+ */
+export function evaluateResult(assertions = [], result) {
+  if (assertions.length === 0 || !CHECKED_TYPES.includes(result.type)) return null;
+
+  const checks = assertions.map((assertion) => {
+    let outcome;
+    try {
+      outcome = evaluateAssertion(assertion, result);
+    } catch (err) {
+      outcome = { passed: false, message: err.message };
+    }
+    return { id: assertion.id, label: describeAssertion(assertion), ...outcome };
+  });
+  const passed = checks.filter((c) => c.passed).length;
+
+  return {
+    passed,
+    failed: checks.length - passed,
+    total: checks.length,
+    allPassed: passed === checks.length,
+    checks,
+  };
+}
+
+/**
+ * Share of checked results that pass every check, or null if none were
+ * checked. Returns { rate, passing, checked }.
+ */
+export function getPassRate(assertions = [], results = []) {
+  const evaluated = results.map((r) => evaluateResult(assertions, r)).filter(Boolean);
+  if (evaluated.length === 0) return null;
+
+  const passing = evaluated.filter((e) => e.allPassed).length;
+  return { rate: passing / evaluated.length, passing, checked: evaluated.length };
+}
+
+/**
+ * Replace a prompt's checks. Editing checks doesn't create a new version.
+ */
+export async function saveAssertions(teamId, promptId, assertions) {
+  if (assertions.length > MAX_ASSERTIONS) {
+    throw new Error(`A prompt can have up to ${MAX_ASSERTIONS} checks`);
+  }
+  await updateDoc(doc(db, "teams", teamId, "prompts", promptId), {
+    assertions: assertions.map(normalizeAssertion),
+    assertionsUpdatedAt: serverTimestamp(),
+  });
+}
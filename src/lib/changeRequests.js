@@ -0,0 +1,303 @@
+// src/lib/changeRequests.js
+// Proposed edits to a prompt, reviewed by its author or a team admin
+//
+// A change request lives under teams/{teamId}/prompts/{promptId}/changeRequests
+// and stores the proposed { title, text, tags } next to `base`, a snapshot of
+// the prompt it was written against (plus `baseVersionId`, the latest entry in
+// `versions` at the time). Comparing `base` with the live prompt tells the
+// reviewer whether someone else edited it in the meantime. Approving applies
+// the proposal and records it as a new `versions` entry in one transaction. The
+// discussion thread is kept on the request doc so it travels with the prompt
+// into and out of the trash.
+//
+// The prompt doc keeps `openChangeRequests`, a counter the card uses to show
+// that proposals are waiting.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  writeBatch,
+  runTransaction,
+  updateDoc,
+  arrayUnion,
+  increment,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { parseVariables } from "./promptVariables";
+import { recordVersion } from "./versions";
+
+export const CHANGE_REQUEST_STATUSES = {
+  OPEN: "open",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  WITHDRAWN: "withdrawn",
+};
+
+export const CHANGE_REQUEST_META = {
+  open: { label: "Open", color: "#f59e0b" },
+  approved: { label: "Applied", color: "#34d399" },
+  rejected: { label: "Declined", color: "#f87171" },
+  withdrawn: { label: "Withdrawn", color: "#94a3b8" },
+};
+
+const MAX_COMMENT_LENGTH = 1000;
+
+function requestsRef(teamId, promptId) {
+  return collection(db, "teams", teamId, "prompts", promptId, "changeRequests");
+}
+
+function snapshotOf(prompt) {
+  return {
+    title: prompt.title || "",
+    text: prompt.text || "",
+    tags: Array.isArray(prompt.tags) ? [...prompt.tags] : [],
+  };
+}
+
+function sameTags(a = [], b = []) {
+  return a.length === b.length && [...a].sort().join("\u0000") === [...b].sort().join("\u0000");
+}
+
+/**
+ * Whether two { title, text, tags } snapshots have the same content
+ */
+export function sameContent(a, b) {
+  return (
+    (a.title || "") === (b.title || "") &&
+    (a.text || "") === (b.text || "") &&
+    sameTags(a.tags, b.tags)
+  );
+}
+
+/**
+ * True when the prompt was edited after the proposal was written, so
+ * applying it would throw those edits away
+ */
+export function hasConflict(request, prompt) {
+  return Boolean(request?.base && prompt) && !sameContent(request.base, snapshotOf(prompt));
+}
+
+async function getLatestVersionId(teamId, promptId) {
+  try {
+    const snap = await getDocs(
+      query(
+        collection(db, "teams", teamId, "prompts", promptId, "versions"),
+        orderBy("createdAt", "desc"),
+        limit(1)
+      )
+    );
+    return snap.empty ? null : snap.docs[0].id;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Subscribe to a prompt's change requests, newest first
+ */
+export function subscribeToChangeRequests(teamId, promptId, callback) {
+  const q = query(requestsRef(teamId, promptId), orderBy("createdAt", "desc"));
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error("Error subscribing to change requests:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Open a change request against the prompt as it is now. Returns its id.
+ */
+export async function proposeChange(teamId, prompt, userId, { title, text, tags = [], note = "" }) {
+  if (!userId) throw new Error("Sign in to propose changes");
+  if (!(text || "").trim()) throw new Error("The prompt text can't be empty");
+
+  const proposed = {
+    title: (title || "").trim(),
+    text,
+    tags: [...new Set(tags.map((t) => t.trim()).filter(Boolean))],
+  };
+  const base = snapshotOf(prompt);
+  if (sameContent(proposed, base)) throw new Error("Nothing has changed yet");
+
+  const baseVersionId = await getLatestVersionId(teamId, prompt.id);
+  const requestRef = doc(requestsRef(teamId, prompt.id));
+  const batch = writeBatch(db);
+
+  batch.set(requestRef, {
+    ...proposed,
+    note: note.trim(),
+    base,
+    baseVersionId,
+    status: CHANGE_REQUEST_STATUSES.OPEN,
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    discussion: [],
+  });
+  batch.update(doc(db, "teams", teamId, "prompts", prompt.id), {
+    openChangeRequests: increment(1),
+  });
+  batch.set(doc(collection(db, "teams", teamId, "activities")), {
+    type: "change_proposed",
+    userId,
+    promptId: prompt.id,
+    promptTitle: prompt.title || "",
+    timestamp: serverTimestamp(),
+    metadata: { changeRequestId: requestRef.id },
+  });
+
+  await batch.commit();
+  return requestRef.id;
+}
+
+/**
+ * Add a message to a change request's discussion thread
+ */
+export async function addChangeRequestComment(teamId, promptId, requestId, userId, text) {
+  const body = (text || "").trim();
+  if (!body) throw new Error("Write something first");
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Keep comments under ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  // serverTimestamp() isn't allowed inside arrays
+  await updateDoc(doc(requestsRef(teamId, promptId), requestId), {
+    discussion: arrayUnion({
+      id: `${userId}_${Date.now()}`,
+      userId,
+      text: body,
+      createdAt: Timestamp.now(),
+    }),
+  });
+}
+
+function closeRequest(tx, teamId, promptId, requestId, fields) {
+  tx.update(doc(requestsRef(teamId, promptId), requestId), {
+    ...fields,
+    resolvedAt: serverTimestamp(),
+  });
+  tx.update(doc(db, "teams", teamId, "prompts", promptId), {
+    openChangeRequests: increment(-1),
+  });
+}
+
+function assertOpen(request) {
+  if (request.status !== CHANGE_REQUEST_STATUSES.OPEN) {
+    throw new Error("This change request is already closed");
+  }
+}
+
+/**
+ * The request as stored now, read in `tx` so that two reviewers acting at
+ * once can't both close it. Throws unless it is still open.
+ */
+async function readOpenRequest(tx, teamId, promptId, requestId) {
+  const snap = await tx.get(doc(requestsRef(teamId, promptId), requestId));
+  if (!snap.exists()) throw new Error("Change request not found");
+  const request = { id: snap.id, ...snap.data() };
+  assertOpen(request);
+  return request;
+}
+
+/**
+ * Apply a proposal to the prompt and record it in the version history, in
+ * one transaction. The conflict check runs against the prompt as read in
+ * that transaction and throws unless `force` is set, so a reviewer has to
+ * acknowledge that newer edits will be overwritten. The request is re-read
+ * there too, so a proposal approved or declined by someone else meanwhile
+ * isn't applied again.
+ */
+export async function approveChangeRequest(
+  teamId,
+  prompt,
+  request,
+  reviewerId,
+  { comment = "", force = false } = {}
+) {
+  assertOpen(request);
+  const promptRef = doc(db, "teams", teamId, "prompts", prompt.id);
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(promptRef);
+    if (!snap.exists()) throw new Error("Prompt not found");
+    const stored = await readOpenRequest(tx, teamId, prompt.id, request.id);
+    const current = snap.data();
+    const content = { title: stored.title, text: stored.text, tags: stored.tags || [] };
+    const conflict = hasConflict(stored, current);
+    if (conflict && !force) {
+      throw new Error("The prompt changed after this proposal was made");
+    }
+
+    const pointer = recordVersion(tx, teamId, prompt.id, current, content, {
+      userId: stored.createdBy,
+      changeNote: stored.note || "Applied a proposed change",
+      extra: { approvedBy: reviewerId, changeRequestId: stored.id },
+      coalesce: false,
+    });
+    tx.update(promptRef, {
+      ...content,
+      ...pointer,
+      variables: parseVariables(content.text),
+      updatedAt: serverTimestamp(),
+      updatedBy: reviewerId,
+    });
+    closeRequest(tx, teamId, prompt.id, stored.id, {
+      status: CHANGE_REQUEST_STATUSES.APPROVED,
+      reviewedBy: reviewerId,
+      reviewComment: comment.trim(),
+      appliedVersionId: pointer.latestVersion.id,
+      appliedOverConflict: conflict,
+    });
+    tx.set(doc(collection(db, "teams", teamId, "activities")), {
+      type: "change_applied",
+      userId: reviewerId,
+      promptId: prompt.id,
+      promptTitle: content.title || current.title || "",
+      timestamp: serverTimestamp(),
+      metadata: { changeRequestId: stored.id, proposedBy: stored.createdBy },
+    });
+  });
+}
+
+/**
+ * Decline a proposal. A comment is required so the author knows why.
+ */
+export async function rejectChangeRequest(teamId, promptId, request, reviewerId, comment) {
+  assertOpen(request);
+  if (!comment || !comment.trim()) {
+    throw new Error("Please explain why the change isn't going in");
+  }
+
+  await runTransaction(db, async (tx) => {
+    await readOpenRequest(tx, teamId, promptId, request.id);
+    closeRequest(tx, teamId, promptId, request.id, {
+      status: CHANGE_REQUEST_STATUSES.REJECTED,
+      reviewedBy: reviewerId,
+      reviewComment: comment.trim(),
+    });
+  });
+}
+
+/**
+ * Let the author take back their own proposal
+ */
+export async function withdrawChangeRequest(teamId, promptId, request) {
+  assertOpen(request);
+
+  await runTransaction(db, async (tx) => {
+    await readOpenRequest(tx, teamId, promptId, request.id);
+    closeRequest(tx, teamId, promptId, request.id, {
+      status: CHANGE_REQUEST_STATUSES.WITHDRAWN,
+    });
+  });
+}
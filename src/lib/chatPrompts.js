@@ -0,0 +1,179 @@
+// src/lib/chatPrompts.js
+// Structured chat prompts: an ordered list of role-tagged messages
+//
+// A chat prompt is stored as:
+//   { type: "chat", messages: [{ role, content, example? }], text }
+// where `text` is the flattened conversation. Keeping `text` populated means
+// search, filters, similarity checks and variables keep working unchanged.
+
+import { fillVariables } from "./promptVariables";
+
+export const PROMPT_TYPES = {
+  TEXT: "text",
+  CHAT: "chat",
+};
+
+export const MESSAGE_ROLES = ["system", "user", "assistant"];
+
+export const ROLE_LABELS = {
+  system: "System",
+  user: "User",
+  assistant: "Assistant",
+};
+
+export const CHAT_EXPORT_FORMATS = {
+  TEXT: "text",
+  OPENAI: "openai",
+  ANTHROPIC: "anthropic",
+};
+
+/**
+ * Check if a prompt document uses the structured chat format
+ */
+export function isChatPrompt(prompt) {
+  return (
+    prompt?.type === PROMPT_TYPES.CHAT &&
+    Array.isArray(prompt.messages) &&
+    prompt.messages.length > 0
+  );
+}
+
+/**
+ * Starter conversation for a brand-new chat prompt
+ */
+export function createDefaultMessages() {
+  return [
+    { role: "system", content: "" },
+    { role: "user", content: "" },
+  ];
+}
+
+/**
+ * Build a user/assistant few-shot example pair
+ */
+export function createExamplePair() {
+  return [
+    { role: "user", content: "", example: true },
+    { role: "assistant", content: "", example: true },
+  ];
+}
+
+/**
+ * Drop unknown roles and stray fields so only clean messages are persisted
+ */
+export function normalizeMessages(messages) {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter((m) => m && MESSAGE_ROLES.includes(m.role))
+    .map((m) => ({
+      role: m.role,
+      content: typeof m.content === "string" ? m.content : "",
+      ...(m.example ? { example: true } : {}),
+    }));
+}
+
+/**
+ * Check that a chat prompt has at least one message with content
+ */
+export function hasMessageContent(messages) {
+  return normalizeMessages(messages).some((m) => m.content.trim());
+}
+
+/**
+ * Flatten messages into a readable plain-text transcript
+ */
+export function flattenMessages(messages) {
+  return normalizeMessages(messages)
+    .filter((m) => m.content.trim())
+    .map((m) => {
+      const label = m.example ? `Example ${ROLE_LABELS[m.role]}` : ROLE_LABELS[m.role];
+      return `[${label}]\n${m.content.trim()}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Resolve the stored content fields for a prompt being saved.
+ * Chat prompts get their `text` derived from the messages.
+ */
+export function buildPromptContent({ type, text, messages }) {
+  if (type === PROMPT_TYPES.CHAT) {
+    const normalized = normalizeMessages(messages);
+    return {
+      type: PROMPT_TYPES.CHAT,
+      messages: normalized,
+      text: flattenMessages(normalized),
+    };
+  }
+
+  return {
+    type: PROMPT_TYPES.TEXT,
+    text: text || "",
+  };
+}
+
+/**
+ * Substitute template variables inside every message
+ */
+export function fillMessageVariables(messages, values = {}) {
+  return normalizeMessages(messages).map((m) => ({
+    ...m,
+    content: fillVariables(m.content, values),
+  }));
+}
+
+/**
+ * OpenAI Chat Completions shape: { messages: [{ role, content }] }
+ */
+export function toOpenAIFormat(messages) {
+  return {
+    messages: normalizeMessages(messages)
+      .filter((m) => m.content.trim())
+      .map(({ role, content }) => ({ role, content })),
+  };
+}
+
+/**
+ * Anthropic Messages API shape: { system, messages: [{ role, content }] }
+ * System messages are hoisted into `system` and consecutive turns from the
+ * same role are merged, since the API requires strict alternation.
+ */
+export function toAnthropicFormat(messages) {
+  const normalized = normalizeMessages(messages).filter((m) => m.content.trim());
+
+  const system = normalized
+    .filter((m) => m.role === "system")
+    .map((m) => m.content.trim())
+    .join("\n\n");
+
+  const turns = [];
+  normalized
+    .filter((m) => m.role !== "system")
+    .forEach(({ role, content }) => {
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content = `${last.content}\n\n${content}`;
+      } else {
+        turns.push({ role, content });
+      }
+    });
+
+  return system ? { system, messages: turns } : { messages: turns };
+}
+
+/**
+ * Serialize messages for the clipboard or a download in the chosen format
+ */
+export function serializeMessages(messages, format = CHAT_EXPORT_FORMATS.TEXT, values = {}) {
+  const filled = fillMessageVariables(messages, values);
+
+  switch (format) {
+    case CHAT_EXPORT_FORMATS.OPENAI:
+      return JSON.stringify(toOpenAIFormat(filled), null, 2);
+    case CHAT_EXPORT_FORMATS.ANTHROPIC:
+      return JSON.stringify(toAnthropicFormat(filled), null, 2);
+    default:
+      return flattenMessages(filled);
+  }
+}
@@ -0,0 +1,197 @@
+// src/lib/codeSyntax.js
+// Best-effort syntax checks for code results, per RESULT_LANGUAGES
+//
+// JSON and JavaScript are parsed for real (JavaScript with acorn, so
+// nothing is compiled or run and the CSP needn't allow eval). There is no
+// parser here for the rest, so they get a structural check: brackets
+// balance and strings and block comments are closed. That catches the usual
+// ways model output breaks, like truncation mid-block or an unterminated
+// string, but not every syntax error.
+
+import { parse } from "acorn";
+
+const C_COMMENTS = { line: ["//"], block: [["/*", "*/"]] };
+
+// How each language spells comments and strings. `brackets` lists the
+// pairs to balance; `spacedComment` means the line comment marker only
+// counts at the start of a word, as with `#` in shell (`${#list}`).
+const STRUCTURE = {
+  typescript: { ...C_COMMENTS, quotes: ['"', "'", "`"] },
+  java: { ...C_COMMENTS, quotes: ['"""', '"', "'"] },
+  csharp: { ...C_COMMENTS, quotes: ['"', "'"] },
+  cpp: { ...C_COMMENTS, quotes: ['"', "'"] },
+  go: { ...C_COMMENTS, quotes: ['"', "'", "`"] },
+  // Single quotes are lifetimes as often as chars in Rust
+  rust: { ...C_COMMENTS, quotes: ['"'] },
+  php: { line: ["//", "#"], block: [["/*", "*/"]], quotes: ['"', "'"] },
+  swift: { ...C_COMMENTS, quotes: ['"""', '"'] },
+  kotlin: { ...C_COMMENTS, quotes: ['"""', '"', "'"] },
+  css: { line: [], block: [["/*", "*/"]], quotes: ['"', "'"] },
+  sql: { line: ["--"], block: [["/*", "*/"]], quotes: ["'", '"', "`"] },
+  python: { line: ["#"], block: [], quotes: ['"""', "'''", '"', "'"] },
+  ruby: { line: ["#"], block: [["=begin", "=end"]], quotes: ['"', "'"] },
+  // `case` patterns end in an unmatched `)`, so only braces are balanced
+  bash: { line: ["#"], block: [], quotes: ['"', "'"], brackets: ["{}"], spacedComment: true },
+  // Plain YAML scalars can hold apostrophes, so strings aren't tracked
+  yaml: { line: ["#"], block: [], quotes: [], spacedComment: true },
+};
+
+const DEFAULT_BRACKETS = ["()", "[]", "{}"];
+
+// HTML elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "param", "source", "track", "wbr",
+]);
+
+function lineAt(code, index) {
+  return code.slice(0, index).split("\n").length;
+}
+
+/**
+ * Check that brackets balance outside strings and comments. Returns an
+ * error message, or null if the structure is sound.
+ */
+function checkStructure(code, { line, block, quotes, brackets = DEFAULT_BRACKETS, spacedComment }) {
+  const openers = Object.fromEntries(brackets.map((pair) => [pair[0], pair[1]]));
+  const closers = new Set(brackets.map((pair) => pair[1]));
+  const stack = [];
+
+  let i = 0;
+  while (i < code.length) {
+    const rest = code.slice(i, i + 6);
+
+    const lineMarker = line.find((m) => rest.startsWith(m));
+    if (lineMarker && (!spacedComment || i === 0 || /\s/.test(code[i - 1]))) {
+      const end = code.indexOf("\n", i);
+      i = end === -1 ? code.length : end + 1;
+      continue;
+    }
+
+    const blockMarker = block.find(([open]) => rest.startsWith(open));
+    if (blockMarker) {
+      const end = code.indexOf(blockMarker[1], i + blockMarker[0].length);
+      if (end === -1) return `Unclosed comment starting on line ${lineAt(code, i)}`;
+      i = end + blockMarker[1].length;
+      continue;
+    }
+
+    const quote = quotes.find((q) => rest.startsWith(q));
+    if (quote) {
+      let j = i + quote.length;
+      while (j < code.length && !code.startsWith(quote, j)) {
+        // Single-character quotes can't span lines (template literals can)
+        if (quote.length === 1 && quote !== "`" && code[j] === "\n") break;
+        j += code[j] === "\\" ? 2 : 1;
+      }
+      if (j >= code.length || !code.startsWith(quote, j)) {
+        return `Unterminated string starting on line ${lineAt(code, i)}`;
+      }
+      i = j + quote.length;
+      continue;
+    }
+
+    const ch = code[i];
+    if (openers[ch]) {
+      stack.push({ close: openers[ch], index: i });
+    } else if (closers.has(ch)) {
+      const top = stack.pop();
+      if (!top) return `Unexpected "${ch}" on line ${lineAt(code, i)}`;
+      if (top.close !== ch) {
+        return `Expected "${top.close}" but found "${ch}" on line ${lineAt(code, i)}`;
+      }
+    }
+    i++;
+  }
+
+  if (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    return `"${code[top.index]}" on line ${lineAt(code, top.index)} is never closed`;
+  }
+  return null;
+}
+
+function checkJavaScript(code) {
+  // Try it as a module first (imports, exports, top-level await), then as a
+  // sloppy-mode script for things modules forbid, like `with`
+  const options = { ecmaVersion: "latest", allowReturnOutsideFunction: true };
+  try {
+    parse(code, { ...options, sourceType: "module" });
+    return null;
+  } catch (err) {
+    try {
+      parse(code, { ...options, sourceType: "script" });
+      return null;
+    } catch {
+      return err.message;
+    }
+  }
+}
+
+function checkJSON(code) {
+  try {
+    JSON.parse(code);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function checkHTML(code) {
+  const stack = [];
+  const withoutRaw = code
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, "");
+
+  for (const match of withoutRaw.matchAll(/<(\/?)([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/g)) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+
+    if (!closing) {
+      stack.push(name);
+    } else if (stack[stack.length - 1] === name) {
+      stack.pop();
+    } else {
+      return `</${name}> doesn't match ${stack.length ? `<${stack[stack.length - 1]}>` : "any open tag"}`;
+    }
+  }
+  return stack.length ? `<${stack[stack.length - 1]}> is never closed` : null;
+}
+
+function checkYAML(code) {
+  const tabbed = code.split("\n").findIndex((l) => /^\t/.test(l.replace(/^ +/, "")));
+  if (tabbed !== -1) return `Line ${tabbed + 1} is indented with a tab`;
+  return checkStructure(code, STRUCTURE.yaml);
+}
+
+/**
+ * Check whether `code` parses as `language`. Returns { ok, message }, where
+ * `message` explains the failure or what was checked.
+ */
+export function checkCodeSyntax(code, language) {
+  const lang = (language || "").toLowerCase();
+  let error;
+  let checked;
+
+  if (lang === "json" || lang === "javascript") {
+    error = lang === "json" ? checkJSON(code) : checkJavaScript(code);
+    checked = `Parses as ${lang}`;
+  } else if (lang === "html") {
+    error = checkHTML(code);
+    checked = "Tags are balanced";
+  } else if (lang === "yaml") {
+    error = checkYAML(code);
+    checked = "Indentation and brackets look right";
+  } else if (lang === "markdown") {
+    error = null;
+    checked = "Markdown always renders";
+  } else if (STRUCTURE[lang]) {
+    error = checkStructure(code, STRUCTURE[lang]);
+    checked = `Brackets and strings balance as ${lang}`;
+  } else {
+    return { ok: false, message: language ? `Can't check ${language}` : "No language set" };
+  }
+
+  return error ? { ok: false, message: error } : { ok: true, message: checked };
+}
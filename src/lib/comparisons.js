@@ -0,0 +1,201 @@
+// src/lib/comparisons.js
+// A/B comparison of a prompt's outputs, with reviewer votes and win rates
+//
+// Two results are comparable when they were produced from the same
+// variable values by a different model or prompt version. A reviewer's
+// vote lives at teams/{teamId}/prompts/{promptId}/comparisons/{id}, one doc
+// per reviewer per pair, so voting again replaces the earlier vote. Each
+// vote keeps a copy of both sides' model and version, which keeps win
+// rates intact after the results themselves are deleted.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  setDoc,
+  deleteDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+
+export const TIE = "tie";
+export const COMPARISON_DIMENSIONS = {
+  model: "model",
+  version: "promptVersionId",
+};
+
+const VOTES_LOADED = 500;
+const COMPARABLE_TYPES = ["text", "code"];
+
+function comparisonsRef(teamId, promptId) {
+  return collection(db, "teams", teamId, "prompts", promptId, "comparisons");
+}
+
+/**
+ * Stable key for a result's variable values, so outputs for the same
+ * input group together whatever order the variables were saved in
+ */
+export function getInputKey(variables = {}) {
+  const entries = Object.entries(variables || {})
+    .map(([name, value]) => [name, String(value)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify(entries);
+}
+
+/**
+ * The model and prompt version that produced a result
+ */
+export function getVariant(result) {
+  return {
+    model: result.model || null,
+    promptVersionId: result.promptVersionId || null,
+  };
+}
+
+/**
+ * Whether two results differ in model or prompt version
+ */
+export function isDifferentVariant(a, b) {
+  const va = getVariant(a);
+  const vb = getVariant(b);
+  return va.model !== vb.model || va.promptVersionId !== vb.promptVersionId;
+}
+
+/**
+ * Group text and code results by input, keeping only inputs with at least
+ * two outputs from different variants. Returns [{ key, variables, outputs }]
+ * with the most recently produced input first.
+ */
+export function groupComparableOutputs(results) {
+  const groups = new Map();
+  results.forEach((result) => {
+    if (!COMPARABLE_TYPES.includes(result.type) || !result.content) return;
+    if (!result.model && !result.promptVersionId) return;
+
+    const key = getInputKey(result.variables);
+    if (!groups.has(key)) {
+      groups.set(key, { key, variables: result.variables || {}, outputs: [] });
+    }
+    groups.get(key).outputs.push(result);
+  });
+
+  return [...groups.values()].filter(({ outputs }) =>
+    outputs.some((o) => isDifferentVariant(o, outputs[0]))
+  );
+}
+
+/**
+ * Doc id for a reviewer's vote on a pair, the same whichever side is A
+ */
+function voteId(resultA, resultB, userId) {
+  return [resultA.id, resultB.id].sort().concat(userId).join("_");
+}
+
+/**
+ * Subscribe to a prompt's comparison votes, newest first
+ */
+export function subscribeToComparisons(teamId, promptId, callback) {
+  const q = query(
+    comparisonsRef(teamId, promptId),
+    orderBy("votedAt", "desc"),
+    limit(VOTES_LOADED)
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error("Error subscribing to comparisons:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Record a reviewer's verdict on a pair. `winnerId` is the id of the
+ * better result, or TIE.
+ */
+export async function voteOnComparison(teamId, promptId, userId, resultA, resultB, winnerId) {
+  if (winnerId !== TIE && winnerId !== resultA.id && winnerId !== resultB.id) {
+    throw new Error("Pick one of the two outputs or a tie");
+  }
+  if (!isDifferentVariant(resultA, resultB)) {
+    throw new Error("Both outputs come from the same model and version");
+  }
+
+  await setDoc(doc(comparisonsRef(teamId, promptId), voteId(resultA, resultB, userId)), {
+    resultIds: [resultA.id, resultB.id].sort(),
+    variants: {
+      [resultA.id]: getVariant(resultA),
+      [resultB.id]: getVariant(resultB),
+    },
+    winnerId,
+    inputKey: getInputKey(resultA.variables),
+    votedBy: userId,
+    votedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Withdraw a reviewer's vote on a pair
+ */
+export async function clearComparisonVote(teamId, promptId, userId, resultA, resultB) {
+  await deleteDoc(doc(comparisonsRef(teamId, promptId), voteId(resultA, resultB, userId)));
+}
+
+/**
+ * Votes cast on a pair, whichever side each reviewer saw as A
+ */
+export function votesForPair(votes, resultA, resultB) {
+  const ids = [resultA.id, resultB.id].sort().join("_");
+  return votes.filter((v) => (v.resultIds || []).join("_") === ids);
+}
+
+/**
+ * Win / loss / tie counts for each model and prompt version. A vote only
+ * counts towards a dimension when the two sides differ in it, so a
+ * version-vs-version vote on one model doesn't move that model's rate.
+ * Win rate scores ties as half a win. Returns
+ * { model: [{ key, wins, losses, ties, total, winRate }], version: [...] },
+ * best first.
+ */
+export function aggregateWinRates(votes) {
+  const tallies = Object.fromEntries(
+    Object.keys(COMPARISON_DIMENSIONS).map((dimension) => [dimension, {}])
+  );
+
+  votes.forEach((vote) => {
+    const [idA, idB] = vote.resultIds || [];
+    const sideA = vote.variants?.[idA];
+    const sideB = vote.variants?.[idB];
+    if (!sideA || !sideB) return;
+
+    Object.entries(COMPARISON_DIMENSIONS).forEach(([dimension, field]) => {
+      if (sideA[field] === sideB[field]) return;
+      [
+        [idA, sideA],
+        [idB, sideB],
+      ].forEach(([id, side]) => {
+        const key = side[field] || "unknown";
+        const tally = tallies[dimension][key] || { key, wins: 0, losses: 0, ties: 0, total: 0 };
+        if (vote.winnerId === TIE) tally.ties++;
+        else if (vote.winnerId === id) tally.wins++;
+        else tally.losses++;
+        tally.total++;
+        tallies[dimension][key] = tally;
+      });
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(tallies).map(([dimension, byKey]) => [
+      dimension,
+      Object.values(byKey)
+        .map((t) => ({ ...t, winRate: (t.wins + t.ties / 2) / t.total }))
+        .sort((a, b) => b.winRate - a.winRate || b.total - a.total),
+    ])
+  );
+}
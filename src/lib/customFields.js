@@ -0,0 +1,268 @@
+// src/lib/customFields.js
+// Per-team custom metadata fields for prompts
+//
+// Team owners define a schema on the team doc under `metadataSchema`:
+//   [{ id, label, type, required, options }]
+// and each prompt stores its values under `metadata`, keyed by field id.
+// Field ids are fixed when a field is created so renaming a label never
+// orphans existing values.
+
+import { db } from "./firebase";
+import { doc, updateDoc, onSnapshot } from "firebase/firestore";
+
+export const FIELD_TYPES = {
+  TEXT: "text",
+  SELECT: "select",
+  MULTISELECT: "multiselect",
+  NUMBER: "number",
+  DATE: "date",
+  URL: "url",
+};
+
+export const FIELD_TYPE_LABELS = {
+  text: "Text",
+  select: "Select",
+  multiselect: "Multi-select",
+  number: "Number",
+  date: "Date",
+  url: "URL",
+};
+
+const OPTION_TYPES = [FIELD_TYPES.SELECT, FIELD_TYPES.MULTISELECT];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a field type picks from a fixed option list
+ */
+export function hasOptions(type) {
+  return OPTION_TYPES.includes(type);
+}
+
+/**
+ * Stable id for a new field, derived from its label and unique in the schema
+ */
+export function makeFieldId(label, schema = []) {
+  const base =
+    (label || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "field";
+  let id = base;
+  for (let n = 2; schema.some((f) => f.id === id); n++) id = `${base}_${n}`;
+  return id;
+}
+
+/**
+ * Check a schema before saving it. Throws with a readable message.
+ */
+export function validateSchema(schema) {
+  const labels = new Set();
+  schema.forEach((field) => {
+    const label = (field.label || "").trim();
+    if (!label) throw new Error("Every field needs a label");
+    if (labels.has(label.toLowerCase())) {
+      throw new Error(`There are two fields called "${label}"`);
+    }
+    labels.add(label.toLowerCase());
+    if (!FIELD_TYPE_LABELS[field.type]) {
+      throw new Error(`"${label}" has an unknown type`);
+    }
+    if (hasOptions(field.type) && (field.options || []).length === 0) {
+      throw new Error(`"${label}" needs at least one option`);
+    }
+  });
+}
+
+/**
+ * Subscribe to a team's metadata schema
+ */
+export function subscribeToMetadataSchema(teamId, callback) {
+  return onSnapshot(
+    doc(db, "teams", teamId),
+    (snap) => callback(snap.exists() ? snap.data().metadataSchema || [] : []),
+    (error) => {
+      console.error("Error subscribing to metadata schema:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Replace a team's metadata schema (owners only)
+ */
+export async function saveMetadataSchema(teamId, schema) {
+  const cleaned = schema.map((field) => ({
+    id: field.id,
+    label: field.label.trim(),
+    type: field.type,
+    required: Boolean(field.required),
+    options: hasOptions(field.type)
+      ? [...new Set((field.options || []).map((o) => o.trim()).filter(Boolean))]
+      : [],
+  }));
+  validateSchema(cleaned);
+  await updateDoc(doc(db, "teams", teamId), { metadataSchema: cleaned });
+}
+
+export function isEmptyValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate prompt metadata against a schema. Returns { [fieldId]: message }
+ * for every invalid field (empty when everything is fine).
+ */
+export function validateMetadata(schema, values = {}) {
+  const errors = {};
+
+  schema.forEach((field) => {
+    const value = values[field.id];
+    if (isEmptyValue(value)) {
+      if (field.required) errors[field.id] = `${field.label} is required`;
+      return;
+    }
+
+    switch (field.type) {
+      case FIELD_TYPES.NUMBER:
+        if (!Number.isFinite(Number(value))) errors[field.id] = "Enter a number";
+        break;
+      case FIELD_TYPES.DATE:
+        if (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+          errors[field.id] = "Enter a valid date";
+        }
+        break;
+      case FIELD_TYPES.URL:
+        if (!isValidUrl(String(value).trim())) {
+          errors[field.id] = "Enter a full http(s) URL";
+        }
+        break;
+      case FIELD_TYPES.SELECT:
+        if (!field.options.includes(value)) errors[field.id] = "Pick one of the options";
+        break;
+      case FIELD_TYPES.MULTISELECT:
+        if (!Array.isArray(value) || value.some((v) => !field.options.includes(v))) {
+          errors[field.id] = "Pick from the listed options";
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Keep only schema fields, drop empty values and store numbers as numbers
+ */
+export function cleanMetadata(schema, values = {}) {
+  const cleaned = {};
+  schema.forEach((field) => {
+    const value = values[field.id];
+    if (isEmptyValue(value)) return;
+    if (field.type === FIELD_TYPES.NUMBER) cleaned[field.id] = Number(value);
+    else if (field.type === FIELD_TYPES.MULTISELECT) cleaned[field.id] = [...value];
+    else cleaned[field.id] = String(value).trim();
+  });
+  return cleaned;
+}
+
+/**
+ * Human-readable value for cards and exports
+ */
+export function formatMetadataValue(field, value) {
+  if (isEmptyValue(value)) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (field.type === FIELD_TYPES.DATE) {
+    const date = new Date(`${value}T00:00:00`);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+  }
+  return String(value);
+}
+
+/**
+ * Raw value for CSV cells: ISO dates, and multiselect values joined with
+ * "; " so the import side can split them back apart
+ */
+export function serializeMetadataValue(value) {
+  if (isEmptyValue(value)) return "";
+  return Array.isArray(value) ? value.join("; ") : String(value);
+}
+
+/**
+ * Turn an imported value (often a string from CSV) into the field's shape
+ */
+export function parseMetadataValue(field, raw) {
+  if (isEmptyValue(raw)) return undefined;
+  if (field.type === FIELD_TYPES.MULTISELECT) {
+    return Array.isArray(raw)
+      ? raw.map(String)
+      : String(raw).split(";").map((v) => v.trim()).filter(Boolean);
+  }
+  if (field.type === FIELD_TYPES.NUMBER) return Number(raw);
+  return String(raw).trim();
+}
+
+/**
+ * Number of metadata filters that are set. Number and date fields filter on
+ * a { min, max } range; everything else on a single value.
+ */
+export function countMetadataFilters(filters = {}) {
+  return Object.values(filters).filter((value) =>
+    value && typeof value === "object"
+      ? !isEmptyValue(value.min) || !isEmptyValue(value.max)
+      : !isEmptyValue(value)
+  ).length;
+}
+
+export function hasMetadataFilters(filters = {}) {
+  return countMetadataFilters(filters) > 0;
+}
+
+/**
+ * Whether a prompt passes every metadata filter
+ */
+export function matchesMetadataFilters(prompt, schema, filters = {}) {
+  const values = prompt.metadata || {};
+
+  return schema.every((field) => {
+    const filter = filters[field.id];
+    const value = values[field.id];
+
+    switch (field.type) {
+      case FIELD_TYPES.NUMBER:
+      case FIELD_TYPES.DATE: {
+        const { min, max } = filter || {};
+        if (isEmptyValue(min) && isEmptyValue(max)) return true;
+        if (isEmptyValue(value)) return false;
+        const v = field.type === FIELD_TYPES.NUMBER ? Number(value) : value;
+        const lo = field.type === FIELD_TYPES.NUMBER ? Number(min) : min;
+        const hi = field.type === FIELD_TYPES.NUMBER ? Number(max) : max;
+        return (isEmptyValue(min) || v >= lo) && (isEmptyValue(max) || v <= hi);
+      }
+      case FIELD_TYPES.SELECT:
+        return isEmptyValue(filter) || value === filter;
+      case FIELD_TYPES.MULTISELECT:
+        return isEmptyValue(filter) || (Array.isArray(value) && value.includes(filter));
+      default:
+        return (
+          isEmptyValue(filter) ||
+          String(value || "").toLowerCase().includes(String(filter).toLowerCase().trim())
+        );
+    }
+  });
+}
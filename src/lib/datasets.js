@@ -0,0 +1,268 @@
+// src/lib/datasets.js
+// Test-case datasets for a prompt, and batch runs over them
+//
+// Test cases live at teams/{teamId}/prompts/{promptId}/testCases/{id} as
+// { variables: { [name]: value }, expected, notes }. Running the dataset
+// sends every case through /api/run-prompt one at a time and records the
+// outputs on a doc in datasetRuns, so old runs can be compared with new
+// ones. Each run keeps a copy of the cases it ran, which keeps it readable
+// after cases are edited or deleted. A case missing a value for one of the
+// prompt's variables fails without being sent.
+//
+// Runs are driven by the browser that started them. A run still marked
+// `running` with no progress for STALE_RUN_MS is shown as interrupted.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  writeBatch,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  increment,
+  serverTimestamp,
+} from "firebase/firestore";
+import { buildRunMessages, executeRun, getMissingRunValues } from "./promptRuns";
+
+export const MAX_TEST_CASES = 100;
+export const RUN_STATUSES = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  INTERRUPTED: "interrupted",
+};
+
+// The case copies and every output share the run doc, which Firestore caps
+// at 1 MiB. Outputs split what the cases leave of this budget, with the rest
+// kept for the run's own fields and each output's metadata.
+const MAX_RUN_BYTES = 900 * 1024;
+const OUTPUT_OVERHEAD_BYTES = 512;
+const RUNS_SHOWN = 20;
+const STALE_RUN_MS = 5 * 60 * 1000;
+const BATCH_LIMIT = 450;
+// Rate-limited calls wait and retry this many times before the case fails
+const RUN_RETRIES = 3;
+
+function byteSize(value) {
+  return new TextEncoder().encode(typeof value === "string" ? value : JSON.stringify(value)).length;
+}
+
+// Cut text to at most `maxBytes` of UTF-8 without splitting a character
+function truncateToBytes(text, maxBytes) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length <= maxBytes) return text;
+  return new TextDecoder().decode(bytes.slice(0, maxBytes)).replace(/\uFFFD+$/, "");
+}
+
+function testCasesRef(teamId, promptId) {
+  return collection(db, "teams", teamId, "prompts", promptId, "testCases");
+}
+
+function runsRef(teamId, promptId) {
+  return collection(db, "teams", teamId, "prompts", promptId, "datasetRuns");
+}
+
+/**
+ * Clean up a test case from the form or an import. Variable values are
+ * kept as strings since that is what the fill-in form produces.
+ */
+export function normalizeTestCase({ variables = {}, expected = "", notes = "" } = {}) {
+  const clean = {};
+  Object.entries(variables || {}).forEach(([name, value]) => {
+    const key = String(name).trim();
+    if (key && value !== undefined && value !== null) clean[key] = String(value);
+  });
+  return {
+    variables: clean,
+    expected: String(expected ?? "").trim(),
+    notes: String(notes ?? "").trim(),
+  };
+}
+
+/**
+ * Subscribe to a prompt's test cases, oldest first
+ */
+export function subscribeToTestCases(teamId, promptId, callback) {
+  const q = query(testCasesRef(teamId, promptId), orderBy("createdAt", "asc"));
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error("Error subscribing to test cases:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Add test cases (one from the form, or many from an import). `existing`
+ * is how many the dataset already has, to enforce MAX_TEST_CASES.
+ */
+export async function addTestCases(teamId, promptId, userId, cases, existing = 0) {
+  const clean = cases.map(normalizeTestCase);
+  if (clean.length === 0) throw new Error("There are no test cases to add");
+  if (existing + clean.length > MAX_TEST_CASES) {
+    throw new Error(`A dataset can hold up to ${MAX_TEST_CASES} test cases`);
+  }
+
+  for (let i = 0; i < clean.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    clean.slice(i, i + BATCH_LIMIT).forEach((testCase) => {
+      batch.set(doc(testCasesRef(teamId, promptId)), {
+        ...testCase,
+        createdBy: userId,
+        createdAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+  return clean.length;
+}
+
+/**
+ * Replace a test case's inputs, expected output and notes
+ */
+export async function updateTestCase(teamId, promptId, caseId, testCase) {
+  await updateDoc(doc(testCasesRef(teamId, promptId), caseId), {
+    ...normalizeTestCase(testCase),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+export async function deleteTestCase(teamId, promptId, caseId) {
+  await deleteDoc(doc(testCasesRef(teamId, promptId), caseId));
+}
+
+/**
+ * Subscribe to a prompt's most recent dataset runs, newest first
+ */
+export function subscribeToDatasetRuns(teamId, promptId, callback) {
+  const q = query(runsRef(teamId, promptId), orderBy("startedAt", "desc"), limit(RUNS_SHOWN));
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error("Error subscribing to dataset runs:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * A run's status for display, spotting runs whose browser went away
+ */
+export function getRunStatus(run, now = Date.now()) {
+  if (run.status !== RUN_STATUSES.RUNNING) return run.status;
+  const lastSeen = run.updatedAt?.toMillis?.() ?? run.startedAt?.toMillis?.();
+  return lastSeen && now - lastSeen > STALE_RUN_MS ? RUN_STATUSES.INTERRUPTED : run.status;
+}
+
+/**
+ * Run every test case against the prompt as it is now and record the
+ * outputs on a new dataset run. Cases run one after another; `shouldStop`
+ * is checked between them to cancel. `extra` is stored on the run as-is
+ * (e.g. which regression check started it). Returns the run id.
+ */
+export async function runDataset(
+  teamId,
+  prompt,
+  testCases,
+  userId,
+  { parameters = {}, snippets = {}, shouldStop = () => false, extra = {} } = {}
+) {
+  if (testCases.length === 0) throw new Error("Add a test case first");
+
+  const cases = Object.fromEntries(
+    testCases.map((c) => [
+      c.id,
+      { variables: c.variables || {}, expected: c.expected || "", notes: c.notes || "" },
+    ])
+  );
+  const outputBytes =
+    Math.floor((MAX_RUN_BYTES - byteSize(cases)) / testCases.length) - OUTPUT_OVERHEAD_BYTES;
+  if (outputBytes < OUTPUT_OVERHEAD_BYTES) {
+    throw new Error("These test cases are too large to run together. Try fewer or shorter cases.");
+  }
+
+  const runRef = await addDoc(runsRef(teamId, prompt.id), {
+    ...extra,
+    status: RUN_STATUSES.RUNNING,
+    startedBy: userId,
+    startedAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    promptVersionId: prompt.latestVersion?.id || null,
+    parameters,
+    caseIds: testCases.map((c) => c.id),
+    cases,
+    outputs: {},
+    completed: 0,
+    failed: 0,
+  });
+
+  let cancelled = false;
+  for (const testCase of testCases) {
+    if (shouldStop()) {
+      cancelled = true;
+      break;
+    }
+
+    const values = testCase.variables || {};
+    const missing = getMissingRunValues(prompt, values, snippets);
+    if (missing.length > 0) {
+      await updateDoc(runRef, {
+        [`outputs.${testCase.id}`]: {
+          error: `No value for ${missing.map((name) => `{{${name}}}`).join(", ")}`,
+          missingVariables: missing,
+        },
+        failed: increment(1),
+        updatedAt: serverTimestamp(),
+      });
+      continue;
+    }
+
+    const messages = buildRunMessages(prompt, values, snippets);
+    try {
+      const data = await executeRun(messages, parameters, { retries: RUN_RETRIES });
+      const output = truncateToBytes(data.output || "", outputBytes);
+      await updateDoc(runRef, {
+        [`outputs.${testCase.id}`]: {
+          output,
+          truncated: output.length < (data.output || "").length,
+          latencyMs: data.latencyMs,
+          usage: data.usage || null,
+        },
+        provider: data.provider,
+        model: data.model,
+        completed: increment(1),
+        updatedAt: serverTimestamp(),
+      });
+    } catch (err) {
+      await updateDoc(runRef, {
+        [`outputs.${testCase.id}`]: { error: err.message || "Run failed" },
+        failed: increment(1),
+        updatedAt: serverTimestamp(),
+      });
+    }
+  }
+
+  await updateDoc(runRef, {
+    status: cancelled ? RUN_STATUSES.CANCELLED : RUN_STATUSES.COMPLETED,
+    finishedAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return runRef.id;
+}
+
+/**
+ * Remove a dataset run
+ */
+export async function deleteDatasetRun(teamId, promptId, runId) {
+  await deleteDoc(doc(runsRef(teamId, promptId), runId));
+}
@@ -0,0 +1,79 @@
+// src/lib/eventStream.js
+// Read Server-Sent Events from a fetch() response
+//
+// /api/enhance-prompt and /api/run-prompt stream when sent { stream: true },
+// but only if the active provider can; otherwise they answer with plain
+// JSON. Check isEventStream() before reading and fall back to res.json().
+// Both routes send `start`, `delta` { text } per chunk, then either `done`
+// with the usual JSON payload or `error`.
+
+/**
+ * Whether `res` is an event stream this browser can read incrementally
+ */
+export function isEventStream(res) {
+  return (res.headers.get("Content-Type") || "").includes("text/event-stream") && Boolean(res.body);
+}
+
+function parseEvent(block) {
+  let event = "message";
+  const data = [];
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  });
+  if (data.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(data.join("\n")) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Call `onEvent(event, data)` for each event, with `data` parsed as JSON.
+ * Resolves when the stream ends. Aborting the fetch's signal rejects with
+ * an AbortError.
+ */
+export async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const blocks = buffered.split(/\r?\n\r?\n/);
+    buffered = blocks.pop();
+    blocks.forEach((block) => {
+      const parsed = parseEvent(block);
+      if (parsed) onEvent(parsed.event, parsed.data);
+    });
+  }
+
+  const last = parseEvent(buffered + decoder.decode());
+  if (last) onEvent(last.event, last.data);
+}
+
+/**
+ * Read a streamed response, passing each `delta` to `onDelta(text)`, and
+ * return the `done` payload. Throws with the server's message on an
+ * `error` event or if the stream ends early.
+ */
+export async function readStreamedResponse(res, { onDelta = () => {} } = {}) {
+  let result = null;
+  let failure = null;
+
+  await readEventStream(res, (event, data) => {
+    if (event === "delta" && data.text) onDelta(data.text);
+    else if (event === "done") result = data;
+    else if (event === "error") failure = data;
+  });
+
+  if (failure) {
+    throw new Error(failure.error?.message || failure.error || "The AI provider returned an error");
+  }
+  if (!result) throw new Error("The response ended before it finished");
+  return result;
+}
@@ -0,0 +1,203 @@
+// src/lib/folders.js
+// Firestore operations for nested prompt folders
+//
+// Folders live at teams/{teamId}/folders/{folderId} as { name, parentId }.
+// A null parentId means the folder sits at the library root. Prompts point
+// at their folder through a `folderId` field (null = unfiled).
+
+import { db } from "./firebase";
+import {
+  collection,
+  addDoc,
+  doc,
+  updateDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
+import { moveToTrash } from "./trash";
+import { canViewPrompt } from "./prompts";
+
+// Firestore caps a batch at 500 writes; leave headroom
+const BATCH_LIMIT = 450;
+
+function foldersRef(teamId) {
+  return collection(db, "teams", teamId, "folders");
+}
+
+/**
+ * Subscribe to every folder in a team, ordered by name
+ */
+export function subscribeToFolders(teamId, callback) {
+  const q = query(foldersRef(teamId), orderBy("name", "asc"));
+
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    },
+    (error) => {
+      console.error("Error subscribing to folders:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Create a folder under parentId (or at the root)
+ */
+export async function createFolder(teamId, userId, name, parentId = null) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) throw new Error("Folder name is required");
+
+  const ref = await addDoc(foldersRef(teamId), {
+    name: trimmed,
+    parentId: parentId || null,
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * Rename a folder
+ */
+export async function renameFolder(teamId, folderId, name) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) throw new Error("Folder name is required");
+
+  await updateDoc(doc(db, "teams", teamId, "folders", folderId), {
+    name: trimmed,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Move a folder under a new parent. Moving a folder into itself or one of
+ * its own descendants would orphan the subtree, so that is rejected.
+ */
+export async function moveFolder(teamId, folders, folderId, newParentId = null) {
+  if (newParentId && getDescendantFolderIds(folders, folderId).includes(newParentId)) {
+    throw new Error("A folder can't be moved into itself or one of its subfolders");
+  }
+
+  await updateDoc(doc(db, "teams", teamId, "folders", folderId), {
+    parentId: newParentId || null,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Delete a folder and every subfolder beneath it. The prompts they contain
+ * are moved to the team trash rather than deleted outright. Refuses when
+ * any of them is hidden from the user (see canViewPrompt), since they
+ * couldn't see or restore it in the trash afterwards.
+ * Returns the number of prompts trashed.
+ */
+export async function deleteFolder(teamId, folders, folderId, { userId = null, userRole } = {}) {
+  const folderIds = getDescendantFolderIds(folders, folderId);
+
+  const promptIds = [];
+  let hidden = 0;
+  for (const id of folderIds) {
+    const snap = await getDocs(
+      query(collection(db, "teams", teamId, "prompts"), where("folderId", "==", id))
+    );
+    snap.docs.forEach((d) => {
+      if (canViewPrompt(d.data(), userId, userRole)) promptIds.push(d.id);
+      else hidden++;
+    });
+  }
+  if (hidden > 0) {
+    throw new Error(
+      `This folder holds ${hidden} prompt${hidden !== 1 ? "s" : ""} you can't see. ` +
+        "Ask their owners or a team owner to move them first."
+    );
+  }
+
+  for (const promptId of promptIds) {
+    await moveToTrash(teamId, promptId, userId);
+  }
+
+  const refs = folderIds.map((id) => doc(db, "teams", teamId, "folders", id));
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+
+  return promptIds.length;
+}
+
+/**
+ * File a prompt into a folder (null moves it back to the root)
+ */
+export async function movePromptToFolder(teamId, promptId, folderId = null) {
+  await updateDoc(doc(db, "teams", teamId, "prompts", promptId), {
+    folderId: folderId || null,
+  });
+}
+
+/**
+ * The folder itself plus every folder nested below it
+ */
+export function getDescendantFolderIds(folders, folderId) {
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i++) {
+    folders.forEach((f) => {
+      if (f.parentId === ids[i] && !ids.includes(f.id)) ids.push(f.id);
+    });
+  }
+  return ids;
+}
+
+/**
+ * Ancestors from the root down to (and including) folderId, for breadcrumbs
+ */
+export function getFolderPath(folders, folderId) {
+  const byId = new Map(folders.map((f) => [f.id, f]));
+  const path = [];
+  let current = byId.get(folderId);
+
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Nest the flat folder list into { ...folder, children } trees.
+ * Folders whose parent no longer exists are shown at the root.
+ */
+export function buildFolderTree(folders) {
+  const byId = new Map(folders.map((f) => [f.id, { ...f, children: [] }]));
+  const roots = [];
+
+  byId.forEach((node) => {
+    const parent = node.parentId ? byId.get(node.parentId) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  return roots;
+}
+
+/**
+ * Depth-first flat list with depth, for indented <select> options
+ */
+export function flattenFolderTree(folders) {
+  const result = [];
+  const walk = (nodes, depth) =>
+    nodes.forEach((node) => {
+      result.push({ id: node.id, name: node.name, depth });
+      walk(node.children, depth + 1);
+    });
+  walk(buildFolderTree(folders), 0);
+  return result;
+}
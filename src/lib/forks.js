@@ -0,0 +1,206 @@
+// src/lib/forks.js
+// Forking prompts and walking their lineage
+//
+// A fork is an ordinary prompt with a `forkedFrom` field recording where it
+// came from: { teamId, promptId, versionId, title, text, messages, forkedBy,
+// forkedAt }. The parent's text is snapshotted so "changes since fork" still
+// works after the parent is edited, deleted or becomes unreadable. Forks may
+// land in another team as long as the user belongs to both.
+//
+// Lineage walks only show prompts the viewer could open in the prompt list
+// (canViewPrompt with their role in that prompt's team). `viewer` is
+// { userId, roles: { [teamId]: role } }.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  serverTimestamp,
+} from "firebase/firestore";
+import { savePrompt, canViewPrompt, filterVisiblePrompts } from "./prompts";
+import { isChatPrompt } from "./chatPrompts";
+
+// Lineage walks stop here so a long chain can't fan out into hundreds of reads
+const MAX_LINEAGE_DEPTH = 10;
+
+// Roles allowed to create prompts (viewers can read but not fork into a team)
+const CREATOR_ROLES = ["owner", "admin", "member"];
+
+/**
+ * Teams the user belongs to, with their role in each
+ */
+export async function getUserTeams(userId) {
+  if (!userId) return [];
+  const snap = await getDocs(
+    query(collection(db, "teams"), where(`members.${userId}`, "!=", null))
+  );
+  return snap.docs.map((d) => ({
+    id: d.id,
+    name: d.data().name || "Untitled team",
+    role: d.data().members?.[userId] || null,
+  }));
+}
+
+/**
+ * Teams the user may fork a prompt into
+ */
+export function getForkTargets(teams) {
+  return teams.filter((t) => CREATOR_ROLES.includes(t.role));
+}
+
+async function getLatestVersionId(teamId, promptId) {
+  try {
+    const snap = await getDocs(
+      query(
+        collection(db, "teams", teamId, "prompts", promptId, "versions"),
+        orderBy("createdAt", "desc"),
+        limit(1)
+      )
+    );
+    return snap.empty ? null : snap.docs[0].id;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a copy of `source` in targetTeamId that remembers its parent.
+ * Returns the new prompt id.
+ */
+export async function forkPrompt(userId, source, sourceTeamId, targetTeamId, title) {
+  if (!userId) throw new Error("Sign in to fork prompts");
+  if (!sourceTeamId || !targetTeamId) throw new Error("No team selected");
+
+  const isChat = isChatPrompt(source);
+  const versionId = await getLatestVersionId(sourceTeamId, source.id);
+  const sameTeam = sourceTeamId === targetTeamId;
+  // A restricted audience names members of the source team, so a fork into
+  // another team falls back to private
+  const restricted = source.visibility === "restricted";
+
+  return savePrompt(
+    userId,
+    {
+      title: (title || "").trim() || `${source.title} (fork)`,
+      text: source.text,
+      type: source.type,
+      messages: isChat ? source.messages : undefined,
+      tags: source.tags || [],
+      visibility: restricted && !sameTeam ? "private" : source.visibility || "public",
+      restrictedTo: restricted && sameTeam ? source.restrictedTo : undefined,
+      // Folders are per team, so only keep the folder for same-team forks
+      folderId: sameTeam ? source.folderId || null : null,
+      forkedFrom: {
+        teamId: sourceTeamId,
+        promptId: source.id,
+        versionId,
+        title: source.title || "",
+        text: source.text || "",
+        messages: isChat ? source.messages : null,
+        forkedBy: userId,
+        forkedAt: serverTimestamp(),
+      },
+    },
+    targetTeamId
+  );
+}
+
+/**
+ * Load a prompt in any team. Resolves to null when it was deleted or the
+ * user can no longer read it.
+ */
+export async function getPromptAnywhere(teamId, promptId) {
+  try {
+    const snap = await getDoc(doc(db, "teams", teamId, "prompts", promptId));
+    return snap.exists() ? { id: snap.id, teamId, ...snap.data() } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parents of a prompt, nearest first. Ancestors that can't be loaded or that
+ * the viewer may not see are returned with `unavailable: true` and only the
+ * title recorded at fork time, and the walk stops there.
+ */
+export async function getForkAncestors(prompt, { userId, roles = {} } = {}) {
+  const ancestors = [];
+  const seen = new Set([prompt.id]);
+  let link = prompt.forkedFrom;
+
+  while (link && ancestors.length < MAX_LINEAGE_DEPTH && !seen.has(link.promptId)) {
+    seen.add(link.promptId);
+    const parent = await getPromptAnywhere(link.teamId, link.promptId);
+    if (!parent || !canViewPrompt(parent, userId, roles[link.teamId])) {
+      ancestors.push({
+        id: link.promptId,
+        teamId: link.teamId,
+        title: link.title,
+        unavailable: true,
+      });
+      break;
+    }
+    ancestors.push(parent);
+    link = parent.forkedFrom;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Forks of a prompt (and forks of those) the viewer may see, searched
+ * across the given teams. Forks under a hidden one aren't searched. Each
+ * entry carries `depth` (1 = direct fork) and `parentId`.
+ */
+export async function getForkDescendants(teamIds, teamId, promptId, { userId, roles = {} } = {}) {
+  const descendants = [];
+  const seen = new Set([promptId]);
+  let frontier = [{ id: promptId, teamId, depth: 0 }];
+
+  while (frontier.length && frontier[0].depth < MAX_LINEAGE_DEPTH) {
+    const next = [];
+    for (const node of frontier) {
+      for (const tid of teamIds) {
+        let snap;
+        try {
+          snap = await getDocs(
+            query(
+              collection(db, "teams", tid, "prompts"),
+              where("forkedFrom.promptId", "==", node.id)
+            )
+          );
+        } catch {
+          continue;
+        }
+        const forks = snap.docs
+          .map((d) => ({ id: d.id, teamId: tid, ...d.data() }))
+          .filter((f) => f.forkedFrom?.teamId === node.teamId && !seen.has(f.id));
+        filterVisiblePrompts(forks, userId, roles[tid]).forEach((fork) => {
+          seen.add(fork.id);
+          const child = { ...fork, depth: node.depth + 1, parentId: node.id };
+          descendants.push(child);
+          next.push(child);
+        });
+      }
+    }
+    frontier = next;
+  }
+
+  // Depth-first order so each fork is listed right under its parent
+  const ordered = [];
+  const visit = (parentId) =>
+    descendants
+      .filter((d) => d.parentId === parentId)
+      .forEach((d) => {
+        ordered.push(d);
+        visit(d.id);
+      });
+  visit(promptId);
+  return ordered;
+}
@@ -232,6 +232,7 @@ export class GuestStateManager {
       prompts: work.prompts.map(p => ({
         title: p.title || 'Untitled Prompt',
         text: p.text || '',
+        ...(p.type === 'chat' ? { type: p.type, messages: p.messages || [] } : {}),
         tags: p.tags || [],
         visibility: p.visibility || 'private',
         outputs: this.getOutputs(p.id),
@@ -0,0 +1,85 @@
+// src/lib/ownership.js
+// Moving prompts to a new owner, e.g. when their author leaves the team
+//
+// A transfer rewrites `createdBy` (so visibility and edit rights follow the
+// new owner) and remembers where the prompt came from in `transferredFrom`.
+// Prompts can instead be made public in place, which keeps the original
+// author but stops a private prompt from becoming unreachable once they're
+// gone. Every prompt moved gets its own activity feed entry so the feed's
+// visibility filtering still applies per prompt.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
+
+// Firestore caps a batch at 500 writes; leave headroom
+const BATCH_LIMIT = 450;
+
+/**
+ * Every prompt in a team authored by `userId`
+ */
+export async function getPromptsOwnedBy(teamId, userId) {
+  const snap = await getDocs(
+    query(collection(db, "teams", teamId, "prompts"), where("createdBy", "==", userId))
+  );
+  return snap.docs.map((d) => ({ id: d.id, teamId, ...d.data() }));
+}
+
+/**
+ * Hand `prompts` to `toUserId`, and/or make them public.
+ * `toName` is stored on the activity entry so the feed can show it even
+ * after the profile changes.
+ */
+export async function transferPromptOwnership(
+  teamId,
+  prompts,
+  { toUserId = null, toName = "", makePublic = false },
+  actorId
+) {
+  if (!toUserId && !makePublic) {
+    throw new Error("Pick a new owner or make the prompts public");
+  }
+
+  const moving = prompts.filter((p) => p.createdBy !== toUserId || makePublic);
+  const activities = collection(db, "teams", teamId, "activities");
+
+  // Two writes per prompt: the prompt itself and its activity entry
+  for (let i = 0; i < moving.length; i += BATCH_LIMIT / 2) {
+    const batch = writeBatch(db);
+    moving.slice(i, i + BATCH_LIMIT / 2).forEach((prompt) => {
+      const changes = {};
+      if (toUserId && prompt.createdBy !== toUserId) {
+        changes.createdBy = toUserId;
+        changes.transferredFrom = prompt.createdBy || null;
+        changes.transferredBy = actorId;
+        changes.transferredAt = serverTimestamp();
+      }
+      if (makePublic) changes.visibility = "public";
+
+      batch.update(doc(db, "teams", teamId, "prompts", prompt.id), changes);
+      batch.set(doc(activities), {
+        type: "ownership_transferred",
+        userId: actorId,
+        promptId: prompt.id,
+        promptTitle: prompt.title || "",
+        timestamp: serverTimestamp(),
+        metadata: {
+          fromUserId: prompt.createdBy || null,
+          toUserId: changes.createdBy || null,
+          toName: changes.createdBy ? toName : "",
+          madePublic: makePublic,
+        },
+      });
+    });
+    await batch.commit();
+  }
+
+  return moving.length;
+}
@@ -0,0 +1,162 @@
+// src/lib/promptRuns.js
+// Run a prompt through /api/run-prompt and keep the output as a result
+//
+// Variables are filled in and snippets expanded here, so the server only
+// sees the final messages. The output is stored with addResultToPrompt
+// along with how it was produced: provider, model, parameters, latency,
+// token usage, the variable values and the prompt version that ran.
+
+import { authFetch } from "../../services/api";
+import { isEventStream, readStreamedResponse } from "./eventStream";
+import { expandPromptSnippets } from "./snippets";
+import { isChatPrompt, fillMessageVariables, toOpenAIFormat } from "./chatPrompts";
+import { parseVariables, fillVariables, getMissingVariables } from "./promptVariables";
+
+// Mirrors DEFAULT_PARAMETERS / PARAMETER_RANGES in api/_providers.js and
+// api/run-prompt.js
+export const RUN_PARAMETERS = {
+  temperature: { label: "Temperature", min: 0, max: 2, step: 0.1, defaultValue: 0.7 },
+  maxTokens: { label: "Max tokens", min: 1, max: 4000, step: 1, defaultValue: 2000 },
+};
+
+export const RESULT_SOURCE_RUN = "run";
+
+/**
+ * Default values for every run parameter
+ */
+export function getDefaultRunParameters() {
+  return Object.fromEntries(
+    Object.entries(RUN_PARAMETERS).map(([key, { defaultValue }]) => [key, defaultValue])
+  );
+}
+
+/**
+ * The variables a run needs values for, snippets included
+ */
+export function getRunVariables(prompt, snippetsByName = {}) {
+  return parseVariables(expandPromptSnippets(prompt, snippetsByName).text);
+}
+
+/**
+ * Chat messages ([{ role, content }]) to send for a prompt. Text prompts
+ * become a single user message.
+ */
+export function buildRunMessages(prompt, values = {}, snippetsByName = {}) {
+  const expanded = expandPromptSnippets(prompt, snippetsByName);
+  if (isChatPrompt(expanded)) {
+    return toOpenAIFormat(fillMessageVariables(expanded.messages, values)).messages;
+  }
+  return [{ role: "user", content: fillVariables(expanded.text, values) }];
+}
+
+/**
+ * Variables buildRunMessages() would send as raw {{name}} tokens because
+ * `values` has nothing for them and the token has no default
+ */
+export function getMissingRunValues(prompt, values = {}, snippetsByName = {}) {
+  const expanded = expandPromptSnippets(prompt, snippetsByName);
+  const texts = isChatPrompt(expanded)
+    ? (expanded.messages || []).map((m) => m.content)
+    : [expanded.text];
+  return [...new Set(texts.flatMap((text) => getMissingVariables(text, values)))];
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Providers and models a run may pick, from /api/providers:
+ * [{ provider, label, models, isDefault, ... }]
+ */
+export async function listRunModels() {
+  const res = await authFetch("/api/providers");
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.success) {
+    throw new Error(data.error?.message || data.error || `Couldn't load models (${res.status})`);
+  }
+  return data.providers;
+}
+
+/**
+ * Send messages to /api/run-prompt and return its payload: { output,
+ * provider, model, parameters, latencyMs, usage }. With `retries`, a 429
+ * waits for the server's Retry-After and tries again, which batch runs
+ * rely on to stay under the per-user rate limit. With `onDelta`, the
+ * output is streamed and passed to it as it arrives (if the provider can
+ * stream). Aborting `signal` rejects with an AbortError. `selection`
+ * ({ provider, model } from listRunModels()) overrides the server default.
+ * `save` ({ teamId, promptId, variables }) has the server store the output
+ * as a result on that prompt; the payload then carries its `resultId`.
+ */
+export async function executeRun(
+  messages,
+  parameters = {},
+  { retries = 0, onDelta, signal, selection = {}, save } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await authFetch("/api/run-prompt", {
+      method: "POST",
+      signal,
+      body: JSON.stringify({
+        messages,
+        parameters,
+        provider: selection.provider,
+        model: selection.model,
+        save,
+        stream: Boolean(onDelta),
+      }),
+    });
+
+    if (res.status === 429 && attempt < retries) {
+      const retryAfter = Number(res.headers.get("Retry-After")) || 10;
+      await wait(retryAfter * 1000);
+      continue;
+    }
+
+    if (res.ok && isEventStream(res)) return readStreamedResponse(res, { onDelta });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.success) {
+      throw new Error(data.error?.message || data.error || `Run failed (${res.status})`);
+    }
+    return data;
+  }
+}
+
+/**
+ * Run a prompt and have the server save the output as a text result, so
+ * the recorded model, usage and latency are the server's. Returns the
+ * saved result data with its `id`. Throws with a readable message if the
+ * run or save fails. `onDelta`, `signal` and `selection` are passed to
+ * executeRun().
+ */
+export async function runPrompt(
+  teamId,
+  prompt,
+  userId,
+  { values = {}, parameters = {}, snippets = {}, onDelta, signal, selection } = {}
+) {
+  const data = await executeRun(buildRunMessages(prompt, values, snippets), parameters, {
+    onDelta,
+    signal,
+    selection,
+    save: { teamId, promptId: prompt.id, variables: values },
+  });
+  if (!data.resultId) throw new Error("The output couldn't be saved");
+
+  // As stored by /api/run-prompt
+  return {
+    id: data.resultId,
+    type: "text",
+    title: `Run · ${data.model}`,
+    content: data.output,
+    source: RESULT_SOURCE_RUN,
+    provider: data.provider,
+    model: data.model,
+    parameters: data.parameters,
+    latencyMs: data.latencyMs,
+    usage: data.usage || null,
+    variables: values,
+    promptVersionId: prompt.latestVersion?.id || null,
+    createdBy: userId,
+  };
+}
@@ -0,0 +1,156 @@
+// src/lib/promptStatus.js
+// Prompt lifecycle: draft → in review → approved → deprecated
+//
+// Members move their own drafts into review; owners/admins approve them or
+// send them back to draft with a comment. The latest decision is kept on
+// the prompt doc under `review` so the card can show why it was returned.
+
+import { db } from "./firebase";
+import { doc, updateDoc, serverTimestamp } from "firebase/firestore";
+
+export const PROMPT_STATUSES = {
+  DRAFT: "draft",
+  IN_REVIEW: "in_review",
+  APPROVED: "approved",
+  DEPRECATED: "deprecated",
+};
+
+export const STATUS_META = {
+  draft: { label: "Draft", color: "#94a3b8" },
+  in_review: { label: "In review", color: "#f59e0b" },
+  approved: { label: "Approved", color: "#34d399" },
+  deprecated: { label: "Deprecated", color: "#f87171" },
+};
+
+/**
+ * Prompts created before the workflow existed were already live, so a
+ * missing status is treated as approved.
+ */
+export function getPromptStatus(prompt) {
+  return STATUS_META[prompt?.status] ? prompt.status : PROMPT_STATUSES.APPROVED;
+}
+
+/**
+ * Which lifecycle actions a user may take on a prompt right now
+ */
+export function getAvailableStatusActions(prompt, { canModify, canReview }) {
+  const status = getPromptStatus(prompt);
+  const actions = [];
+
+  if (status === PROMPT_STATUSES.DRAFT && canModify) actions.push("request_review");
+  if (status === PROMPT_STATUSES.DRAFT && canReview) actions.push("approve");
+  if (status === PROMPT_STATUSES.IN_REVIEW && canReview) actions.push("approve", "reject");
+  if (status === PROMPT_STATUSES.IN_REVIEW && canModify) actions.push("withdraw");
+  if (status === PROMPT_STATUSES.APPROVED && canReview) actions.push("deprecate");
+  if (status === PROMPT_STATUSES.DEPRECATED && canReview) actions.push("reinstate");
+
+  return actions;
+}
+
+// What a reviewer actually signs off on
+const REVIEWED_FIELDS = ["text", "messages", "type"];
+
+/**
+ * Status fields to write with an edit. The approval was for the old
+ * content, so changing what an approved prompt says (legacy prompts
+ * included, see getPromptStatus) sends it back to draft. Returns null when
+ * the status stays. Merged change requests were reviewed already and don't
+ * come through here.
+ */
+export function getStatusAfterEdit(prompt, changedFields) {
+  if (getPromptStatus(prompt) !== PROMPT_STATUSES.APPROVED) return null;
+  if (!changedFields.some((field) => REVIEWED_FIELDS.includes(field))) return null;
+  return { status: PROMPT_STATUSES.DRAFT, statusChangedAt: serverTimestamp() };
+}
+
+async function setStatus(teamId, promptId, fields) {
+  await updateDoc(doc(db, "teams", teamId, "prompts", promptId), {
+    ...fields,
+    statusChangedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Submit a draft for review
+ */
+export async function requestReview(teamId, promptId, userId, note = "") {
+  await setStatus(teamId, promptId, {
+    status: PROMPT_STATUSES.IN_REVIEW,
+    review: {
+      requestedBy: userId,
+      requestedAt: serverTimestamp(),
+      note: note.trim(),
+      decision: null,
+      comment: "",
+    },
+  });
+}
+
+/**
+ * Pull a prompt back out of review without a decision
+ */
+export async function withdrawReview(teamId, promptId) {
+  await setStatus(teamId, promptId, {
+    status: PROMPT_STATUSES.DRAFT,
+    "review.decision": "withdrawn",
+  });
+}
+
+/**
+ * Approve a prompt under review
+ */
+export async function approvePrompt(teamId, promptId, reviewerId, comment = "") {
+  await setStatus(teamId, promptId, {
+    status: PROMPT_STATUSES.APPROVED,
+    "review.decision": "approved",
+    "review.comment": comment.trim(),
+    "review.reviewedBy": reviewerId,
+    "review.reviewedAt": serverTimestamp(),
+  });
+}
+
+/**
+ * Send a prompt under review back to draft. A comment is required so the
+ * author knows what to change.
+ */
+export async function rejectPrompt(teamId, promptId, reviewerId, comment) {
+  if (!comment || !comment.trim()) {
+    throw new Error("Please explain what needs to change");
+  }
+
+  await setStatus(teamId, promptId, {
+    status: PROMPT_STATUSES.DRAFT,
+    "review.decision": "rejected",
+    "review.comment": comment.trim(),
+    "review.reviewedBy": reviewerId,
+    "review.reviewedAt": serverTimestamp(),
+  });
+}
+
+/**
+ * Retire an approved prompt, optionally pointing at its replacement
+ */
+export async function deprecatePrompt(teamId, promptId, userId, replacementId = null) {
+  if (replacementId === promptId) {
+    throw new Error("A prompt can't replace itself");
+  }
+
+  await setStatus(teamId, promptId, {
+    status: PROMPT_STATUSES.DEPRECATED,
+    deprecation: {
+      by: userId,
+      at: serverTimestamp(),
+      replacementId: replacementId || null,
+    },
+  });
+}
+
+/**
+ * Bring a deprecated prompt back into use
+ */
+export async function reinstatePrompt(teamId, promptId) {
+  await setStatus(teamId, promptId, {
+    status: PROMPT_STATUSES.APPROVED,
+    deprecation: null,
+  });
+}
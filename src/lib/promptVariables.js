@@ -0,0 +1,185 @@
+// src/lib/promptVariables.js
+// Typed template variables embedded in prompt text
+//
+// Syntax:  {{name}}  {{name:type}}  {{name:type=default}}
+//   type  → text (default) | number | multiline | enum(option1|option2|…)
+//
+// Examples:
+//   {{topic}}
+//   {{audience:text=developers}}
+//   {{word_count:number=800}}
+//   {{tone:enum(formal|casual|playful)=casual}}
+//   {{context:multiline}}
+
+export const VARIABLE_TYPES = ["text", "number", "enum", "multiline"];
+
+const VARIABLE_PATTERN =
+  /\{\{\s*([A-Za-z_][\w-]*)\s*(?::\s*(text|number|multiline|enum)\s*(?:\(([^)]*)\))?\s*)?(?:=([^}]*))?\}\}/g;
+
+/**
+ * Parse a single matched token into a variable declaration
+ */
+function toDeclaration(name, type, rawOptions, rawDefault) {
+  const options =
+    type === "enum"
+      ? (rawOptions || "")
+          .split("|")
+          .map((o) => o.trim())
+          .filter(Boolean)
+      : [];
+
+  return {
+    name,
+    type: type || "text",
+    defaultValue: rawDefault !== undefined ? rawDefault.trim() : "",
+    options,
+  };
+}
+
+/**
+ * Extract the declared variables from prompt text.
+ * Each variable name appears once, in order of first use; the first
+ * occurrence that carries a type or default wins.
+ */
+export function parseVariables(text) {
+  if (!text || typeof text !== "string") return [];
+
+  const byName = new Map();
+
+  for (const match of text.matchAll(VARIABLE_PATTERN)) {
+    const [, name, type, rawOptions, rawDefault] = match;
+    const declaration = toDeclaration(name, type, rawOptions, rawDefault);
+    const existing = byName.get(name);
+
+    if (!existing) {
+      byName.set(name, declaration);
+    } else if (existing.type === "text" && !existing.defaultValue) {
+      // A later, more specific occurrence fills in a bare {{name}}
+      if (type || rawDefault !== undefined) byName.set(name, declaration);
+    }
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Check whether text contains any template variables
+ */
+export function hasVariables(text) {
+  return parseVariables(text).length > 0;
+}
+
+/**
+ * Serialize a declaration back into its {{…}} token
+ */
+export function formatVariableToken({ name, type = "text", defaultValue = "", options = [] }) {
+  let token = name;
+
+  if (type === "enum") {
+    token += `:enum(${options.join("|")})`;
+  } else if (type !== "text") {
+    token += `:${type}`;
+  }
+
+  if (defaultValue !== "" && defaultValue !== undefined && defaultValue !== null) {
+    token += `=${defaultValue}`;
+  }
+
+  return `{{${token}}}`;
+}
+
+/**
+ * Rewrite every occurrence of a variable in text with an updated declaration.
+ * Renaming is supported by passing a declaration with a different name.
+ */
+export function updateVariableInText(text, name, declaration) {
+  const token = formatVariableToken(declaration);
+  return text.replace(VARIABLE_PATTERN, (match, matchName) =>
+    matchName === name ? token : match
+  );
+}
+
+/**
+ * Build the initial form values for a set of declarations
+ */
+export function getDefaultValues(variables = []) {
+  return variables.reduce((values, variable) => {
+    if (variable.type === "enum" && !variable.defaultValue) {
+      values[variable.name] = variable.options[0] || "";
+    } else {
+      values[variable.name] = variable.defaultValue || "";
+    }
+    return values;
+  }, {});
+}
+
+/**
+ * Validate user supplied values against declarations.
+ * Returns a map of variable name → error message (empty when valid).
+ */
+export function validateVariableValues(variables = [], values = {}) {
+  const errors = {};
+
+  variables.forEach((variable) => {
+    const value = values[variable.name];
+    const str = value === undefined || value === null ? "" : String(value);
+
+    if (!str.trim()) {
+      errors[variable.name] = "Value is required";
+      return;
+    }
+
+    if (variable.type === "number" && isNaN(Number(str))) {
+      errors[variable.name] = "Must be a number";
+    }
+
+    if (
+      variable.type === "enum" &&
+      variable.options.length > 0 &&
+      !variable.options.includes(str)
+    ) {
+      errors[variable.name] = `Must be one of: ${variable.options.join(", ")}`;
+    }
+  });
+
+  return errors;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value) !== "";
+}
+
+/**
+ * Names of the variables fillVariables() would leave as raw tokens in
+ * text: no value supplied and no default on the token
+ */
+export function getMissingVariables(text, values = {}) {
+  if (!text) return [];
+
+  const missing = new Set();
+  for (const [, name, , , rawDefault] of text.matchAll(VARIABLE_PATTERN)) {
+    const hasDefault = rawDefault !== undefined && rawDefault.trim() !== "";
+    if (!hasValue(values[name]) && !hasDefault) missing.add(name);
+  }
+  return [...missing];
+}
+
+/**
+ * Replace every variable token in text with the supplied value.
+ * Variables without a value fall back to their declared default; tokens
+ * with neither are left untouched so nothing is silently dropped.
+ */
+export function fillVariables(text, values = {}) {
+  if (!text) return "";
+
+  return text.replace(VARIABLE_PATTERN, (match, name, _type, _options, rawDefault) => {
+    const value = values[name];
+    if (hasValue(value)) {
+      return String(value);
+    }
+    if (rawDefault !== undefined && rawDefault.trim() !== "") {
+      return rawDefault.trim();
+    }
+    return match;
+  });
+}
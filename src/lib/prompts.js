@@ -6,12 +6,17 @@ import {
   serverTimestamp,
   doc,
   updateDoc,
-  deleteDoc,
   setDoc,
+  runTransaction,
   deleteDoc as fbDeleteDoc,
 } from "firebase/firestore";
 import { getInitialStats } from "./promptStats";
 import { guestState } from "./guestState";  // ✅ ADD THIS
+import { parseVariables } from "./promptVariables";
+import { buildPromptContent, PROMPT_TYPES } from "./chatPrompts";
+import { PROMPT_STATUSES, getStatusAfterEdit } from "./promptStatus";
+import { moveToTrash } from "./trash";
+import { getChangedFields, recordVersion } from "./versions";
 
 /**
  * Save new prompt with visibility control
@@ -20,13 +25,15 @@ import { guestState } from "./guestState";  // ✅ ADD THIS
 export async function savePrompt(userId, prompt, teamId) {
   // ✅ GUEST MODE: Save to sessionStorage
   if (userId === 'guest' || !userId) {
-    const { title, text, tags, visibility = "public" } = prompt;
+    const { title, tags, visibility = "public" } = prompt;
+    const content = buildPromptContent(prompt);
     
     const guestPrompt = {
       title: title || "",
-      text: text || "",
+      ...content,
       tags: Array.isArray(tags) ? tags : [],
       visibility: visibility,
+      variables: parseVariables(content.text),
       owner: 'guest',
       isGuest: true,
     };
@@ -37,33 +44,112 @@ export async function savePrompt(userId, prompt, teamId) {
   // ✅ AUTHENTICATED: Save to Firestore
   if (!teamId) throw new Error("No team selected");
 
-  const { title, text, tags, visibility = "public" } = prompt;
+  const {
+    title,
+    tags,
+    visibility = "public",
+    restrictedTo,
+    folderId = null,
+    forkedFrom,
+    metadata,
+  } = prompt;
+  const content = buildPromptContent(prompt);
 
-  await addDoc(collection(db, "teams", teamId, "prompts"), {
+  const ref = await addDoc(collection(db, "teams", teamId, "prompts"), {
     title: title || "",
-    text: text || "",
+    ...content,
     tags: Array.isArray(tags) ? tags : [],
     visibility: visibility,
+    ...(visibility === "restricted" ? { restrictedTo: restrictedTo || { members: [], roles: [] } } : {}),
+    folderId: folderId || null,
+    variables: parseVariables(content.text),
+    // New team prompts start as drafts and go live once approved
+    status: PROMPT_STATUSES.DRAFT,
     createdAt: serverTimestamp(),
     createdBy: userId,
     stats: getInitialStats(),  
+    ...(forkedFrom ? { forkedFrom } : {}),
+    ...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {}),
   });
+  return ref.id;
 }
 
 /**
  * Update existing prompt
  * ✅ FIXED: Added guest mode support
+ * Variables are re-derived whenever the text changes so the stored
+ * declaration list never drifts from the template. Chat prompts have
+ * their text re-flattened from the messages first.
+ *
+ * Team prompts get a version snapshot in the same transaction whenever
+ * their content changes (see lib/versions). `userId` is recorded as the
+ * author of the change and `changeNote` as its message.
  */
-export async function updatePrompt(teamId, promptId, updates) {
+export async function updatePrompt(
+  teamId,
+  promptId,
+  updates,
+  { userId = null, changeNote = "", coalesce = true } = {}
+) {
+  let withContent = updates;
+  if (updates.type || updates.messages) {
+    const type = updates.type || PROMPT_TYPES.CHAT;
+    withContent = { ...updates, ...buildPromptContent({ ...updates, type }) };
+    if (withContent.type === PROMPT_TYPES.TEXT) withContent.messages = [];
+  }
+
+  const withVariables =
+    typeof withContent.text === "string"
+      ? { ...withContent, variables: parseVariables(withContent.text) }
+      : withContent;
+
   // ✅ GUEST MODE: Update in guestState
   if (!teamId || teamId === null) {
-    return guestState.updatePrompt(promptId, updates);
+    return guestState.updatePrompt(promptId, withVariables);
   }
   
   // ✅ AUTHENTICATED: Update in Firestore
   const ref = doc(db, "teams", teamId, "prompts", promptId);
-  const { id, teamId: tid, createdAt, createdBy, ...allowedUpdates } = updates;
-  await updateDoc(ref, allowedUpdates);
+  // Version pointers, labels, the proposal counter and regression results
+  // have their own writers, so a stale copy spread into `updates` must not
+  // overwrite them
+  const {
+    id,
+    teamId: tid,
+    createdAt,
+    createdBy,
+    latestVersion: _latestVersion,
+    versionLabels: _versionLabels,
+    openChangeRequests: _openChangeRequests,
+    regression: _regression,
+    ...allowedUpdates
+  } = withVariables;
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Prompt not found");
+    const current = snap.data();
+
+    const changedFields = getChangedFields(current, allowedUpdates);
+    if (changedFields.length === 0) {
+      tx.update(ref, allowedUpdates);
+      return;
+    }
+
+    const pointer = recordVersion(tx, teamId, promptId, current, allowedUpdates, {
+      userId,
+      changeNote,
+      changedFields,
+      coalesce,
+    });
+    tx.update(ref, {
+      ...allowedUpdates,
+      ...pointer,
+      ...getStatusAfterEdit(current, changedFields),
+      updatedAt: serverTimestamp(),
+      updatedBy: userId,
+    });
+  });
 }
 
 /**
@@ -81,8 +167,16 @@ export async function togglePromptVisibility(teamId, promptId, currentVisibility
   return newVisibility;
 }
 
+// Roles an author can open a restricted prompt to. Owners always see
+// restricted prompts, so they aren't offered.
+export const RESTRICTABLE_ROLES = ["admin", "member"];
+
 /**
  * Check if user can view a prompt based on visibility rules
+ *
+ * Restricted prompts carry `restrictedTo: { members: [uid], roles: [role] }`
+ * and are visible to their author, the team owner, and anyone listed by
+ * uid or role. Guest links have no user or role, so never see them.
  */
 export function canViewPrompt(prompt, userId, userRole) {
   // Public prompts are visible to all team members
@@ -103,6 +197,17 @@ export function canViewPrompt(prompt, userId, userRole) {
     return false;
   }
 
+  if (prompt.visibility === "restricted") {
+    if (userId && prompt.createdBy === userId) return true;
+    if (userRole === "owner") return true;
+
+    const { members = [], roles = [] } = prompt.restrictedTo || {};
+    return (
+      (Boolean(userId) && members.includes(userId)) ||
+      (Boolean(userRole) && roles.includes(userRole))
+    );
+  }
+
   return true;
 }
 
@@ -131,17 +236,18 @@ export function filterVisiblePrompts(prompts, userId, userRole) {
 /**
  * Delete prompt
  * ✅ FIXED: Added guest mode support
+ * Team prompts are moved to the trash (with their comments, ratings,
+ * results and versions) and can be restored for 30 days.
  */
-export async function deletePrompt(teamId, promptId) {
+export async function deletePrompt(teamId, promptId, userId = null) {
   // ✅ GUEST MODE: Delete from guestState (not needed, handled elsewhere)
   if (!teamId || teamId === null) {
     // Guest deletion handled in PromptList via deleteDemoPrompt
     return;
   }
   
-  // ✅ AUTHENTICATED: Delete from Firestore
-  const ref = doc(db, "teams", teamId, "prompts", promptId);
-  await deleteDoc(ref);
+  // ✅ AUTHENTICATED: Move to the team trash
+  await moveToTrash(teamId, promptId, userId);
 }
 
 /**
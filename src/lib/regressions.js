@@ -0,0 +1,411 @@
+// src/lib/regressions.js
+// Regression checks: after a new version of a prompt is saved, run its test
+// dataset against the new version and compare with the previous one
+//
+// A check is driven by the browser of whoever saved the version (see
+// useRegressionChecks). Checks are keyed on the version's revision — its id
+// plus how many saves were folded into it (see versions.js) — so every save
+// is checked, not just the first of a burst. A check claims the revision on
+// the prompt doc so other tabs leave it alone (a claim left RUNNING for
+// STALE_CHECK_MS, e.g. because the tab closed, can be taken over), finds a
+// baseline — the newest completed dataset run on an earlier version, or a
+// fresh run of the previous version when there is none — and runs every
+// test case against the new version with the baseline's parameters. The two
+// runs are compared on the cases both completed:
+//   - check pass rate, using the prompt's assertions (assertions.js)
+//   - mean rubric score, when the prompt has a regression rubric; missing
+//     grades are filled in first (rubrics.js)
+//   - similarity to each case's expected output (plagiarism.js)
+// The outcome is kept on the prompt doc as `regression`:
+//   { status, versionId, revision, baselineRunId, runId, metrics, reasons,
+//     checkedBy, startedAt, checkedAt }
+// and a `regression_detected` activity is logged when anything got worse.
+// Neither is written if a newer save has claimed the check by then.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  limit,
+  getDoc,
+  getDocs,
+  runTransaction,
+  updateDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { RUN_STATUSES, runDataset } from "./datasets";
+import { getDefaultRunParameters } from "./promptRuns";
+import { getPassRate, evaluateResult } from "./assertions";
+import { gradeRunOutput } from "./rubrics";
+import { calculateSimilarity } from "./plagiarism";
+
+export const REGRESSION_STATUSES = {
+  RUNNING: "running",
+  PASSED: "passed",
+  REGRESSED: "regressed",
+  FAILED: "failed",
+};
+
+// How far a metric may fall before it counts as a regression. Pass rate
+// and rubric score are 0–1 shares; similarity is plagiarism.js's 0–100.
+export const REGRESSION_THRESHOLDS = {
+  passRate: 0,
+  score: 0.1,
+  similarity: 10,
+};
+
+// Only versions saved this recently are checked, so opening the app after
+// a long break doesn't start runs for old edits
+const CHECK_WINDOW_MS = 10 * 60 * 1000;
+// A check still RUNNING after this long was abandoned (its tab closed)
+const STALE_CHECK_MS = 30 * 60 * 1000;
+const BASELINE_CANDIDATES = 20;
+const GRADE_RETRIES = 3;
+// Case ids kept on the summary for the cases that got worse
+const MAX_LISTED_CASES = 20;
+
+function promptRef(teamId, promptId) {
+  return doc(db, "teams", teamId, "prompts", promptId);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Key for the latest save of the prompt: its version id plus the number of
+ * edits folded into that version. Null when it has no versions.
+ */
+export function getRevisionKey(prompt) {
+  const latest = prompt?.latestVersion;
+  return latest?.id ? `${latest.id}:${latest.editCount || 1}` : null;
+}
+
+// Summaries written before revisions existed were for the first save
+function revisionOf(regression) {
+  return regression.revision || `${regression.versionId}:1`;
+}
+
+function isStale(regression, now = Date.now()) {
+  const startedAt = regression?.startedAt?.toMillis?.();
+  return (
+    regression?.status === REGRESSION_STATUSES.RUNNING &&
+    Boolean(startedAt) &&
+    now - startedAt > STALE_CHECK_MS
+  );
+}
+
+/**
+ * Whether `userId` should start a check for the prompt's latest save: they
+ * made it, and either it's recent and unchecked, or its check was abandoned
+ */
+export function needsRegressionCheck(prompt, userId, now = Date.now()) {
+  const latest = prompt?.latestVersion;
+  const editedAt = (latest?.editedAt || latest?.savedAt)?.toMillis?.();
+  if (!latest?.id || !userId || latest.createdBy !== userId || !editedAt) return false;
+
+  const regression = prompt.regression;
+  if (regression && revisionOf(regression) === getRevisionKey(prompt)) {
+    return isStale(regression, now);
+  }
+  return now - editedAt < CHECK_WINDOW_MS;
+}
+
+/**
+ * The prompt's regression summary if it is about the latest save. An
+ * abandoned check is reported as failed.
+ */
+export function getCurrentRegression(prompt) {
+  const regression = prompt?.regression;
+  if (!regression || revisionOf(regression) !== getRevisionKey(prompt)) return null;
+  if (isStale(regression)) {
+    return {
+      ...regression,
+      status: REGRESSION_STATUSES.FAILED,
+      error: "The check stopped before it finished",
+    };
+  }
+  return regression;
+}
+
+function completedOutputs(run) {
+  return Object.fromEntries(
+    Object.entries(run.outputs || {}).filter(([, entry]) => !entry.error && typeof entry.output === "string")
+  );
+}
+
+/**
+ * Compare a candidate dataset run with its baseline. Returns
+ * { metrics, reasons }, where `reasons` describes every metric that fell
+ * by more than REGRESSION_THRESHOLDS.
+ */
+export function compareRuns(baseline, candidate, { assertions = [], rubricId = null } = {}) {
+  const before = completedOutputs(baseline);
+  const after = completedOutputs(candidate);
+  const caseIds = Object.keys(after).filter((id) => id in before);
+  const asResult = (entry) => ({ type: "text", content: entry.output });
+
+  const metrics = {
+    cases: caseIds.length,
+    erroredCases: Object.keys(before).filter((id) => candidate.outputs?.[id]?.error).length,
+    regressedCases: [],
+  };
+  const reasons = [];
+
+  const beforeChecks = getPassRate(assertions, caseIds.map((id) => asResult(before[id])));
+  const afterChecks = getPassRate(assertions, caseIds.map((id) => asResult(after[id])));
+  if (beforeChecks && afterChecks) {
+    metrics.passRate = { before: beforeChecks.rate, after: afterChecks.rate };
+    if (beforeChecks.rate - afterChecks.rate > REGRESSION_THRESHOLDS.passRate) {
+      reasons.push(`Checks passing fell from ${percent(beforeChecks.rate)} to ${percent(afterChecks.rate)}`);
+    }
+    metrics.regressedCases = caseIds.filter(
+      (id) =>
+        evaluateResult(assertions, asResult(before[id]))?.allPassed &&
+        !evaluateResult(assertions, asResult(after[id]))?.allPassed
+    );
+  }
+
+  if (rubricId) {
+    const graded = caseIds.filter(
+      (id) => before[id].grades?.[rubricId] && after[id].grades?.[rubricId]
+    );
+    const beforeScore = mean(graded.map((id) => before[id].grades[rubricId].normalized));
+    const afterScore = mean(graded.map((id) => after[id].grades[rubricId].normalized));
+    if (beforeScore !== null && afterScore !== null) {
+      metrics.score = { before: beforeScore, after: afterScore, rubricId, graded: graded.length };
+      if (beforeScore - afterScore > REGRESSION_THRESHOLDS.score) {
+        reasons.push(`Rubric score fell from ${percent(beforeScore)} to ${percent(afterScore)}`);
+      }
+      graded.forEach((id) => {
+        const drop = before[id].grades[rubricId].normalized - after[id].grades[rubricId].normalized;
+        if (drop > REGRESSION_THRESHOLDS.score && !metrics.regressedCases.includes(id)) {
+          metrics.regressedCases.push(id);
+        }
+      });
+    }
+  }
+
+  const withExpected = caseIds.filter((id) => candidate.cases?.[id]?.expected);
+  if (withExpected.length) {
+    const expected = (id) => candidate.cases[id].expected;
+    const beforeSimilarity = mean(withExpected.map((id) => calculateSimilarity(expected(id), before[id].output)));
+    const afterSimilarity = mean(withExpected.map((id) => calculateSimilarity(expected(id), after[id].output)));
+    metrics.expectedSimilarity = { before: beforeSimilarity, after: afterSimilarity };
+    if (beforeSimilarity - afterSimilarity > REGRESSION_THRESHOLDS.similarity) {
+      reasons.push(
+        `Similarity to expected outputs fell from ${Math.round(beforeSimilarity)}% to ${Math.round(afterSimilarity)}%`
+      );
+    }
+  }
+
+  // How much the outputs changed at all, for context rather than judgement
+  if (caseIds.length) {
+    metrics.outputSimilarity = mean(caseIds.map((id) => calculateSimilarity(before[id].output, after[id].output)));
+  }
+  metrics.regressedCases = metrics.regressedCases.slice(0, MAX_LISTED_CASES);
+
+  return { metrics, reasons };
+}
+
+/**
+ * Mark the revision as being checked. Returns false if a check for it was
+ * already started (in another tab, say) and isn't stale.
+ */
+async function claimCheck(teamId, promptId, versionId, revision, userId) {
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(promptRef(teamId, promptId));
+    if (!snap.exists()) return false;
+    const regression = snap.data().regression;
+    if (regression && revisionOf(regression) === revision && !isStale(regression)) return false;
+    tx.update(promptRef(teamId, promptId), {
+      regression: {
+        status: REGRESSION_STATUSES.RUNNING,
+        versionId,
+        revision,
+        checkedBy: userId,
+        startedAt: serverTimestamp(),
+      },
+    });
+    return true;
+  });
+}
+
+/**
+ * Store a finished check's summary, unless a newer save has claimed the
+ * prompt's check since. Returns whether it was stored.
+ */
+async function finishCheck(teamId, promptId, revision, summary, activity = null) {
+  return runTransaction(db, async (tx) => {
+    const ref = promptRef(teamId, promptId);
+    const snap = await tx.get(ref);
+    const regression = snap.exists() ? snap.data().regression : null;
+    if (!regression || revisionOf(regression) !== revision) return false;
+    tx.update(ref, { regression: summary });
+    if (activity) tx.set(doc(collection(db, "teams", teamId, "activities")), activity);
+    return true;
+  });
+}
+
+/**
+ * The newest completed run on an earlier version, or null
+ */
+async function findBaselineRun(teamId, promptId, versionId) {
+  const snap = await getDocs(
+    query(
+      collection(db, "teams", teamId, "prompts", promptId, "datasetRuns"),
+      orderBy("startedAt", "desc"),
+      limit(BASELINE_CANDIDATES)
+    )
+  );
+  const run = snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .find((r) => r.status === RUN_STATUSES.COMPLETED && r.completed > 0 && r.promptVersionId !== versionId);
+  return run || null;
+}
+
+/**
+ * The prompt as it was in the version before `versionId`, or null
+ */
+async function getPreviousVersionPrompt(teamId, prompt, versionId) {
+  const snap = await getDocs(
+    query(
+      collection(db, "teams", teamId, "prompts", prompt.id, "versions"),
+      orderBy("createdAt", "desc"),
+      limit(2)
+    )
+  );
+  const previous = snap.docs.find((d) => d.id !== versionId);
+  if (!previous) return null;
+  const { title, text, type, messages = [] } = previous.data();
+  return { ...prompt, title, text, type, messages, latestVersion: { id: previous.id } };
+}
+
+async function readRun(teamId, promptId, runId) {
+  const snap = await getDoc(doc(db, "teams", teamId, "prompts", promptId, "datasetRuns", runId));
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Grade the outputs in `run` that don't have a grade from `rubricId` yet.
+ * Failures are skipped; the comparison only uses cases graded in both runs.
+ */
+async function gradeMissing(teamId, promptId, run, rubricId) {
+  for (const [caseId, entry] of Object.entries(completedOutputs(run))) {
+    if (entry.grades?.[rubricId] || !entry.output.trim()) continue;
+    try {
+      await gradeRunOutput(teamId, promptId, run.id, caseId, rubricId, { retries: GRADE_RETRIES });
+    } catch (err) {
+      console.error("Error grading run output:", err);
+    }
+  }
+}
+
+/**
+ * Check the prompt's latest version for regressions against its test
+ * dataset. Does nothing (and returns null) when the prompt has no test
+ * cases or the version is already being checked. Otherwise returns the
+ * stored summary.
+ */
+export async function runRegressionCheck(teamId, prompt, userId, { snippets = {} } = {}) {
+  const versionId = prompt.latestVersion?.id;
+  const revision = getRevisionKey(prompt);
+  if (!versionId) return null;
+
+  const casesSnap = await getDocs(
+    query(collection(db, "teams", teamId, "prompts", prompt.id, "testCases"), orderBy("createdAt", "asc"))
+  );
+  const testCases = casesSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  if (testCases.length === 0) return null;
+
+  if (!(await claimCheck(teamId, prompt.id, versionId, revision, userId))) return null;
+
+  const extra = { trigger: "regression", regressionVersionId: versionId };
+
+  try {
+    let baseline = await findBaselineRun(teamId, prompt.id, versionId);
+    if (!baseline) {
+      const previous = await getPreviousVersionPrompt(teamId, prompt, versionId);
+      if (!previous) throw new Error("There is no earlier version to compare with");
+      const baselineId = await runDataset(teamId, previous, testCases, userId, {
+        parameters: getDefaultRunParameters(),
+        snippets,
+        extra,
+      });
+      baseline = await readRun(teamId, prompt.id, baselineId);
+    }
+
+    const runId = await runDataset(teamId, prompt, testCases, userId, {
+      parameters: baseline.parameters || getDefaultRunParameters(),
+      snippets,
+      extra,
+    });
+
+    const rubricId = prompt.regressionRubricId || null;
+    let candidate = await readRun(teamId, prompt.id, runId);
+    if (rubricId) {
+      await gradeMissing(teamId, prompt.id, baseline, rubricId);
+      await gradeMissing(teamId, prompt.id, candidate, rubricId);
+      [baseline, candidate] = await Promise.all([
+        readRun(teamId, prompt.id, baseline.id),
+        readRun(teamId, prompt.id, runId),
+      ]);
+    }
+
+    const { metrics, reasons } = compareRuns(baseline, candidate, {
+      assertions: prompt.assertions || [],
+      rubricId,
+    });
+    if (metrics.cases === 0) throw new Error("No test case ran on both versions");
+
+    const summary = {
+      status: reasons.length ? REGRESSION_STATUSES.REGRESSED : REGRESSION_STATUSES.PASSED,
+      versionId,
+      revision,
+      baselineRunId: baseline.id,
+      baselineVersionId: baseline.promptVersionId || null,
+      runId,
+      metrics,
+      reasons,
+      checkedBy: userId,
+      checkedAt: serverTimestamp(),
+    };
+
+    const activity = reasons.length
+      ? {
+          type: "regression_detected",
+          userId,
+          promptId: prompt.id,
+          promptTitle: prompt.title || "",
+          timestamp: serverTimestamp(),
+          metadata: { versionId, runId, reasons },
+        }
+      : null;
+    const stored = await finishCheck(teamId, prompt.id, revision, summary, activity);
+    return stored ? summary : null;
+  } catch (err) {
+    console.error("Regression check failed:", err);
+    await finishCheck(teamId, prompt.id, revision, {
+      status: REGRESSION_STATUSES.FAILED,
+      versionId,
+      revision,
+      error: err.message || "Regression check failed",
+      checkedBy: userId,
+      checkedAt: serverTimestamp(),
+    }).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * Pick the rubric regression checks score outputs with, or clear it
+ */
+export async function saveRegressionRubric(teamId, promptId, rubricId) {
+  await updateDoc(promptRef(teamId, promptId), { regressionRubricId: rubricId || null });
+}
@@ -0,0 +1,166 @@
+// src/lib/resultMetadata.js
+// How a result was generated, and filtering/grouping outputs by it
+//
+// Results record the same generation fields whether they came from a run
+// (see promptRuns.js) or were pasted in by hand:
+//   { source, model, parameters: { temperature, maxTokens, topP },
+//     promptVersionId, variables: { name: value },
+//     usage: { promptTokens, completionTokens, totalTokens },
+//     latencyMs, cost }
+// Every field is optional; older results have none of them.
+
+import { getInputKey } from "./comparisons";
+
+export const RESULT_SOURCE_MANUAL = "manual";
+
+// Sampling parameters a manual result can record. Ranges are wide enough
+// for every provider in AI_MODELS.
+export const SAMPLING_PARAMETERS = {
+  temperature: { label: "Temperature", min: 0, max: 2, step: 0.1 },
+  maxTokens: { label: "Max tokens", min: 1, max: 1000000, step: 1, integer: true },
+  topP: { label: "Top P", min: 0, max: 1, step: 0.05 },
+};
+
+// What the outputs list can be filtered and grouped by. `key` returns the
+// value an output is bucketed under, or null when it wasn't recorded.
+export const OUTPUT_DIMENSIONS = {
+  model: { label: "Model", key: (o) => o.model || null },
+  version: { label: "Version", key: (o) => o.promptVersionId || null },
+  temperature: {
+    label: "Temperature",
+    key: (o) => (Number.isFinite(o.parameters?.temperature) ? String(o.parameters.temperature) : null),
+  },
+  input: {
+    label: "Inputs",
+    key: (o) => (o.variables && Object.keys(o.variables).length ? getInputKey(o.variables) : null),
+  },
+  source: { label: "Source", key: (o) => o.source || RESULT_SOURCE_MANUAL },
+};
+
+export const UNRECORDED = "__unrecorded__";
+
+function readNumber(raw, label, { min = 0, max = Infinity, integer = false } = {}) {
+  if (raw === "" || raw === null || raw === undefined) return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value)) throw new Error(`${label} must be a number`);
+  if (integer && !Number.isInteger(value)) throw new Error(`${label} must be a whole number`);
+  if (value < min || value > max) throw new Error(`${label} must be between ${min} and ${max}`);
+  return value;
+}
+
+/**
+ * Cost in USD for `totalTokens` at a flat per-1k-token price, or null when
+ * either is unknown
+ */
+export function estimateCost(totalTokens, costPer1kTokens) {
+  if (!Number.isFinite(totalTokens) || !Number.isFinite(costPer1kTokens)) return null;
+  return Math.round((totalTokens / 1000) * costPer1kTokens * 1e6) / 1e6;
+}
+
+/**
+ * Validate generation details from the add-result form. Throws with a
+ * readable message; returns only the fields that were filled in.
+ */
+export function normalizeGenerationMetadata({
+  model = "",
+  parameters = {},
+  promptVersionId = "",
+  variables = {},
+  promptTokens = "",
+  completionTokens = "",
+  latencyMs = "",
+  cost = "",
+}) {
+  const metadata = { source: RESULT_SOURCE_MANUAL };
+
+  if (model) metadata.model = model;
+  if (promptVersionId) metadata.promptVersionId = promptVersionId;
+
+  const cleanParameters = {};
+  Object.entries(SAMPLING_PARAMETERS).forEach(([key, range]) => {
+    const value = readNumber(parameters[key], range.label, range);
+    if (value !== null) cleanParameters[key] = value;
+  });
+  if (Object.keys(cleanParameters).length) metadata.parameters = cleanParameters;
+
+  const cleanVariables = Object.fromEntries(
+    Object.entries(variables).filter(([, value]) => String(value ?? "").trim() !== "")
+  );
+  if (Object.keys(cleanVariables).length) metadata.variables = cleanVariables;
+
+  const input = readNumber(promptTokens, "Prompt tokens", { integer: true });
+  const output = readNumber(completionTokens, "Completion tokens", { integer: true });
+  if (input !== null || output !== null) {
+    metadata.usage = {
+      promptTokens: input,
+      completionTokens: output,
+      totalTokens: (input || 0) + (output || 0),
+    };
+  }
+
+  const latency = readNumber(latencyMs, "Latency", { integer: true });
+  if (latency !== null) metadata.latencyMs = latency;
+
+  const usd = readNumber(cost, "Cost");
+  if (usd !== null) metadata.cost = usd;
+
+  return metadata;
+}
+
+/**
+ * Distinct values of `dimension` across `outputs`, most common first, as
+ * [{ key, count }]. Outputs without the field count under UNRECORDED.
+ */
+export function getDimensionValues(outputs, dimension) {
+  const { key } = OUTPUT_DIMENSIONS[dimension];
+  const counts = new Map();
+  outputs.forEach((o) => {
+    const value = key(o) ?? UNRECORDED;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ key: value, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+/**
+ * Whether `output` matches every filter in `filters` ({ dimension: key });
+ * missing or "all" filters match anything
+ */
+export function matchesOutputFilters(output, filters = {}) {
+  return Object.entries(filters).every(([dimension, wanted]) => {
+    if (!wanted || wanted === "all" || !OUTPUT_DIMENSIONS[dimension]) return true;
+    return (OUTPUT_DIMENSIONS[dimension].key(output) ?? UNRECORDED) === wanted;
+  });
+}
+
+/**
+ * Split `outputs` into [{ key, outputs }] by `dimension`, keeping their
+ * order within each group. Groups come in order of first appearance, with
+ * unrecorded values last.
+ */
+export function groupOutputs(outputs, dimension) {
+  const { key } = OUTPUT_DIMENSIONS[dimension];
+  const groups = new Map();
+  outputs.forEach((o) => {
+    const value = key(o) ?? UNRECORDED;
+    if (!groups.has(value)) groups.set(value, { key: value, outputs: [] });
+    groups.get(value).outputs.push(o);
+  });
+  return [...groups.values()].sort(
+    (a, b) => (a.key === UNRECORDED) - (b.key === UNRECORDED)
+  );
+}
+
+/**
+ * Readable text for an input key from getInputKey()
+ */
+export function describeInputKey(inputKey) {
+  try {
+    return JSON.parse(inputKey)
+      .map(([name, value]) => `${name}=${value}`)
+      .join(", ");
+  } catch {
+    return inputKey;
+  }
+}
@@ -16,6 +16,29 @@ import {
 } from 'firebase/firestore';
 import { deleteResultImage } from './storage';
 
+// Languages a code result can be tagged with
+export const RESULT_LANGUAGES = [
+  'javascript',
+  'typescript',
+  'python',
+  'java',
+  'csharp',
+  'cpp',
+  'go',
+  'rust',
+  'php',
+  'ruby',
+  'swift',
+  'kotlin',
+  'html',
+  'css',
+  'sql',
+  'bash',
+  'json',
+  'yaml',
+  'markdown',
+];
+
 /**
  * Add a new result to a prompt
  */
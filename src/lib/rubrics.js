@@ -0,0 +1,192 @@
+// src/lib/rubrics.js
+// Team grading rubrics, and grading results against them with a judge model
+//
+// Rubrics live at teams/{teamId}/rubrics/{id} as
+//   { name, description, scale: { min, max }, criteria: [{ id, name, description, weight }] }
+// Grading runs on the server (/api/grade-result), which writes the scores
+// to the result doc as `grades.{rubricId}`:
+//   { rubricName, scale, criteria: [{ id, name, weight, score, rationale }],
+//     overall, normalized, judge: { provider, model }, gradedBy, gradedAt }
+// `overall` is the weighted average on the rubric's scale and `normalized`
+// maps it onto 0–1 so grades on different scales can be compared.
+// Dataset run outputs can be graded too; their grades go on the run doc
+// under `outputs.{caseId}.grades.{rubricId}` in the same shape.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  query,
+  orderBy,
+  onSnapshot,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { authFetch } from "../../services/api";
+
+export const MAX_CRITERIA = 10;
+export const DEFAULT_SCALE = { min: 1, max: 5 };
+export const RUBRIC_EDITOR_ROLES = ["owner", "admin"];
+
+const SCALE_LIMITS = { min: 0, max: 100 };
+// Rate-limited grading calls wait and retry this many times
+const GRADE_RETRIES = 3;
+
+function rubricsRef(teamId) {
+  return collection(db, "teams", teamId, "rubrics");
+}
+
+function newCriterionId() {
+  return `crit_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * An empty criterion for the editor
+ */
+export function createCriterion() {
+  return { id: newCriterionId(), name: "", description: "", weight: 1 };
+}
+
+/**
+ * Validate a rubric from the editor. Throws with a readable message;
+ * returns the cleaned rubric.
+ */
+export function normalizeRubric({ name, description = "", scale = DEFAULT_SCALE, criteria = [] }) {
+  const cleanName = (name || "").trim();
+  if (!cleanName) throw new Error("Give the rubric a name");
+
+  const min = Number(scale.min);
+  const max = Number(scale.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max)) {
+    throw new Error("Scale ends must be whole numbers");
+  }
+  if (min < SCALE_LIMITS.min || max > SCALE_LIMITS.max || min >= max) {
+    throw new Error(`Scale must run upwards within ${SCALE_LIMITS.min}–${SCALE_LIMITS.max}`);
+  }
+
+  if (criteria.length === 0) throw new Error("Add at least one criterion");
+  if (criteria.length > MAX_CRITERIA) throw new Error(`Use at most ${MAX_CRITERIA} criteria`);
+
+  const clean = criteria.map((c) => {
+    const criterionName = (c.name || "").trim();
+    const weight = Number(c.weight);
+    if (!criterionName) throw new Error("Every criterion needs a name");
+    if (!(weight > 0)) throw new Error(`"${criterionName}" needs a weight above 0`);
+    return {
+      id: c.id || newCriterionId(),
+      name: criterionName,
+      description: (c.description || "").trim(),
+      weight,
+    };
+  });
+
+  return { name: cleanName, description: description.trim(), scale: { min, max }, criteria: clean };
+}
+
+/**
+ * Subscribe to a team's rubrics, alphabetically
+ */
+export function subscribeToRubrics(teamId, callback) {
+  const q = query(rubricsRef(teamId), orderBy("name", "asc"));
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error("Error subscribing to rubrics:", error);
+      callback([]);
+    }
+  );
+}
+
+export async function createRubric(teamId, userId, rubric) {
+  const ref = await addDoc(rubricsRef(teamId), {
+    ...normalizeRubric(rubric),
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * Replace a rubric. Grades already stored keep the criteria they were
+ * scored on.
+ */
+export async function updateRubric(teamId, rubricId, rubric) {
+  await updateDoc(doc(rubricsRef(teamId), rubricId), {
+    ...normalizeRubric(rubric),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+export async function deleteRubric(teamId, rubricId) {
+  await deleteDoc(doc(rubricsRef(teamId), rubricId));
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function requestGrade(body, retries) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await authFetch("/api/grade-result", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+
+    if (res.status === 429 && attempt < retries) {
+      const retryAfter = Number(res.headers.get("Retry-After")) || 10;
+      await wait(retryAfter * 1000);
+      continue;
+    }
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.success) {
+      throw new Error(data.error?.message || data.error || `Grading failed (${res.status})`);
+    }
+    return data.grade;
+  }
+}
+
+/**
+ * Ask the server to grade a result against a rubric. Returns the grade it
+ * stored. With `retries`, a 429 waits for Retry-After and tries again.
+ */
+export async function gradeResult(teamId, promptId, resultId, rubricId, { retries = 0 } = {}) {
+  return requestGrade({ teamId, promptId, resultId, rubricId }, retries);
+}
+
+/**
+ * Same as gradeResult, for one test case's output in a dataset run
+ */
+export async function gradeRunOutput(teamId, promptId, runId, caseId, rubricId, { retries = 0 } = {}) {
+  return requestGrade({ teamId, promptId, runId, caseId, rubricId }, retries);
+}
+
+/**
+ * Grade several results one after another, calling `onProgress(done,
+ * total)` as it goes. Returns how many failed.
+ */
+export async function gradeResults(teamId, promptId, resultIds, rubricId, { onProgress } = {}) {
+  let failed = 0;
+  for (let i = 0; i < resultIds.length; i++) {
+    try {
+      await gradeResult(teamId, promptId, resultIds[i], rubricId, { retries: GRADE_RETRIES });
+    } catch (err) {
+      console.error("Error grading result:", err);
+      failed++;
+    }
+    onProgress?.(i + 1, resultIds.length);
+  }
+  return failed;
+}
+
+/**
+ * A result's grades, most recent first
+ */
+export function getGrades(result) {
+  return Object.values(result?.grades || {}).sort(
+    (a, b) => (b.gradedAt?.toMillis?.() ?? 0) - (a.gradedAt?.toMillis?.() ?? 0)
+  );
+}
@@ -0,0 +1,223 @@
+// src/lib/snippets.js
+// Team snippets: reusable blocks included in prompt text as {{> snippet-name}}
+//
+// Snippets live at teams/{teamId}/snippets/{id} as { name, content,
+// description }. Prompts store the reference, not the snippet text, so
+// editing a snippet updates every prompt that includes it. References are
+// expanded when a prompt is copied, exported or run. Snippets may include
+// other snippets, but never (directly or indirectly) themselves.
+
+import { db } from "./firebase";
+import {
+  collection,
+  addDoc,
+  doc,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy,
+  onSnapshot,
+  serverTimestamp,
+} from "firebase/firestore";
+import { isChatPrompt } from "./chatPrompts";
+
+export const SNIPPET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// {{> name}} — the ">" keeps it distinct from {{variable}} placeholders
+const SNIPPET_REF_PATTERN = /\{\{>\s*([a-z0-9][a-z0-9_-]*)\s*\}\}/gi;
+
+// Deeper nesting than this is almost certainly a mistake
+const MAX_INCLUDE_DEPTH = 8;
+
+function snippetsRef(teamId) {
+  return collection(db, "teams", teamId, "snippets");
+}
+
+/**
+ * Snippet names referenced directly in a piece of text, in order, deduped
+ */
+export function parseSnippetRefs(text) {
+  const names = [];
+  for (const match of (text || "").matchAll(SNIPPET_REF_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Whether a prompt's text or messages include any snippet
+ */
+export function hasSnippetRefs(prompt) {
+  if (isChatPrompt(prompt)) {
+    return prompt.messages.some((m) => parseSnippetRefs(m.content).length > 0);
+  }
+  return parseSnippetRefs(prompt?.text).length > 0;
+}
+
+/**
+ * Index a snippet list by name for expansion
+ */
+export function indexSnippets(snippets) {
+  return Object.fromEntries((snippets || []).map((s) => [s.name, s]));
+}
+
+/**
+ * Replace every {{> name}} in text with the snippet's content, recursively.
+ * Unknown snippets, cycles and over-deep nesting are left as the raw reference.
+ */
+export function expandSnippets(text, snippetsByName, stack = []) {
+  if (!text || stack.length >= MAX_INCLUDE_DEPTH) return text || "";
+
+  return text.replace(SNIPPET_REF_PATTERN, (raw, rawName) => {
+    const name = rawName.toLowerCase();
+    const snippet = snippetsByName[name];
+    if (!snippet || stack.includes(name)) return raw;
+    return expandSnippets(snippet.content, snippetsByName, [...stack, name]);
+  });
+}
+
+/**
+ * Copy of a prompt with snippets expanded in its text and chat messages.
+ * Returns the prompt unchanged when it includes no snippets.
+ */
+export function expandPromptSnippets(prompt, snippetsByName) {
+  if (!prompt || !hasSnippetRefs(prompt)) return prompt;
+
+  return {
+    ...prompt,
+    text: expandSnippets(prompt.text, snippetsByName),
+    messages: isChatPrompt(prompt)
+      ? prompt.messages.map((m) => ({
+          ...m,
+          content: expandSnippets(m.content, snippetsByName),
+        }))
+      : prompt.messages,
+    // Snippets can bring their own {{variables}}, so re-derive them
+    variables: undefined,
+  };
+}
+
+/**
+ * If saving `content` under `name` would create an include cycle, return
+ * the cycle as a list of names (e.g. ["a", "b", "a"]); otherwise null.
+ */
+export function findSnippetCycle(name, content, snippets) {
+  const byName = indexSnippets(snippets);
+  byName[name] = { name, content };
+
+  const walk = (current, path) => {
+    for (const ref of parseSnippetRefs(byName[current]?.content)) {
+      if (ref === name) return [...path, ref];
+      if (path.includes(ref) || !byName[ref]) continue;
+      const cycle = walk(ref, [...path, ref]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  return walk(name, [name]);
+}
+
+/**
+ * Names of every snippet that includes `name`, directly or through others
+ */
+function getIncludingSnippets(name, snippets) {
+  const result = [name];
+  for (let i = 0; i < result.length; i++) {
+    snippets.forEach((s) => {
+      if (!result.includes(s.name) && parseSnippetRefs(s.content).includes(result[i])) {
+        result.push(s.name);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Prompts that use a snippet, either directly or via another snippet
+ */
+export function getSnippetUsage(name, prompts, snippets) {
+  const names = getIncludingSnippets(name, snippets);
+  return prompts.filter((p) => {
+    const texts = isChatPrompt(p) ? p.messages.map((m) => m.content) : [p.text];
+    return texts.some((t) => parseSnippetRefs(t).some((ref) => names.includes(ref)));
+  });
+}
+
+function validateSnippet(name, content, snippets, currentId = null) {
+  if (!SNIPPET_NAME_PATTERN.test(name)) {
+    throw new Error(
+      "Snippet names may only use lowercase letters, numbers, - and _"
+    );
+  }
+  if (snippets.some((s) => s.name === name && s.id !== currentId)) {
+    throw new Error(`A snippet named "${name}" already exists`);
+  }
+  if (!content.trim()) throw new Error("Snippet content is required");
+
+  const others = snippets.filter((s) => s.id !== currentId);
+  const cycle = findSnippetCycle(name, content, others);
+  if (cycle) {
+    throw new Error(`Snippets can't include themselves: ${cycle.join(" → ")}`);
+  }
+}
+
+/**
+ * Subscribe to every snippet in a team, ordered by name
+ */
+export function subscribeToSnippets(teamId, callback) {
+  const q = query(snippetsRef(teamId), orderBy("name", "asc"));
+
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    },
+    (error) => {
+      console.error("Error subscribing to snippets:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Create a snippet. `snippets` is the team's current list, used to check
+ * the name is free and that the content doesn't include itself.
+ */
+export async function createSnippet(teamId, userId, { name, content, description = "" }, snippets) {
+  const trimmedName = (name || "").trim().toLowerCase();
+  validateSnippet(trimmedName, content || "", snippets);
+
+  const ref = await addDoc(snippetsRef(teamId), {
+    name: trimmedName,
+    content,
+    description: description.trim(),
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * Update a snippet's name, content or description
+ */
+export async function updateSnippet(teamId, snippetId, { name, content, description = "" }, snippets) {
+  const trimmedName = (name || "").trim().toLowerCase();
+  validateSnippet(trimmedName, content || "", snippets, snippetId);
+
+  await updateDoc(doc(db, "teams", teamId, "snippets", snippetId), {
+    name: trimmedName,
+    content,
+    description: description.trim(),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Delete a snippet. Prompts that include it keep the raw {{> name}} text.
+ */
+export async function deleteSnippet(teamId, snippetId) {
+  await deleteDoc(doc(db, "teams", teamId, "snippets", snippetId));
+}
@@ -0,0 +1,194 @@
+// src/lib/textDiff.js
+// Line- and word-level text diffs (LCS based) for comparing prompt text
+//
+// A diff is an array of { type, value } parts where type is "equal",
+// "added" or "removed". Joining the equal + removed values gives the old
+// text back; equal + added gives the new text.
+
+// Above this many cells the LCS table gets too big for the browser, so we
+// fall back to a coarse "everything removed, everything added" diff.
+const MAX_CELLS = 4_000_000;
+
+function tokenizeLines(text) {
+  return (text || "").match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function tokenizeWords(text) {
+  return (text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+function pushPart(parts, type, value) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.value += value;
+  else parts.push({ type, value });
+}
+
+function diffTokens(a, b) {
+  // Trim the common prefix / suffix so the table only covers the change
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const parts = [];
+  if (start > 0) pushPart(parts, "equal", a.slice(0, start).join(""));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_CELLS) {
+    if (n) pushPart(parts, "removed", midA.join(""));
+    if (m) pushPart(parts, "added", midB.join(""));
+  } else {
+    // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, "equal", midA[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        pushPart(parts, "removed", midA[i++]);
+      } else {
+        pushPart(parts, "added", midB[j++]);
+      }
+    }
+    while (i < n) pushPart(parts, "removed", midA[i++]);
+    while (j < m) pushPart(parts, "added", midB[j++]);
+  }
+
+  if (endA < a.length) pushPart(parts, "equal", a.slice(endA).join(""));
+  return parts;
+}
+
+/**
+ * Diff two texts line by line
+ */
+export function diffLines(oldText, newText) {
+  return diffTokens(tokenizeLines(oldText), tokenizeLines(newText));
+}
+
+/**
+ * Diff two texts word by word (whitespace is kept as its own token)
+ */
+export function diffWords(oldText, newText) {
+  return diffTokens(tokenizeWords(oldText), tokenizeWords(newText));
+}
+
+/**
+ * Count added / removed lines or words in a diff
+ */
+export function summarizeDiff(parts, unit = "line") {
+  const count = (value) =>
+    unit === "line"
+      ? tokenizeLines(value).length
+      : tokenizeWords(value).filter((t) => t.trim()).length;
+
+  return parts.reduce(
+    (acc, part) => {
+      if (part.type === "added") acc.added += count(part.value);
+      if (part.type === "removed") acc.removed += count(part.value);
+      return acc;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+function splitLines(value) {
+  return value.replace(/\n$/, "").split("\n");
+}
+
+/**
+ * Pair up a line diff for side-by-side display. Each row is
+ * { type, left, right, leftNo, rightNo }; a removed block followed by an
+ * added block is shown as "changed" rows next to each other, and the shorter
+ * side is padded with nulls.
+ */
+export function toSideBySideRows(parts) {
+  const rows = [];
+  let leftNo = 0;
+  let rightNo = 0;
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+
+    if (part.type === "equal") {
+      splitLines(part.value).forEach((line) => {
+        rows.push({ type: "equal", left: line, right: line, leftNo: ++leftNo, rightNo: ++rightNo });
+      });
+      continue;
+    }
+
+    const removed = part.type === "removed" ? splitLines(part.value) : [];
+    const next = parts[i + 1];
+    let added = part.type === "added" ? splitLines(part.value) : [];
+    if (part.type === "removed" && next?.type === "added") {
+      added = splitLines(next.value);
+      i++;
+    }
+
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      rows.push({
+        type: left !== null && right !== null ? "changed" : left !== null ? "removed" : "added",
+        left,
+        right,
+        leftNo: left !== null ? ++leftNo : null,
+        rightNo: right !== null ? ++rightNo : null,
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Attribute each line of the newest revision to the revision that last
+ * added or changed it. `revisions` is oldest first, each { id, text }.
+ * Returns [{ line, lineNo, id }]. Lines already in the oldest revision are
+ * credited to it, since there is nothing earlier to look at.
+ */
+export function blameLines(revisions) {
+  if (!revisions.length) return [];
+
+  // A missing final newline shouldn't make the last line look edited
+  const linesOf = (text) => tokenizeLines(text && !text.endsWith("\n") ? `${text}\n` : text);
+
+  let owners = linesOf(revisions[0].text).map(() => revisions[0].id);
+  for (let r = 1; r < revisions.length; r++) {
+    const parts = diffTokens(linesOf(revisions[r - 1].text), linesOf(revisions[r].text));
+    const next = [];
+    let oldIndex = 0;
+    parts.forEach((part) => {
+      const count = tokenizeLines(part.value).length;
+      if (part.type === "equal") next.push(...owners.slice(oldIndex, oldIndex + count));
+      if (part.type !== "added") oldIndex += count;
+      else for (let k = 0; k < count; k++) next.push(revisions[r].id);
+    });
+    owners = next;
+  }
+
+  return linesOf(revisions[revisions.length - 1].text).map((line, i) => ({
+    line: line.replace(/\n$/, ""),
+    lineNo: i + 1,
+    id: owners[i],
+  }));
+}
@@ -0,0 +1,166 @@
+// src/lib/trash.js
+// Team trash: deleted prompts are kept for 30 days before being purged
+//
+// Deleting a prompt moves the doc and its subcollections from
+// teams/{teamId}/prompts/{id} to teams/{teamId}/trash/{id}, keeping the id so
+// a restore puts everything back where it was (or at the library root, when
+// its folder was deleted meanwhile). Anything still in the trash after
+// `purgeAt` is removed by the scheduled /api/purge-trash job.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { deleteResultImage } from "./storage";
+
+export const TRASH_RETENTION_DAYS = 30;
+
+// Subcollections that travel with a prompt into and out of the trash
+export const PROMPT_SUBCOLLECTIONS = [
+  "comments",
+  "ratings",
+  "results",
+  "versions",
+  "changeRequests",
+  "labelHistory",
+  "testCases",
+  "datasetRuns",
+  "comparisons",
+];
+
+// Firestore caps a batch at 500 writes; leave headroom
+const BATCH_LIMIT = 450;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Commit a list of write operations in batches of BATCH_LIMIT
+ */
+async function commitInChunks(ops) {
+  for (let i = 0; i < ops.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    ops.slice(i, i + BATCH_LIMIT).forEach((op) => op(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Copy a prompt-shaped doc and its subcollections to another path, then
+ * delete the source. Copies are written before anything is deleted, so a
+ * failure part-way leaves a duplicate rather than losing data.
+ */
+async function relocatePrompt(fromPath, toPath, transform) {
+  const fromRef = doc(db, ...fromPath);
+  const snap = await getDoc(fromRef);
+  if (!snap.exists()) throw new Error("Prompt not found");
+
+  const data = await transform(snap.data());
+  const writes = [(batch) => batch.set(doc(db, ...toPath), data)];
+  const deletes = [];
+
+  for (const sub of PROMPT_SUBCOLLECTIONS) {
+    const subSnap = await getDocs(collection(db, ...fromPath, sub));
+    subSnap.docs.forEach((d) => {
+      writes.push((batch) => batch.set(doc(db, ...toPath, sub, d.id), d.data()));
+      deletes.push((batch) => batch.delete(d.ref));
+    });
+  }
+  deletes.push((batch) => batch.delete(fromRef));
+
+  await commitInChunks(writes);
+  await commitInChunks(deletes);
+}
+
+/**
+ * Move a prompt (with comments, ratings, results, versions and change
+ * requests) to the trash
+ */
+export async function moveToTrash(teamId, promptId, userId) {
+  await relocatePrompt(
+    ["teams", teamId, "prompts", promptId],
+    ["teams", teamId, "trash", promptId],
+    (data) => ({
+      ...data,
+      deletedAt: serverTimestamp(),
+      deletedBy: userId || null,
+      purgeAt: Timestamp.fromMillis(Date.now() + TRASH_RETENTION_DAYS * DAY_MS),
+    })
+  );
+}
+
+/**
+ * Put a trashed prompt back in the library, unfiled if its folder is gone
+ */
+export async function restoreFromTrash(teamId, promptId) {
+  await relocatePrompt(
+    ["teams", teamId, "trash", promptId],
+    ["teams", teamId, "prompts", promptId],
+    async (data) => {
+      const restored = { ...data };
+      delete restored.deletedAt;
+      delete restored.deletedBy;
+      delete restored.purgeAt;
+      if (restored.folderId) {
+        const folder = await getDoc(doc(db, "teams", teamId, "folders", restored.folderId));
+        if (!folder.exists()) restored.folderId = null;
+      }
+      return restored;
+    }
+  );
+}
+
+/**
+ * Permanently delete a trashed prompt, its subcollections and result images
+ */
+export async function purgeFromTrash(teamId, promptId) {
+  const path = ["teams", teamId, "trash", promptId];
+  const deletes = [];
+
+  for (const sub of PROMPT_SUBCOLLECTIONS) {
+    const subSnap = await getDocs(collection(db, ...path, sub));
+    subSnap.docs.forEach((d) => {
+      if (sub === "results" && d.data().imagePath) {
+        deleteResultImage(d.data().imagePath).catch(() => {});
+      }
+      deletes.push((batch) => batch.delete(d.ref));
+    });
+  }
+  deletes.push((batch) => batch.delete(doc(db, ...path)));
+
+  await commitInChunks(deletes);
+}
+
+/**
+ * Subscribe to a team's trash, most recently deleted first
+ */
+export function subscribeToTrash(teamId, callback) {
+  const q = query(collection(db, "teams", teamId, "trash"), orderBy("deletedAt", "desc"));
+
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      callback(snapshot.docs.map((d) => ({ id: d.id, teamId, ...d.data() })));
+    },
+    (error) => {
+      console.error("Error subscribing to trash:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * Whole days left before a trashed prompt is purged (never negative)
+ */
+export function getDaysUntilPurge(item) {
+  const purgeAt = item?.purgeAt?.toMillis?.();
+  if (!purgeAt) return TRASH_RETENTION_DAYS;
+  return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+}
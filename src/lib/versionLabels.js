@@ -0,0 +1,174 @@
+// src/lib/versionLabels.js
+// Named pointers to prompt versions, e.g. `production` or `v2.1`
+//
+// Labels live on the prompt doc as `versionLabels: { [label]: versionId }`,
+// so each label points at exactly one version and moving it is a single
+// write. `production` is protected: only owners and admins can move it, and
+// it can't be removed once set. Every move is logged to
+// teams/{teamId}/prompts/{id}/labelHistory with the version it pointed at
+// before, which is what rollback uses.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  getDoc,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp,
+} from "firebase/firestore";
+
+export const PRODUCTION_LABEL = "production";
+
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+const ADMIN_ROLES = ["owner", "admin"];
+const HISTORY_LIMIT = 50;
+
+/**
+ * Lower-case and trim a label, throwing if it isn't usable
+ */
+export function normalizeLabel(label) {
+  const value = (label || "").trim().toLowerCase();
+  if (!LABEL_PATTERN.test(value)) {
+    throw new Error("Labels are up to 32 letters, numbers, dots, dashes or underscores");
+  }
+  return value;
+}
+
+/**
+ * Whether a user may move `label`. `canModify` is whether they can edit
+ * the prompt at all.
+ */
+export function canMoveLabel(label, userRole, canModify) {
+  if (label === PRODUCTION_LABEL) return ADMIN_ROLES.includes(userRole);
+  return Boolean(canModify);
+}
+
+/**
+ * Labels pointing at each version: { [versionId]: [label] }, production first
+ */
+export function labelsByVersion(versionLabels = {}) {
+  const byVersion = {};
+  Object.entries(versionLabels)
+    .sort(([a], [b]) =>
+      a === PRODUCTION_LABEL ? -1 : b === PRODUCTION_LABEL ? 1 : a.localeCompare(b)
+    )
+    .forEach(([label, versionId]) => {
+      if (!versionId) return;
+      if (!byVersion[versionId]) byVersion[versionId] = [];
+      byVersion[versionId].push(label);
+    });
+  return byVersion;
+}
+
+async function moveLabel(teamId, promptId, label, versionId, { userId, userRole, action }) {
+  if (label === PRODUCTION_LABEL && !ADMIN_ROLES.includes(userRole)) {
+    throw new Error("Only admins can move the production label");
+  }
+
+  const promptRef = doc(db, "teams", teamId, "prompts", promptId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(promptRef);
+    if (!snap.exists()) throw new Error("Prompt not found");
+
+    const labels = { ...(snap.data().versionLabels || {}) };
+    const previousVersionId = labels[label] || null;
+    if (previousVersionId === versionId) return;
+
+    if (versionId) labels[label] = versionId;
+    else delete labels[label];
+
+    tx.update(promptRef, { versionLabels: labels });
+    tx.set(doc(collection(promptRef, "labelHistory")), {
+      label,
+      action,
+      versionId: versionId || null,
+      previousVersionId,
+      movedBy: userId,
+      movedAt: serverTimestamp(),
+    });
+  });
+}
+
+/**
+ * Point `label` at a version, creating the label if it's new
+ */
+export async function setVersionLabel(teamId, promptId, label, versionId, { userId, userRole }) {
+  const name = normalizeLabel(label);
+  if (!versionId) throw new Error("Pick a version to label");
+  await moveLabel(teamId, promptId, name, versionId, { userId, userRole, action: "set" });
+}
+
+/**
+ * Take a label off the prompt. Production is kept so there is always
+ * something to ship once it has been set.
+ */
+export async function removeVersionLabel(teamId, promptId, label, { userId, userRole }) {
+  if (label === PRODUCTION_LABEL) {
+    throw new Error("The production label can be moved but not removed");
+  }
+  await moveLabel(teamId, promptId, label, null, { userId, userRole, action: "removed" });
+}
+
+/**
+ * Move a label back to an older version, logged as a rollback
+ */
+export async function rollbackVersionLabel(teamId, promptId, label, versionId, { userId, userRole }) {
+  if (!versionId) throw new Error("There's no earlier version to roll back to");
+  await moveLabel(teamId, promptId, label, versionId, { userId, userRole, action: "rollback" });
+}
+
+/**
+ * Where a one-click rollback should send `label`: the last version it
+ * pointed at before the current one, skipping versions it was already
+ * rolled back from. `history` is newest first.
+ */
+export function getRollbackTarget(history, label, currentVersionId) {
+  const skip = new Set([currentVersionId]);
+  for (const event of history) {
+    if (event.label !== label) continue;
+    if (event.action === "rollback") skip.add(event.previousVersionId);
+    if (event.previousVersionId && !skip.has(event.previousVersionId)) {
+      return event.previousVersionId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Subscribe to a prompt's label moves, newest first
+ */
+export function subscribeToLabelHistory(teamId, promptId, callback) {
+  const q = query(
+    collection(db, "teams", teamId, "prompts", promptId, "labelHistory"),
+    orderBy("movedAt", "desc"),
+    limit(HISTORY_LIMIT)
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error("Error subscribing to label history:", error);
+      callback([]);
+    }
+  );
+}
+
+/**
+ * The version a label points at (production by default), or null when the
+ * label isn't set
+ */
+export async function getLabeledVersion(teamId, promptId, label = PRODUCTION_LABEL) {
+  const promptSnap = await getDoc(doc(db, "teams", teamId, "prompts", promptId));
+  const versionId = promptSnap.exists() ? promptSnap.data().versionLabels?.[label] : null;
+  if (!versionId) return null;
+
+  const versionSnap = await getDoc(
+    doc(db, "teams", teamId, "prompts", promptId, "versions", versionId)
+  );
+  return versionSnap.exists() ? { id: versionSnap.id, label, ...versionSnap.data() } : null;
+}
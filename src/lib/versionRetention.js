@@ -0,0 +1,90 @@
+// src/lib/versionRetention.js
+// Team-wide policy for how much prompt version history to keep
+//
+// Stored on the team doc as `versionRetention: { mode, value }`:
+//   all   — keep every version (the default)
+//   count — keep the newest `value` versions of each prompt
+//   days  — keep versions saved in the last `value` days
+// Labeled versions, each prompt's latest version and versions that change
+// requests, results, dataset runs, regression checks, label moves or forks
+// point at are always kept. The policy is enforced by the daily
+// /api/prune-versions job, not the client.
+
+import { db } from "./firebase";
+import { doc, updateDoc, onSnapshot, serverTimestamp } from "firebase/firestore";
+
+export const RETENTION_MODES = {
+  ALL: "all",
+  COUNT: "count",
+  DAYS: "days",
+};
+
+export const DEFAULT_RETENTION = { mode: RETENTION_MODES.ALL, value: null };
+
+// Floors so a typo can't wipe out almost all history overnight
+export const MIN_KEEP_COUNT = 5;
+export const MIN_KEEP_DAYS = 7;
+
+/**
+ * Check a policy before saving it. Throws with a readable message.
+ */
+export function validateRetention({ mode, value }) {
+  if (!Object.values(RETENTION_MODES).includes(mode)) {
+    throw new Error("Pick how much history to keep");
+  }
+  if (mode === RETENTION_MODES.ALL) return;
+
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw new Error("Enter a whole number");
+  if (mode === RETENTION_MODES.COUNT && n < MIN_KEEP_COUNT) {
+    throw new Error(`Keep at least ${MIN_KEEP_COUNT} versions`);
+  }
+  if (mode === RETENTION_MODES.DAYS && n < MIN_KEEP_DAYS) {
+    throw new Error(`Keep at least ${MIN_KEEP_DAYS} days of history`);
+  }
+}
+
+/**
+ * One-line summary for settings and the history footer
+ */
+export function describeRetention(policy = DEFAULT_RETENTION) {
+  switch (policy.mode) {
+    case RETENTION_MODES.COUNT:
+      return `Keeps the last ${policy.value} versions of each prompt, plus labeled ones`;
+    case RETENTION_MODES.DAYS:
+      return `Keeps versions from the last ${policy.value} days, plus labeled ones`;
+    default:
+      return "Keeps every version";
+  }
+}
+
+/**
+ * Subscribe to a team's retention policy
+ */
+export function subscribeToVersionRetention(teamId, callback) {
+  return onSnapshot(
+    doc(db, "teams", teamId),
+    (snap) =>
+      callback((snap.exists() && snap.data().versionRetention) || DEFAULT_RETENTION),
+    (error) => {
+      console.error("Error subscribing to version retention:", error);
+      callback(DEFAULT_RETENTION);
+    }
+  );
+}
+
+/**
+ * Replace a team's retention policy (owners only)
+ */
+export async function saveVersionRetention(teamId, policy, userId) {
+  validateRetention(policy);
+  const mode = policy.mode;
+  await updateDoc(doc(db, "teams", teamId), {
+    versionRetention: {
+      mode,
+      value: mode === RETENTION_MODES.ALL ? null : Number(policy.value),
+      updatedBy: userId,
+      updatedAt: serverTimestamp(),
+    },
+  });
+}
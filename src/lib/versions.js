@@ -0,0 +1,150 @@
+// src/lib/versions.js
+// Automatic version snapshots for team prompts
+//
+// Every content change writes a doc to teams/{teamId}/prompts/{id}/versions
+// in the same transaction as the prompt update. A version holds the
+// prompt's content after the change plus who made it, an optional change
+// message and `changedFields`. The prompt doc keeps a `latestVersion`
+// pointer ({ id, createdBy, savedAt, editedAt, editCount, changeNote,
+// changedFields }) so the next save can decide, without querying, whether
+// to fold into that version: edits by the same author within
+// COALESCE_WINDOW_MS of it starting are merged rather than stacked — unless
+// a label (see versionLabels.js) points at that version, since labelled
+// versions must never change. The first snapshot of a prompt also records
+// its original content, so the very first edit can be diffed.
+
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  increment,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+
+// Fields that make up a prompt's content; changes to anything else (stats,
+// status, folder…) don't produce a version
+export const VERSIONED_FIELDS = ["title", "text", "tags", "type", "messages"];
+
+export const FIELD_LABELS = {
+  title: "Title",
+  text: "Text",
+  tags: "Tags",
+  type: "Format",
+  messages: "Messages",
+};
+
+export const COALESCE_WINDOW_MS = 10 * 60 * 1000;
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Content fields that `updates` would change on `current`
+ */
+export function getChangedFields(current, updates) {
+  return VERSIONED_FIELDS.filter(
+    (field) => field in updates && !sameValue(current[field], updates[field])
+  );
+}
+
+function snapshotOf(prompt) {
+  return {
+    title: prompt.title || "",
+    text: prompt.text || "",
+    tags: Array.isArray(prompt.tags) ? prompt.tags : [],
+    type: prompt.type || "text",
+    ...(Array.isArray(prompt.messages) && prompt.messages.length > 0
+      ? { messages: prompt.messages }
+      : {}),
+    visibility: prompt.visibility || "public",
+  };
+}
+
+function shouldCoalesce(latest, userId, changeNote, versionLabels = {}) {
+  if (!latest?.id || !userId || latest.createdBy !== userId) return false;
+  // A labelled version is what `production` etc. serve and roll back to
+  if (Object.values(versionLabels).includes(latest.id)) return false;
+  // Two messages mean two deliberate steps, so keep them apart
+  if (changeNote && latest.changeNote) return false;
+  const savedAt = latest.savedAt?.toMillis?.();
+  return Boolean(savedAt) && Date.now() - savedAt < COALESCE_WINDOW_MS;
+}
+
+/**
+ * Queue the version writes for a content change on transaction `tx` and
+ * return the fields to merge into the prompt update. `current` is the
+ * prompt as read inside the transaction; `next` is its content afterwards.
+ * `extra` is stored on the version as-is (e.g. which change request it came
+ * from). Pass `coalesce: false` for changes that should always stand alone.
+ */
+export function recordVersion(
+  tx,
+  teamId,
+  promptId,
+  current,
+  next,
+  { userId = null, changeNote = "", changedFields, extra = {}, coalesce = true } = {}
+) {
+  const versions = collection(db, "teams", teamId, "prompts", promptId, "versions");
+  const note = (changeNote || "").trim();
+  const fields = changedFields || getChangedFields(current, next);
+  const content = snapshotOf({ ...current, ...next });
+  const latest = current.latestVersion;
+
+  if (coalesce && shouldCoalesce(latest, userId, note, current.versionLabels || {})) {
+    const merged = [...new Set([...(latest.changedFields || []), ...fields])];
+    const mergedNote = note || latest.changeNote || "";
+    tx.update(doc(versions, latest.id), {
+      ...content,
+      changedFields: merged,
+      changeNote: mergedNote,
+      updatedAt: serverTimestamp(),
+      editCount: increment(1),
+    });
+    return {
+      "latestVersion.changedFields": merged,
+      "latestVersion.changeNote": mergedNote,
+      // Lets readers tell coalesced saves of the same version apart
+      "latestVersion.editedAt": serverTimestamp(),
+      "latestVersion.editCount": (latest.editCount || 1) + 1,
+    };
+  }
+
+  // Nothing has been snapshotted yet, so keep what the prompt looked like
+  // before this first change
+  if (!latest) {
+    tx.set(doc(versions), {
+      ...snapshotOf(current),
+      changeNote: "Original version",
+      changedFields: [],
+      createdBy: current.createdBy || null,
+      createdAt: current.createdAt || Timestamp.fromMillis(Date.now() - 1000),
+      original: true,
+    });
+  }
+
+  const versionRef = doc(versions);
+  tx.set(versionRef, {
+    ...content,
+    ...extra,
+    changeNote: note,
+    changedFields: fields,
+    createdBy: userId,
+    createdAt: serverTimestamp(),
+    editCount: 1,
+  });
+
+  return {
+    latestVersion: {
+      id: versionRef.id,
+      createdBy: userId,
+      savedAt: serverTimestamp(),
+      editedAt: serverTimestamp(),
+      editCount: 1,
+      changeNote: note,
+      changedFields: fields,
+    },
+  };
+}
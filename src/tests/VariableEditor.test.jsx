@@ -0,0 +1,32 @@
+// src/tests/VariableEditor.test.jsx
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { VariableEditor } from "../components/PromptVariables";
+
+describe("VariableEditor enum options", () => {
+  it("keeps a trailing comma while typing and writes the options on blur", () => {
+    const onTextChange = vi.fn();
+    render(<VariableEditor text="Use a {{tone:enum(formal|casual)}} tone" onTextChange={onTextChange} />);
+    const input = screen.getByPlaceholderText("option1, option2");
+
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: "formal, casual," } });
+    expect(input.value).toBe("formal, casual,");
+    expect(onTextChange).not.toHaveBeenCalled();
+
+    fireEvent.change(input, { target: { value: "formal, casual, playful" } });
+    fireEvent.blur(input);
+    expect(onTextChange).toHaveBeenCalledWith("Use a {{tone:enum(formal|casual|playful)}} tone");
+  });
+
+  it("writes the options on Enter", () => {
+    const onTextChange = vi.fn();
+    render(<VariableEditor text="{{tone:enum(formal)}}" onTextChange={onTextChange} />);
+    const input = screen.getByPlaceholderText("option1, option2");
+
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: "formal, casual" } });
+    fireEvent.keyDown(input, { key: "Enter" });
+    expect(onTextChange).toHaveBeenCalledWith("{{tone:enum(formal|casual)}}");
+  });
+});
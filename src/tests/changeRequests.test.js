@@ -0,0 +1,54 @@
+// src/tests/changeRequests.test.js
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { resetStore, getStored, store } from "./fakeFirestore";
+import {
+  approveChangeRequest,
+  rejectChangeRequest,
+  withdrawChangeRequest,
+} from "../lib/changeRequests";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+
+const PROMPT = "teams/t1/prompts/p1";
+const REQUEST = `${PROMPT}/changeRequests/cr1`;
+const base = { title: "Greeting", text: "Hello", tags: [] };
+const request = { id: "cr1", status: "open", createdBy: "u2", ...base, text: "Hello there", base };
+
+const versionCount = () =>
+  [...store.keys()].filter((path) => path.startsWith(`${PROMPT}/versions/`)).length;
+
+beforeEach(() =>
+  resetStore({
+    [PROMPT]: { ...base, createdBy: "u1", openChangeRequests: 1 },
+    [REQUEST]: { ...request },
+  })
+);
+
+describe("closing change requests", () => {
+  it("applies a proposal only once when two reviewers approve it", async () => {
+    const prompt = { id: "p1", ...getStored(PROMPT) };
+
+    await approveChangeRequest("t1", prompt, request, "u1");
+    await expect(approveChangeRequest("t1", prompt, request, "u3")).rejects.toThrow(
+      "already closed"
+    );
+
+    expect(getStored(REQUEST).status).toBe("approved");
+    expect(getStored(PROMPT).openChangeRequests).toBe(0);
+    // The original snapshot plus the applied proposal
+    expect(versionCount()).toBe(2);
+  });
+
+  it("won't decline or withdraw a proposal that was approved meanwhile", async () => {
+    await approveChangeRequest("t1", { id: "p1" }, request, "u1");
+
+    await expect(rejectChangeRequest("t1", "p1", request, "u3", "No")).rejects.toThrow(
+      "already closed"
+    );
+    await expect(withdrawChangeRequest("t1", "p1", request)).rejects.toThrow("already closed");
+    expect(getStored(REQUEST).status).toBe("approved");
+    expect(getStored(PROMPT).openChangeRequests).toBe(0);
+  });
+});
@@ -0,0 +1,20 @@
+// src/tests/customFields.test.js
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+
+import { FIELD_TYPES, parseMetadataValue, serializeMetadataValue } from "../lib/customFields";
+
+describe("multiselect CSV values", () => {
+  const field = { id: "f1", type: FIELD_TYPES.MULTISELECT, options: [] };
+
+  it("round-trips options whose labels contain commas", () => {
+    const value = ["Sales, EMEA", "Support"];
+    expect(parseMetadataValue(field, serializeMetadataValue(value))).toEqual(value);
+  });
+
+  it("trims and drops empty entries", () => {
+    expect(parseMetadataValue(field, " a ;; b; ")).toEqual(["a", "b"]);
+  });
+});
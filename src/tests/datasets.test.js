@@ -0,0 +1,55 @@
+// src/tests/datasets.test.js
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { resetStore, getStored } from "./fakeFirestore";
+import { runDataset } from "../lib/datasets";
+import { executeRun } from "../lib/promptRuns";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+vi.mock("../lib/promptRuns", async (importOriginal) => ({
+  ...(await importOriginal()),
+  executeRun: vi.fn(),
+}));
+
+const prompt = { id: "p1", title: "Greeting", text: "Say hi to {{name}} in {{tone=a friendly}} way" };
+const runPath = (runId) => `teams/t1/prompts/p1/datasetRuns/${runId}`;
+
+beforeEach(() => {
+  resetStore();
+  executeRun.mockReset();
+});
+
+describe("runDataset", () => {
+  it("fails a case with no value for a variable instead of sending the raw token", async () => {
+    executeRun.mockResolvedValue({ output: "Hi Ada", latencyMs: 5 });
+
+    const runId = await runDataset(
+      "t1",
+      prompt,
+      [
+        { id: "c1", variables: { name: "Ada" } },
+        { id: "c2", variables: {} },
+      ],
+      "u1"
+    );
+
+    const run = getStored(runPath(runId));
+    expect(executeRun).toHaveBeenCalledTimes(1);
+    expect(executeRun.mock.calls[0][0][0].content).toBe("Say hi to Ada in a friendly way");
+    expect(run.outputs.c2.missingVariables).toEqual(["name"]);
+    expect(run.completed).toBe(1);
+    expect(run.failed).toBe(1);
+  });
+
+  it("keeps every output within the run doc's size budget", async () => {
+    executeRun.mockResolvedValue({ output: "é".repeat(200 * 1024), latencyMs: 5 });
+    const cases = Array.from({ length: 10 }, (_, i) => ({ id: `c${i}`, variables: { name: "Ada" } }));
+
+    const runId = await runDataset("t1", prompt, cases, "u1");
+
+    const run = getStored(runPath(runId));
+    expect(run.outputs.c0.truncated).toBe(true);
+    expect(new TextEncoder().encode(JSON.stringify(run)).length).toBeLessThan(1024 * 1024);
+  });
+});
@@ -0,0 +1,136 @@
+// src/tests/fakeFirestore.js
+// In-memory stand-in for the parts of firebase/firestore that lib/ modules
+// use in transactions and simple queries. Tests mock the SDK with it:
+//
+//   vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+//   vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+//   vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+//
+// Docs live in `store`, keyed by path ("teams/t1/prompts/p1").
+
+export const store = new Map();
+let nextId = 0;
+
+export function resetStore(docs = {}) {
+  store.clear();
+  nextId = 0;
+  Object.entries(docs).forEach(([path, data]) => store.set(path, { ...data }));
+}
+
+export function getStored(path) {
+  return store.get(path);
+}
+
+const INCREMENT = Symbol("increment");
+
+export function collection(parent, ...segments) {
+  const base = parent?.path ? [parent.path] : [];
+  return { path: [...base, ...segments].join("/") };
+}
+
+export function doc(parent, ...segments) {
+  const base = parent?.path ? [parent.path] : [];
+  const parts = parent?.path && segments.length === 0 ? [`auto-${++nextId}`] : segments;
+  const path = [...base, ...parts].join("/");
+  return { path, id: path.split("/").pop() };
+}
+
+export const Timestamp = {
+  fromMillis: (ms) => ({ toMillis: () => ms }),
+  now: () => Timestamp.fromMillis(Date.now()),
+};
+
+export const serverTimestamp = () => Timestamp.now();
+export const increment = (n) => ({ [INCREMENT]: n });
+
+function snapshot(ref) {
+  const data = store.get(ref.path);
+  return { id: ref.id, ref, exists: () => data !== undefined, data: () => data };
+}
+
+// Apply `fields` (which may use dotted paths and increment()) onto `target`
+function applyUpdate(target, fields) {
+  Object.entries(fields).forEach(([key, value]) => {
+    const path = key.split(".");
+    let node = target;
+    path.slice(0, -1).forEach((part) => {
+      if (typeof node[part] !== "object" || node[part] === null) node[part] = {};
+      node = node[part];
+    });
+    const last = path[path.length - 1];
+    node[last] =
+      value && typeof value === "object" && INCREMENT in value
+        ? (node[last] || 0) + value[INCREMENT]
+        : value;
+  });
+  return target;
+}
+
+export async function getDoc(ref) {
+  return snapshot(ref);
+}
+
+export async function setDoc(ref, data) {
+  store.set(ref.path, { ...data });
+}
+
+export async function addDoc(ref, data) {
+  const added = doc(ref);
+  store.set(added.path, { ...data });
+  return added;
+}
+
+export async function updateDoc(ref, fields) {
+  if (!store.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+  applyUpdate(store.get(ref.path), fields);
+}
+
+export function writeBatch() {
+  const writes = [];
+  return {
+    set: (ref, data) => writes.push(() => store.set(ref.path, { ...data })),
+    update: (ref, fields) => writes.push(() => applyUpdate(store.get(ref.path), fields)),
+    delete: (ref) => writes.push(() => store.delete(ref.path)),
+    commit: async () => writes.forEach((write) => write()),
+  };
+}
+
+// Queries support equality filters; ordering and limits are ignored
+export const where = (field, op, value) => ({ field, op, value });
+export const orderBy = () => null;
+export const limit = () => null;
+
+export function query(ref, ...constraints) {
+  return { path: ref.path, filters: constraints.filter((c) => c?.op === "==") };
+}
+
+function fieldValue(data, field) {
+  return field.split(".").reduce((node, part) => node?.[part], data);
+}
+
+export async function getDocs(q) {
+  const depth = q.path.split("/").length + 1;
+  const docs = [...store.keys()]
+    .filter((path) => path.startsWith(`${q.path}/`) && path.split("/").length === depth)
+    .filter((path) => (q.filters || []).every((f) => fieldValue(store.get(path), f.field) === f.value))
+    .map((path) => snapshot({ path, id: path.split("/").pop() }));
+  return { docs, empty: docs.length === 0, size: docs.length };
+}
+
+export async function runTransaction(db, fn) {
+  // Writes are buffered and applied only if `fn` succeeds, like Firestore
+  const writes = [];
+  const tx = {
+    get: async (ref) => snapshot(ref),
+    set: (ref, data) => writes.push(() => store.set(ref.path, { ...data })),
+    update: (ref, fields) =>
+      writes.push(() => {
+        if (!store.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+        applyUpdate(store.get(ref.path), fields);
+      }),
+    delete: (ref) => writes.push(() => store.delete(ref.path)),
+  };
+  const result = await fn(tx);
+  writes.forEach((write) => write());
+  return result;
+}
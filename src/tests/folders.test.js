@@ -0,0 +1,51 @@
+// src/tests/folders.test.js
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { resetStore, getStored } from "./fakeFirestore";
+import { deleteFolder } from "../lib/folders";
+import { restoreFromTrash } from "../lib/trash";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+
+const folders = [{ id: "f1", name: "Drafts", parentId: null }];
+
+beforeEach(() =>
+  resetStore({
+    "teams/t1/folders/f1": { name: "Drafts", parentId: null },
+    "teams/t1/prompts/p1": { title: "Shared", folderId: "f1", createdBy: "u2" },
+  })
+);
+
+describe("deleting folders", () => {
+  it("trashes the folder's prompts and restores them unfiled", async () => {
+    const trashed = await deleteFolder("t1", folders, "f1", { userId: "u1", userRole: "admin" });
+
+    expect(trashed).toBe(1);
+    expect(getStored("teams/t1/folders/f1")).toBeUndefined();
+    expect(getStored("teams/t1/trash/p1").folderId).toBe("f1");
+
+    await restoreFromTrash("t1", "p1");
+    expect(getStored("teams/t1/prompts/p1").folderId).toBeNull();
+  });
+
+  it("refuses when the folder holds prompts the user can't see", async () => {
+    resetStore({
+      "teams/t1/folders/f1": { name: "Drafts", parentId: null },
+      "teams/t1/prompts/p1": { title: "Shared", folderId: "f1", createdBy: "u2" },
+      "teams/t1/prompts/p2": {
+        title: "Legal only",
+        folderId: "f1",
+        createdBy: "u2",
+        visibility: "restricted",
+        restrictedTo: { members: ["u3"], roles: [] },
+      },
+    });
+
+    await expect(
+      deleteFolder("t1", folders, "f1", { userId: "u1", userRole: "admin" })
+    ).rejects.toThrow("1 prompt you can't see");
+    expect(getStored("teams/t1/folders/f1")).toBeDefined();
+    expect(getStored("teams/t1/prompts/p1")).toBeDefined();
+  });
+});
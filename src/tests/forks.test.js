@@ -0,0 +1,49 @@
+// src/tests/forks.test.js
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { resetStore } from "./fakeFirestore";
+import { getForkAncestors, getForkDescendants } from "../lib/forks";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+
+const link = (promptId, title) => ({ teamId: "t1", promptId, title, text: "at fork time" });
+
+beforeEach(() =>
+  resetStore({
+    "teams/t1/prompts/root": { title: "Root", text: "root text", visibility: "private", createdBy: "u2" },
+    "teams/t1/prompts/mine": { title: "Mine", text: "mine", createdBy: "u1", forkedFrom: link("root", "Root") },
+    "teams/t1/prompts/secret": {
+      title: "Secret",
+      text: "secret text",
+      visibility: "private",
+      createdBy: "u2",
+      forkedFrom: link("mine", "Mine"),
+    },
+    "teams/t1/prompts/open": { title: "Open", text: "open", createdBy: "u2", forkedFrom: link("mine", "Mine") },
+  })
+);
+
+describe("fork lineage visibility", () => {
+  it("shows a private parent as unavailable, with its fork-time title only", async () => {
+    const mine = { id: "mine", forkedFrom: link("root", "Root") };
+
+    const [parent] = await getForkAncestors(mine, { userId: "u1", roles: { t1: "member" } });
+
+    expect(parent).toEqual({ id: "root", teamId: "t1", title: "Root", unavailable: true });
+  });
+
+  it("shows a private parent to a team admin", async () => {
+    const mine = { id: "mine", forkedFrom: link("root", "Root") };
+
+    const [parent] = await getForkAncestors(mine, { userId: "u1", roles: { t1: "admin" } });
+
+    expect(parent.text).toBe("root text");
+  });
+
+  it("leaves out forks the viewer may not see", async () => {
+    const forks = await getForkDescendants(["t1"], "t1", "mine", { userId: "u1", roles: { t1: "member" } });
+
+    expect(forks.map((f) => f.id)).toEqual(["open"]);
+  });
+});
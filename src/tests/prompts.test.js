@@ -0,0 +1,61 @@
+// src/tests/prompts.test.js
+import { describe, it, expect, vi } from "vitest";
+import { resetStore, getStored } from "./fakeFirestore";
+import { updatePrompt } from "../lib/prompts";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+
+const PROMPT = "teams/t1/prompts/p1";
+
+function seed(status) {
+  resetStore({
+    [PROMPT]: {
+      title: "Greeting",
+      text: "Hello",
+      createdBy: "u1",
+      ...(status ? { status } : {}),
+    },
+  });
+}
+
+describe("updatePrompt review status", () => {
+  it("sends an approved prompt back to draft when its text changes", async () => {
+    seed("approved");
+
+    // Editors spread the whole prompt back, status included
+    await updatePrompt("t1", "p1", { text: "Hello there", status: "approved" }, { userId: "u1" });
+
+    expect(getStored(PROMPT).status).toBe("draft");
+  });
+
+  it("sends an approved chat prompt back to draft when its messages change", async () => {
+    seed("approved");
+
+    await updatePrompt(
+      "t1",
+      "p1",
+      { type: "chat", messages: [{ role: "user", content: "Hi" }] },
+      { userId: "u1" }
+    );
+
+    expect(getStored(PROMPT).status).toBe("draft");
+  });
+
+  it("treats a legacy prompt without a status as approved", async () => {
+    seed();
+
+    await updatePrompt("t1", "p1", { text: "Hello there" }, { userId: "u1" });
+
+    expect(getStored(PROMPT).status).toBe("draft");
+  });
+
+  it("keeps the approval when only the title changes", async () => {
+    seed("approved");
+
+    await updatePrompt("t1", "p1", { title: "Welcome" }, { userId: "u1" });
+
+    expect(getStored(PROMPT).status).toBe("approved");
+  });
+});
@@ -0,0 +1,46 @@
+// src/tests/pruneVersions.test.js
+import { describe, it, expect, vi } from "vitest";
+import { getReferencedVersionIds } from "../../api/prune-versions";
+
+vi.mock("firebase-admin", () => ({ default: { apps: [{}] } }));
+
+// Just enough of a firebase-admin prompt snapshot for the reference lookup
+function promptSnapshot(subcollections, data = {}) {
+  const collection = (name) => {
+    const q = {
+      where: () => q,
+      select: () => q,
+      get: async () => ({
+        docs: (subcollections[name] || []).map((fields) => ({ get: (field) => fields[field] })),
+      }),
+    };
+    return q;
+  };
+  return { ref: { collection }, get: (field) => data[field] };
+}
+
+describe("prune-versions references", () => {
+  it("keeps the versions label moves went from and to, so rollbacks still work", async () => {
+    const prompt = promptSnapshot({
+      labelHistory: [
+        { label: "production", versionId: "v3", previousVersionId: "v2" },
+        { label: "production", versionId: "v2", previousVersionId: null },
+      ],
+    });
+
+    const referenced = await getReferencedVersionIds(prompt);
+
+    expect([...referenced].sort()).toEqual(["v2", "v3"]);
+  });
+
+  it("keeps change request bases and regression baselines", async () => {
+    const prompt = promptSnapshot(
+      { changeRequests: [{ baseVersionId: "v1" }] },
+      { regression: { versionId: "v5", baselineVersionId: "v4" } }
+    );
+
+    const referenced = await getReferencedVersionIds(prompt);
+
+    expect([...referenced].sort()).toEqual(["v1", "v4", "v5"]);
+  });
+});
@@ -0,0 +1,80 @@
+// src/tests/regressions.test.js
+import { describe, it, expect, vi } from "vitest";
+import { Timestamp } from "./fakeFirestore";
+import {
+  REGRESSION_STATUSES,
+  getCurrentRegression,
+  getRevisionKey,
+  needsRegressionCheck,
+} from "../lib/regressions";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+
+const MINUTE = 60 * 1000;
+
+function prompt({ editCount = 1, editedAgo = MINUTE, regression } = {}) {
+  return {
+    id: "p1",
+    latestVersion: {
+      id: "v1",
+      createdBy: "u1",
+      savedAt: Timestamp.fromMillis(Date.now() - 5 * MINUTE),
+      editedAt: Timestamp.fromMillis(Date.now() - editedAgo),
+      editCount,
+    },
+    ...(regression ? { regression } : {}),
+  };
+}
+
+describe("regression check revisions", () => {
+  it("checks a coalesced save again even though the version id is unchanged", () => {
+    const regression = { status: REGRESSION_STATUSES.PASSED, versionId: "v1", revision: "v1:1" };
+    const saved = prompt({ editCount: 2, regression });
+
+    expect(getRevisionKey(saved)).toBe("v1:2");
+    expect(needsRegressionCheck(saved, "u1")).toBe(true);
+    expect(getCurrentRegression(saved)).toBeNull();
+  });
+
+  it("leaves a checked revision alone", () => {
+    const regression = { status: REGRESSION_STATUSES.PASSED, versionId: "v1", revision: "v1:2" };
+    const saved = prompt({ editCount: 2, regression });
+
+    expect(needsRegressionCheck(saved, "u1")).toBe(false);
+    expect(getCurrentRegression(saved)).toBe(regression);
+  });
+
+  it("treats a summary without a revision as the version's first save", () => {
+    const regression = { status: REGRESSION_STATUSES.PASSED, versionId: "v1" };
+
+    expect(getCurrentRegression(prompt({ regression }))).toBe(regression);
+    expect(getCurrentRegression(prompt({ editCount: 2, regression }))).toBeNull();
+  });
+
+  it("lets the saver take over a check abandoned while running", () => {
+    const regression = {
+      status: REGRESSION_STATUSES.RUNNING,
+      versionId: "v1",
+      revision: "v1:1",
+      startedAt: Timestamp.fromMillis(Date.now() - 45 * MINUTE),
+    };
+    const saved = prompt({ editedAgo: 50 * MINUTE, regression });
+
+    expect(needsRegressionCheck(saved, "u1")).toBe(true);
+    expect(needsRegressionCheck(saved, "u2")).toBe(false);
+    expect(getCurrentRegression(saved).status).toBe(REGRESSION_STATUSES.FAILED);
+  });
+
+  it("leaves a check that is still running alone", () => {
+    const regression = {
+      status: REGRESSION_STATUSES.RUNNING,
+      versionId: "v1",
+      revision: "v1:1",
+      startedAt: Timestamp.fromMillis(Date.now() - MINUTE),
+    };
+
+    expect(needsRegressionCheck(prompt({ regression }), "u1")).toBe(false);
+  });
+});
@@ -0,0 +1,2 @@
+// src/tests/setup.js — loaded before every test file (see vite.config.js)
+import "@testing-library/jest-dom";
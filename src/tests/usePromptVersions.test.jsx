@@ -0,0 +1,73 @@
+// src/tests/usePromptVersions.test.jsx
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { resetStore, Timestamp } from "./fakeFirestore";
+import { usePromptVersions } from "../components/PromptVersioning";
+
+const listeners = vi.hoisted(() => []);
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+vi.mock("firebase/firestore", async () => ({
+  ...(await import("./fakeFirestore")),
+  startAfter: () => null,
+  onSnapshot: (q, callback) => {
+    listeners.push(callback);
+    return () => {};
+  },
+}));
+
+const VERSIONS = "teams/t1/prompts/p1/versions";
+const version = (n) => ({ text: `v${n}`, createdAt: Timestamp.fromMillis(n * 1000) });
+const docSnap = (n) => ({
+  id: `v${n}`,
+  ref: { path: `${VERSIONS}/v${n}`, id: `v${n}` },
+  data: () => version(n),
+});
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => to - i);
+
+// Deliver a live-page snapshot (newest first) to the hook
+function emit(numbers, removed = []) {
+  act(() =>
+    listeners[listeners.length - 1]({
+      docs: numbers.map(docSnap),
+      docChanges: () => removed.map((n) => ({ type: "removed", doc: docSnap(n) })),
+    })
+  );
+}
+
+async function loadOlderPage(result) {
+  emit(range(6, 30));
+  await act(() => result.current.loadMore());
+  expect(result.current.versions).toHaveLength(30);
+}
+
+beforeEach(() => {
+  listeners.length = 0;
+  // Only the older page is in the store, which loadMore() reads in full
+  resetStore(Object.fromEntries(range(1, 5).map((n) => [`${VERSIONS}/v${n}`, version(n)])));
+});
+
+describe("usePromptVersions live page", () => {
+  it("moves a version pushed off the live page into the older list", async () => {
+    const { result } = renderHook(() => usePromptVersions("t1", "p1"));
+    await loadOlderPage(result);
+    resetStore(Object.fromEntries(range(1, 6).map((n) => [`${VERSIONS}/v${n}`, version(n)])));
+
+    emit(range(7, 31), [6]);
+
+    await waitFor(() => expect(result.current.versions.map((v) => v.id)).toContain("v6"));
+    expect(result.current.versions).toHaveLength(31);
+  });
+
+  it("drops a version that was deleted rather than pushed off", async () => {
+    const { result } = renderHook(() => usePromptVersions("t1", "p1"));
+    await loadOlderPage(result);
+
+    // v20 is pruned, so the live page reaches down to v5
+    emit([...range(21, 30), ...range(5, 19)], [20]);
+
+    await waitFor(() => expect(result.current.versions).toHaveLength(29));
+    expect(result.current.versions.map((v) => v.id)).not.toContain("v20");
+  });
+});
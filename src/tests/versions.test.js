@@ -0,0 +1,49 @@
+// src/tests/versions.test.js
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { resetStore, getStored, Timestamp } from "./fakeFirestore";
+import { updatePrompt } from "../lib/prompts";
+
+vi.mock("../lib/firebase", () => ({ db: {}, app: {}, auth: {} }));
+vi.mock("firebase/firestore", () => import("./fakeFirestore"));
+vi.mock("firebase/storage", () => ({ getStorage: () => ({}) }));
+
+const PROMPT = "teams/t1/prompts/p1";
+const VERSION = `${PROMPT}/versions/v1`;
+
+function seed(versionLabels) {
+  const savedAt = Timestamp.fromMillis(Date.now() - 60 * 1000);
+  resetStore({
+    [PROMPT]: {
+      title: "Greeting",
+      text: "Hello",
+      status: "draft",
+      createdBy: "u1",
+      latestVersion: { id: "v1", createdBy: "u1", savedAt, changeNote: "", changedFields: ["text"] },
+      ...(versionLabels ? { versionLabels } : {}),
+    },
+    [VERSION]: { title: "Greeting", text: "Hello", changedFields: ["text"], createdBy: "u1", editCount: 1 },
+  });
+}
+
+describe("recordVersion coalescing", () => {
+  beforeEach(() => seed());
+
+  it("folds a quick follow-up edit by the same author into the latest version", async () => {
+    await updatePrompt("t1", "p1", { text: "Hello there" }, { userId: "u1" });
+
+    expect(getStored(VERSION).text).toBe("Hello there");
+    expect(getStored(PROMPT).latestVersion.id).toBe("v1");
+    expect(getStored(PROMPT).latestVersion.editCount).toBe(2);
+  });
+
+  it("never rewrites a labelled version", async () => {
+    seed({ production: "v1" });
+
+    await updatePrompt("t1", "p1", { text: "Hello there" }, { userId: "u1" });
+
+    expect(getStored(VERSION).text).toBe("Hello");
+    const { latestVersion } = getStored(PROMPT);
+    expect(latestVersion.id).not.toBe("v1");
+    expect(getStored(`${PROMPT}/versions/${latestVersion.id}`).text).toBe("Hello there");
+  });
+});